@@ -6,6 +6,9 @@ import { ToastContainer } from 'react-toastify';
 import { AuthProvider } from '@/context/AuthContext';
 import { CartProvider } from '@/context/CartContext';
 import { OrderProvider } from '@/context/OrderContext';
+import { WishlistProvider } from '@/context/WishlistContext';
+import { StockAlertProvider } from '@/context/StockAlertContext';
+import { RecentlyViewedProvider } from '@/context/RecentlyViewedContext';
 
 import 'react-toastify/dist/ReactToastify.css';
 
@@ -15,9 +18,15 @@ export function GlobalProvider({ children }) {
       <ToastContainer position="bottom-right" />
       <AuthProvider>
         <CartProvider>
-          <OrderProvider>
-            <SessionProvider>{children}</SessionProvider>
-          </OrderProvider>
+          <WishlistProvider>
+            <StockAlertProvider>
+              <RecentlyViewedProvider>
+                <OrderProvider>
+                  <SessionProvider>{children}</SessionProvider>
+                </OrderProvider>
+              </RecentlyViewedProvider>
+            </StockAlertProvider>
+          </WishlistProvider>
         </CartProvider>
       </AuthProvider>
     </>
@@ -3,7 +3,14 @@ import dbConnect from '@/backend/config/dbConnect';
 import isAuthenticatedUser from '@/backend/middlewares/auth';
 import Cart from '@/backend/models/cart';
 import User from '@/backend/models/user';
-import Product from '@/backend/models/product';
+import Product, { priceAt } from '@/backend/models/product';
+import {
+  CART_PRODUCT_FIELDS,
+  cartItemStock,
+  formatCartItem,
+  isCartItemAvailable,
+} from '@/backend/utils/cartItems';
+import { sweepExpiredReservations } from '@/backend/utils/inventoryService';
 import { captureException } from '@/monitoring/sentry';
 import { withApiRateLimit } from '@/utils/rateLimit';
 
@@ -114,34 +121,22 @@ export const DELETE = withApiRateLimit(
 
       // Récupérer le panier mis à jour avec les produits populés
       const cartItems = await Cart.find({ user: user._id })
-        .populate('product', 'name price stock images isActive')
+        .populate('product', CART_PRODUCT_FIELDS)
         .sort({ createdAt: -1 })
         .lean();
 
       // Filtrer et formater la réponse avec vérifications améliorées
       const formattedCart = cartItems
         .filter((item) => {
-          // Vérifier que le produit existe et est disponible
-          return (
-            item.product &&
-            item.product.isActive !== false &&
-            item.product.stock > 0
-          );
+          // Vérifier que le produit (ou la variante) existe et est disponible
+          return isCartItemAvailable(item) && cartItemStock(item) > 0;
         })
         .map((item) => {
           // Ajuster la quantité si elle dépasse le stock
-          const adjustedQuantity = Math.min(item.quantity, item.product.stock);
-          const subtotal = adjustedQuantity * item.product.price;
+          const adjustedQuantity = Math.min(item.quantity, cartItemStock(item));
 
           return {
-            id: item._id,
-            productId: item.product._id,
-            productName: item.product.name,
-            price: item.product.price,
-            quantity: adjustedQuantity,
-            stock: item.product.stock,
-            subtotal,
-            imageUrl: item.product.images?.[0]?.url || '',
+            ...formatCartItem(item, { quantity: adjustedQuantity }),
             meta: {
               adjusted: adjustedQuantity !== item.quantity,
               originalQuantity: item.quantity,
@@ -283,6 +278,9 @@ export const GET = withApiRateLimit(async function (req, { params }) {
     // Connexion DB
     await dbConnect();
 
+    // Réservations expirées rendues au stock (non bloquant)
+    sweepExpiredReservations();
+
     // Validation de l'ID
     const { id } = params;
     if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
@@ -314,7 +312,7 @@ export const GET = withApiRateLimit(async function (req, { params }) {
       _id: id,
       user: user._id,
     })
-      .populate('product', 'name price stock images isActive description')
+      .populate('product', 'name price sale stock images isActive description')
       .lean();
 
     if (!cartItem) {
@@ -345,15 +343,17 @@ export const GET = withApiRateLimit(async function (req, { params }) {
       cartItem.quantity,
       cartItem.product.stock,
     );
+    const { price, compareAtPrice } = priceAt(cartItem.product);
     const formattedItem = {
       id: cartItem._id,
       productId: cartItem.product._id,
       productName: cartItem.product.name,
       productDescription: cartItem.product.description,
-      price: cartItem.product.price,
+      price,
+      compareAtPrice,
       quantity: adjustedQuantity,
       stock: cartItem.product.stock,
-      subtotal: adjustedQuantity * cartItem.product.price,
+      subtotal: adjustedQuantity * price,
       images: cartItem.product.images || [],
       meta: {
         adjusted: adjustedQuantity !== cartItem.quantity,
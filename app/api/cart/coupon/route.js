@@ -0,0 +1,224 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import User from '@/backend/models/user';
+import Cart from '@/backend/models/cart';
+import {
+  isValidCouponRecheck,
+  signCouponRecheck,
+} from '@/backend/utils/couponService';
+import { getReservedQuantities } from '@/backend/utils/inventoryService';
+import { buildOrderQuote } from '@/backend/utils/orderPricing';
+import { validateCouponCode } from '@/helpers/validation/schemas/order';
+import { captureException } from '@/monitoring/sentry';
+import { withRateLimit } from '@/utils/rateLimit';
+
+/**
+ * Devis du panier en base avec un code promo, partagé par la vérification
+ * (POST) et la revérification (PUT)
+ * - `recheck` : le code doit être accompagné du jeton remis à la vérification
+ */
+const quoteCartCoupon = async (req, { recheck = false } = {}) => {
+  const method = recheck ? 'PUT' : 'POST';
+
+  try {
+    // Vérifier l'authentification
+    await isAuthenticatedUser(req, NextResponse);
+
+    // Connexion DB
+    await dbConnect();
+
+    // Récupérer l'utilisateur
+    const user = await User.findOne({ email: req.user.email }).select('_id');
+    if (!user) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'User not found',
+          code: 'USER_NOT_FOUND',
+        },
+        { status: 404 },
+      );
+    }
+
+    // Parser les données
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Invalid request body',
+          code: 'INVALID_BODY',
+        },
+        { status: 400 },
+      );
+    }
+
+    const validation = await validateCouponCode({ code: body?.code });
+    if (!validation.isValid) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Validation failed',
+          code: 'VALIDATION_FAILED',
+          errors: validation.errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    const code = validation.data.code;
+
+    // Une revérification ne porte que sur un code déjà accepté pour ce client
+    if (
+      recheck &&
+      !isValidCouponRecheck(body.token, user._id.toString(), code)
+    ) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Invalid recheck token',
+          code: 'INVALID_RECHECK_TOKEN',
+        },
+        { status: 403 },
+      );
+    }
+
+    // Le devis vient du panier en base, jamais des montants du client
+    const cartItems = await Cart.find({ user: user._id })
+      .select('product variant quantity')
+      .lean();
+
+    if (cartItems.length === 0) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Cart is empty',
+          code: 'EMPTY_CART',
+        },
+        { status: 400 },
+      );
+    }
+
+    const quote = await buildOrderQuote(cartItems, {
+      couponCode: code,
+      userId: user._id,
+      reservedQuantities: await getReservedQuantities(user._id),
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Coupon applied',
+        data: {
+          coupon: quote.coupon,
+          itemsAmount: quote.itemsAmount,
+          discountAmount: quote.discountAmount,
+          totalAmount: quote.totalAmount,
+          recheckToken: signCouponRecheck(user._id.toString(), code),
+        },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    // Coupon refusé (inconnu, expiré, limite atteinte, hors périmètre...)
+    if (error.message?.includes('COUPON_ERROR')) {
+      try {
+        const errorData = JSON.parse(error.message);
+
+        return NextResponse.json(
+          {
+            success: false,
+            message: errorData.message || 'Coupon cannot be applied',
+            code: errorData.code,
+            ...(errorData.minSpend !== undefined && {
+              data: { minSpend: errorData.minSpend },
+            }),
+          },
+          { status: errorData.code === 'COUPON_NOT_FOUND' ? 404 : 400 },
+        );
+      } catch {
+        // Fallback si le parsing échoue
+      }
+    }
+
+    console.error(`Cart coupon ${method} error:`, error.message);
+
+    // Capturer seulement les vraies erreurs système
+    if (!error.message?.includes('authentication')) {
+      captureException(error, {
+        tags: {
+          component: 'api',
+          route: `cart/coupon/${method}`,
+          user: req.user?.email,
+        },
+      });
+    }
+
+    return NextResponse.json(
+      {
+        success: false,
+        message: error.message?.includes('authentication')
+          ? 'Authentication failed'
+          : 'Failed to apply coupon',
+        code: error.message?.includes('authentication')
+          ? 'AUTH_FAILED'
+          : 'INTERNAL_ERROR',
+      },
+      { status: error.message?.includes('authentication') ? 401 : 500 },
+    );
+  }
+};
+
+/**
+ * POST /api/cart/coupon
+ * Vérifie un code promo sur le panier de l'utilisateur et calcule la réduction
+ * Rate limit: 10 essais par 5 minutes (protection contre l'énumération),
+ * décomptés à part des autres appels API
+ *
+ * Body : { code }
+ * - Le devis est calculé à partir du panier en base, sans livraison : une
+ *   livraison offerte est validée ici et chiffrée au paiement
+ * - Rien n'est consommé : le coupon est revérifié et consommé à la commande
+ * - La réponse contient un `recheckToken` pour les revérifications (PUT)
+ *
+ * Headers de sécurité appliqués automatiquement via next.config.mjs
+ */
+export const POST = withRateLimit(async (req) => quoteCartCoupon(req), {
+  endpoint: 'coupon',
+  customLimit: {
+    points: 10, // 10 essais maximum
+    duration: 300000, // par période de 5 minutes
+    blockDuration: 600000, // blocage de 10 minutes en cas de dépassement
+  },
+});
+
+/**
+ * PUT /api/cart/coupon
+ * Recalcule la réduction d'un code déjà accepté après une modification du
+ * panier. Limité par utilisateur, sans entamer le budget de la vérification
+ * Rate limit: 30 requêtes par minute et par utilisateur
+ *
+ * Body : { code, token } - token : `recheckToken` reçu à la vérification
+ */
+export const PUT = withRateLimit(
+  async (req) => quoteCartCoupon(req, { recheck: true }),
+  {
+    endpoint: 'coupon-recheck',
+    getUserRole: async () => {
+      const session = await getServerSession(auth);
+      return session
+        ? { role: 'authenticated', userId: session.user.email }
+        : null;
+    },
+    customLimit: {
+      points: 30, // 30 revérifications maximum
+      duration: 60000, // par minute
+      blockDuration: 60000, // blocage d'une minute en cas de dépassement
+    },
+  },
+);
@@ -0,0 +1,158 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import User from '@/backend/models/user';
+import Cart from '@/backend/models/cart';
+import { isValidCouponRecheck } from '@/backend/utils/couponService';
+import { getReservedQuantities } from '@/backend/utils/inventoryService';
+import { buildOrderQuote } from '@/backend/utils/orderPricing';
+import { captureException } from '@/monitoring/sentry';
+import { withApiRateLimit } from '@/utils/rateLimit';
+
+/**
+ * POST /api/cart/quote
+ * Devis du panier en base tel que la commande le calculera : articles,
+ * livraison, taxe, réduction et total
+ * Rate limit: Configuration par défaut de l'API
+ *
+ * Body : { withShipping, couponCode, couponToken }
+ * - Un code promo n'est pris en compte qu'avec le `recheckToken` remis par
+ *   /api/cart/coupon : cette route ne sert pas à tester des codes
+ *
+ * Headers de sécurité appliqués automatiquement via next.config.mjs
+ */
+export const POST = withApiRateLimit(async function (req) {
+  try {
+    // Vérifier l'authentification
+    await isAuthenticatedUser(req, NextResponse);
+
+    // Connexion DB
+    await dbConnect();
+
+    // Récupérer l'utilisateur
+    const user = await User.findOne({ email: req.user.email }).select('_id');
+    if (!user) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'User not found',
+          code: 'USER_NOT_FOUND',
+        },
+        { status: 404 },
+      );
+    }
+
+    // Parser les données
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Invalid request body',
+          code: 'INVALID_BODY',
+        },
+        { status: 400 },
+      );
+    }
+
+    const couponCode =
+      typeof body?.couponCode === 'string' ? body.couponCode : null;
+
+    if (
+      couponCode &&
+      !isValidCouponRecheck(body.couponToken, user._id.toString(), couponCode)
+    ) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Invalid recheck token',
+          code: 'INVALID_RECHECK_TOKEN',
+        },
+        { status: 403 },
+      );
+    }
+
+    const cartItems = await Cart.find({ user: user._id })
+      .select('product variant quantity')
+      .lean();
+
+    if (cartItems.length === 0) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Cart is empty',
+          code: 'EMPTY_CART',
+        },
+        { status: 400 },
+      );
+    }
+
+    const quote = await buildOrderQuote(cartItems, {
+      withShipping: !!body.withShipping,
+      couponCode,
+      userId: user._id,
+      reservedQuantities: await getReservedQuantities(user._id),
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          itemsAmount: quote.itemsAmount,
+          shippingAmount: quote.shippingAmount,
+          taxAmount: quote.taxAmount,
+          discountAmount: quote.discountAmount,
+          totalAmount: quote.totalAmount,
+          unavailableProducts: quote.unavailableProducts,
+        },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    // Coupon refusé depuis sa vérification (expiré, minimum non atteint...)
+    if (error.message?.includes('COUPON_ERROR')) {
+      try {
+        const errorData = JSON.parse(error.message);
+
+        return NextResponse.json(
+          {
+            success: false,
+            message: errorData.message || 'Coupon cannot be applied',
+            code: errorData.code,
+          },
+          { status: 400 },
+        );
+      } catch {
+        // Fallback si le parsing échoue
+      }
+    }
+
+    console.error('Cart quote POST error:', error.message);
+
+    // Capturer seulement les vraies erreurs système
+    if (!error.message?.includes('authentication')) {
+      captureException(error, {
+        tags: {
+          component: 'api',
+          route: 'cart/quote/POST',
+          user: req.user?.email,
+        },
+      });
+    }
+
+    return NextResponse.json(
+      {
+        success: false,
+        message: error.message?.includes('authentication')
+          ? 'Authentication failed'
+          : 'Failed to quote cart',
+        code: error.message?.includes('authentication')
+          ? 'AUTH_FAILED'
+          : 'INTERNAL_ERROR',
+      },
+      { status: error.message?.includes('authentication') ? 401 : 500 },
+    );
+  }
+});
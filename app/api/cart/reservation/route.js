@@ -0,0 +1,243 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import User from '@/backend/models/user';
+import Cart from '@/backend/models/cart';
+import StockReservation from '@/backend/models/stockReservation';
+import {
+  createReservation,
+  releaseExpiredReservations,
+  releaseReservation,
+} from '@/backend/utils/inventoryService';
+import { captureException } from '@/monitoring/sentry';
+import { withApiRateLimit } from '@/utils/rateLimit';
+
+/**
+ * POST /api/cart/reservation
+ * Réserve le stock des articles du panier à l'entrée du checkout
+ * Rate limit: 20 réservations par 5 minutes
+ *
+ * La réservation expire après STOCK_RESERVATION_TTL_MINUTES (15 par défaut) ;
+ * le stock est alors rendu au prochain balayage. Une nouvelle réservation
+ * remplace la précédente de l'utilisateur.
+ *
+ * Headers de sécurité appliqués automatiquement via next.config.mjs
+ */
+export const POST = withApiRateLimit(
+  async function (req) {
+    try {
+      // Vérifier l'authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer l'utilisateur
+      const user = await User.findOne({ email: req.user.email }).select('_id');
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'User not found',
+            code: 'USER_NOT_FOUND',
+          },
+          { status: 404 },
+        );
+      }
+
+      // Rendre au stock les réservations expirées avant d'en créer une
+      await releaseExpiredReservations();
+
+      // Les quantités réservées viennent du panier en base, jamais du client
+      const cartItems = await Cart.find({ user: user._id })
+        .populate('product', 'name')
+        .lean();
+
+      const items = cartItems
+        .filter((item) => item.product)
+        .map((item) => ({
+          product: item.product._id,
+          variant: item.variant || null,
+          name: item.product.name,
+          quantity: item.quantity,
+        }));
+
+      if (items.length === 0) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Cart is empty',
+            code: 'EMPTY_CART',
+          },
+          { status: 400 },
+        );
+      }
+
+      const session = await StockReservation.startSession();
+      let reservation;
+
+      try {
+        await session.withTransaction(async () => {
+          reservation = await createReservation(user._id, items, { session });
+        });
+      } catch (transactionError) {
+        if (transactionError.message?.includes('STOCK_ERROR')) {
+          try {
+            const errorData = JSON.parse(transactionError.message);
+
+            return NextResponse.json(
+              {
+                success: false,
+                message: 'Some products are unavailable',
+                code: 'STOCK_ERROR',
+                unavailableProducts: errorData.products,
+              },
+              { status: 409 },
+            );
+          } catch {
+            // Fallback si le parsing échoue
+          }
+        }
+
+        throw transactionError;
+      } finally {
+        await session.endSession();
+      }
+
+      return NextResponse.json(
+        {
+          success: true,
+          data: {
+            reservationId: reservation._id,
+            expiresAt: reservation.expiresAt,
+            items: reservation.items,
+          },
+        },
+        { status: 201 },
+      );
+    } catch (error) {
+      console.error('Cart reservation POST error:', error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (!error.message?.includes('authentication')) {
+        captureException(error, {
+          tags: {
+            component: 'api',
+            route: 'cart/reservation/POST',
+            user: req.user?.email,
+          },
+        });
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message: error.message?.includes('authentication')
+            ? 'Authentication failed'
+            : 'Failed to reserve cart items',
+          code: error.message?.includes('authentication')
+            ? 'AUTH_FAILED'
+            : 'INTERNAL_ERROR',
+        },
+        { status: error.message?.includes('authentication') ? 401 : 500 },
+      );
+    }
+  },
+  {
+    customLimit: {
+      points: 20, // 20 réservations maximum
+      duration: 300000, // par période de 5 minutes
+      blockDuration: 600000, // blocage de 10 minutes en cas de dépassement
+    },
+  },
+);
+
+/**
+ * DELETE /api/cart/reservation
+ * Libère la réservation active (retour au panier, abandon du checkout)
+ * Rate limit: 30 libérations par 5 minutes
+ *
+ * Headers de sécurité appliqués automatiquement via next.config.mjs
+ */
+export const DELETE = withApiRateLimit(
+  async function (req) {
+    try {
+      // Vérifier l'authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer l'utilisateur
+      const user = await User.findOne({ email: req.user.email }).select('_id');
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'User not found',
+            code: 'USER_NOT_FOUND',
+          },
+          { status: 404 },
+        );
+      }
+
+      const reservation = await StockReservation.findActiveByUser(user._id);
+
+      let released = false;
+
+      if (reservation) {
+        const session = await StockReservation.startSession();
+        try {
+          await session.withTransaction(async () => {
+            released = await releaseReservation(reservation, { session });
+          });
+        } finally {
+          await session.endSession();
+        }
+      }
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: released
+            ? 'Reservation released'
+            : 'No active reservation to release',
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error('Cart reservation DELETE error:', error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (!error.message?.includes('authentication')) {
+        captureException(error, {
+          tags: {
+            component: 'api',
+            route: 'cart/reservation/DELETE',
+            user: req.user?.email,
+          },
+        });
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message: error.message?.includes('authentication')
+            ? 'Authentication failed'
+            : 'Failed to release reservation',
+          code: error.message?.includes('authentication')
+            ? 'AUTH_FAILED'
+            : 'INTERNAL_ERROR',
+        },
+        { status: error.message?.includes('authentication') ? 401 : 500 },
+      );
+    }
+  },
+  {
+    customLimit: {
+      points: 30, // 30 libérations maximum
+      duration: 300000, // par période de 5 minutes
+      blockDuration: 300000, // blocage de 5 minutes
+    },
+  },
+);
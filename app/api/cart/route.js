@@ -3,7 +3,18 @@ import dbConnect from '@/backend/config/dbConnect';
 import isAuthenticatedUser from '@/backend/middlewares/auth';
 import User from '@/backend/models/user';
 import Cart from '@/backend/models/cart';
-import Product from '@/backend/models/product';
+import {
+  getReservedQuantities,
+  stockKey,
+  sweepExpiredReservations,
+} from '@/backend/utils/inventoryService';
+import {
+  addProductToCart,
+  CART_PRODUCT_FIELDS,
+  cartItemStock,
+  formatCartItem,
+  isCartItemAvailable,
+} from '@/backend/utils/cartItems';
 import { DECREASE, INCREASE } from '@/helpers/constants';
 import { captureException } from '@/monitoring/sentry';
 import { withApiRateLimit } from '@/utils/rateLimit';
@@ -35,6 +46,9 @@ export const GET = withApiRateLimit(async function (req) {
     // Connexion DB
     await dbConnect();
 
+    // Réservations expirées rendues au stock (non bloquant)
+    sweepExpiredReservations();
+
     // Récupérer l'utilisateur
     const user = await User.findOne({ email: req.user.email }).select('_id');
     if (!user) {
@@ -50,28 +64,27 @@ export const GET = withApiRateLimit(async function (req) {
 
     // Récupérer le panier avec les produits populés
     const cartItems = await Cart.find({ user: user._id })
-      .populate('product', 'name price stock images isActive')
+      .populate('product', CART_PRODUCT_FIELDS)
       .lean();
 
+    // Le stock réservé par l'utilisateur pendant son checkout lui reste disponible
+    const reservedQuantities = await getReservedQuantities(user._id);
+    const availableStock = (item) =>
+      cartItemStock(item) +
+      (reservedQuantities.get(stockKey(item.product._id, item.variant)) || 0);
+
     // Filtrer les produits disponibles et ajuster les quantités
     const validCartItems = cartItems.filter(
-      (item) => item.product && item.product.isActive && item.product.stock > 0,
+      (item) => isCartItemAvailable(item) && availableStock(item) > 0,
     );
 
     // Ajuster les quantités si elles dépassent le stock
     const formattedCart = validCartItems.map((item) => {
-      const quantity = Math.min(item.quantity, item.product.stock);
-      const subtotal = quantity * item.product.price;
+      const stock = availableStock(item);
+      const quantity = Math.min(item.quantity, stock);
 
       return {
-        id: item._id,
-        productId: item.product._id,
-        productName: item.product.name,
-        price: item.product.price,
-        quantity,
-        stock: item.product.stock,
-        subtotal,
-        imageUrl: item.product.images?.[0]?.url || '',
+        ...formatCartItem(item, { stock, quantity }),
         meta: {
           adjusted: quantity !== item.quantity,
           originalQuantity: item.quantity,
@@ -165,6 +178,9 @@ export const POST = withApiRateLimit(
       // Connexion DB
       await dbConnect();
 
+      // Réservations expirées rendues au stock (non bloquant)
+      sweepExpiredReservations();
+
       // Récupérer l'utilisateur
       const user = await User.findOne({ email: req.user.email }).select('_id');
       if (!user) {
@@ -193,131 +209,31 @@ export const POST = withApiRateLimit(
         );
       }
 
-      const { productId, quantity = 1 } = body;
-
-      // Validation basique
-      if (!productId || !/^[0-9a-fA-F]{24}$/.test(productId)) {
-        return NextResponse.json(
-          {
-            success: false,
-            message: 'Invalid product ID',
-            code: 'INVALID_PRODUCT_ID',
-          },
-          { status: 400 },
-        );
-      }
-
-      if (!Number.isInteger(quantity) || quantity < 1 || quantity > 99) {
-        return NextResponse.json(
-          {
-            success: false,
-            message: 'Invalid quantity. Must be between 1 and 99',
-            code: 'INVALID_QUANTITY',
-            data: { min: 1, max: 99, provided: quantity },
-          },
-          { status: 400 },
-        );
-      }
-
-      // Vérifier le produit
-      const product = await Product.findById(productId)
-        .select('name price stock isActive')
-        .lean();
-
-      if (!product) {
-        return NextResponse.json(
-          {
-            success: false,
-            message: 'Product not found',
-            code: 'PRODUCT_NOT_FOUND',
-          },
-          { status: 404 },
-        );
-      }
+      const { productId, variantId = null, quantity = 1 } = body;
 
-      if (!product.isActive) {
-        return NextResponse.json(
-          {
-            success: false,
-            message: 'Product is not available',
-            code: 'PRODUCT_INACTIVE',
-          },
-          { status: 400 },
-        );
-      }
-
-      if (product.stock === 0) {
-        return NextResponse.json(
-          {
-            success: false,
-            message: 'Product is out of stock',
-            code: 'OUT_OF_STOCK',
-          },
-          { status: 400 },
-        );
-      }
-
-      if (quantity > product.stock) {
-        return NextResponse.json(
-          {
-            success: false,
-            message: `Only ${product.stock} units available`,
-            code: 'INSUFFICIENT_STOCK',
-            data: { available: product.stock, requested: quantity },
-          },
-          { status: 400 },
-        );
-      }
-
-      // Vérifier si le produit est déjà dans le panier
-      const existingCartItem = await Cart.findOne({
-        user: user._id,
-        product: productId,
+      // Contrôles (produit, variante, stock) et ajout
+      const result = await addProductToCart(user._id, {
+        productId,
+        variantId,
+        quantity,
       });
 
-      let updatedItem;
-      let isNewItem = false;
-
-      if (existingCartItem) {
-        // Mettre à jour la quantité
-        const newQuantity = Math.min(
-          existingCartItem.quantity + quantity,
-          product.stock,
-        );
-
-        existingCartItem.quantity = newQuantity;
-        await existingCartItem.save();
-        updatedItem = existingCartItem;
-      } else {
-        // Créer un nouvel item
-        isNewItem = true;
-        updatedItem = await Cart.create({
-          user: user._id,
-          product: productId,
-          quantity: Math.min(quantity, product.stock),
-          price: product.price,
-          productName: product.name,
-        });
+      if (result.error) {
+        const { status, ...details } = result.error;
+        return NextResponse.json({ success: false, ...details }, { status });
       }
 
+      const { item: updatedItem, variant, isNewItem } = result;
+
       // Récupérer le panier mis à jour
       const cartItems = await Cart.find({ user: user._id })
-        .populate('product', 'name price stock images isActive')
+        .populate('product', CART_PRODUCT_FIELDS)
         .lean();
 
       // Formater la réponse
       const formattedCart = cartItems
-        .filter((item) => item.product && item.product.isActive)
-        .map((item) => ({
-          id: item._id,
-          productId: item.product._id,
-          productName: item.product.name,
-          price: item.product.price,
-          quantity: item.quantity,
-          stock: item.product.stock,
-          subtotal: item.quantity * item.product.price,
-          imageUrl: item.product.images?.[0]?.url || '',
-        }));
+        .filter(isCartItemAvailable)
+        .map((item) => formatCartItem(item));
 
       const cartCount = formattedCart.length;
       const cartTotal = formattedCart.reduce(
@@ -329,6 +245,7 @@ export const POST = withApiRateLimit(
       console.log('🔒 Security event - Cart item added:', {
         userId: user._id,
         productId,
+        variantId: variant?._id || null,
         quantity: updatedItem.quantity,
         isNewItem,
         timestamp: new Date().toISOString(),
@@ -349,6 +266,7 @@ export const POST = withApiRateLimit(
             cart: formattedCart,
             addedItem: {
               productId,
+              variantId: variant?._id || null,
               quantity: updatedItem.quantity,
               isNewItem,
             },
@@ -416,6 +334,9 @@ export const PUT = withApiRateLimit(
       // Connexion DB
       await dbConnect();
 
+      // Réservations expirées rendues au stock (non bloquant)
+      sweepExpiredReservations();
+
       // Récupérer l'utilisateur
       const user = await User.findOne({ email: req.user.email }).select('_id');
       if (!user) {
@@ -475,7 +396,7 @@ export const PUT = withApiRateLimit(
       const cartItem = await Cart.findOne({
         _id: cartItemId,
         user: user._id,
-      }).populate('product', 'stock isActive name price');
+      }).populate('product', 'stock isActive name price variants');
 
       if (!cartItem) {
         return NextResponse.json(
@@ -489,7 +410,7 @@ export const PUT = withApiRateLimit(
       }
 
       // Vérifier que le produit est toujours disponible
-      if (!cartItem.product || !cartItem.product.isActive) {
+      if (!isCartItemAvailable(cartItem)) {
         // Supprimer l'item si le produit n'est plus disponible
         await Cart.findByIdAndDelete(cartItemId);
 
@@ -511,16 +432,17 @@ export const PUT = withApiRateLimit(
       // Mettre à jour la quantité
       if (action === INCREASE) {
         const newQuantity = cartItem.quantity + 1;
+        const stock = cartItemStock(cartItem);
 
-        if (newQuantity > cartItem.product.stock) {
+        if (newQuantity > stock) {
           return NextResponse.json(
             {
               success: false,
-              message: `Only ${cartItem.product.stock} units available`,
+              message: `Only ${stock} units available`,
               code: 'INSUFFICIENT_STOCK',
               data: {
                 current: cartItem.quantity,
-                available: cartItem.product.stock,
+                available: stock,
               },
             },
             { status: 400 },
@@ -544,22 +466,13 @@ export const PUT = withApiRateLimit(
 
       // Récupérer le panier mis à jour
       const cartItems = await Cart.find({ user: user._id })
-        .populate('product', 'name price stock images isActive')
+        .populate('product', CART_PRODUCT_FIELDS)
         .lean();
 
       // Formater la réponse
       const formattedCart = cartItems
-        .filter((item) => item.product && item.product.isActive)
-        .map((item) => ({
-          id: item._id,
-          productId: item.product._id,
-          productName: item.product.name,
-          price: item.product.price,
-          quantity: item.quantity,
-          stock: item.product.stock,
-          subtotal: item.quantity * item.product.price,
-          imageUrl: item.product.images?.[0]?.url || '',
-        }));
+        .filter(isCartItemAvailable)
+        .map((item) => formatCartItem(item));
 
       const cartCount = formattedCart.length;
       const cartTotal = formattedCart.reduce(
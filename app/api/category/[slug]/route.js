@@ -0,0 +1,103 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import Category from '@/backend/models/category';
+import { captureException } from '@/monitoring/sentry';
+import { withApiRateLimit } from '@/utils/rateLimit';
+
+/**
+ * GET /api/category/[slug]
+ * Récupère une catégorie active par son slug, avec ses ancêtres (fil
+ * d'Ariane) et ses sous-catégories directes
+ * Rate limit: 60 req/min (public) ou 120 req/min (authenticated)
+ *
+ * Headers de sécurité gérés par next.config.mjs pour /api/category/* :
+ * - Cache-Control: public, max-age=300, stale-while-revalidate=600
+ * - CDN-Cache-Control: max-age=600
+ * - X-Content-Type-Options: nosniff
+ * - Vary: Accept-Encoding
+ */
+export const GET = withApiRateLimit(async function (req, { params }) {
+  try {
+    // Validation simple du slug
+    const { slug } = params;
+    if (!slug || !/^[a-z0-9-]{1,100}$/.test(slug)) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Invalid category slug',
+          code: 'INVALID_SLUG',
+        },
+        { status: 400 },
+      );
+    }
+
+    // Connexion DB
+    await dbConnect();
+
+    const category = await Category.findOne({ slug, isActive: true })
+      .select('categoryName slug parent path depth attributes')
+      .lean();
+
+    if (!category) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Category not found',
+          code: 'CATEGORY_NOT_FOUND',
+        },
+        { status: 404 },
+      );
+    }
+
+    const [ancestors, children] = await Promise.all([
+      Category.ancestorsOf(category),
+      Category.find({ parent: category._id, isActive: true })
+        .select('categoryName slug')
+        .sort({ categoryName: 1 })
+        .lean(),
+    ]);
+
+    const formatLink = (cat) => ({
+      _id: cat._id,
+      name: cat.categoryName,
+      slug: cat.slug,
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          category: {
+            ...formatLink(category),
+            parent: category.parent || null,
+            depth: category.depth || 0,
+            attributes: category.attributes || [],
+            ancestors: ancestors.map(formatLink),
+            children: children.map(formatLink),
+          },
+        },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Category fetch error:', error.message);
+
+    captureException(error, {
+      tags: {
+        component: 'api',
+        route: 'category/[slug]/GET',
+        error_type: error.name,
+      },
+      extra: { slug: params?.slug },
+    });
+
+    return NextResponse.json(
+      {
+        success: false,
+        message: 'Failed to fetch category',
+        code: 'INTERNAL_ERROR',
+      },
+      { status: 500 },
+    );
+  }
+});
@@ -1,12 +1,13 @@
 import { NextResponse } from 'next/server';
 import dbConnect from '@/backend/config/dbConnect';
-import Category from '@/backend/models/category';
+import Category, { buildCategoryTree } from '@/backend/models/category';
 import { captureException } from '@/monitoring/sentry';
 import { withApiRateLimit } from '@/utils/rateLimit';
 
 /**
  * GET /api/category
- * Récupère toutes les catégories actives
+ * Récupère l'arborescence des catégories actives
+ * Chaque noeud : { _id, name, slug, parent, depth, attributes, children }
  * Rate limit: 60 req/min (public) ou 120 req/min (authenticated)
  *
  * Headers de sécurité gérés par next.config.mjs pour /api/category/* :
@@ -32,7 +33,7 @@ export const GET = withApiRateLimit(async function (req) {
 
     // Récupérer les catégories actives avec plus de détails
     const categories = await Category.find({ isActive: true })
-      .select('categoryName')
+      .select('categoryName slug parent depth attributes')
       .sort({ categoryName: 1 })
       .lean();
 
@@ -59,9 +60,14 @@ export const GET = withApiRateLimit(async function (req) {
     }
 
     // Formater les catégories pour optimiser la réponse
-    const formattedCategories = categories.map((cat) => ({
+    const formattedCategories = buildCategoryTree(categories, (cat) => ({
       _id: cat._id,
       name: cat.categoryName,
+      slug: cat.slug,
+      parent: cat.parent || null,
+      depth: cat.depth || 0,
+      // Attributs de produit (fiche technique et filtres)
+      attributes: cat.attributes || [],
       // Retirer les dates pour réduire la taille de la réponse
       // sauf si nécessaire pour le cache client
     }));
@@ -93,7 +99,7 @@ export const GET = withApiRateLimit(async function (req) {
         success: true,
         data: {
           categories: formattedCategories,
-          count: formattedCategories.length,
+          count: categories.length,
           meta: {
             timestamp: new Date().toISOString(),
             etag: dataHash,
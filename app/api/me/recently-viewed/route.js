@@ -0,0 +1,247 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import User from '@/backend/models/user';
+import {
+  getRecentlyViewedProducts,
+  mergeRecentlyViewed,
+} from '@/backend/utils/recentlyViewed';
+import {
+  validateRecentlyViewed,
+  validateRecentlyViewedQuery,
+} from '@/helpers/validation/schemas/product';
+import { captureException } from '@/monitoring/sentry';
+import { withApiRateLimit } from '@/utils/rateLimit';
+
+/**
+ * GET /api/me/recently-viewed
+ * Produits consultés récemment par le visiteur, plus récents d'abord
+ * (produits inactifs ou supprimés écartés)
+ * Rate limit: 60 req/min (public) ou 120 req/min (authenticated)
+ *
+ * - Utilisateur connecté : historique enregistré sur son compte
+ * - Visiteur : historique local passé dans `ids` (séparés par des virgules,
+ *   plus récents d'abord)
+ *
+ * Headers de sécurité gérés par next.config.mjs pour /api/me/* :
+ * - Cache-Control: private, no-cache, no-store, must-revalidate
+ * - Pragma: no-cache
+ * - X-Content-Type-Options: nosniff
+ * - X-Robots-Tag: noindex, nofollow
+ * - X-Download-Options: noopen
+ */
+export const GET = withApiRateLimit(async function (req) {
+  try {
+    // Authentification facultative : un visiteur fournit son historique local
+    const session = await getServerSession(auth);
+
+    let entries;
+    if (session?.user?.email) {
+      // Connexion DB
+      await dbConnect();
+
+      const user = await User.findOne({ email: session.user.email })
+        .select('+recentlyViewed')
+        .lean();
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'User not found',
+            code: 'USER_NOT_FOUND',
+          },
+          { status: 404 },
+        );
+      }
+
+      entries = user.recentlyViewed || [];
+    } else {
+      const ids = req.nextUrl.searchParams.get('ids');
+      const validation = await validateRecentlyViewedQuery(ids ? { ids } : {});
+      if (!validation.isValid) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Invalid product identifiers',
+            code: 'INVALID_PARAMETERS',
+            errors: validation.errors,
+          },
+          { status: 400 },
+        );
+      }
+
+      if (validation.data.ids.length === 0) {
+        return NextResponse.json(
+          { success: true, data: { products: [] } },
+          { status: 200 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      entries = [...new Set(validation.data.ids)].map((product) => ({
+        product,
+        viewedAt: null,
+      }));
+    }
+
+    const products = await getRecentlyViewedProducts(entries);
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          products,
+        },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Recently viewed GET error:', error.message);
+
+    captureException(error, {
+      tags: {
+        component: 'api',
+        route: 'me/recently-viewed/GET',
+      },
+    });
+
+    return NextResponse.json(
+      {
+        success: false,
+        message: 'Failed to fetch recently viewed products',
+        code: 'FETCH_ERROR',
+      },
+      { status: 500 },
+    );
+  }
+});
+
+/**
+ * POST /api/me/recently-viewed
+ * Enregistre des consultations sur le compte de l'utilisateur connecté
+ * Rate limit: 60 requêtes par 5 minutes
+ *
+ * Body : { items: [{ productId, viewedAt }] }
+ * - Une consultation de fiche produit (un élément)
+ * - L'historique local du visiteur, fusionné à la connexion
+ * Renvoie l'historique fusionné (mêmes données que GET)
+ *
+ * Headers de sécurité appliqués automatiquement via next.config.mjs
+ */
+export const POST = withApiRateLimit(
+  async function (req) {
+    try {
+      // Vérifier l'authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer l'utilisateur
+      const user = await User.findOne({ email: req.user.email }).select(
+        '+recentlyViewed',
+      );
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'User not found',
+            code: 'USER_NOT_FOUND',
+          },
+          { status: 404 },
+        );
+      }
+
+      // Parser les données
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Invalid request body',
+            code: 'INVALID_BODY',
+          },
+          { status: 400 },
+        );
+      }
+
+      const validation = await validateRecentlyViewed(body);
+      if (!validation.isValid) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Validation failed',
+            code: 'VALIDATION_FAILED',
+            errors: validation.errors,
+          },
+          { status: 400 },
+        );
+      }
+
+      const merged = mergeRecentlyViewed(
+        user.recentlyViewed.map((entry) => entry.toObject()),
+        validation.data.items.map((item) => ({
+          product: item.productId,
+          viewedAt: item.viewedAt,
+        })),
+      );
+
+      // Réécriture sans passer par save() : pas de hooks du modèle User
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { recentlyViewed: merged } },
+      );
+
+      const products = await getRecentlyViewedProducts(merged);
+
+      return NextResponse.json(
+        {
+          success: true,
+          data: {
+            products,
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error('Recently viewed POST error:', error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (!error.message?.includes('authentication')) {
+        captureException(error, {
+          tags: {
+            component: 'api',
+            route: 'me/recently-viewed/POST',
+            user: req.user?.email,
+          },
+        });
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message: error.message?.includes('authentication')
+            ? 'Authentication failed'
+            : 'Failed to record recently viewed products',
+          code: error.message?.includes('authentication')
+            ? 'AUTH_FAILED'
+            : 'INTERNAL_ERROR',
+        },
+        { status: error.message?.includes('authentication') ? 401 : 500 },
+      );
+    }
+  },
+  {
+    customLimit: {
+      points: 60, // 60 requêtes maximum
+      duration: 300000, // par période de 5 minutes
+      blockDuration: 300000, // blocage de 5 minutes en cas de dépassement
+    },
+  },
+);
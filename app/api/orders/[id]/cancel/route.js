@@ -0,0 +1,242 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import Order from '@/backend/models/order';
+import User from '@/backend/models/user';
+import { restockOrder } from '@/backend/utils/inventoryService';
+import { releaseCouponUsage } from '@/backend/utils/couponService';
+import { sendOrderCancellationEmail } from '@/backend/utils/emailService';
+import { scheduleRecommendationsRefresh } from '@/backend/utils/recommendations';
+import { captureException } from '@/monitoring/sentry';
+import { cleanString } from '@/utils/inputSanitizer';
+import { withApiRateLimit } from '@/utils/rateLimit';
+
+/**
+ * POST /api/orders/[orderNumber]/cancel
+ * Annule une commande du client connecté tant qu'elle est en traitement
+ * Rate limit: 5 annulations par 10 minutes
+ *
+ * Comme GET /api/orders/[id], le segment porte le numéro de commande.
+ *
+ * Body optionnel : { reason }
+ * - Les articles sont remis en stock dans la même transaction
+ * - Les utilisations de coupon de la commande sont rendues
+ * - Une commande payée passe en `refunded`
+ * - Un email de confirmation est envoyé au client
+ *
+ * Headers de sécurité gérés par next.config.mjs pour /api/orders/*
+ */
+export const POST = withApiRateLimit(
+  async function (req, { params }) {
+    try {
+      // 1. Authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      // 2. Validation du numéro de commande
+      const orderNumber = params?.id;
+      if (!orderNumber || !/^ORD-\d{8}-\d{5,}$/.test(orderNumber)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Invalid order number format',
+            code: 'INVALID_ORDER_NUMBER',
+          },
+          { status: 400 },
+        );
+      }
+
+      // 3. Connexion DB
+      await dbConnect();
+
+      // 4. Récupérer l'utilisateur
+      const user = await User.findOne({ email: req.user.email })
+        .select('_id name email isActive')
+        .lean();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'User not found',
+            code: 'USER_NOT_FOUND',
+          },
+          { status: 404 },
+        );
+      }
+
+      // 5. Raison d'annulation (optionnelle, texte brut pour l'email)
+      let body = {};
+      try {
+        body = await req.json();
+      } catch {
+        // Corps vide accepté
+      }
+
+      const reason = cleanString(body?.reason).replace(/[<>]/g, '');
+      if (reason.length > 200) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Cancel reason cannot exceed 200 characters',
+            code: 'INVALID_REASON',
+          },
+          { status: 400 },
+        );
+      }
+
+      // 6. Annuler et remettre en stock dans une transaction
+      const session = await Order.startSession();
+      let cancelledOrder;
+
+      try {
+        await session.withTransaction(async () => {
+          const order = await Order.findOne({
+            orderNumber,
+            user: user._id,
+          }).session(session);
+
+          if (!order) {
+            throw new Error(JSON.stringify({ type: 'ORDER_NOT_FOUND' }));
+          }
+
+          if (!order.canTransition('orderStatus', 'Cancelled')) {
+            throw new Error(
+              JSON.stringify({
+                type: 'ORDER_NOT_CANCELLABLE',
+                orderStatus: order.orderStatus,
+              }),
+            );
+          }
+
+          order.cancelReason = reason || 'Annulée par le client';
+          order.transitionStatus('orderStatus', 'Cancelled', {
+            actor: 'customer',
+            changedBy: user._id,
+            reason: order.cancelReason,
+          });
+          if (order.paymentStatus === 'paid') {
+            order.transitionStatus('paymentStatus', 'refunded', {
+              actor: 'system',
+              reason: 'Remboursement suite à annulation',
+            });
+          }
+
+          await order.save({ session });
+
+          // Remise en stock via le service d'inventaire (journal des mouvements)
+          await restockOrder(order, {
+            session,
+            reason: 'customer_cancellation',
+          });
+
+          // Rendre l'utilisation du coupon éventuel
+          await releaseCouponUsage(order, { session });
+
+          cancelledOrder = order;
+        });
+      } catch (transactionError) {
+        if (transactionError.message?.includes('ORDER_NOT_FOUND')) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: 'Order not found',
+              code: 'ORDER_NOT_FOUND',
+            },
+            { status: 404 },
+          );
+        }
+
+        if (transactionError.message?.includes('ORDER_NOT_CANCELLABLE')) {
+          try {
+            const errorData = JSON.parse(transactionError.message);
+
+            return NextResponse.json(
+              {
+                success: false,
+                message: 'Only orders in processing can be cancelled',
+                code: 'ORDER_NOT_CANCELLABLE',
+                data: { orderStatus: errorData.orderStatus },
+              },
+              { status: 409 },
+            );
+          } catch {
+            // Fallback si le parsing échoue
+          }
+        }
+
+        throw transactionError;
+      } finally {
+        await session.endSession();
+      }
+
+      // Recommandations : la commande annulée ne compte plus (non bloquant)
+      scheduleRecommendationsRefresh(
+        cancelledOrder.orderItems.map((item) => item.product),
+      );
+
+      // 7. Email de confirmation (non bloquant)
+      sendOrderCancellationEmail(user.email, user.name, cancelledOrder).catch(
+        (emailError) => {
+          console.error('Cancellation email error:', emailError.message);
+        },
+      );
+
+      console.log('🔒 Security event - Order cancelled:', {
+        userId: user._id,
+        orderNumber: cancelledOrder.orderNumber,
+        paymentStatus: cancelledOrder.paymentStatus,
+        timestamp: new Date().toISOString(),
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: 'Order cancelled successfully',
+          data: {
+            orderNumber: cancelledOrder.orderNumber,
+            orderStatus: cancelledOrder.orderStatus,
+            paymentStatus: cancelledOrder.paymentStatus,
+            cancelReason: cancelledOrder.cancelReason,
+            cancelledAt: cancelledOrder.cancelledAt,
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error('Order cancel error:', error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (
+        !error.message?.includes('authentication') &&
+        error.name !== 'CastError'
+      ) {
+        captureException(error, {
+          tags: {
+            component: 'api',
+            route: 'orders/[id]/cancel/POST',
+            user: req.user?.email,
+          },
+        });
+      }
+
+      let status = 500;
+      let message = 'Failed to cancel order';
+      let code = 'INTERNAL_ERROR';
+
+      if (error.message?.includes('authentication')) {
+        status = 401;
+        message = 'Authentication failed';
+        code = 'AUTH_FAILED';
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    customLimit: {
+      points: 5, // 5 annulations maximum
+      duration: 600000, // par période de 10 minutes
+      blockDuration: 900000, // blocage de 15 minutes en cas de dépassement
+    },
+  },
+);
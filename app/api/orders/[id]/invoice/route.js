@@ -0,0 +1,139 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import Order from '@/backend/models/order';
+import User from '@/backend/models/user';
+// Enregistre le modèle Address pour populate('shippingInfo')
+import '@/backend/models/address';
+import { buildInvoicePdf } from '@/backend/utils/invoicePdf';
+import { validate } from '@/helpers/validation/core/utils';
+import { simpleInvoiceSchema } from '@/helpers/validation/schemas/payment';
+import { captureException } from '@/monitoring/sentry';
+import { withApiRateLimit } from '@/utils/rateLimit';
+
+/**
+ * GET /api/orders/[orderNumber]/invoice
+ * Télécharge la facture PDF d'une commande du client connecté
+ * Rate limit: 20 téléchargements par 5 minutes
+ *
+ * Comme GET /api/orders/[id], le segment porte le numéro de commande.
+ * Le PDF est généré localement à partir de la commande en base.
+ */
+export const GET = withApiRateLimit(
+  async function (req, { params }) {
+    try {
+      // Vérifier l'authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Validation du numéro de commande
+      const orderNumber = params?.id;
+      if (!orderNumber || !/^ORD-\d{8}-\d{5,}$/.test(orderNumber)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Invalid order number format',
+            code: 'INVALID_ORDER_NUMBER',
+          },
+          { status: 400 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      const user = await User.findOne({ email: req.user.email })
+        .select('_id name email phone')
+        .lean();
+
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'User not found',
+            code: 'USER_NOT_FOUND',
+          },
+          { status: 404 },
+        );
+      }
+
+      // Une commande d'un autre client est traitée comme introuvable
+      const order = await Order.findOne({ orderNumber, user: user._id })
+        .populate('shippingInfo', 'street city state zipCode country')
+        .lean();
+
+      if (!order) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Order not found',
+            code: 'ORDER_NOT_FOUND',
+          },
+          { status: 404 },
+        );
+      }
+
+      // Contrôle des montants facturés
+      const validation = await validate(simpleInvoiceSchema, {
+        amount: order.totalAmount,
+        currency: 'USD',
+        description: `Commande ${order.orderNumber}`,
+      });
+
+      if (!validation.isValid) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Order cannot be invoiced',
+            code: 'INVALID_INVOICE',
+            errors: validation.errors,
+          },
+          { status: 422 },
+        );
+      }
+
+      const pdf = buildInvoicePdf(order, user);
+
+      return new NextResponse(pdf, {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': `attachment; filename="facture-${order.orderNumber}.pdf"`,
+          'Content-Length': String(pdf.length),
+        },
+      });
+    } catch (error) {
+      console.error('Invoice generation error:', error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (!error.message?.includes('authentication')) {
+        captureException(error, {
+          tags: {
+            component: 'api',
+            route: 'orders/[id]/invoice/GET',
+            user: req.user?.email,
+          },
+        });
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message: error.message?.includes('authentication')
+            ? 'Authentication failed'
+            : 'Failed to generate invoice',
+          code: error.message?.includes('authentication')
+            ? 'AUTH_FAILED'
+            : 'INVOICE_ERROR',
+        },
+        { status: error.message?.includes('authentication') ? 401 : 500 },
+      );
+    }
+  },
+  {
+    customLimit: {
+      points: 20, // 20 téléchargements maximum
+      duration: 300000, // par période de 5 minutes
+      blockDuration: 300000, // blocage de 5 minutes
+    },
+  },
+);
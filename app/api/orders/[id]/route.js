@@ -0,0 +1,131 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import Order from '@/backend/models/order';
+import User from '@/backend/models/user';
+// Enregistre le modèle Address pour populate('shippingInfo')
+import '@/backend/models/address';
+import { captureException } from '@/monitoring/sentry';
+import { withApiRateLimit } from '@/utils/rateLimit';
+
+/**
+ * GET /api/orders/[orderNumber]
+ * Récupère le détail complet d'une commande du client connecté
+ * Rate limit: 120 req/min (authenticated)
+ *
+ * Le segment dynamique s'appelle [id] car il est partagé avec /invoice et
+ * /cancel (Next.js impose un seul nom par niveau) : dans les trois routes,
+ * il porte le numéro de commande (ORD-YYYYMMDD-XXXXX).
+ *
+ * Headers de sécurité gérés par next.config.mjs pour /api/orders/*
+ */
+export const GET = withApiRateLimit(async function (req, { params }) {
+  try {
+    // Vérifier l'authentification
+    await isAuthenticatedUser(req, NextResponse);
+
+    // Validation du numéro de commande
+    const orderNumber = params?.id;
+    if (!orderNumber || !/^ORD-\d{8}-\d{5,}$/.test(orderNumber)) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Invalid order number format',
+          code: 'INVALID_ORDER_NUMBER',
+        },
+        { status: 400 },
+      );
+    }
+
+    // Connexion DB
+    await dbConnect();
+
+    // Récupérer l'utilisateur
+    const user = await User.findOne({ email: req.user.email })
+      .select('_id name email phone')
+      .lean();
+
+    if (!user) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'User not found',
+          code: 'USER_NOT_FOUND',
+        },
+        { status: 404 },
+      );
+    }
+
+    // Une commande d'un autre client est traitée comme introuvable
+    // L'historique est exposé sans les identifiants de ses auteurs
+    const order = await Order.findOne({ orderNumber, user: user._id })
+      .select('-__v -statusHistory.changedBy')
+      .populate('shippingInfo', 'street city state zipCode country')
+      .lean();
+
+    if (!order) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Order not found',
+          code: 'ORDER_NOT_FOUND',
+        },
+        { status: 404 },
+      );
+    }
+
+    // Masquer le numéro de compte de paiement (lean() n'applique pas toJSON)
+    const accountNumber = order.paymentInfo?.paymentAccountNumber;
+    const paymentInfo = order.paymentInfo && {
+      ...order.paymentInfo,
+      paymentAccountNumber:
+        accountNumber?.length > 4
+          ? '••••••' + accountNumber.slice(-4)
+          : accountNumber,
+    };
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          order: {
+            ...order,
+            paymentInfo,
+            user: {
+              name: user.name,
+              email: user.email,
+              phone: user.phone,
+            },
+          },
+        },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('GET order error:', error.message);
+
+    // Capturer seulement les vraies erreurs système
+    if (!error.message?.includes('authentication')) {
+      captureException(error, {
+        tags: {
+          component: 'api',
+          route: 'orders/[id]/GET',
+          user: req.user?.email,
+        },
+      });
+    }
+
+    return NextResponse.json(
+      {
+        success: false,
+        message: error.message?.includes('authentication')
+          ? 'Authentication failed'
+          : 'Failed to fetch order',
+        code: error.message?.includes('authentication')
+          ? 'AUTH_FAILED'
+          : 'FETCH_ERROR',
+      },
+      { status: error.message?.includes('authentication') ? 401 : 500 },
+    );
+  }
+});
@@ -6,12 +6,18 @@ import User from '@/backend/models/user';
 import DeliveryPrice from '@/backend/models/deliveryPrice';
 import Address from '@/backend/models/address';
 import APIFilters from '@/backend/utils/APIFilters';
+import { validateOrderHistoryFilters } from '@/helpers/validation/schemas/order';
 import { captureException } from '@/monitoring/sentry';
 import { withApiRateLimit } from '@/utils/rateLimit';
 
 /**
  * GET /api/orders/me
  * Récupère l'historique des commandes de l'utilisateur connecté
+ * Query params (tous optionnels) :
+ * - page, perPage (2, 5, 10 ou 20)
+ * - orderStatus, paymentStatus
+ * - from, to (AAAA-MM-JJ, bornes incluses sur createdAt)
+ * - orderNumber (recherche partielle), sort (desc | asc)
  * Rate limit: 120 req/min (authenticated) - Limite généreuse pour navigation de l'historique
  *
  * Headers de sécurité gérés par next.config.mjs pour /api/orders/* :
@@ -71,26 +77,68 @@ export const GET = withApiRateLimit(async function (req) {
       );
     }
 
-    // Récupérer et valider les paramètres de pagination
+    // Récupérer et valider les filtres (statuts, dates, numéro, tri, pagination)
     const searchParams = req.nextUrl.searchParams;
-    const page = parseInt(searchParams.get('page') || '1', 10);
-    const resPerPage = 2; // 2 commandes par page
+    const rawFilters = {};
+    [
+      'page',
+      'perPage',
+      'orderStatus',
+      'paymentStatus',
+      'from',
+      'to',
+      'orderNumber',
+      'sort',
+    ].forEach((key) => {
+      const value = searchParams.get(key);
+      if (value !== null && value !== '') rawFilters[key] = value;
+    });
 
-    // Validation des paramètres de pagination
-    if (page < 1 || page > 1000) {
+    const validation = await validateOrderHistoryFilters(rawFilters);
+    if (!validation.isValid) {
       return NextResponse.json(
         {
           success: false,
-          message: 'Invalid page number. Must be between 1 and 1000',
-          code: 'INVALID_PAGINATION',
-          data: { page },
+          message: 'Invalid filter parameters',
+          code: 'INVALID_FILTERS',
+          errors: validation.errors,
         },
         { status: 400 },
       );
     }
 
-    // Compter le total de commandes avec les filtres
+    const filters = validation.data;
+    const { page, perPage: resPerPage } = filters;
+
+    // Construire la requête sur l'index { user, createdAt }
+    const query = { user: user._id };
+
+    if (filters.orderStatus) query.orderStatus = filters.orderStatus;
+    if (filters.paymentStatus) query.paymentStatus = filters.paymentStatus;
+
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) {
+        query.createdAt.$gte = new Date(`${filters.from}T00:00:00.000Z`);
+      }
+      if (filters.to) {
+        query.createdAt.$lte = new Date(`${filters.to}T23:59:59.999Z`);
+      }
+    }
+
+    if (filters.orderNumber) {
+      // Caractères déjà restreints à [A-Za-z0-9-] par le schéma
+      query.orderNumber = {
+        $regex: filters.orderNumber.toUpperCase(),
+      };
+    }
+
+    // Compter le total de commandes et les commandes filtrées
     const ordersCount = await Order.countDocuments({ user: user._id });
+    const filteredCount =
+      Object.keys(query).length > 1
+        ? await Order.countDocuments(query)
+        : ordersCount;
     const ordersPaidCount = await Order.countDocuments({
       user: user._id,
       paymentStatus: 'paid',
@@ -117,7 +165,9 @@ export const GET = withApiRateLimit(async function (req) {
             totalPages: 0,
             currentPage: page,
             count: 0,
+            filteredCount: 0,
             perPage: resPerPage,
+            filters,
             meta: {
               hasOrders: false,
               timestamp: new Date().toISOString(),
@@ -130,17 +180,17 @@ export const GET = withApiRateLimit(async function (req) {
 
     // Utiliser APIFilters pour la pagination
     const apiFilters = new APIFilters(
-      Order.find({ user: user._id }),
-      searchParams,
+      Order.find(query),
+      new URLSearchParams({ page: String(page) }),
     ).pagination(resPerPage);
 
     // Récupérer les commandes avec pagination
     const orders = await apiFilters.query
       .select(
-        'orderNumber orderStatus paymentInfo paymentStatus totalAmount createdAt orderItems',
+        'orderNumber orderStatus paymentInfo paymentStatus totalAmount createdAt orderItems cancelReason cancelledAt',
       )
       .populate('shippingInfo', 'street city state zipCode country')
-      .sort({ createdAt: -1 })
+      .sort({ createdAt: filters.sort === 'asc' ? 1 : -1 })
       .lean();
 
     // Récupérer les prix de livraison (optionnel)
@@ -149,7 +199,7 @@ export const GET = withApiRateLimit(async function (req) {
       .catch(() => []);
 
     // Calculer le nombre de pages
-    const totalPages = Math.ceil(ordersCount / resPerPage);
+    const totalPages = Math.ceil(filteredCount / resPerPage);
 
     // Formater la réponse
     const formattedOrders = orders.map((order) => ({
@@ -198,6 +248,8 @@ export const GET = withApiRateLimit(async function (req) {
           totalPages,
           currentPage: page,
           count: ordersCount,
+          filteredCount,
+          filters,
           paidCount: ordersPaidCount,
           unpaidCount: ordersUnpaidCount,
           totalAmountOrders,
@@ -220,9 +272,10 @@ export const GET = withApiRateLimit(async function (req) {
         extra: {
           page: req.nextUrl.searchParams.get('page'),
           filters: {
-            status: req.nextUrl.searchParams.get('status'),
-            startDate: req.nextUrl.searchParams.get('startDate'),
-            endDate: req.nextUrl.searchParams.get('endDate'),
+            orderStatus: req.nextUrl.searchParams.get('orderStatus'),
+            paymentStatus: req.nextUrl.searchParams.get('paymentStatus'),
+            from: req.nextUrl.searchParams.get('from'),
+            to: req.nextUrl.searchParams.get('to'),
           },
         },
       });
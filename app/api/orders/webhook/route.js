@@ -3,9 +3,18 @@ import dbConnect from '@/backend/config/dbConnect';
 import isAuthenticatedUser from '@/backend/middlewares/auth';
 import Order from '@/backend/models/order';
 import User from '@/backend/models/user';
-import Product from '@/backend/models/product';
 import Category from '@/backend/models/category';
 import Cart from '@/backend/models/cart';
+import IdempotencyKey from '@/backend/models/idempotencyKey';
+import {
+  convertReservation,
+  getReservedQuantities,
+  releaseExpiredReservations,
+  sweepExpiredReservations,
+} from '@/backend/utils/inventoryService';
+import { buildOrderQuote, diffOrderQuote } from '@/backend/utils/orderPricing';
+import { consumeCoupon } from '@/backend/utils/couponService';
+import { scheduleRecommendationsRefresh } from '@/backend/utils/recommendations';
 import { captureException } from '@/monitoring/sentry';
 import { withApiRateLimit } from '@/utils/rateLimit';
 
@@ -15,6 +24,13 @@ import { withApiRateLimit } from '@/utils/rateLimit';
  * Rate limit: 5 commandes par 10 minutes (protection anti-abus strict)
  * Adapté pour ~500 visiteurs/jour
  *
+ * Idempotence : header optionnel `Idempotency-Key`
+ * - Même clé + même commande : la réponse d'origine est rejouée
+ * - Même clé + commande différente : 409 IDEMPOTENCY_KEY_REUSED
+ *
+ * Code promo : champ optionnel `couponCode`, revérifié dans la transaction
+ * et consommé atomiquement avec la commande (409 COUPON_* si refusé)
+ *
  * Headers de sécurité gérés par next.config.mjs pour /api/orders/* :
  * - Cache-Control: private, no-cache, no-store, must-revalidate
  * - Pragma: no-cache
@@ -153,130 +169,188 @@ export const POST = withApiRateLimit(
         );
       }
 
-      // 5. Vérifier le stock et traiter la commande en transaction
-      const session = await Order.startSession();
+      // 5. Idempotence : rejouer la réponse d'origine si la clé a déjà servi
+      const idempotencyKey = req.headers.get('idempotency-key');
+      let idempotencyRecord = null;
+
+      if (idempotencyKey !== null) {
+        if (!/^[A-Za-z0-9_-]{8,100}$/.test(idempotencyKey)) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: 'Invalid Idempotency-Key header',
+              code: 'INVALID_IDEMPOTENCY_KEY',
+            },
+            { status: 400 },
+          );
+        }
+
+        // Empreinte des données qui définissent la commande
+        const requestHash = IdempotencyKey.hashPayload({
+          orderItems: orderData.orderItems.map((item) => ({
+            product: item.product,
+            variant: item.variant || null,
+            quantity: item.quantity,
+            price: item.price,
+          })),
+          shippingInfo: orderData.shippingInfo || null,
+          paymentInfo: {
+            amountPaid,
+            typePayment,
+            paymentAccountNumber,
+            paymentAccountName,
+          },
+          couponCode: orderData.couponCode || null,
+          totalAmount: orderData.totalAmount,
+        });
+
+        const { state, record } = await IdempotencyKey.acquire({
+          key: idempotencyKey,
+          userId: user._id,
+          scope: 'orders/webhook',
+          requestHash,
+        });
+
+        if (state === 'replay') {
+          console.log('Idempotent order replay:', {
+            userId: user._id,
+            orderNumber: record.responseBody?.orderNumber,
+          });
+
+          return NextResponse.json(record.responseBody, {
+            status: record.responseStatus,
+            headers: { 'Idempotent-Replayed': 'true' },
+          });
+        }
+
+        if (state === 'conflict') {
+          return NextResponse.json(
+            {
+              success: false,
+              message: 'Idempotency-Key already used with a different order',
+              code: 'IDEMPOTENCY_KEY_REUSED',
+            },
+            { status: 409 },
+          );
+        }
+
+        if (state === 'in_progress') {
+          return NextResponse.json(
+            {
+              success: false,
+              message: 'This order is already being processed',
+              code: 'IDEMPOTENCY_KEY_IN_PROGRESS',
+            },
+            { status: 409 },
+          );
+        }
+
+        idempotencyRecord = record;
+      }
+
+      // Prix en vigueur à la réception de la commande (promotions programmées)
+      const pricedAt = new Date();
+      let session = null;
+      let quote;
+      let createdOrder;
+      let responseBody;
 
+      // Tout échec à partir d'ici libère la clé d'idempotence (catch ci-dessous)
       try {
-        await session.withTransaction(async () => {
-          // Extraire les IDs de produits et quantités
-          const productOrders = orderData.orderItems.map((item) => ({
-            productId: item.product,
-            quantity: parseInt(item.quantity, 10),
-            cartId: item.cartId,
-            price: parseFloat(item.price),
-          }));
-
-          // Vérifier et mettre à jour le stock pour chaque produit
-          const unavailableProducts = [];
-          const processedItems = [];
-
-          for (const item of productOrders) {
-            const product = await Product.findById(item.productId)
-              .select('name stock price category isActive')
-              .populate('category', 'categoryName')
-              .session(session);
-
-            if (!product) {
-              unavailableProducts.push({
-                id: item.productId,
-                name: 'Product not found',
-                reason: 'not_found',
-              });
-              continue;
-            }
-
-            // Vérifier si le produit est actif
-            if (!product.isActive) {
-              unavailableProducts.push({
-                id: product._id,
-                name: product.name,
-                reason: 'product_inactive',
-              });
-              continue;
-            }
-
-            // Vérifier le stock
-            if (product.stock < item.quantity) {
-              unavailableProducts.push({
-                id: product._id,
-                name: product.name,
-                stock: product.stock,
-                requested: item.quantity,
-                reason: 'insufficient_stock',
-              });
-              continue;
-            }
-
-            // Vérifier le prix (protection contre la manipulation)
-            if (Math.abs(product.price - item.price) > 0.01) {
-              console.warn('Price mismatch detected:', {
-                productId: product._id,
-                expectedPrice: product.price,
-                providedPrice: item.price,
-                userId: user._id,
-              });
-
-              unavailableProducts.push({
-                id: product._id,
-                name: product.name,
-                reason: 'price_mismatch',
-                expected: product.price,
-                provided: item.price,
-              });
-              continue;
-            }
-
-            // Mettre à jour le stock
-            await Product.findByIdAndUpdate(
-              product._id,
-              {
-                $inc: {
-                  stock: -item.quantity,
-                  sold: item.quantity, // Incrémenter les ventes
-                },
-              },
-              { session },
-            );
+        // 6. Rendre au stock les réservations expirées de l'acheteur, et
+        // celles des autres acheteurs sans attendre
+        await releaseExpiredReservations({ userId: user._id });
+        sweepExpiredReservations();
 
-            // Ajouter la catégorie à l'item de commande
-            const orderItem = orderData.orderItems.find(
-              (oi) => oi.product.toString() === product._id.toString(),
-            );
-            if (orderItem && product.category) {
-              orderItem.category = product.category.categoryName;
-            }
-
-            processedItems.push({
-              productId: product._id,
-              productName: product.name,
-              quantity: item.quantity,
-              price: product.price,
-            });
-          }
+        // 7. Calculer le devis côté serveur et traiter la commande en transaction
+        session = await Order.startSession();
+
+        await session.withTransaction(async () => {
+          // Recalculer la commande complète à partir des données en base
+          // (prix Product effectifs à pricedAt, frais DeliveryPrice, taxes,
+          // coupon revérifié à pricedAt)
+          quote = await buildOrderQuote(orderData.orderItems, {
+            withShipping: !!orderData.shippingInfo,
+            pricedAt,
+            couponCode: orderData.couponCode || null,
+            userId: user._id,
+            session,
+            reservedQuantities: await getReservedQuantities(user._id, session),
+          });
 
           // Si des produits ne sont pas disponibles, annuler la transaction
-          if (unavailableProducts.length > 0) {
+          if (quote.unavailableProducts.length > 0) {
             throw new Error(
               JSON.stringify({
                 type: 'STOCK_ERROR',
-                products: unavailableProducts,
+                products: quote.unavailableProducts,
               }),
             );
           }
 
-          // Nettoyer les champs non nécessaires
-          orderData.orderItems.forEach((item) => {
-            delete item.cartId;
-          });
+          // Comparer le devis avec les montants envoyés par le client
+          // (protection contre la manipulation des prix et totaux)
+          const mismatches = diffOrderQuote(quote, orderData);
 
-          // Ajouter des métadonnées à la commande
-          orderData.user = user._id;
+          if (mismatches.length > 0) {
+            console.warn('Order amount mismatch detected:', {
+              userId: user._id,
+              mismatches,
+            });
+
+            throw new Error(
+              JSON.stringify({
+                type: 'PRICE_MISMATCH',
+                mismatches,
+                quote: {
+                  itemsAmount: quote.itemsAmount,
+                  shippingAmount: quote.shippingAmount,
+                  taxAmount: quote.taxAmount,
+                  discountAmount: quote.discountAmount,
+                  totalAmount: quote.totalAmount,
+                  pricedAt: quote.pricedAt,
+                },
+              }),
+            );
+          }
+
+          // Construire la commande à partir du devis serveur uniquement
+          const order = await Order.create(
+            [
+              {
+                user: user._id,
+                shippingInfo: orderData.shippingInfo || undefined,
+                orderItems: quote.orderItems,
+                paymentInfo: {
+                  ...orderData.paymentInfo,
+                  amountPaid: quote.totalAmount,
+                },
+                shippingAmount: quote.shippingAmount,
+                taxAmount: quote.taxAmount,
+                discounts: quote.discounts,
+                discountAmount: quote.discountAmount,
+                totalAmount: quote.totalAmount,
+              },
+            ],
+            { session },
+          );
+
+          // Consommer le coupon (limites globale et par client) avec la commande
+          for (const discount of quote.discounts) {
+            await consumeCoupon(discount, user._id, {
+              session,
+              order: order[0],
+            });
+          }
 
-          // Créer la commande
-          const order = await Order.create([orderData], { session });
+          // Convertir la réservation du checkout en vente (journal des mouvements)
+          await convertReservation(user._id, quote.orderItems, {
+            session,
+            order: order[0],
+          });
 
           // Supprimer les articles du panier
-          const cartIds = productOrders
+          const cartIds = orderData.orderItems
             .filter((item) => item.cartId)
             .map((item) => item.cartId);
 
@@ -291,23 +365,36 @@ export const POST = withApiRateLimit(
             );
           }
 
+          createdOrder = order[0];
+          responseBody = {
+            success: true,
+            id: createdOrder.orderNumber,
+            orderNumber: createdOrder.orderNumber,
+            message: 'Order placed successfully',
+          };
+
+          // Mémoriser la réponse dans la même transaction que la commande
+          if (idempotencyRecord) {
+            await idempotencyRecord.complete(201, responseBody, session);
+          }
+
           // La transaction sera automatiquement commitée si tout réussit
-          return order[0];
+          return createdOrder;
         });
 
-        // Transaction réussie - Récupérer la commande complète
-        const order = await Order.findOne({ user: user._id })
-          .sort({ createdAt: -1 })
-          .select('_id orderNumber')
-          .lean();
+        // Recommandations des produits commandés (non bloquant)
+        scheduleRecommendationsRefresh(
+          createdOrder.orderItems.map((item) => item.product),
+        );
 
         // Log de sécurité pour audit
         console.log('🔒 Security event - Order created:', {
           userId: user._id,
           userEmail: user.email,
-          orderId: order._id,
-          orderNumber: order.orderNumber,
-          totalAmount: order.totalAmount,
+          orderId: createdOrder._id,
+          orderNumber: createdOrder.orderNumber,
+          totalAmount: quote.totalAmount,
+          couponCode: quote.coupon?.code || null,
           paymentType: typePayment,
           itemCount: orderData.orderItems.length,
           timestamp: new Date().toISOString(),
@@ -333,16 +420,18 @@ export const POST = withApiRateLimit(
         // ne sont jamais mises en cache publiquement ou indexées
         // ============================================
 
-        return NextResponse.json(
-          {
-            success: true,
-            id: order.orderNumber,
-            orderNumber: order.orderNumber,
-            message: 'Order placed successfully',
-          },
-          { status: 201 },
-        );
+        return NextResponse.json(responseBody, { status: 201 });
       } catch (transactionError) {
+        // Libérer la clé d'idempotence pour permettre une nouvelle tentative
+        if (idempotencyRecord) {
+          await idempotencyRecord.release().catch((releaseError) => {
+            console.error(
+              'Failed to release idempotency key:',
+              releaseError.message,
+            );
+          });
+        }
+
         // Gérer les erreurs de transaction
         if (transactionError.message?.includes('STOCK_ERROR')) {
           try {
@@ -369,6 +458,43 @@ export const POST = withApiRateLimit(
           }
         }
 
+        if (transactionError.message?.includes('PRICE_MISMATCH')) {
+          try {
+            const errorData = JSON.parse(transactionError.message);
+
+            return NextResponse.json(
+              {
+                success: false,
+                message: 'Order amounts do not match current prices',
+                code: 'PRICE_MISMATCH',
+                mismatches: errorData.mismatches,
+                quote: errorData.quote,
+              },
+              { status: 409 },
+            );
+          } catch {
+            // Fallback si le parsing échoue
+          }
+        }
+
+        if (transactionError.message?.includes('COUPON_ERROR')) {
+          try {
+            const errorData = JSON.parse(transactionError.message);
+
+            return NextResponse.json(
+              {
+                success: false,
+                message: errorData.message || 'Coupon cannot be applied',
+                code: errorData.code,
+                couponCode: orderData.couponCode,
+              },
+              { status: 409 },
+            );
+          } catch {
+            // Fallback si le parsing échoue
+          }
+        }
+
         // Log de l'erreur de transaction
         console.error('Transaction failed:', {
           userId: user._id,
@@ -379,7 +505,7 @@ export const POST = withApiRateLimit(
         // Autre erreur de transaction
         throw transactionError;
       } finally {
-        await session.endSession();
+        await session?.endSession();
       }
     } catch (error) {
       console.error('Order webhook error:', error.message);
@@ -388,6 +514,8 @@ export const POST = withApiRateLimit(
       if (
         !error.message?.includes('authentication') &&
         !error.message?.includes('STOCK_ERROR') &&
+        !error.message?.includes('PRICE_MISMATCH') &&
+        !error.message?.includes('COUPON_ERROR') &&
         !error.message?.includes('PAYMENT_')
       ) {
         captureException(error, {
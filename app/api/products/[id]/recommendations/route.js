@@ -0,0 +1,121 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import Product from '@/backend/models/product';
+import { getRecommendations } from '@/backend/utils/recommendations';
+import { validateRecommendationQuery } from '@/helpers/validation/schemas/product';
+import { captureException } from '@/monitoring/sentry';
+import { withApiRateLimit } from '@/utils/rateLimit';
+
+/**
+ * GET /api/products/[id]/recommendations
+ * Produits fréquemment achetés avec un produit (ID ou slug), complétés par
+ * des produits de la même catégorie si l'historique de commandes est maigre
+ * Rate limit: 60 req/min (public) ou 120 req/min (authenticated)
+ *
+ * Query :
+ * - limit : nombre de produits (8 par défaut, 12 maximum)
+ * - with : autres produits sources séparés par des virgules (panier) ;
+ *   leurs scores s'additionnent et ils ne sont pas recommandés. Leurs
+ *   précalculs sont lus tels quels : seul le produit principal peut être
+ *   recalculé à la lecture.
+ *
+ * Headers de sécurité gérés par next.config.mjs pour /api/products/* :
+ * - Cache-Control: public, max-age=300, stale-while-revalidate=600
+ * - CDN-Cache-Control: max-age=600
+ * - X-Content-Type-Options: nosniff
+ * - Vary: Accept-Encoding
+ */
+export const GET = withApiRateLimit(async function (req, { params }) {
+  try {
+    const filter = Product.identifierFilter(params.id);
+    if (!filter) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Invalid product identifier',
+          code: 'INVALID_ID',
+        },
+        { status: 400 },
+      );
+    }
+
+    const searchParams = req.nextUrl.searchParams;
+    const validation = await validateRecommendationQuery({
+      ...(searchParams.get('limit') && { limit: searchParams.get('limit') }),
+      ...(searchParams.get('with') && { with: searchParams.get('with') }),
+    });
+    if (!validation.isValid) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Invalid recommendation parameters',
+          code: 'INVALID_PARAMETERS',
+          errors: validation.errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    // Connexion DB
+    await dbConnect();
+
+    const product = await Product.findOne({ ...filter, isActive: true })
+      .select('_id category')
+      .lean();
+
+    if (!product) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Product not found',
+          code: 'PRODUCT_NOT_FOUND',
+        },
+        { status: 404 },
+      );
+    }
+
+    // Autres produits sources (panier) : les inconnus sont ignorés
+    const otherProducts = validation.data.with.length
+      ? await Product.find({
+          _id: { $in: validation.data.with, $ne: product._id },
+        })
+          .select('_id category')
+          .lean()
+      : [];
+
+    const { products, source } = await getRecommendations(
+      [product, ...otherProducts],
+      { limit: validation.data.limit },
+    );
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          products,
+          source,
+        },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Recommendations fetch error:', error.message);
+
+    captureException(error, {
+      tags: {
+        component: 'api',
+        route: 'products/[id]/recommendations/GET',
+        productId: params?.id,
+      },
+    });
+
+    return NextResponse.json(
+      {
+        success: false,
+        message: 'Failed to fetch recommendations',
+        code: 'INTERNAL_ERROR',
+      },
+      { status: 500 },
+    );
+  }
+});
@@ -0,0 +1,316 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import Product from '@/backend/models/product';
+import Review from '@/backend/models/review';
+import User from '@/backend/models/user';
+import {
+  REVIEWS_PER_PAGE,
+  validateProductReview,
+  validateReviewList,
+} from '@/helpers/validation/schemas/product';
+import { captureException } from '@/monitoring/sentry';
+import { withApiRateLimit } from '@/utils/rateLimit';
+
+// Auteur affiché : prénom et initiale du nom ("Jean D.")
+const formatAuthor = (name) => {
+  const [first, ...rest] = String(name || '')
+    .trim()
+    .split(/\s+/);
+  if (!first) return 'Client';
+  const last = rest.pop();
+  return last ? `${first} ${last.charAt(0).toUpperCase()}.` : first;
+};
+
+const formatReview = (review) => ({
+  _id: review._id,
+  rating: review.rating,
+  title: review.title,
+  body: review.body,
+  verifiedPurchase: review.verifiedPurchase,
+  author: formatAuthor(review.user?.name),
+  createdAt: review.createdAt,
+});
+
+/**
+ * GET /api/products/[id]/reviews
+ * Liste paginée des avis d'un produit (ID ou slug), plus récents d'abord,
+ * avec la note moyenne et la répartition des notes
+ * Rate limit: 60 req/min (public) ou 120 req/min (authenticated)
+ *
+ * Headers de sécurité gérés par next.config.mjs pour /api/products/* :
+ * - Cache-Control: public, max-age=300, stale-while-revalidate=600
+ * - CDN-Cache-Control: max-age=600
+ * - X-Content-Type-Options: nosniff
+ * - Vary: Accept-Encoding
+ */
+export const GET = withApiRateLimit(async function (req, { params }) {
+  try {
+    const filter = Product.identifierFilter(params.id);
+    if (!filter) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Invalid product identifier',
+          code: 'INVALID_ID',
+        },
+        { status: 400 },
+      );
+    }
+
+    const page = req.nextUrl.searchParams.get('page');
+    const validation = await validateReviewList(page ? { page } : {});
+    if (!validation.isValid) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Invalid pagination parameters',
+          code: 'INVALID_PAGINATION',
+          errors: validation.errors,
+        },
+        { status: 400 },
+      );
+    }
+
+    const currentPage = validation.data.page;
+
+    // Connexion DB
+    await dbConnect();
+
+    const product = await Product.findOne({ ...filter, isActive: true })
+      .select('_id')
+      .lean();
+
+    if (!product) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'Product not found',
+          code: 'PRODUCT_NOT_FOUND',
+        },
+        { status: 404 },
+      );
+    }
+
+    const [reviews, summary] = await Promise.all([
+      Review.find({ product: product._id })
+        .populate('user', 'name')
+        .sort({ createdAt: -1 })
+        .skip(REVIEWS_PER_PAGE * (currentPage - 1))
+        .limit(REVIEWS_PER_PAGE)
+        .lean(),
+      Review.summarize(product._id),
+    ]);
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          reviews: reviews.map(formatReview),
+          summary,
+          currentPage,
+          perPage: REVIEWS_PER_PAGE,
+          totalPages: Math.ceil(summary.count / REVIEWS_PER_PAGE),
+        },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Reviews fetch error:', error.message);
+
+    captureException(error, {
+      tags: {
+        component: 'api',
+        route: 'products/[id]/reviews/GET',
+        productId: params?.id,
+      },
+    });
+
+    return NextResponse.json(
+      {
+        success: false,
+        message: 'Failed to fetch reviews',
+        code: 'INTERNAL_ERROR',
+      },
+      { status: 500 },
+    );
+  }
+});
+
+/**
+ * POST /api/products/[id]/reviews
+ * Publie l'avis de l'utilisateur connecté (un seul avis par produit).
+ * Le badge "achat vérifié" est déduit de ses commandes payées ou livrées.
+ * Rate limit: 5 avis par 10 minutes (protection anti-spam)
+ *
+ * Headers de sécurité appliqués automatiquement via next.config.mjs
+ */
+export const POST = withApiRateLimit(
+  async function (req, { params }) {
+    try {
+      // Vérifier l'authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      const filter = Product.identifierFilter(params.id);
+      if (!filter) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Invalid product identifier',
+            code: 'INVALID_ID',
+          },
+          { status: 400 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer l'utilisateur
+      const user = await User.findOne({ email: req.user.email }).select(
+        '_id name',
+      );
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'User not found',
+            code: 'USER_NOT_FOUND',
+          },
+          { status: 404 },
+        );
+      }
+
+      const product = await Product.findOne({ ...filter, isActive: true })
+        .select('_id')
+        .lean();
+
+      if (!product) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Product not found',
+            code: 'PRODUCT_NOT_FOUND',
+          },
+          { status: 404 },
+        );
+      }
+
+      // Parser les données
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Invalid request body',
+            code: 'INVALID_BODY',
+          },
+          { status: 400 },
+        );
+      }
+
+      // Valider avec Yup
+      const validation = await validateProductReview(body);
+      if (!validation.isValid) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Validation failed',
+            code: 'VALIDATION_FAILED',
+            errors: validation.errors,
+          },
+          { status: 400 },
+        );
+      }
+
+      // Un seul avis par utilisateur et par produit
+      const alreadyReviewed = await Review.exists({
+        product: product._id,
+        user: user._id,
+      });
+      if (alreadyReviewed) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'You have already reviewed this product',
+            code: 'ALREADY_REVIEWED',
+          },
+          { status: 409 },
+        );
+      }
+
+      const verifiedPurchase = await Review.hasPurchased(user._id, product._id);
+
+      // La note du produit est recalculée par le hook post('save')
+      const review = await Review.create({
+        ...validation.data,
+        product: product._id,
+        user: user._id,
+        verifiedPurchase,
+      });
+
+      const summary = await Review.summarize(product._id);
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: 'Review published successfully',
+          data: {
+            review: formatReview({ ...review.toObject(), user }),
+            summary,
+          },
+        },
+        { status: 201 },
+      );
+    } catch (error) {
+      console.error('Review POST error:', error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (
+        error.name !== 'ValidationError' &&
+        error.code !== 11000 &&
+        !error.message?.includes('authentication')
+      ) {
+        captureException(error, {
+          tags: {
+            component: 'api',
+            route: 'products/[id]/reviews/POST',
+            user: req.user?.email,
+            productId: params?.id,
+          },
+        });
+      }
+
+      // Gestion spécifique des erreurs
+      let status = 500;
+      let message = 'Failed to publish review';
+      let code = 'INTERNAL_ERROR';
+
+      if (error.code === 11000) {
+        // Double soumission simultanée
+        status = 409;
+        message = 'You have already reviewed this product';
+        code = 'ALREADY_REVIEWED';
+      } else if (error.name === 'ValidationError') {
+        status = 400;
+        message = 'Invalid review data';
+        code = 'VALIDATION_ERROR';
+      } else if (error.message?.includes('authentication')) {
+        status = 401;
+        message = 'Authentication failed';
+        code = 'AUTH_FAILED';
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    customLimit: {
+      points: 5, // 5 avis maximum
+      duration: 600000, // par période de 10 minutes
+      blockDuration: 900000, // blocage de 15 minutes en cas de dépassement
+    },
+  },
+);
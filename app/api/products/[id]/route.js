@@ -1,13 +1,15 @@
 import { NextResponse } from 'next/server';
 import dbConnect from '@/backend/config/dbConnect';
-import Product from '@/backend/models/product';
+import Product, { priceAt, withEffectivePrice } from '@/backend/models/product';
 import Category from '@/backend/models/category';
+import { sweepExpiredReservations } from '@/backend/utils/inventoryService';
 import { captureException } from '@/monitoring/sentry';
 import { withApiRateLimit } from '@/utils/rateLimit';
 
 /**
  * GET /api/products/[id]
- * Récupère un produit par son ID avec produits similaires
+ * Récupère un produit par son ID ou son slug (courant ou ancien) avec
+ * produits similaires. La réponse contient toujours le slug canonique
  * Optimisé pour ~500 visiteurs/jour
  * Rate limit: 60 req/min (public) ou 120 req/min (authenticated)
  *
@@ -20,13 +22,15 @@ import { withApiRateLimit } from '@/utils/rateLimit';
  */
 export const GET = withApiRateLimit(async function (req, { params }) {
   try {
-    // Validation simple de l'ID MongoDB
+    // Validation de l'identifiant : ObjectId ou slug
     const { id } = params;
-    if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+    const filter = Product.identifierFilter(id);
+    if (!filter) {
       return NextResponse.json(
         {
           success: false,
-          message: 'Invalid product ID format',
+          message: 'Invalid product identifier',
+          code: 'INVALID_ID',
         },
         { status: 400 },
       );
@@ -35,12 +39,15 @@ export const GET = withApiRateLimit(async function (req, { params }) {
     // Connexion DB
     await dbConnect();
 
+    // Réservations expirées rendues au stock (non bloquant)
+    sweepExpiredReservations();
+
     // Récupérer le produit principal
-    const product = await Product.findById(id)
+    const product = await Product.findOne(filter)
       .select(
-        'name description price images category stock sold isActive slug updatedAt',
+        'name description price sale images category stock sold rating isActive slug updatedAt variants specifications',
       )
-      .populate('category', 'categoryName')
+      .populate('category', 'categoryName slug path attributes')
       .lean();
 
     // Si le produit n'existe pas
@@ -65,19 +72,21 @@ export const GET = withApiRateLimit(async function (req, { params }) {
       );
     }
 
-    // Récupérer les produits similaires (même catégorie)
+    // Chemin de la catégorie pour le fil d'Ariane
+    const categoryAncestors = product.category
+      ? await Category.ancestorsOf(product.category)
+      : [];
+
+    // Récupérer les produits similaires (même catégorie, en stock)
+    // Les recommandations "achetés ensemble" ont leur propre route
     let sameCategoryProducts = [];
     if (product.category) {
       try {
-        sameCategoryProducts = await Product.find({
-          category: product.category._id,
-          _id: { $ne: id },
-          isActive: true,
-          stock: { $gt: 0 }, // Seulement les produits en stock
-        })
-          .select('name price images slug stock')
-          .limit(4)
-          .lean();
+        sameCategoryProducts = (
+          await Product.findSimilarProductsLite(product.category._id, 4, {
+            exclude: [product._id],
+          })
+        ).map((similar) => withEffectivePrice(similar));
       } catch (error) {
         // Si erreur, continuer sans produits similaires
         console.warn('Failed to fetch similar products:', error.message);
@@ -119,11 +128,38 @@ export const GET = withApiRateLimit(async function (req, { params }) {
           _id: product._id,
           name: product.name,
           description: product.description,
-          price: product.price,
+          // Prix effectif, prix normal barré et fin de la promotion en cours
+          ...priceAt(product),
           images: product.images,
-          category: product.category,
+          category: product.category && {
+            _id: product.category._id,
+            categoryName: product.category.categoryName,
+            slug: product.category.slug,
+            attributes: product.category.attributes || [],
+            ancestors: categoryAncestors.map((ancestor) => ({
+              _id: ancestor._id,
+              categoryName: ancestor.categoryName,
+              slug: ancestor.slug,
+            })),
+          },
           stock: product.stock,
+          specifications: product.specifications || {},
+          // Seules les variantes actives sont proposées à l'achat
+          variants: (product.variants || [])
+            .filter((variant) => variant.isActive !== false)
+            .map((variant) => ({
+              _id: variant._id,
+              sku: variant.sku,
+              attributes: variant.attributes,
+              ...priceAt(product, variant),
+              stock: variant.stock,
+              images: variant.images || [],
+            })),
           sold: product.sold || 0,
+          rating: {
+            average: product.rating?.average || 0,
+            count: product.rating?.count || 0,
+          },
           slug: product.slug,
           isActive: product.isActive,
           // Ajout de métadonnées utiles pour le SEO
@@ -1,8 +1,10 @@
 import { NextResponse } from 'next/server';
 import dbConnect from '@/backend/config/dbConnect';
-import Product from '@/backend/models/product';
+import Product, { withEffectivePrice } from '@/backend/models/product';
 import Category from '@/backend/models/category';
 import APIFilters from '@/backend/utils/APIFilters';
+import { getProductFacets } from '@/backend/utils/productFacets';
+import { sweepExpiredReservations } from '@/backend/utils/inventoryService';
 import { captureException } from '@/monitoring/sentry';
 import { parseProductSearchParams } from '@/utils/inputSanitizer';
 import { validateProductFilters } from '@/helpers/validation/schemas/product';
@@ -17,6 +19,21 @@ const MAX_PER_PAGE = 50;
  * Récupère la liste des produits avec filtres et pagination
  * Rate limit: 60 req/min (public) ou 120 req/min (authenticated)
  *
+ * Recherche (keyword) : plein texte pondéré trié par pertinence (`score`),
+ * "expressions exactes" et -exclusions ; préfixe du nom pour les requêtes
+ * de moins de 3 caractères. Le mode utilisé est renvoyé dans `searchMode`.
+ *
+ * Tri (sort) : relevance | price_asc | price_desc | newest | best_selling |
+ * top_rated
+ * Le tri, le filtre (price[gte], price[lte]) et les tranches de prix portent
+ * sur le prix effectif, promotion en cours incluse.
+ * Par défaut pertinence avec un mot-clé, sinon les plus récents.
+ *
+ * Catégorie (category) : inclut les produits des sous-catégories.
+ *
+ * Facettes (facets) : compteurs par catégorie, tranche de prix et
+ * disponibilité (availability=in_stock|out_of_stock), selon les filtres.
+ *
  * Headers de sécurité gérés par next.config.mjs :
  * - Cache-Control: public, max-age=300, stale-while-revalidate=600
  * - CDN-Cache-Control: max-age=600
@@ -28,6 +45,9 @@ export const GET = withApiRateLimit(async function (req) {
     // Connexion DB
     await dbConnect();
 
+    // Réservations expirées rendues au stock (non bloquant)
+    sweepExpiredReservations();
+
     // Sanitisation des paramètres
     const sanitizedParams = parseProductSearchParams(req.nextUrl.searchParams);
 
@@ -62,25 +82,40 @@ export const GET = withApiRateLimit(async function (req) {
         path: 'category',
         match: { isActive: true },
       })
-      .select('name description stock price images category')
+      .select('name slug description stock price sale images category rating')
       .slice('images', 1);
 
+    // Une catégorie inclut les produits de ses sous-catégories
+    const categoryIds = validatedParams.category
+      ? await Category.descendantIds(validatedParams.category)
+      : null;
+
+    // Prix en vigueur (promotions programmées) pour le filtre, le tri, les
+    // facettes et les produits renvoyés
+    const pricedAt = new Date();
+
     // Créer les filtres avec les paramètres validés
-    const apiFilters = new APIFilters(baseQuery, searchParams)
+    const apiFilters = new APIFilters(baseQuery, searchParams, {
+      categoryIds,
+      pricedAt,
+    })
       .search()
-      .filter();
+      .filter()
+      .sort();
 
-    // Compter les produits filtrés
-    const filteredProductsCount = await apiFilters.query
-      .clone()
-      .lean()
-      .countDocuments();
+    // Compter les produits filtrés et calculer les facettes
+    const [filteredProductsCount, facets] = await Promise.all([
+      apiFilters.query.clone().lean().countDocuments(),
+      getProductFacets(apiFilters.getConditions(), { pricedAt }),
+    ]);
 
     // Ajouter la pagination
     apiFilters.pagination(resPerPage);
 
-    // Récupérer les produits
-    const products = await apiFilters.query;
+    // Récupérer les produits, au prix en vigueur
+    const products = (await apiFilters.execute()).map((product) =>
+      withEffectivePrice(product, pricedAt),
+    );
 
     // Calculer les métadonnées
     const totalPages = Math.ceil(filteredProductsCount / resPerPage);
@@ -91,7 +126,10 @@ export const GET = withApiRateLimit(async function (req) {
       data: {
         totalPages,
         totalProducts: filteredProductsCount,
-        products: products || [],
+        searchMode: apiFilters.searchMode,
+        sort: apiFilters.sortBy,
+        facets,
+        products,
       },
     };
 
@@ -0,0 +1,84 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import { getSearchSuggestions } from '@/backend/utils/searchSuggestions';
+import { captureException } from '@/monitoring/sentry';
+import { cleanString } from '@/utils/inputSanitizer';
+import { withApiRateLimit } from '@/utils/rateLimit';
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 50;
+
+/**
+ * GET /api/products/suggest?q=
+ * Suggestions pendant la saisie : noms de produits, catégories et
+ * orthographes corrigées, insensibles aux accents
+ * Rate limit: 120 req/min (une requête par frappe, après debounce)
+ *
+ * Headers de cache gérés par next.config.mjs pour /api/products/*
+ */
+export const GET = withApiRateLimit(
+  async function (req) {
+    try {
+      const query = cleanString(req.nextUrl.searchParams.get('q'));
+
+      if (query.length > MAX_QUERY_LENGTH) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: `Query cannot exceed ${MAX_QUERY_LENGTH} characters`,
+            code: 'INVALID_QUERY',
+          },
+          { status: 400 },
+        );
+      }
+
+      // Saisie trop courte : aucune suggestion, sans requête en base
+      if (query.length < MIN_QUERY_LENGTH) {
+        return NextResponse.json(
+          {
+            success: true,
+            data: { query, products: [], categories: [], corrections: [] },
+          },
+          { status: 200 },
+        );
+      }
+
+      await dbConnect();
+
+      const suggestions = await getSearchSuggestions(query);
+
+      return NextResponse.json(
+        {
+          success: true,
+          data: { query, ...suggestions },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error('Search suggestions error:', error.message);
+
+      captureException(error, {
+        tags: { component: 'api', route: 'products/suggest/GET' },
+        extra: { query: req.nextUrl.search },
+      });
+
+      return NextResponse.json(
+        {
+          success: false,
+          message: error.message?.includes('timeout')
+            ? 'Request timeout'
+            : 'Failed to fetch suggestions',
+          code: 'SUGGEST_ERROR',
+        },
+        { status: error.message?.includes('timeout') ? 504 : 500 },
+      );
+    }
+  },
+  {
+    customLimit: {
+      points: 120, // 120 requêtes maximum
+      duration: 60000, // par minute
+      blockDuration: 60000, // blocage d'une minute
+    },
+  },
+);
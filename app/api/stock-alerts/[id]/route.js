@@ -0,0 +1,187 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import User from '@/backend/models/user';
+import StockAlert from '@/backend/models/stockAlert';
+import { captureException } from '@/monitoring/sentry';
+import { withApiRateLimit } from '@/utils/rateLimit';
+
+// Erreur commune des deux handlers (authentification ou erreur système)
+const handleRouteError = (error, req, params, route, fallbackMessage) => {
+  console.error(`Stock alert ${route} error:`, error.message);
+
+  // Capturer seulement les vraies erreurs système
+  if (!error.message?.includes('authentication')) {
+    captureException(error, {
+      tags: {
+        component: 'api',
+        route: `stock-alerts/[id]/${route}`,
+        user: req.user?.email,
+        stockAlertId: params?.id,
+      },
+    });
+  }
+
+  return NextResponse.json(
+    {
+      success: false,
+      message: error.message?.includes('authentication')
+        ? 'Authentication failed'
+        : fallbackMessage,
+      code: error.message?.includes('authentication')
+        ? 'AUTH_FAILED'
+        : 'INTERNAL_ERROR',
+    },
+    { status: error.message?.includes('authentication') ? 401 : 500 },
+  );
+};
+
+// Authentifie la requête et valide l'ID ; renvoie l'utilisateur ou une réponse
+const resolveRequest = async (req, params) => {
+  // Vérifier l'authentification
+  await isAuthenticatedUser(req, NextResponse);
+
+  // Validation de l'ID
+  const { id } = params;
+  if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+    return {
+      response: NextResponse.json(
+        {
+          success: false,
+          message: 'Invalid stock alert ID format',
+          code: 'INVALID_ID',
+        },
+        { status: 400 },
+      ),
+    };
+  }
+
+  // Connexion DB
+  await dbConnect();
+
+  // Récupérer l'utilisateur
+  const user = await User.findOne({ email: req.user.email }).select('_id');
+  if (!user) {
+    return {
+      response: NextResponse.json(
+        {
+          success: false,
+          message: 'User not found',
+          code: 'USER_NOT_FOUND',
+        },
+        { status: 404 },
+      ),
+    };
+  }
+
+  return { id, user };
+};
+
+const alertNotFound = () =>
+  NextResponse.json(
+    {
+      success: false,
+      message: 'Stock alert not found',
+      code: 'STOCK_ALERT_NOT_FOUND',
+    },
+    { status: 404 },
+  );
+
+/**
+ * DELETE /api/stock-alerts/[id]
+ * Désabonnement : supprime une alerte de retour en stock en attente
+ * Rate limit: 30 suppressions par 5 minutes
+ *
+ * Headers de sécurité appliqués automatiquement via next.config.mjs
+ */
+export const DELETE = withApiRateLimit(
+  async function (req, { params }) {
+    try {
+      const { id, user, response } = await resolveRequest(req, params);
+      if (response) return response;
+
+      // Le filtre sur l'utilisateur empêche de supprimer l'alerte d'un autre
+      const deletedAlert = await StockAlert.findOneAndDelete({
+        _id: id,
+        user: user._id,
+        status: 'active',
+      });
+
+      if (!deletedAlert) return alertNotFound();
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: 'Stock alert removed',
+          data: {
+            deletedAlert: {
+              id,
+              productId: deletedAlert.product,
+            },
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      return handleRouteError(
+        error,
+        req,
+        params,
+        'DELETE',
+        'Failed to remove stock alert',
+      );
+    }
+  },
+  {
+    customLimit: {
+      points: 30, // 30 suppressions maximum
+      duration: 300000, // par période de 5 minutes
+      blockDuration: 600000, // blocage de 10 minutes en cas de dépassement
+    },
+  },
+);
+
+/**
+ * PATCH /api/stock-alerts/[id]
+ * Marque comme lue la notification d'un produit revenu en stock
+ * Rate limit: 60 req/min (public) ou 120 req/min (authenticated)
+ *
+ * Headers de sécurité appliqués automatiquement via next.config.mjs
+ */
+export const PATCH = withApiRateLimit(async function (req, { params }) {
+  try {
+    const { id, user, response } = await resolveRequest(req, params);
+    if (response) return response;
+
+    const alert = await StockAlert.findOneAndUpdate(
+      { _id: id, user: user._id, status: 'notified' },
+      { $set: { seenAt: new Date() } },
+      { new: true },
+    ).lean();
+
+    if (!alert) return alertNotFound();
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Notification marked as seen',
+        data: {
+          alert: {
+            id,
+            productId: alert.product,
+            seenAt: alert.seenAt,
+          },
+        },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    return handleRouteError(
+      error,
+      req,
+      params,
+      'PATCH',
+      'Failed to update stock alert',
+    );
+  }
+});
@@ -0,0 +1,285 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import User from '@/backend/models/user';
+import Product from '@/backend/models/product';
+import StockAlert, {
+  MAX_ACTIVE_STOCK_ALERTS,
+} from '@/backend/models/stockAlert';
+import {
+  formatStockAlert,
+  STOCK_ALERT_PRODUCT_FIELDS,
+} from '@/backend/utils/stockAlerts';
+import { captureException } from '@/monitoring/sentry';
+import { withApiRateLimit } from '@/utils/rateLimit';
+
+// Alertes en attente et notifications non lues (produits supprimés ignorés)
+const getFormattedAlerts = async (userId) => {
+  const alerts = await StockAlert.find({
+    user: userId,
+    $or: [{ status: 'active' }, { status: 'notified', seenAt: null }],
+  })
+    .populate('product', STOCK_ALERT_PRODUCT_FIELDS)
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const formatted = alerts
+    .filter((alert) => alert.product)
+    .map(formatStockAlert);
+
+  return {
+    alerts: formatted.filter((alert) => alert.status === 'active'),
+    notices: formatted.filter((alert) => alert.status === 'notified'),
+  };
+};
+
+/**
+ * GET /api/stock-alerts
+ * Récupère les alertes de retour en stock de l'utilisateur connecté :
+ * - alerts : demandes en attente (désabonnement possible)
+ * - notices : produits revenus en stock, notification non encore lue
+ * Rate limit: 60 req/min (public) ou 120 req/min (authenticated)
+ *
+ * Headers de sécurité gérés par next.config.mjs pour /api/stock-alerts/* :
+ * - Cache-Control: private, no-cache, no-store, must-revalidate
+ * - Pragma: no-cache
+ * - X-Content-Type-Options: nosniff
+ * - X-Robots-Tag: noindex, nofollow
+ * - X-Download-Options: noopen
+ */
+export const GET = withApiRateLimit(async function (req) {
+  try {
+    // Vérifier l'authentification
+    await isAuthenticatedUser(req, NextResponse);
+
+    // Connexion DB
+    await dbConnect();
+
+    // Récupérer l'utilisateur
+    const user = await User.findOne({ email: req.user.email }).select('_id');
+    if (!user) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'User not found',
+          code: 'USER_NOT_FOUND',
+        },
+        { status: 404 },
+      );
+    }
+
+    const { alerts, notices } = await getFormattedAlerts(user._id);
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          alerts,
+          notices,
+        },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Stock alerts GET error:', error.message);
+
+    // Capturer seulement les vraies erreurs système
+    if (!error.message?.includes('authentication')) {
+      captureException(error, {
+        tags: {
+          component: 'api',
+          route: 'stock-alerts/GET',
+          user: req.user?.email,
+        },
+      });
+    }
+
+    return NextResponse.json(
+      {
+        success: false,
+        message: error.message?.includes('authentication')
+          ? 'Authentication failed'
+          : 'Failed to fetch stock alerts',
+        code: error.message?.includes('authentication')
+          ? 'AUTH_FAILED'
+          : 'FETCH_ERROR',
+      },
+      { status: error.message?.includes('authentication') ? 401 : 500 },
+    );
+  }
+});
+
+/**
+ * POST /api/stock-alerts
+ * Demande à être averti du retour en stock d'un produit en rupture
+ * (idempotent : une demande déjà en attente est conservée)
+ * Rate limit: 20 demandes par 5 minutes
+ *
+ * Headers de sécurité appliqués automatiquement via next.config.mjs
+ */
+export const POST = withApiRateLimit(
+  async function (req) {
+    try {
+      // Vérifier l'authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer l'utilisateur
+      const user = await User.findOne({ email: req.user.email }).select('_id');
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'User not found',
+            code: 'USER_NOT_FOUND',
+          },
+          { status: 404 },
+        );
+      }
+
+      // Parser les données
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Invalid request body',
+            code: 'INVALID_BODY',
+          },
+          { status: 400 },
+        );
+      }
+
+      const { productId } = body;
+
+      // Validation basique
+      if (!productId || !/^[0-9a-fA-F]{24}$/.test(productId)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Invalid product ID',
+            code: 'INVALID_PRODUCT_ID',
+          },
+          { status: 400 },
+        );
+      }
+
+      const product = await Product.findById(productId)
+        .select('isActive stock')
+        .lean();
+
+      if (!product || !product.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Product not found',
+            code: 'PRODUCT_NOT_FOUND',
+          },
+          { status: 404 },
+        );
+      }
+
+      // L'alerte n'a de sens que pour un produit en rupture
+      if (product.stock > 0) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Product is in stock',
+            code: 'PRODUCT_IN_STOCK',
+          },
+          { status: 400 },
+        );
+      }
+
+      const existingAlert = await StockAlert.exists({
+        user: user._id,
+        product: product._id,
+        status: 'active',
+      });
+
+      if (!existingAlert) {
+        const alertCount = await StockAlert.countDocuments({
+          user: user._id,
+          status: 'active',
+        });
+        if (alertCount >= MAX_ACTIVE_STOCK_ALERTS) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: `Maximum ${MAX_ACTIVE_STOCK_ALERTS} alerts allowed`,
+              code: 'MAX_STOCK_ALERTS_REACHED',
+              data: {
+                currentCount: alertCount,
+                maxAllowed: MAX_ACTIVE_STOCK_ALERTS,
+              },
+            },
+            { status: 400 },
+          );
+        }
+
+        await StockAlert.updateOne(
+          { user: user._id, product: product._id, status: 'active' },
+          { $setOnInsert: { notifiedAt: null, seenAt: null } },
+          { upsert: true },
+        );
+      }
+
+      const { alerts } = await getFormattedAlerts(user._id);
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: existingAlert
+            ? 'Stock alert already registered'
+            : 'Stock alert registered',
+          data: {
+            alerts,
+          },
+        },
+        { status: existingAlert ? 200 : 201 },
+      );
+    } catch (error) {
+      console.error('Stock alerts POST error:', error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (error.code !== 11000 && !error.message?.includes('authentication')) {
+        captureException(error, {
+          tags: {
+            component: 'api',
+            route: 'stock-alerts/POST',
+            user: req.user?.email,
+          },
+        });
+      }
+
+      // Gestion spécifique des erreurs
+      let status = 500;
+      let message = 'Failed to register stock alert';
+      let code = 'INTERNAL_ERROR';
+
+      if (error.code === 11000) {
+        // Double clic : l'upsert concurrent a déjà créé l'alerte
+        status = 409;
+        message = 'Stock alert already registered';
+        code = 'DUPLICATE_ALERT';
+      } else if (error.message?.includes('authentication')) {
+        status = 401;
+        message = 'Authentication failed';
+        code = 'AUTH_FAILED';
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    customLimit: {
+      points: 20, // 20 demandes maximum
+      duration: 300000, // par période de 5 minutes
+      blockDuration: 600000, // blocage de 10 minutes en cas de dépassement
+    },
+  },
+);
@@ -0,0 +1,158 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import User from '@/backend/models/user';
+import Wishlist from '@/backend/models/wishlist';
+import { addProductToCart } from '@/backend/utils/cartItems';
+import { sweepExpiredReservations } from '@/backend/utils/inventoryService';
+import { captureException } from '@/monitoring/sentry';
+import { withApiRateLimit } from '@/utils/rateLimit';
+
+/**
+ * POST /api/wishlist/[id]/cart
+ * Déplace un produit de la liste d'envies vers le panier
+ * L'ajout passe par addProductToCart : mêmes contrôles de produit, de
+ * variante et de stock que POST /api/cart. L'entrée n'est retirée de la
+ * liste que si l'ajout a réussi.
+ * Rate limit: 30 déplacements par 5 minutes
+ *
+ * Headers de sécurité appliqués automatiquement via next.config.mjs
+ */
+export const POST = withApiRateLimit(
+  async function (req, { params }) {
+    try {
+      // Vérifier l'authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Validation de l'ID
+      const { id } = params;
+      if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Invalid wishlist item ID format',
+            code: 'INVALID_ID',
+          },
+          { status: 400 },
+        );
+      }
+
+      // Quantité optionnelle (1 par défaut)
+      let quantity = 1;
+      try {
+        const body = await req.json();
+        if (body?.quantity !== undefined) quantity = body.quantity;
+      } catch {
+        // Corps vide : quantité par défaut
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      // Réservations expirées rendues au stock (non bloquant)
+      sweepExpiredReservations();
+
+      // Récupérer l'utilisateur
+      const user = await User.findOne({ email: req.user.email }).select('_id');
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'User not found',
+            code: 'USER_NOT_FOUND',
+          },
+          { status: 404 },
+        );
+      }
+
+      const wishlistItem = await Wishlist.findOne({
+        _id: id,
+        user: user._id,
+      }).lean();
+
+      if (!wishlistItem) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Wishlist item not found',
+            code: 'WISHLIST_ITEM_NOT_FOUND',
+          },
+          { status: 404 },
+        );
+      }
+
+      const result = await addProductToCart(user._id, {
+        productId: wishlistItem.product,
+        variantId: wishlistItem.variant,
+        quantity,
+      });
+
+      if (result.error) {
+        const { status, ...details } = result.error;
+        return NextResponse.json({ success: false, ...details }, { status });
+      }
+
+      await Wishlist.deleteOne({ _id: wishlistItem._id });
+
+      // Log de sécurité pour audit
+      console.log('🔒 Security event - Wishlist item moved to cart:', {
+        userId: user._id,
+        productId: wishlistItem.product,
+        variantId: wishlistItem.variant,
+        quantity: result.item.quantity,
+        timestamp: new Date().toISOString(),
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: 'Product moved to cart',
+          data: {
+            movedItem: {
+              id,
+              productId: wishlistItem.product,
+              variantId: wishlistItem.variant,
+              quantity: result.item.quantity,
+              isNewItem: result.isNewItem,
+            },
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error('Wishlist move to cart error:', error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (!error.message?.includes('authentication')) {
+        captureException(error, {
+          tags: {
+            component: 'api',
+            route: 'wishlist/[id]/cart/POST',
+            user: req.user?.email,
+            wishlistItemId: params?.id,
+          },
+        });
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message: error.message?.includes('authentication')
+            ? 'Authentication failed'
+            : 'Failed to move item to cart',
+          code: error.message?.includes('authentication')
+            ? 'AUTH_FAILED'
+            : 'INTERNAL_ERROR',
+        },
+        { status: error.message?.includes('authentication') ? 401 : 500 },
+      );
+    }
+  },
+  {
+    customLimit: {
+      points: 30, // 30 déplacements maximum
+      duration: 300000, // par période de 5 minutes
+      blockDuration: 600000, // blocage de 10 minutes en cas de dépassement
+    },
+  },
+);
@@ -0,0 +1,117 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import User from '@/backend/models/user';
+import Wishlist from '@/backend/models/wishlist';
+import { captureException } from '@/monitoring/sentry';
+import { withApiRateLimit } from '@/utils/rateLimit';
+
+/**
+ * DELETE /api/wishlist/[id]
+ * Retire un produit de la liste d'envies
+ * Rate limit: 30 suppressions par 5 minutes
+ *
+ * Headers de sécurité appliqués automatiquement via next.config.mjs
+ */
+export const DELETE = withApiRateLimit(
+  async function (req, { params }) {
+    try {
+      // Vérifier l'authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Validation de l'ID
+      const { id } = params;
+      if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Invalid wishlist item ID format',
+            code: 'INVALID_ID',
+          },
+          { status: 400 },
+        );
+      }
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer l'utilisateur
+      const user = await User.findOne({ email: req.user.email }).select('_id');
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'User not found',
+            code: 'USER_NOT_FOUND',
+          },
+          { status: 404 },
+        );
+      }
+
+      // Le filtre sur l'utilisateur empêche de supprimer l'entrée d'un autre
+      const deletedItem = await Wishlist.findOneAndDelete({
+        _id: id,
+        user: user._id,
+      });
+
+      if (!deletedItem) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Wishlist item not found',
+            code: 'WISHLIST_ITEM_NOT_FOUND',
+          },
+          { status: 404 },
+        );
+      }
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: 'Item removed from wishlist',
+          data: {
+            deletedItem: {
+              id,
+              productId: deletedItem.product,
+            },
+          },
+        },
+        { status: 200 },
+      );
+    } catch (error) {
+      console.error('Wishlist delete error:', error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (!error.message?.includes('authentication')) {
+        captureException(error, {
+          tags: {
+            component: 'api',
+            route: 'wishlist/[id]/DELETE',
+            user: req.user?.email,
+            wishlistItemId: params?.id,
+          },
+        });
+      }
+
+      return NextResponse.json(
+        {
+          success: false,
+          message: error.message?.includes('authentication')
+            ? 'Authentication failed'
+            : 'Failed to remove wishlist item',
+          code: error.message?.includes('authentication')
+            ? 'AUTH_FAILED'
+            : 'INTERNAL_ERROR',
+        },
+        { status: error.message?.includes('authentication') ? 401 : 500 },
+      );
+    }
+  },
+  {
+    customLimit: {
+      points: 30, // 30 suppressions maximum
+      duration: 300000, // par période de 5 minutes
+      blockDuration: 600000, // blocage de 10 minutes en cas de dépassement
+    },
+  },
+);
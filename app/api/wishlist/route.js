@@ -0,0 +1,295 @@
+import { NextResponse } from 'next/server';
+import dbConnect from '@/backend/config/dbConnect';
+import isAuthenticatedUser from '@/backend/middlewares/auth';
+import User from '@/backend/models/user';
+import Product, { findVariant } from '@/backend/models/product';
+import Wishlist, { MAX_WISHLIST_ITEMS } from '@/backend/models/wishlist';
+import {
+  formatWishlistItem,
+  WISHLIST_PRODUCT_FIELDS,
+} from '@/backend/utils/wishlistItems';
+import { captureException } from '@/monitoring/sentry';
+import { withApiRateLimit } from '@/utils/rateLimit';
+
+// Liste d'envies formatée (les produits supprimés sont ignorés)
+const getFormattedWishlist = async (userId) => {
+  const items = await Wishlist.find({ user: userId })
+    .populate('product', WISHLIST_PRODUCT_FIELDS)
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return items.filter((item) => item.product).map(formatWishlistItem);
+};
+
+/**
+ * GET /api/wishlist
+ * Récupère la liste d'envies de l'utilisateur connecté
+ * Rate limit: 60 req/min (public) ou 120 req/min (authenticated)
+ *
+ * Headers de sécurité gérés par next.config.mjs pour /api/wishlist/* :
+ * - Cache-Control: private, no-cache, no-store, must-revalidate
+ * - Pragma: no-cache
+ * - X-Content-Type-Options: nosniff
+ * - X-Robots-Tag: noindex, nofollow
+ * - X-Download-Options: noopen
+ */
+export const GET = withApiRateLimit(async function (req) {
+  try {
+    // Vérifier l'authentification
+    await isAuthenticatedUser(req, NextResponse);
+
+    // Connexion DB
+    await dbConnect();
+
+    // Récupérer l'utilisateur
+    const user = await User.findOne({ email: req.user.email }).select('_id');
+    if (!user) {
+      return NextResponse.json(
+        {
+          success: false,
+          message: 'User not found',
+          code: 'USER_NOT_FOUND',
+        },
+        { status: 404 },
+      );
+    }
+
+    const wishlist = await getFormattedWishlist(user._id);
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          wishlistCount: wishlist.length,
+          wishlist,
+        },
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Wishlist GET error:', error.message);
+
+    // Capturer seulement les vraies erreurs système
+    if (!error.message?.includes('authentication')) {
+      captureException(error, {
+        tags: {
+          component: 'api',
+          route: 'wishlist/GET',
+          user: req.user?.email,
+        },
+      });
+    }
+
+    return NextResponse.json(
+      {
+        success: false,
+        message: error.message?.includes('authentication')
+          ? 'Authentication failed'
+          : 'Failed to fetch wishlist',
+        code: error.message?.includes('authentication')
+          ? 'AUTH_FAILED'
+          : 'FETCH_ERROR',
+      },
+      { status: error.message?.includes('authentication') ? 401 : 500 },
+    );
+  }
+});
+
+/**
+ * POST /api/wishlist
+ * Ajoute un produit (et sa variante) à la liste d'envies
+ * Idempotent : une entrée identique garde sa place. Une entrée du même
+ * produit sans variante est complétée par la variante choisie.
+ * Rate limit: 30 ajouts par 5 minutes
+ *
+ * Headers de sécurité appliqués automatiquement via next.config.mjs
+ */
+export const POST = withApiRateLimit(
+  async function (req) {
+    try {
+      // Vérifier l'authentification
+      await isAuthenticatedUser(req, NextResponse);
+
+      // Connexion DB
+      await dbConnect();
+
+      // Récupérer l'utilisateur
+      const user = await User.findOne({ email: req.user.email }).select('_id');
+      if (!user) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'User not found',
+            code: 'USER_NOT_FOUND',
+          },
+          { status: 404 },
+        );
+      }
+
+      // Parser les données
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Invalid request body',
+            code: 'INVALID_BODY',
+          },
+          { status: 400 },
+        );
+      }
+
+      const { productId, variantId = null } = body;
+
+      // Validation basique
+      if (!productId || !/^[0-9a-fA-F]{24}$/.test(productId)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Invalid product ID',
+            code: 'INVALID_PRODUCT_ID',
+          },
+          { status: 400 },
+        );
+      }
+
+      if (variantId !== null && !/^[0-9a-fA-F]{24}$/.test(variantId)) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Invalid variant ID',
+            code: 'INVALID_VARIANT_ID',
+          },
+          { status: 400 },
+        );
+      }
+
+      // Vérifier le produit (un produit en rupture peut être mis de côté)
+      const product = await Product.findById(productId)
+        .select('isActive variants')
+        .lean();
+
+      if (!product || !product.isActive) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Product not found',
+            code: 'PRODUCT_NOT_FOUND',
+          },
+          { status: 404 },
+        );
+      }
+
+      const variant = variantId ? findVariant(product, variantId) : null;
+      if (variantId && !variant) {
+        return NextResponse.json(
+          {
+            success: false,
+            message: 'Invalid variant',
+            code: 'INVALID_VARIANT',
+          },
+          { status: 400 },
+        );
+      }
+
+      const variantKey = variant?._id || null;
+      const existingItem =
+        (await Wishlist.exists({
+          user: user._id,
+          product: product._id,
+          variant: variantKey,
+        })) ||
+        // Entrée sans variante : la variante choisie la complète
+        (variantKey &&
+          (await Wishlist.findOneAndUpdate(
+            { user: user._id, product: product._id, variant: null },
+            { $set: { variant: variantKey } },
+            { new: true },
+          )
+            .select('_id')
+            .lean()));
+
+      if (!existingItem) {
+        const wishlistCount = await Wishlist.countDocuments({
+          user: user._id,
+        });
+        if (wishlistCount >= MAX_WISHLIST_ITEMS) {
+          return NextResponse.json(
+            {
+              success: false,
+              message: `Maximum ${MAX_WISHLIST_ITEMS} items allowed`,
+              code: 'MAX_WISHLIST_REACHED',
+              data: {
+                currentCount: wishlistCount,
+                maxAllowed: MAX_WISHLIST_ITEMS,
+              },
+            },
+            { status: 400 },
+          );
+        }
+
+        await Wishlist.updateOne(
+          { user: user._id, product: product._id, variant: variantKey },
+          { $setOnInsert: { variant: variantKey } },
+          { upsert: true },
+        );
+      }
+
+      const wishlist = await getFormattedWishlist(user._id);
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: existingItem
+            ? 'Wishlist item updated'
+            : 'Product added to wishlist',
+          data: {
+            wishlistCount: wishlist.length,
+            wishlist,
+          },
+        },
+        { status: existingItem ? 200 : 201 },
+      );
+    } catch (error) {
+      console.error('Wishlist POST error:', error.message);
+
+      // Capturer seulement les vraies erreurs système
+      if (error.code !== 11000 && !error.message?.includes('authentication')) {
+        captureException(error, {
+          tags: {
+            component: 'api',
+            route: 'wishlist/POST',
+            user: req.user?.email,
+          },
+        });
+      }
+
+      // Gestion spécifique des erreurs
+      let status = 500;
+      let message = 'Failed to add to wishlist';
+      let code = 'INTERNAL_ERROR';
+
+      if (error.code === 11000) {
+        // Double clic : l'upsert concurrent a déjà créé l'entrée
+        status = 409;
+        message = 'Product already in wishlist';
+        code = 'DUPLICATE_ITEM';
+      } else if (error.message?.includes('authentication')) {
+        status = 401;
+        message = 'Authentication failed';
+        code = 'AUTH_FAILED';
+      }
+
+      return NextResponse.json({ success: false, message, code }, { status });
+    }
+  },
+  {
+    customLimit: {
+      points: 30, // 30 ajouts maximum
+      duration: 300000, // par période de 5 minutes
+      blockDuration: 600000, // blocage de 10 minutes en cas de dépassement
+    },
+  },
+);
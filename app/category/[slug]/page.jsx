@@ -0,0 +1,190 @@
+import { Suspense, lazy } from 'react';
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import BreadCrumbs from '@/components/layouts/BreadCrumbs';
+import ListProductsSkeleton from '@/components/skeletons/ListProductsSkeleton';
+import { captureException } from '@/monitoring/sentry';
+import { parseProductSearchParams } from '@/utils/inputSanitizer';
+
+const ListProducts = lazy(() => import('@/components/products/ListProducts'));
+
+// Même stratégie que la page d'accueil (ISR)
+export const revalidate = 3600;
+
+const API_URL =
+  process.env.API_URL || 'https://buyitnow-next15-client-bs.vercel.app';
+
+/**
+ * Appel API avec timeout (5 secondes) et cache Next.js
+ * @returns {Promise<Object|null>} Corps de la réponse, null si 404
+ */
+const fetchApi = async (path, { revalidate: maxAge, tags }) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+  try {
+    const res = await fetch(`${API_URL}${path}`, {
+      signal: controller.signal,
+      next: { revalidate: maxAge, tags },
+    });
+
+    if (res.status === 404) return null;
+    if (!res.ok) {
+      throw new Error(`API Error: ${res.status} - ${res.statusText}`);
+    }
+
+    return await res.json();
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * Catégorie par slug, avec ses ancêtres et sous-catégories
+ */
+const getCategory = async (slug) => {
+  if (!slug || !/^[a-z0-9-]{1,100}$/.test(slug)) return null;
+
+  const body = await fetchApi(`/api/category/${slug}`, {
+    revalidate: 1800,
+    tags: ['categories', `category-${slug}`],
+  });
+
+  return body?.success ? body.data.category : null;
+};
+
+/**
+ * Produits de la catégorie et de ses descendantes, avec les filtres de l'URL
+ */
+const getCategoryProducts = async (categoryId, searchParams) => {
+  const urlSearchParams = new URLSearchParams();
+  Object.entries(searchParams || {}).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') {
+      urlSearchParams.set(key, String(value));
+    }
+  });
+  urlSearchParams.set('category', String(categoryId));
+
+  const cleanParams = parseProductSearchParams(urlSearchParams);
+  const searchQuery = new URLSearchParams(cleanParams).toString();
+
+  const body = await fetchApi(`/api/products?${searchQuery}`, {
+    revalidate: 300,
+    tags: ['products'],
+  });
+
+  return {
+    products: body?.data?.products || [],
+    totalPages: body?.data?.totalPages || 0,
+    totalProducts: body?.data?.totalProducts || 0,
+    facets: body?.data?.facets || null,
+  };
+};
+
+// Arborescence complète pour les filtres
+const getCategoryTree = async () => {
+  const body = await fetchApi('/api/category', {
+    revalidate: 1800,
+    tags: ['categories'],
+  });
+
+  return body?.data?.categories || [];
+};
+
+export async function generateMetadata({ params }) {
+  const { slug } = await params;
+
+  try {
+    const category = await getCategory(slug);
+    if (!category) {
+      return { title: 'Catégorie introuvable | Buy It Now' };
+    }
+
+    return {
+      title: `${category.name} | Buy It Now`,
+      description: `Découvrez notre sélection ${category.name} sur Buy It Now`,
+    };
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'CategoryPage', action: 'generateMetadata' },
+    });
+    return { title: 'Catégorie | Buy It Now' };
+  }
+}
+
+const CategoryPage = async ({ params, searchParams }) => {
+  const { slug } = await params;
+  const query = await searchParams;
+
+  let category;
+  try {
+    category = await getCategory(slug);
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'CategoryPage', action: 'getCategory' },
+      extra: { slug },
+    });
+    throw error;
+  }
+
+  if (!category) notFound();
+
+  const [productsData, categories] = await Promise.all([
+    getCategoryProducts(category._id, query),
+    getCategoryTree(),
+  ]).catch((error) => {
+    console.error('Failed to fetch category data:', error);
+    return [{ products: [], totalPages: 0 }, []];
+  });
+
+  const breadCrumbs = [
+    { name: 'Accueil', url: '/' },
+    ...category.ancestors.map((ancestor) => ({
+      name: ancestor.name,
+      url: `/category/${ancestor.slug}`,
+    })),
+    { name: category.name, url: `/category/${category.slug}` },
+  ];
+
+  return (
+    <>
+      <BreadCrumbs breadCrumbs={breadCrumbs} />
+
+      <header className="container max-w-(--breakpoint-xl) mx-auto px-4 pt-6">
+        <h1 className="text-2xl font-semibold text-gray-800">
+          {category.name}
+        </h1>
+
+        {/* Sous-catégories */}
+        {category.children.length > 0 && (
+          <nav
+            className="flex flex-wrap gap-2 mt-4"
+            aria-label="Sous-catégories"
+          >
+            {category.children.map((child) => (
+              <Link
+                key={child._id}
+                href={`/category/${child.slug}`}
+                className="px-3 py-1.5 text-sm rounded-full border border-gray-200 bg-white text-gray-700 hover:border-blue-400 hover:text-blue-600 transition-colors"
+              >
+                {child.name}
+              </Link>
+            ))}
+          </nav>
+        )}
+      </header>
+
+      <Suspense fallback={<ListProductsSkeleton />}>
+        <main>
+          <ListProducts
+            data={productsData}
+            categories={categories}
+            currentCategory={category}
+          />
+        </main>
+      </Suspense>
+    </>
+  );
+};
+
+export default CategoryPage;
@@ -0,0 +1,199 @@
+import dynamic from 'next/dynamic';
+import { cookies, headers } from 'next/headers';
+import { redirect, notFound } from 'next/navigation';
+import { captureException } from '@/monitoring/sentry';
+
+import logger from '@/utils/logger';
+import { getCookieName } from '@/helpers/helpers';
+import { getAuthenticatedUser } from '@/lib/auth';
+
+const OrderDetail = dynamic(() => import('@/components/orders/OrderDetail'), {
+  loading: () => <OrderDetailSkeleton />,
+  ssr: true,
+});
+
+/**
+ * Récupère le détail d'une commande de l'utilisateur connecté
+ *
+ * @param {string} orderNumber - Numéro de commande (ORD-YYYYMMDD-XXXXX)
+ * @returns {Promise<Object>} { success, order, message, notFound }
+ */
+const getOrderDetail = async (orderNumber) => {
+  try {
+    // 1. Validation simple du numéro de commande
+    if (!orderNumber || !/^ORD-\d{8}-\d{5,}$/.test(orderNumber)) {
+      return {
+        success: false,
+        message: 'Numéro de commande invalide',
+        notFound: true,
+      };
+    }
+
+    // 2. Obtenir le cookie d'authentification
+    const nextCookies = await cookies();
+    const cookieName = getCookieName();
+    const authToken = nextCookies.get(cookieName);
+
+    if (!authToken) {
+      return {
+        success: false,
+        message: 'Authentification requise',
+        notFound: false,
+      };
+    }
+
+    // 3. Appel API avec timeout (5 secondes)
+    const apiUrl = `${
+      process.env.API_URL || 'https://buyitnow-next15-client-bs.vercel.app'
+    }/api/orders/${encodeURIComponent(orderNumber)}`;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+    const res = await fetch(apiUrl, {
+      signal: controller.signal,
+      headers: {
+        Cookie: `${authToken.name}=${authToken.value}`,
+      },
+      next: {
+        revalidate: 0, // Pas de cache pour les données utilisateur
+        tags: [`order-${orderNumber}`],
+      },
+    });
+
+    clearTimeout(timeoutId);
+
+    // 4. Vérifier le statut HTTP
+    if (!res.ok) {
+      // Une commande d'un autre client est traitée comme introuvable
+      if ([400, 403, 404].includes(res.status)) {
+        return {
+          success: false,
+          message: 'Commande introuvable',
+          notFound: true,
+        };
+      }
+
+      if (res.status === 401) {
+        return {
+          success: false,
+          message: 'Authentification requise',
+          notFound: false,
+        };
+      }
+
+      console.error(`API Error: ${res.status} - ${res.statusText}`);
+      return {
+        success: false,
+        message: 'Erreur lors de la récupération de la commande',
+        notFound: false,
+      };
+    }
+
+    // 5. Parser et vérifier la réponse
+    const responseBody = await res.json();
+
+    if (!responseBody.success || !responseBody.data?.order) {
+      return {
+        success: false,
+        message: responseBody.message || 'Données de commande manquantes',
+        notFound: true,
+      };
+    }
+
+    return {
+      success: true,
+      order: responseBody.data.order,
+      message: 'Commande récupérée avec succès',
+    };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.error('Request timeout after 5 seconds');
+      return {
+        success: false,
+        message: 'La requête a pris trop de temps',
+        notFound: false,
+      };
+    }
+
+    console.error('Network error:', error.message);
+    return {
+      success: false,
+      message: 'Problème de connexion réseau',
+      notFound: false,
+    };
+  }
+};
+
+// Composant de chargement
+const OrderDetailSkeleton = () => (
+  <div className="animate-pulse">
+    <div className="h-7 bg-gray-200 rounded w-64 mb-6"></div>
+    <div className="h-40 bg-gray-200 rounded-md mb-4"></div>
+    <div className="h-64 bg-gray-200 rounded-md"></div>
+  </div>
+);
+
+// Métadonnées (page privée)
+export const metadata = {
+  title: 'Détail de commande | Buy It Now',
+  description: "Consultez le détail d'une commande sur Buy It Now",
+  robots: {
+    index: false,
+    follow: false,
+    nocache: true,
+  },
+};
+
+/**
+ * Page de détail d'une commande
+ * Server Component : vérifie l'authentification puis charge la commande
+ */
+const OrderDetailPage = async ({ params }) => {
+  const orderNumber = params?.orderNumber;
+
+  const headersList = await headers();
+  const user = await getAuthenticatedUser(headersList);
+
+  if (!user) {
+    return redirect(`/login?callbackUrl=/me/orders/${orderNumber}`);
+  }
+
+  const result = await getOrderDetail(orderNumber);
+
+  if (!result.success) {
+    if (result.notFound) {
+      return notFound();
+    }
+
+    logger.warn('Order detail unavailable', {
+      orderNumber,
+      message: result.message,
+      action: 'order_detail_error',
+    });
+
+    captureException(new Error(result.message), {
+      tags: { component: 'OrderDetailPage', action: 'getOrderDetail' },
+      extra: { orderNumber },
+    });
+
+    return (
+      <div className="container max-w-6xl mx-auto px-4 py-8">
+        <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+          <h2 className="text-lg font-semibold text-red-700 mb-2">
+            Impossible de charger cette commande
+          </h2>
+          <p className="text-red-600">{result.message}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container max-w-6xl mx-auto px-4 py-8">
+      <OrderDetail order={result.order} />
+    </div>
+  );
+};
+
+export default OrderDetailPage;
@@ -8,6 +8,17 @@ import logger from '@/utils/logger';
 import { getCookieName } from '@/helpers/helpers';
 import { getAuthenticatedUser } from '@/lib/auth';
 
+// Filtres de l'historique transmis tels quels à /api/orders/me
+const ORDER_FILTER_KEYS = [
+  'perPage',
+  'orderStatus',
+  'paymentStatus',
+  'from',
+  'to',
+  'orderNumber',
+  'sort',
+];
+
 // Chargement dynamique avec fallback
 const ListOrders = dynamic(() => import('@/components/orders/ListOrders'), {
   loading: () => <OrdersPageSkeleton />,
@@ -73,7 +84,7 @@ const getAllOrders = async (searchParams) => {
       };
     }
 
-    // 3. Valider et construire les paramètres de pagination
+    // 3. Valider et construire les paramètres de pagination et de filtres
     const urlParams = {};
 
     if (searchParams?.page) {
@@ -87,6 +98,13 @@ const getAllOrders = async (searchParams) => {
       }
     }
 
+    // Les filtres sont validés par l'API (400 si invalides)
+    ORDER_FILTER_KEYS.forEach((key) => {
+      if (typeof searchParams?.[key] === 'string' && searchParams[key]) {
+        urlParams[key] = searchParams[key];
+      }
+    });
+
     // 4. Construire l'URL de l'API
     const searchQuery = new URLSearchParams(urlParams).toString();
     const apiUrl = `${
@@ -115,6 +133,20 @@ const getAllOrders = async (searchParams) => {
     // 6. Vérifier le statut HTTP
     if (!res.ok) {
       // Gestion simple des erreurs principales
+      if (res.status === 400) {
+        return {
+          success: false,
+          message: 'Filtres de recherche invalides',
+          data: {
+            orders: [],
+            totalPages: 0,
+            currentPage: 1,
+            count: 0,
+            deliveryPrice: [],
+          },
+        };
+      }
+
       if (res.status === 401) {
         return {
           success: false,
@@ -206,6 +238,7 @@ const getAllOrders = async (searchParams) => {
         totalPages: responseBody.data.totalPages || 0,
         currentPage: responseBody.data.currentPage || urlParams.page || 1,
         count: responseBody.data.count || 0,
+        filteredCount: responseBody.data.filteredCount || 0,
         perPage: responseBody.data.perPage || 10,
         deliveryPrice: responseBody.data.deliveryPrice || [],
         paidCount: responseBody.data.paidCount || 0,
@@ -306,7 +339,12 @@ const MyOrdersPage = async ({ searchParams }) => {
     // Récupérer les commandes avec gestion d'erreurs
     const sanitizedSearchParams = {
       page: searchParams?.page || 1,
-      // Autres paramètres de filtrage potentiels
+      ...Object.fromEntries(
+        ORDER_FILTER_KEYS.filter((key) => searchParams?.[key]).map((key) => [
+          key,
+          searchParams[key],
+        ]),
+      ),
     };
 
     // Utiliser Suspense pour mieux gérer le chargement
@@ -0,0 +1,52 @@
+import { headers } from 'next/headers';
+import { redirect } from 'next/navigation';
+import { captureException } from '@/monitoring/sentry';
+import Wishlist from '@/components/user/Wishlist';
+import { getAuthenticatedUser } from '@/lib/auth';
+
+// Force dynamic rendering pour garantir l'état d'authentification à jour
+export const dynamic = 'force-dynamic';
+
+export const metadata = {
+  title: "Ma liste d'envies | Buy It Now",
+  description: 'Retrouvez les produits que vous avez mis de côté',
+  robots: {
+    index: false,
+    follow: false,
+    nocache: true,
+  },
+  alternates: {
+    canonical: '/me/wishlist',
+  },
+};
+
+/**
+ * Server component pour la page de la liste d'envies
+ * Vérifie l'authentification avant de rendre le composant client
+ */
+async function WishlistPage() {
+  let user;
+  try {
+    const headersList = await headers();
+    user = await getAuthenticatedUser(headersList);
+  } catch (error) {
+    captureException(error, {
+      tags: {
+        component: 'WishlistPage',
+        errorType: error.name,
+      },
+    });
+
+    throw new Error("Impossible de charger la liste d'envies", {
+      cause: error,
+    });
+  }
+
+  if (!user) {
+    return redirect('/login?callbackUrl=/me/wishlist');
+  }
+
+  return <Wishlist />;
+}
+
+export default WishlistPage;
@@ -1,5 +1,6 @@
 import { Suspense, lazy } from 'react';
 import ListProductsSkeleton from '@/components/skeletons/ListProductsSkeleton';
+import RecentlyViewed from '@/components/products/RecentlyViewed';
 import { parseProductSearchParams } from '@/utils/inputSanitizer';
 
 // Utilisation de lazy au lieu de dynamic pour éviter le conflit de nom
@@ -117,6 +118,7 @@ const getAllProducts = async (searchParams) => {
         products: responseBody.data.products || [],
         totalPages: responseBody.data.totalPages || 0,
         totalProducts: responseBody.data.totalProducts || 0,
+        facets: responseBody.data.facets || null,
       },
     };
   } catch (error) {
@@ -243,6 +245,9 @@ const HomePage = async ({ searchParams }) => {
           data={productsData?.data}
           categories={categoriesData.categories}
         />
+        <div className="container max-w-[1440px] mx-auto px-4 pb-8">
+          <RecentlyViewed />
+        </div>
       </main>
     </Suspense>
   );
@@ -2,7 +2,7 @@ import dynamic from 'next/dynamic';
 
 import { Suspense } from 'react';
 import { captureException } from '@/monitoring/sentry';
-import { notFound } from 'next/navigation';
+import { notFound, permanentRedirect } from 'next/navigation';
 import ProductLoading from '../../../components/skeletons/ProductLoading';
 
 const ProductDetails = dynamic(
@@ -14,17 +14,21 @@ const ProductDetails = dynamic(
 );
 
 /**
- * Récupère les détails d'un produit par son ID
+ * Récupère les détails d'un produit par son slug (ou son ancien ID)
  * Version simplifiée et optimisée pour ~500 visiteurs/jour
  *
- * @param {string} id - L'ID MongoDB du produit
+ * @param {string} slug - Slug du produit, ancien slug ou ID MongoDB
  * @returns {Promise<Object>} Détails du produit ou erreur
  */
-const getProductDetails = async (id) => {
+const getProductDetails = async (slug) => {
   try {
-    // 1. Validation simple de l'ID MongoDB (24 caractères hexadécimaux)
-    if (!id || typeof id !== 'string' || !/^[0-9a-fA-F]{24}$/.test(id)) {
-      console.error('Invalid product ID format:', id);
+    // 1. Validation simple de l'identifiant (slug ou ObjectId)
+    if (
+      !slug ||
+      typeof slug !== 'string' ||
+      !/^[a-zA-Z0-9-]{1,150}$/.test(slug)
+    ) {
+      console.error('Invalid product identifier format:', slug);
       return {
         success: false,
         message: "Format d'identifiant de produit invalide",
@@ -35,7 +39,7 @@ const getProductDetails = async (id) => {
     // 2. Construire l'URL de l'API
     const apiUrl = `${
       process.env.API_URL || 'https://buyitnow-next15-client-bs.vercel.app'
-    }/api/products/${id}`;
+    }/api/products/${slug}`;
 
     console.log('Fetching product details from:', apiUrl); // Log pour debug
 
@@ -47,7 +51,7 @@ const getProductDetails = async (id) => {
       signal: controller.signal,
       next: {
         revalidate: 600, // Cache Next.js de 10 minutes pour un produit spécifique
-        tags: ['product', `product-${id}`],
+        tags: ['product', `product-${slug}`],
       },
     });
 
@@ -124,16 +128,16 @@ const getProductDetails = async (id) => {
 
 // Types d'erreurs personnalisés pour une meilleure gestion
 class ProductNotFoundError extends Error {
-  constructor(productId) {
-    super(`Product with ID ${productId} not found`);
+  constructor(productSlug) {
+    super(`Product ${productSlug} not found`);
     this.name = 'ProductNotFoundError';
     this.statusCode = 404;
   }
 }
 
 class ProductFetchError extends Error {
-  constructor(productId, originalError) {
-    super(`Failed to fetch product with ID ${productId}`);
+  constructor(productSlug, originalError) {
+    super(`Failed to fetch product ${productSlug}`);
     this.name = 'ProductFetchError';
     this.cause = originalError;
     this.statusCode = 500;
@@ -142,16 +146,16 @@ class ProductFetchError extends Error {
 
 // Métadonnées dynamiques pour un meilleur SEO
 export async function generateMetadata({ params }) {
-  const { id } = await params;
+  const { slug } = await params;
   try {
-    if (!id) {
+    if (!slug) {
       return {
         title: 'Product Not Found | Buy It Now',
         description: 'The requested product could not be found.',
       };
     }
 
-    const data = await getProductDetails(id);
+    const data = await getProductDetails(slug);
     const product = data?.product;
 
     if (!product) {
@@ -163,6 +167,9 @@ export async function generateMetadata({ params }) {
 
     return {
       title: `${product?.name} | Buy It Now`,
+      alternates: {
+        canonical: `/product/${product.slug}`,
+      },
       description: product?.description
         ? `${product?.description.substring(0, 155)}...`
         : 'Discover this amazing product on Buy It Now',
@@ -183,6 +190,10 @@ export async function generateMetadata({ params }) {
             '@type': 'Offer',
             price: product?.price,
             priceCurrency: 'EUR',
+            // Prix promotionnel : valable jusqu'à la fin de la promotion
+            ...(product?.saleEndsAt && {
+              priceValidUntil: product.saleEndsAt.slice(0, 10),
+            }),
             availability:
               product?.stock > 0
                 ? 'https://schema.org/InStock'
@@ -210,47 +221,36 @@ export async function generateMetadata({ params }) {
 }
 
 const ProductDetailsPage = async ({ params }) => {
-  const { id } = await params;
+  const { slug } = await params;
+  let data;
   try {
-    // Validation de l'ID
-    if (!id || typeof id !== 'string') {
+    // Validation du slug
+    if (!slug || typeof slug !== 'string') {
       throw new ProductNotFoundError('invalid');
     }
 
-    // Sanitization basique de l'ID (à adapter selon votre format d'ID)
-    if (!/^[a-zA-Z0-9_-]+$/.test(id)) {
+    // Sanitization basique (slug ou ancien ID MongoDB)
+    if (!/^[a-zA-Z0-9_-]+$/.test(slug)) {
       throw new ProductNotFoundError('invalid format');
     }
 
-    const data = await getProductDetails(id).catch((error) => {
-      throw new ProductFetchError(id, error);
+    data = await getProductDetails(slug).catch((error) => {
+      throw new ProductFetchError(slug, error);
     });
 
     // Vérifier si le produit existe
     if (!data?.product) {
-      throw new ProductNotFoundError(id);
+      throw new ProductNotFoundError(slug);
     }
-
-    return (
-      <Suspense fallback={<ProductLoading />}>
-        <section itemScope itemType="https://schema.org/Product">
-          <meta itemProp="productID" content={id} />
-          <ProductDetails
-            product={data.product}
-            sameCategoryProducts={data.sameCategoryProducts}
-          />
-        </section>
-      </Suspense>
-    );
   } catch (error) {
-    console.error(`Error loading product ${id}:`, error);
+    console.error(`Error loading product ${slug}:`, error);
 
     // Enregistrement de l'erreur dans Sentry avec contexte enrichi
     captureException(error, {
       tags: {
         component: 'ProductDetailsPage',
         errorType: error.name,
-        productId: params?.id,
+        productSlug: slug,
       },
       extra: {
         message: error.message,
@@ -266,6 +266,25 @@ const ProductDetailsPage = async ({ params }) => {
     // Les autres types d'erreurs seront capturés par error.jsx
     throw error;
   }
+
+  // Ancienne URL (ID ou slug avant renommage) : redirection 308 vers l'URL
+  // canonique. Appelé hors du try car permanentRedirect lève une exception
+  const canonicalSlug = data.product.slug;
+  if (canonicalSlug && canonicalSlug !== slug) {
+    permanentRedirect(`/product/${canonicalSlug}`);
+  }
+
+  return (
+    <Suspense fallback={<ProductLoading />}>
+      <section itemScope itemType="https://schema.org/Product">
+        <meta itemProp="productID" content={data.product._id} />
+        <ProductDetails
+          product={data.product}
+          sameCategoryProducts={data.sameCategoryProducts}
+        />
+      </section>
+    </Suspense>
+  );
 };
 
 export default ProductDetailsPage;
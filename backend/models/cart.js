@@ -8,6 +8,11 @@ const cartSchema = new mongoose.Schema(
       required: true,
       index: true, // Indexer pour des recherches plus rapides
     },
+    // Variante choisie (null pour un produit sans variantes)
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
     quantity: {
       type: Number,
       required: true,
@@ -50,8 +55,10 @@ const cartSchema = new mongoose.Schema(
   },
 );
 
-// Index composé pour rechercher rapidement les articles du panier d'un utilisateur
-cartSchema.index({ user: 1, product: 1 }, { unique: true });
+// Une ligne de panier par utilisateur, produit et variante
+// Remplace l'ancien index unique { user, product }, supprimé par
+// scripts/migrations/002-variant-unique-indexes.mjs
+cartSchema.index({ user: 1, product: 1, variant: 1 }, { unique: true });
 
 // Méthode virtuelle pour calculer le sous-total
 cartSchema.virtual('subtotal').get(function () {
@@ -88,10 +95,15 @@ cartSchema.pre('save', async function (next) {
         return next(new Error('Produit non trouvé'));
       }
 
-      if (product.stock < this.quantity) {
-        return next(
-          new Error(`Stock insuffisant. Disponible: ${product.stock}`),
-        );
+      // Stock de la variante choisie, sinon celui du produit
+      const variant = this.variant ? product.variants.id(this.variant) : null;
+      if (this.variant && (!variant || variant.isActive === false)) {
+        return next(new Error('Variante non trouvée'));
+      }
+
+      const stock = variant ? variant.stock : product.stock;
+      if (stock < this.quantity) {
+        return next(new Error(`Stock insuffisant. Disponible: ${stock}`));
       }
     } catch (error) {
       return next(error);
@@ -4,6 +4,63 @@ import slug from 'mongoose-slug-updater';
 // Initialiser le plugin de slug
 mongoose.plugin(slug);
 
+// Profondeur maximale de l'arborescence (0 = catégorie racine)
+export const MAX_CATEGORY_DEPTH = 3;
+
+// Types de valeur possibles pour un attribut de produit
+export const ATTRIBUTE_TYPES = ['text', 'number', 'boolean', 'select'];
+
+/**
+ * Définition d'un attribut de produit propre à la catégorie
+ * (marque, matière, dimensions, garantie...). Les valeurs sont portées par
+ * Product.specifications, indexées par `key`.
+ */
+const attributeDefinitionSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "La clé de l'attribut est obligatoire"],
+      trim: true,
+      lowercase: true,
+      match: [
+        /^[a-z][a-z0-9_]{0,29}$/,
+        'La clé ne peut contenir que des lettres, chiffres et _',
+      ],
+    },
+    label: {
+      type: String,
+      required: [true, "Le libellé de l'attribut est obligatoire"],
+      trim: true,
+      maxlength: [50, 'Le libellé ne peut pas dépasser 50 caractères'],
+    },
+    type: {
+      type: String,
+      enum: {
+        values: ATTRIBUTE_TYPES,
+        message: "Type d'attribut non valide: {VALUE}",
+      },
+      default: 'text',
+    },
+    // Unité affichée après la valeur (cm, kg, mois...)
+    unit: {
+      type: String,
+      trim: true,
+      maxlength: [10, "L'unité ne peut pas dépasser 10 caractères"],
+    },
+    // Valeurs autorisées pour le type 'select'
+    options: {
+      type: [String],
+      default: undefined,
+    },
+    // Proposé comme filtre dans la liste des produits
+    filterable: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false },
+);
+
 const categorySchema = new mongoose.Schema(
   {
     categoryName: {
@@ -23,11 +80,49 @@ const categorySchema = new mongoose.Schema(
       unique: true,
       index: true,
     },
+    // Catégorie parente (null pour une catégorie racine)
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+      index: true,
+    },
+    // Chemin matérialisé : IDs des ancêtres, ex: ",racineId,parentId,"
+    path: {
+      type: String,
+      default: ',',
+      index: true,
+    },
+    depth: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     sold: {
       type: Number,
       default: 0,
       min: 0,
     },
+    attributes: {
+      type: [attributeDefinitionSchema],
+      default: [],
+      validate: [
+        {
+          validator: (attributes) =>
+            new Set(attributes.map((attribute) => attribute.key)).size ===
+            attributes.length,
+          message: 'Chaque attribut doit avoir une clé unique',
+        },
+        {
+          validator: (attributes) =>
+            attributes.every(
+              (attribute) =>
+                attribute.type !== 'select' || attribute.options?.length > 0,
+            ),
+          message: 'Un attribut de type select doit lister ses options',
+        },
+      ],
+    },
     isActive: {
       type: Boolean,
       index: true,
@@ -65,6 +160,172 @@ categorySchema.pre('save', function (next) {
   next();
 });
 
+// Calculer le chemin à la création et à chaque changement de parent
+categorySchema.pre('save', async function (next) {
+  if (!this.isNew && !this.isModified('parent')) return next();
+
+  const previousPath = this.path;
+
+  if (!this.parent) {
+    this.path = ',';
+    this.depth = 0;
+  } else {
+    const parent = await this.constructor
+      .findById(this.parent)
+      .select('path depth')
+      .session(this.$session())
+      .lean();
+
+    if (!parent) {
+      return next(new Error('Catégorie parente introuvable'));
+    }
+
+    // Une catégorie ne peut pas être rangée sous elle-même ou sa descendance
+    if (parent._id.equals(this._id) || parent.path.includes(`,${this._id},`)) {
+      return next(
+        new Error('Une catégorie ne peut pas être son propre parent'),
+      );
+    }
+
+    // Une catégorie déplacée emmène sa descendance : la plus profonde ne
+    // doit pas dépasser la limite non plus
+    let subtreeHeight = 0;
+    if (!this.isNew) {
+      const deepest = await this.constructor
+        .findOne({ path: { $regex: `,${this._id},` } })
+        .sort({ depth: -1 })
+        .select('depth')
+        .session(this.$session())
+        .lean();
+
+      if (deepest) subtreeHeight = deepest.depth - this.depth;
+    }
+
+    if (parent.depth + 1 + subtreeHeight >= MAX_CATEGORY_DEPTH) {
+      return next(
+        new Error(
+          `Profondeur maximale de ${MAX_CATEGORY_DEPTH} niveaux atteinte`,
+        ),
+      );
+    }
+
+    this.path = `${parent.path}${parent._id},`;
+    this.depth = parent.depth + 1;
+  }
+
+  this.$locals.previousPath =
+    !this.isNew && previousPath !== this.path ? previousPath : null;
+  next();
+});
+
+// Déplacer une catégorie déplace toute sa descendance
+categorySchema.post('save', async function (doc) {
+  const previousPath = doc.$locals.previousPath;
+  if (!previousPath) return;
+
+  const oldPrefix = `${previousPath}${doc._id},`;
+  const newPrefix = `${doc.path}${doc._id},`;
+
+  const descendants = await doc.constructor
+    .find({ path: { $regex: `,${doc._id},` } })
+    .select('path')
+    .session(doc.$session())
+    .lean();
+
+  if (descendants.length === 0) return;
+
+  await doc.constructor.bulkWrite(
+    descendants.map((descendant) => {
+      const path = newPrefix + descendant.path.slice(oldPrefix.length);
+      return {
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: {
+            $set: { path, depth: path.split(',').filter(Boolean).length },
+          },
+        },
+      };
+    }),
+    { session: doc.$session() },
+  );
+});
+
+/**
+ * IDs d'une catégorie et de toutes ses descendantes
+ * @param {string} categoryId - ID de la catégorie
+ * @returns {Promise<Array<ObjectId>>}
+ */
+categorySchema.statics.descendantIds = async function (categoryId) {
+  const id = new mongoose.Types.ObjectId(String(categoryId));
+  const descendants = await this.find({ path: { $regex: `,${id},` } })
+    .select('_id')
+    .lean();
+
+  return [id, ...descendants.map((category) => category._id)];
+};
+
+/**
+ * Ancêtres d'une catégorie, de la racine au parent direct
+ * @param {Object} category - Catégorie (path)
+ * @returns {Promise<Array>} [{ _id, categoryName, slug }]
+ */
+categorySchema.statics.ancestorsOf = async function (category) {
+  const ids = (category?.path || '').split(',').filter(Boolean);
+  if (ids.length === 0) return [];
+
+  const ancestors = await this.find({ _id: { $in: ids } })
+    .select('categoryName slug')
+    .lean();
+
+  // Remettre dans l'ordre du chemin
+  return ids
+    .map((id) => ancestors.find((ancestor) => ancestor._id.toString() === id))
+    .filter(Boolean);
+};
+
+// Répercuter un renommage sur le nom indexé des produits (recherche)
+categorySchema.pre('save', function (next) {
+  this.$locals.nameChanged = !this.isNew && this.isModified('categoryName');
+  next();
+});
+
+categorySchema.post('save', async function (doc) {
+  // Modèle résolu à l'exécution pour éviter un import circulaire
+  const Product = mongoose.models.Product;
+  if (!doc.$locals.nameChanged || !Product) return;
+
+  await Product.updateMany(
+    { category: doc._id },
+    { $set: { categoryName: doc.categoryName } },
+  ).session(doc.$session());
+});
+
+/**
+ * Construit l'arborescence à partir d'une liste à plat
+ * Une catégorie dont le parent est absent (inactif) devient une racine.
+ *
+ * @param {Array} categories - Catégories (_id, parent, ...)
+ * @param {Function} format - Mise en forme d'un noeud
+ * @returns {Array} Racines, chacune avec `children`
+ */
+export const buildCategoryTree = (categories, format = (c) => c) => {
+  const nodes = new Map(
+    categories.map((category) => [
+      category._id.toString(),
+      { ...format(category), children: [] },
+    ]),
+  );
+
+  const roots = [];
+  categories.forEach((category) => {
+    const node = nodes.get(category._id.toString());
+    const parent = category.parent && nodes.get(category.parent.toString());
+    (parent ? parent.children : roots).push(node);
+  });
+
+  return roots;
+};
+
 // Assurer que les modèles ne sont pas redéfinis en cas de hot-reload
 const Category =
   mongoose.models.Category || mongoose.model('Category', categorySchema);
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+/**
+ * Schéma des compteurs de séquence
+ * Chaque document représente une séquence nommée (ex: order-20250115)
+ * incrémentée de façon atomique avec $inc
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: [true, 'Nom de la séquence obligatoire'],
+    },
+    seq: {
+      type: Number,
+      default: 0,
+      min: [0, 'La séquence ne peut pas être négative'],
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  },
+);
+
+/**
+ * Méthode statique pour obtenir la prochaine valeur d'une séquence
+ * L'opération est atomique : deux appels concurrents ne reçoivent jamais
+ * la même valeur. Passer la session pour participer à une transaction.
+ *
+ * @param {string} name - Nom de la séquence
+ * @param {ClientSession} session - Session MongoDB (optionnelle)
+ * @returns {Promise<number>} La nouvelle valeur de la séquence
+ */
+counterSchema.statics.nextSequence = async function (name, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session },
+  ).lean();
+
+  return counter.seq;
+};
+
+// Gestion optimisée du modèle avec vérification pour éviter les redéfinitions
+const Counter =
+  mongoose.models.Counter || mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+
+export const COUPON_TYPES = ['percentage', 'fixed', 'free_shipping'];
+
+/**
+ * Code promo
+ * - percentage : `value` % du montant des articles éligibles
+ * - fixed : `value` retiré du montant des articles éligibles (plafonné)
+ * - free_shipping : frais de livraison offerts
+ *
+ * Le périmètre (catégories, sous-catégories comprises, et produits) limite
+ * les articles éligibles ; vide, il couvre tout le panier. `usedCount` est
+ * incrémenté atomiquement à la commande (voir couponService).
+ */
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Le code promo est obligatoire'],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      minlength: [3, 'Le code promo doit contenir au moins 3 caractères'],
+      maxlength: [30, 'Le code promo ne peut pas dépasser 30 caractères'],
+      match: [
+        /^[A-Z0-9_-]+$/,
+        'Le code promo contient des caractères invalides',
+      ],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'La description ne peut pas dépasser 200 caractères'],
+    },
+    type: {
+      type: String,
+      required: [true, 'Le type de réduction est obligatoire'],
+      enum: {
+        values: COUPON_TYPES,
+        message: 'Type de réduction non supporté: {VALUE}',
+      },
+    },
+    // Pourcentage (1-100) ou montant fixe ; ignoré pour free_shipping
+    value: {
+      type: Number,
+      default: 0,
+      min: [0, 'La valeur ne peut pas être négative'],
+      set: (val) => Math.round(val * 100) / 100,
+    },
+    // Montant minimum des articles commandés
+    minSpend: {
+      type: Number,
+      default: 0,
+      min: [0, "Le minimum d'achat ne peut pas être négatif"],
+    },
+    categories: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+      default: [],
+    },
+    products: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+      default: [],
+    },
+    // Nombre total d'utilisations (null : illimité)
+    usageLimit: {
+      type: Number,
+      default: null,
+      min: [1, "La limite d'utilisation doit être positive"],
+    },
+    // Nombre d'utilisations par client (null : illimité)
+    perUserLimit: {
+      type: Number,
+      default: 1,
+      min: [1, 'La limite par client doit être positive'],
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    endsAt: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Cohérence de la valeur selon le type et de la période de validité
+couponSchema.pre('validate', function (next) {
+  if (this.type === 'percentage' && (this.value <= 0 || this.value > 100)) {
+    this.invalidate('value', 'Le pourcentage doit être compris entre 1 et 100');
+  }
+  if (this.type === 'fixed' && this.value <= 0) {
+    this.invalidate('value', 'Le montant de la réduction doit être positif');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'La fin de validité doit suivre son début');
+  }
+  next();
+});
+
+/**
+ * Statut d'un coupon à une date donnée
+ * @returns {string|null} Code d'erreur, null si le coupon est utilisable
+ */
+couponSchema.methods.availabilityError = function (at = new Date()) {
+  if (!this.isActive) return 'COUPON_INACTIVE';
+  if (this.startsAt && this.startsAt > at) return 'COUPON_NOT_STARTED';
+  if (this.endsAt && this.endsAt <= at) return 'COUPON_EXPIRED';
+  if (this.usageLimit !== null && this.usedCount >= this.usageLimit) {
+    return 'COUPON_USAGE_LIMIT_REACHED';
+  }
+  return null;
+};
+
+// Assurer que les modèles ne sont pas redéfinis en cas de hot-reload
+const Coupon = mongoose.models.Coupon || mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+/**
+ * Utilisations d'un coupon par un client
+ * Un document par couple (coupon, client) : `count` est incrémenté
+ * atomiquement à la commande sous condition de `perUserLimit`, et
+ * décrémenté à l'annulation d'une commande qui l'avait utilisé.
+ * Écrit uniquement par couponService, dans la transaction de la commande.
+ */
+const couponUsageSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      required: [true, 'Coupon obligatoire'],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Utilisateur obligatoire'],
+      index: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Commandes ayant utilisé le coupon (annulées retirées)
+    orders: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Order' }],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Un seul compteur par client et par coupon (garantit la limite par client)
+couponUsageSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+// Assurer que les modèles ne sont pas redéfinis en cas de hot-reload
+const CouponUsage =
+  mongoose.models.CouponUsage ||
+  mongoose.model('CouponUsage', couponUsageSchema);
+
+export default CouponUsage;
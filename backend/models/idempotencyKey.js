@@ -0,0 +1,196 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Durée de conservation d'une clé d'idempotence (24 heures)
+const IDEMPOTENCY_KEY_TTL = 24 * 60 * 60 * 1000;
+
+// Au-delà de ce délai, une clé encore "processing" est considérée abandonnée
+// (processus interrompu avant release) et peut être reprise (2 minutes)
+const IDEMPOTENCY_LOCK_TIMEOUT = 2 * 60 * 1000;
+
+/**
+ * Schéma des clés d'idempotence
+ * Mémorise la réponse d'une requête (ex: création de commande) pour la
+ * rejouer à l'identique si le client renvoie la même clé
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Clé obligatoire'],
+    trim: true,
+    maxlength: [100, 'La clé ne peut pas dépasser 100 caractères'],
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Utilisateur obligatoire'],
+    ref: 'User',
+  },
+  scope: {
+    type: String,
+    required: [true, 'Portée obligatoire'],
+    trim: true,
+  },
+  requestHash: {
+    type: String,
+    required: [true, 'Empreinte de la requête obligatoire'],
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['processing', 'completed'],
+      message: 'Statut de clé non valide: {VALUE}',
+    },
+    default: 'processing',
+  },
+  // Début du traitement en cours (renouvelé quand une clé abandonnée est reprise)
+  lockedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  responseStatus: {
+    type: Number,
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + IDEMPOTENCY_KEY_TTL),
+  },
+});
+
+// Une clé est unique par utilisateur et par route
+idempotencyKeySchema.index({ user: 1, scope: 1, key: 1 }, { unique: true });
+
+// Suppression automatique des clés expirées (index TTL)
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Sérialisation stable (clés triées) pour que l'empreinte ne dépende pas de l'ordre
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+};
+
+// Méthode statique pour calculer l'empreinte d'une requête
+idempotencyKeySchema.statics.hashPayload = function (payload) {
+  return crypto
+    .createHash('sha256')
+    .update(stableStringify(payload))
+    .digest('hex');
+};
+
+/**
+ * Méthode statique pour réserver une clé avant de traiter la requête
+ * Une clé restée "processing" plus de IDEMPOTENCY_LOCK_TIMEOUT est reprise.
+ * @returns {Promise<{state: 'acquired'|'replay'|'conflict'|'in_progress', record}>}
+ */
+idempotencyKeySchema.statics.acquire = async function ({
+  key,
+  userId,
+  scope,
+  requestHash,
+}) {
+  try {
+    const record = await this.create({
+      key,
+      user: userId,
+      scope,
+      requestHash,
+    });
+
+    return { state: 'acquired', record };
+  } catch (error) {
+    // Toute autre erreur que le doublon est remontée à l'appelant
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const existing = await this.findOne({ key, user: userId, scope });
+
+  if (!existing) {
+    // La clé a expiré entre-temps : réessayer une seule fois
+    const record = await this.create({
+      key,
+      user: userId,
+      scope,
+      requestHash,
+    });
+    return { state: 'acquired', record };
+  }
+
+  if (existing.requestHash !== requestHash) {
+    return { state: 'conflict', record: existing };
+  }
+
+  if (existing.status === 'completed') {
+    return { state: 'replay', record: existing };
+  }
+
+  // Reprise atomique d'une clé abandonnée : une seule requête l'obtient
+  const lockExpiredAt = new Date(Date.now() - IDEMPOTENCY_LOCK_TIMEOUT);
+  const takenOver = await this.findOneAndUpdate(
+    {
+      _id: existing._id,
+      status: 'processing',
+      $or: [
+        { lockedAt: { $lt: lockExpiredAt } },
+        { lockedAt: { $exists: false }, createdAt: { $lt: lockExpiredAt } },
+      ],
+    },
+    { $set: { lockedAt: new Date() } },
+    { new: true },
+  );
+
+  if (takenOver) {
+    return { state: 'acquired', record: takenOver };
+  }
+
+  return { state: 'in_progress', record: existing };
+};
+
+// Méthode d'instance pour mémoriser la réponse finale
+idempotencyKeySchema.methods.complete = function (
+  responseStatus,
+  responseBody,
+  session = null,
+) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { status: 'completed', responseStatus, responseBody } },
+    { session },
+  );
+};
+
+// Méthode d'instance pour libérer la clé si la requête a échoué
+// (sans effet si une autre requête a repris la clé entre-temps)
+idempotencyKeySchema.methods.release = function () {
+  return this.constructor.deleteOne({
+    _id: this._id,
+    status: 'processing',
+    lockedAt: this.lockedAt,
+  });
+};
+
+// Gestion optimisée du modèle avec vérification pour éviter les redéfinitions
+const IdempotencyKey =
+  mongoose.models.IdempotencyKey ||
+  mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
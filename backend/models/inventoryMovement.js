@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+/**
+ * Journal des mouvements de stock
+ * Chaque modification de `stock` ou `sold` sur Product passe par le service
+ * d'inventaire et laisse une ligne ici, rattachée à une commande, à une
+ * réservation de checkout ou à un ajustement manuel.
+ * Pour un produit à variantes, `variant` et `stockAfter` portent sur la
+ * variante.
+ */
+const inventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Produit obligatoire'],
+    ref: 'Product',
+    index: true,
+  },
+  // Variante concernée (produits à variantes uniquement)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  type: {
+    type: String,
+    required: [true, 'Type de mouvement obligatoire'],
+    enum: {
+      values: ['reserve', 'commit', 'release', 'restock', 'adjustment'],
+      message: 'Type de mouvement non valide: {VALUE}',
+    },
+    index: true,
+  },
+  // Variation appliquée au champ stock (négative pour une sortie)
+  stockDelta: {
+    type: Number,
+    required: true,
+    default: 0,
+  },
+  // Variation appliquée au compteur de ventes
+  soldDelta: {
+    type: Number,
+    required: true,
+    default: 0,
+  },
+  stockAfter: {
+    type: Number,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    index: true,
+  },
+  orderNumber: {
+    type: String,
+    trim: true,
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockReservation',
+    index: true,
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La raison ne peut pas dépasser 200 caractères'],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+    index: true,
+  },
+});
+
+// Historique d'un produit du plus récent au plus ancien
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+
+// Méthode statique pour retrouver l'historique de stock d'un produit
+inventoryMovementSchema.statics.findByProduct = function (
+  productId,
+  limit = 50,
+) {
+  return this.find({ product: productId })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// Gestion optimisée du modèle avec vérification pour éviter les redéfinitions
+const InventoryMovement =
+  mongoose.models.InventoryMovement ||
+  mongoose.model('InventoryMovement', inventoryMovementSchema);
+
+export default InventoryMovement;
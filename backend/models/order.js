@@ -1,6 +1,6 @@
 import mongoose from 'mongoose';
 import logger from '@/utils/logger';
-import { captureException } from '@/monitoring/sentry';
+import Counter from '@/backend/models/counter';
 
 /**
  * Schéma détaillé pour les produits dans une commande
@@ -24,6 +24,22 @@ const orderItemSchema = new mongoose.Schema({
     required: [true, 'Catégorie obligatoire'],
     trim: true,
   },
+  // Instantané de la variante commandée (produits à variantes)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  sku: {
+    type: String,
+    trim: true,
+  },
+  variantLabel: {
+    type: String,
+    trim: true,
+  },
+  attributes: {
+    type: Map,
+    of: String,
+  },
   quantity: {
     type: Number,
     required: [true, 'Quantité obligatoire'],
@@ -43,6 +59,13 @@ const orderItemSchema = new mongoose.Schema({
     min: [0, 'Le prix ne peut pas être négatif'],
     set: (val) => Math.round(val * 100) / 100, // Arrondir à 2 décimales
   },
+  // Prix normal si l'article était en promotion à la commande
+  compareAtPrice: {
+    type: Number,
+    min: [0, 'Le prix ne peut pas être négatif'],
+    set: (val) =>
+      val === null || val === undefined ? val : Math.round(val * 100) / 100,
+  },
   subtotal: {
     type: Number,
     required: true,
@@ -51,6 +74,43 @@ const orderItemSchema = new mongoose.Schema({
   },
 });
 
+/**
+ * Réduction appliquée à la commande (coupon)
+ * Code, type et montant sont figés à la commande : le coupon peut ensuite
+ * être modifié ou supprimé sans changer l'historique.
+ */
+const discountSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed', 'free_shipping'],
+      required: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'La réduction ne peut pas être négative'],
+      set: (val) => Math.round(val * 100) / 100, // Arrondir à 2 décimales
+    },
+  },
+  { _id: false },
+);
+
 /**
  * Schéma de paiement avec validation stricte
  */
@@ -93,6 +153,73 @@ const paymentInfoSchema = new mongoose.Schema({
   },
 });
 
+/**
+ * Transitions autorisées des statuts de commande et de paiement
+ * Un statut absent des clés (ou sans cible) est terminal
+ */
+export const ORDER_STATUS_TRANSITIONS = {
+  Processing: ['Shipped', 'Cancelled'],
+  Shipped: ['Delivered'],
+  Delivered: [],
+  Cancelled: [],
+};
+
+export const PAYMENT_STATUS_TRANSITIONS = {
+  unpaid: ['processing', 'failed'],
+  processing: ['paid', 'failed'],
+  paid: ['refunded'],
+  failed: ['processing'],
+  refunded: [],
+};
+
+const STATUS_TRANSITIONS = {
+  orderStatus: ORDER_STATUS_TRANSITIONS,
+  paymentStatus: PAYMENT_STATUS_TRANSITIONS,
+};
+
+/**
+ * Entrée d'historique des statuts (audit des transitions)
+ */
+const statusHistorySchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+      enum: ['orderStatus', 'paymentStatus'],
+    },
+    from: {
+      type: String,
+      default: null,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    actor: {
+      type: String,
+      required: true,
+      enum: {
+        values: ['customer', 'admin', 'system'],
+        message: 'Auteur de transition non valide: {VALUE}',
+      },
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'La raison ne peut pas dépasser 200 caractères'],
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
 /**
  * Schéma de commande complet avec validation, indexation et relations
  */
@@ -150,11 +277,25 @@ const orderSchema = new mongoose.Schema(
       default: 0,
       min: [0, 'Les frais de port ne peuvent pas être négatifs'],
     },
+    // Détail des réductions (coupons) et leur total, déduit du montant total
+    discounts: {
+      type: [discountSchema],
+      default: [],
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'La réduction ne peut pas être négative'],
+    },
     cancelReason: {
       type: String,
       trim: true,
       maxlength: [200, 'La raison ne peut pas dépasser 200 caractères'],
     },
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: [],
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -203,31 +344,22 @@ const orderSchema = new mongoose.Schema(
 orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ orderStatus: 1, paymentStatus: 1 });
 orderSchema.index({ createdAt: -1 });
+// Co-occurrences des produits commandés (recommandations)
+orderSchema.index({ 'orderItems.product': 1, createdAt: -1 });
 
 // Créer un identifiant unique au format ORD-YYYYMMDD-XXXXX
+// La séquence du jour vient d'un compteur atomique ($inc) : des commandes
+// concurrentes ne peuvent pas recevoir le même numéro. Le compteur participe
+// à la transaction de la commande (session du document) si elle existe.
 orderSchema.pre('save', async function (next) {
   if (this.isNew) {
     try {
-      const date = new Date();
-      const datePart = date.toISOString().slice(0, 10).replace(/-/g, '');
-
-      // Trouver le dernier numéro de commande pour aujourd'hui
-      const lastOrder = await this.constructor
-        .findOne(
-          {
-            orderNumber: new RegExp(`ORD-${datePart}-\\d+`),
-          },
-          { orderNumber: 1 },
-        )
-        .sort({ orderNumber: -1 });
-
-      let sequence = 1;
-      if (lastOrder && lastOrder.orderNumber) {
-        const lastSequence = parseInt(
-          lastOrder.orderNumber.split('-')[2] || '0',
-        );
-        sequence = lastSequence + 1;
-      }
+      const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+
+      const sequence = await Counter.nextSequence(
+        `order-${datePart}`,
+        this.$session(),
+      );
 
       // Formater avec padding à 5 chiffres (00001)
       this.orderNumber = `ORD-${datePart}-${sequence.toString().padStart(5, '0')}`;
@@ -237,11 +369,28 @@ orderSchema.pre('save', async function (next) {
         userId: this.user,
       });
 
-      // Fallback si la génération du numéro échoue - utiliser un timestamp unique
-      const timestamp = Date.now().toString();
-      this.orderNumber = `ORD-${timestamp.substring(0, 8)}-${timestamp.substring(8)}`;
+      // Pas de numéro de secours : la commande (et sa transaction) échoue
+      return next(error);
     }
 
+    // Statuts initiaux dans l'historique
+    this.statusHistory.push(
+      {
+        field: 'orderStatus',
+        from: null,
+        to: this.orderStatus,
+        actor: 'customer',
+        changedBy: this.user,
+      },
+      {
+        field: 'paymentStatus',
+        from: null,
+        to: this.paymentStatus,
+        actor: 'customer',
+        changedBy: this.user,
+      },
+    );
+
     // Calculer automatiquement le sous-total pour chaque article
     if (this.orderItems && this.orderItems.length > 0) {
       this.orderItems.forEach((item) => {
@@ -257,24 +406,55 @@ orderSchema.pre('save', async function (next) {
   next();
 });
 
+// Un statut ne change que par transitionStatus() : toute modification
+// directe (sans entrée d'historique correspondante) est refusée
+orderSchema.pre('save', function (next) {
+  if (this.isNew) return next();
+
+  for (const field of Object.keys(STATUS_TRANSITIONS)) {
+    if (!this.isModified(field)) continue;
+
+    const last = this.statusHistory
+      .filter((entry) => entry.field === field)
+      .at(-1);
+
+    if (!last || last.to !== this[field]) {
+      return next(
+        new Error(
+          JSON.stringify({
+            type: 'INVALID_STATUS_TRANSITION',
+            field,
+            to: this[field],
+          }),
+        ),
+      );
+    }
+  }
+
+  next();
+});
+
 // Vérifier la cohérence des données avant sauvegarde
 orderSchema.pre('save', function (next) {
   // Vérifier que le total correspond à la somme des sous-totaux + frais
+  // moins les réductions
   if (
     this.isModified('orderItems') ||
     this.isModified('shippingAmount') ||
-    this.isModified('taxAmount')
+    this.isModified('taxAmount') ||
+    this.isModified('discounts')
   ) {
-    const itemsTotal = this.orderItems.reduce(
-      (sum, item) => sum + (item.subtotal || item.price * item.quantity),
-      0,
+    this.discountAmount = Number(
+      this.discounts
+        .reduce((sum, discount) => sum + discount.amount, 0)
+        .toFixed(2),
     );
-    const calculatedTotal =
-      itemsTotal + (this.shippingAmount || 0) + (this.taxAmount || 0);
+
+    const calculatedTotal = this.calculateTotal();
 
     // Permettre une petite différence due aux arrondis (0.01)
     if (Math.abs(calculatedTotal - this.totalAmount) > 0.01) {
-      this.totalAmount = Number(calculatedTotal.toFixed(2));
+      this.totalAmount = calculatedTotal;
     }
   }
 
@@ -298,48 +478,64 @@ orderSchema.pre('save', function (next) {
   next();
 });
 
-// Mettre à jour le stock après création d'une commande
-orderSchema.post('save', async function () {
-  try {
-    if (this.isNew) {
-      const Product = mongoose.model('Product');
-      const bulkOps = this.orderItems.map((item) => ({
-        updateOne: {
-          filter: { _id: item.product },
-          update: {
-            $inc: {
-              stock: -item.quantity,
-              sold: item.quantity,
-            },
-          },
-        },
-      }));
-
-      if (bulkOps.length > 0) {
-        await Product.bulkWrite(bulkOps);
-      }
-    }
-  } catch (error) {
-    // Ne pas bloquer la création de commande, mais logger l'erreur
-    logger.error('Erreur lors de la mise à jour du stock', {
-      error: error.message,
-      orderId: this._id,
-      orderNumber: this.orderNumber,
-    });
-
-    captureException(error, {
-      tags: { component: 'order-model', operation: 'update-stock' },
-    });
-  }
-});
+// Note : le stock n'est pas modifié ici. Toute sortie/entrée de stock passe
+// par backend/utils/inventoryService.js dans la transaction de l'appelant.
 
 // Méthode pour calculer le total de la commande
+// Même règle que le hook de cohérence et le devis serveur (orderPricing)
 orderSchema.methods.calculateTotal = function () {
   const itemsTotal = this.orderItems.reduce(
-    (sum, item) => sum + item.price * item.quantity,
+    (sum, item) => sum + (item.subtotal || item.price * item.quantity),
     0,
   );
-  return itemsTotal + (this.shippingAmount || 0) + (this.taxAmount || 0);
+  const total =
+    itemsTotal +
+    (this.shippingAmount || 0) +
+    (this.taxAmount || 0) -
+    (this.discountAmount || 0);
+  return Math.max(0, Math.round(total * 100) / 100);
+};
+
+// Vérifier qu'une transition de statut est autorisée
+orderSchema.methods.canTransition = function (field, to) {
+  const transitions = STATUS_TRANSITIONS[field];
+  return !!transitions && (transitions[this[field]] || []).includes(to);
+};
+
+/**
+ * Changer un statut en respectant la table des transitions
+ * L'entrée d'historique est ajoutée au document (sauvegarde par l'appelant)
+ *
+ * @param {string} field - 'orderStatus' ou 'paymentStatus'
+ * @param {string} to - Statut cible
+ * @param {Object} options - { actor, changedBy, reason }
+ * @throws {Error} INVALID_STATUS_TRANSITION si la transition est interdite
+ */
+orderSchema.methods.transitionStatus = function (
+  field,
+  to,
+  { actor = 'system', changedBy, reason } = {},
+) {
+  const from = this[field];
+
+  if (!this.canTransition(field, to)) {
+    throw new Error(
+      JSON.stringify({ type: 'INVALID_STATUS_TRANSITION', field, from, to }),
+    );
+  }
+
+  this[field] = to;
+  this.statusHistory.push({
+    field,
+    from,
+    to,
+    actor,
+    changedBy,
+    reason,
+    changedAt: new Date(),
+  });
+
+  return this;
 };
 
 // Méthode statique pour trouver les commandes d'un utilisateur
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+/**
+ * Historique des prix d'un produit
+ * Une entrée par modification du prix normal ou de la promotion programmée
+ * d'un produit (variant: null) ou d'une variante à prix propre. Chaque entrée
+ * décrit l'état complet après modification : le prix effectif à une date
+ * passée se déduit de la dernière entrée antérieure (voir priceAt).
+ * Écrit par les hooks de Product, jamais directement.
+ */
+const priceHistorySchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'ID du produit obligatoire'],
+    },
+    // Variante à prix propre (null pour le prix du produit)
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Prix normal (null : la variante suit le prix du produit)
+    price: {
+      type: Number,
+      default: null,
+    },
+    // Promotion programmée (null si aucune)
+    sale: {
+      type: new mongoose.Schema(
+        {
+          price: Number,
+          startsAt: Date,
+          endsAt: Date,
+        },
+        { _id: false },
+      ),
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+// Historique d'un produit, modifications récentes d'abord
+priceHistorySchema.index({ product: 1, createdAt: -1 });
+
+/**
+ * Historique des prix d'un produit
+ * @param {string} productId - ID du produit
+ * @param {Object} options - { since, limit }
+ */
+priceHistorySchema.statics.forProduct = function (
+  productId,
+  { since = null, limit = 100 } = {},
+) {
+  return this.find({
+    product: productId,
+    ...(since && { createdAt: { $gte: since } }),
+  })
+    .select('variant price sale createdAt')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// Assurer que les modèles ne sont pas redéfinis en cas de hot-reload
+const PriceHistory =
+  mongoose.models.PriceHistory ||
+  mongoose.model('PriceHistory', priceHistorySchema);
+
+export default PriceHistory;
@@ -1,9 +1,96 @@
 import mongoose from 'mongoose';
 import slug from 'mongoose-slug-updater';
+import PriceHistory from '@/backend/models/priceHistory';
 
 // Initialiser le plugin de slug
 mongoose.plugin(slug);
 
+// Arrondi des prix à 2 décimales (valeurs vides conservées)
+const roundPrice = (val) =>
+  val === null || val === undefined ? val : Math.round(val * 100) / 100;
+
+/**
+ * Prix promotionnel programmé d'un produit ou d'une variante
+ * Actif de `startsAt` (inclus) à `endsAt` (exclu) ; une date absente ne
+ * borne pas la période. L'activation et l'expiration sont évaluées à la
+ * lecture (priceAt) : aucune tâche planifiée n'est nécessaire.
+ */
+const saleSchema = new mongoose.Schema(
+  {
+    price: {
+      type: Number,
+      required: [true, 'Le prix promotionnel est obligatoire'],
+      min: [0, 'Le prix promotionnel ne peut pas être négatif'],
+      set: roundPrice,
+    },
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    endsAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Variante d'un produit (taille, couleur...)
+ * Stock propre, prix optionnel (sinon celui du produit) et images dédiées.
+ * Le `stock` du produit reste la somme des stocks des variantes actives.
+ */
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'La référence (SKU) de la variante est obligatoire'],
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'Le SKU ne peut pas dépasser 50 caractères'],
+  },
+  // Jeu d'attributs, ex: { size: 'M', color: 'Rouge' }
+  attributes: {
+    type: Map,
+    of: String,
+    required: [true, 'Les attributs de la variante sont obligatoires'],
+  },
+  price: {
+    type: Number,
+    min: [0, 'Le prix ne peut pas être négatif'],
+    set: roundPrice,
+  },
+  // Promotion propre à la variante (seulement si elle a son propre prix)
+  sale: {
+    type: saleSchema,
+    default: null,
+  },
+  stock: {
+    type: Number,
+    required: [true, 'Le stock de la variante est obligatoire'],
+    min: [0, 'Le stock ne peut pas être négatif'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Le stock doit être un nombre entier',
+    },
+  },
+  images: [
+    {
+      public_id: {
+        type: String,
+        required: true,
+      },
+      url: {
+        type: String,
+        required: true,
+      },
+    },
+  ],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
 const productSchema = new mongoose.Schema(
   {
     name: {
@@ -18,6 +105,12 @@ const productSchema = new mongoose.Schema(
       unique: true,
       index: true,
     },
+    // Anciens slugs (renommages) : les anciennes URLs restent résolues
+    slugHistory: {
+      type: [String],
+      default: [],
+      index: true,
+    },
     description: {
       type: String,
       required: [true, 'La description du produit est obligatoire'],
@@ -28,9 +121,14 @@ const productSchema = new mongoose.Schema(
       type: Number,
       required: [true, 'Le prix du produit est obligatoire'],
       min: [0, 'Le prix ne peut pas être négatif'],
-      set: (val) => Math.round(val * 100) / 100, // Arrondir à 2 décimales
+      set: roundPrice, // Arrondir à 2 décimales
       index: true,
     },
+    // Promotion programmée ; `price` reste le prix normal (prix barré)
+    sale: {
+      type: saleSchema,
+      default: null,
+    },
     images: [
       {
         public_id: {
@@ -49,6 +147,11 @@ const productSchema = new mongoose.Schema(
       ref: 'Category',
       index: true,
     },
+    // Copie du nom de catégorie pour l'index de recherche plein texte
+    categoryName: {
+      type: String,
+      trim: true,
+    },
     stock: {
       type: Number,
       required: [true, 'Le stock du produit est obligatoire'],
@@ -62,6 +165,30 @@ const productSchema = new mongoose.Schema(
       type: Number,
       min: 0,
     },
+    // Note moyenne et nombre d'avis, dénormalisés depuis Review
+    rating: {
+      average: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 5,
+      },
+      count: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
+    // Caractéristiques typées, clés définies par Category.attributes
+    specifications: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+    variants: {
+      type: [variantSchema],
+      default: [],
+    },
     isActive: {
       type: Boolean,
       index: true,
@@ -81,16 +208,36 @@ const productSchema = new mongoose.Schema(
   },
 );
 
-// Indexer les champs fréquemment recherchés
-productSchema.index({
-  name: 'text',
-});
+// Index plein texte pondéré (un seul index texte par collection MongoDB)
+// Remplace les anciens index { name: 'text' } et { name: 'text', category,
+// price } : scripts/migrations/001-product-text-search.mjs les supprime et
+// remplit categoryName des produits existants
+productSchema.index(
+  { name: 'text', categoryName: 'text', description: 'text' },
+  {
+    name: 'product_text_search',
+    weights: { name: 10, categoryName: 5, description: 2 },
+    default_language: 'french',
+  },
+);
 
 // Si vous filtrez souvent par catégorie ET prix en même temps
 productSchema.index({ category: 1, price: 1 });
 
-// Si vous filtrez souvent par nom, catégorie ET prix en même temps
-productSchema.index({ name: 'text', category: 1, price: 1 });
+// Tri par note (top_rated)
+productSchema.index({ 'rating.average': -1, 'rating.count': -1 });
+
+// Filtres par caractéristique (spec[clé]=valeur)
+productSchema.index({ 'specifications.$**': 1 });
+
+// SKU unique entre toutes les variantes du catalogue
+productSchema.index(
+  { 'variants.sku': 1 },
+  {
+    unique: true,
+    partialFilterExpression: { 'variants.sku': { $exists: true } },
+  },
+);
 
 // Middleware pre-save pour mettre à jour le champ updatedAt
 productSchema.pre('save', function (next) {
@@ -106,24 +253,395 @@ productSchema.pre('save', function (next) {
   next();
 });
 
+// Stock du produit = somme des variantes actives (listes, facettes)
+productSchema.pre('save', function (next) {
+  if (this.variants?.length > 0 && this.isModified('variants')) {
+    this.stock = this.variants
+      .filter((variant) => variant.isActive !== false)
+      .reduce((sum, variant) => sum + variant.stock, 0);
+  }
+  next();
+});
+
+// Renseigner le nom de catégorie indexé quand la catégorie change
+productSchema.pre('save', async function (next) {
+  // Modèle résolu à l'exécution pour éviter un import circulaire
+  const Category = mongoose.models.Category;
+  if (!Category || (!this.isModified('category') && this.categoryName)) {
+    return next();
+  }
+
+  try {
+    const category = await Category.findById(this.category)
+      .select('categoryName')
+      .session(this.$session())
+      .lean();
+
+    this.categoryName = category?.categoryName;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Contrôler les caractéristiques selon les attributs de la catégorie
+productSchema.pre('save', async function (next) {
+  const Category = mongoose.models.Category;
+  if (
+    !Category ||
+    !this.specifications?.size ||
+    (!this.isModified('specifications') && !this.isModified('category'))
+  ) {
+    return next();
+  }
+
+  try {
+    const category = await Category.findById(this.category)
+      .select('attributes')
+      .session(this.$session())
+      .lean();
+
+    const definitions = new Map(
+      (category?.attributes || []).map((attribute) => [
+        attribute.key,
+        attribute,
+      ]),
+    );
+
+    for (const [key, value] of this.specifications) {
+      const definition = definitions.get(key);
+      if (!definition) {
+        return next(new Error(`Attribut inconnu pour cette catégorie: ${key}`));
+      }
+
+      const normalized = normalizeSpecification(definition, value);
+      if (normalized === undefined) {
+        return next(
+          new Error(`Valeur invalide pour l'attribut ${definition.label}`),
+        );
+      }
+      this.specifications.set(key, normalized);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Contrôler les promotions : inférieures au prix normal, période cohérente
+productSchema.pre('validate', function (next) {
+  const targets = [
+    { path: 'sale', target: this, regularPrice: this.price },
+    ...(this.variants || []).map((variant, index) => ({
+      path: `variants.${index}.sale`,
+      target: variant,
+      regularPrice: variant.price,
+    })),
+  ];
+
+  for (const { path, target, regularPrice } of targets) {
+    const sale = target.sale;
+    if (!sale) continue;
+
+    if (typeof regularPrice !== 'number') {
+      this.invalidate(
+        path,
+        'Une variante sans prix propre suit la promotion du produit',
+      );
+    } else if (sale.price >= regularPrice) {
+      this.invalidate(
+        `${path}.price`,
+        'Le prix promotionnel doit être inférieur au prix normal',
+      );
+    }
+
+    if (sale.startsAt && sale.endsAt && sale.endsAt <= sale.startsAt) {
+      this.invalidate(
+        `${path}.endsAt`,
+        'La fin de la promotion doit suivre son début',
+      );
+    }
+  }
+
+  next();
+});
+
+// Slug chargé, pour détecter un renommage à l'enregistrement
+productSchema.post('init', function (doc) {
+  doc.$locals.loadedSlug = doc.slug;
+  doc.$locals.loadedPricing = pricingSnapshots(doc);
+});
+
+// Changements de prix normal ou de promotion, journalisés après le save
+productSchema.pre('save', function (next) {
+  const loaded = this.$locals.loadedPricing || new Map();
+  const current = pricingSnapshots(this);
+
+  // Une variante qui perd son prix propre repasse au prix du produit
+  const removed = [...loaded.keys()]
+    .filter((key) => !current.has(key))
+    .map((key) => [key, JSON.stringify({ price: null, sale: null })]);
+
+  this.$locals.priceChanges = [...current, ...removed]
+    .filter(([key, snapshot]) => loaded.get(key) !== snapshot)
+    .map(([key, snapshot]) => ({
+      product: this._id,
+      variant: key || null,
+      ...JSON.parse(snapshot),
+    }));
+  this.$locals.savedPricing = current;
+  next();
+});
+
+productSchema.post('save', async function (doc) {
+  const changes = doc.$locals.priceChanges || [];
+  doc.$locals.loadedPricing = doc.$locals.savedPricing;
+  doc.$locals.priceChanges = [];
+  if (changes.length === 0) return;
+
+  await PriceHistory.insertMany(changes, { session: doc.$session() });
+});
+
+// Mémoriser la création : isNew est déjà faux dans le post('save')
+productSchema.pre('save', function (next) {
+  this.$locals.isNewProduct = this.isNew;
+  next();
+});
+
+// Le slug est régénéré par mongoose-slug-updater pendant le save :
+// l'historique est mis à jour une fois le document enregistré
+productSchema.post('save', async function (doc) {
+  const previousSlug = doc.$locals.loadedSlug;
+  const renamed = previousSlug && previousSlug !== doc.slug;
+  doc.$locals.loadedSlug = doc.slug;
+
+  if (!renamed && !doc.$locals.isNewProduct) return;
+
+  const session = doc.$session();
+
+  if (renamed) {
+    await doc.constructor
+      .updateOne({ _id: doc._id }, { $addToSet: { slugHistory: previousSlug } })
+      .session(session);
+  }
+
+  // Un slug courant n'appartient plus à l'historique d'un autre produit
+  await doc.constructor
+    .updateMany(
+      { _id: { $ne: doc._id }, slugHistory: doc.slug },
+      { $pull: { slugHistory: doc.slug } },
+    )
+    .session(session);
+});
+
+/**
+ * Filtre de recherche d'un produit par ID, slug courant ou ancien slug
+ * @param {string} identifier - ObjectId ou slug
+ * @returns {Object|null} Filtre MongoDB, null si l'identifiant est invalide
+ */
+productSchema.statics.identifierFilter = function (identifier) {
+  if (typeof identifier !== 'string') return null;
+
+  if (/^[0-9a-fA-F]{24}$/.test(identifier)) {
+    return { _id: identifier };
+  }
+
+  if (
+    /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(identifier) &&
+    identifier.length <= 150
+  ) {
+    return { $or: [{ slug: identifier }, { slugHistory: identifier }] };
+  }
+
+  return null;
+};
+
 // Méthode pour vérifier si un produit est en stock
 productSchema.methods.isInStock = function () {
   return this.stock > 0;
 };
 
-//Methode pour recuperer les produits similaires
-// Méthode statique pour trouver des produits similaires
+/**
+ * Produits similaires : même catégorie, actifs et en stock
+ * Repli des recommandations quand l'historique de commandes est maigre
+ *
+ * @param {string|Array} categoryId - ID de catégorie, ou liste d'IDs
+ * @param {number} limit - Nombre maximum de produits
+ * @param {Object} options - { exclude } IDs de produits à écarter
+ */
 productSchema.statics.findSimilarProductsLite = function (
   categoryId,
   limit = 5,
+  { exclude = [] } = {},
 ) {
-  return this.find({ category: categoryId })
-    .select('name price images')
+  return this.find({
+    category: Array.isArray(categoryId) ? { $in: categoryId } : categoryId,
+    _id: { $nin: exclude },
+    isActive: true,
+    stock: { $gt: 0 },
+  })
+    .select('name price sale images slug stock')
     .slice('images', 1)
     .limit(limit)
     .lean();
 };
 
+/**
+ * Convertit une valeur de caractéristique selon le type de son attribut
+ * @param {Object} definition - Attribut de Category.attributes
+ * @returns {*} Valeur normalisée, undefined si elle est invalide
+ */
+export const normalizeSpecification = (definition, value) => {
+  if (value === null || value === undefined || value === '') return undefined;
+
+  switch (definition.type) {
+    case 'number': {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : undefined;
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      return undefined;
+    case 'select':
+      return definition.options?.includes(String(value))
+        ? String(value)
+        : undefined;
+    default: {
+      const text = String(value).trim();
+      return text && text.length <= 200 ? text : undefined;
+    }
+  }
+};
+
+/**
+ * Variante active d'un produit (document ou objet lean)
+ * @returns {Object|null} null si l'ID ne correspond à aucune variante active
+ */
+export const findVariant = (product, variantId) => {
+  if (!variantId || !product?.variants?.length) return null;
+  return (
+    product.variants.find(
+      (variant) =>
+        String(variant._id) === String(variantId) && variant.isActive !== false,
+    ) || null
+  );
+};
+
+// Un produit à variantes ne se vend que via l'une d'elles
+export const hasVariants = (product) => product?.variants?.length > 0;
+
+// Promotion de la cible en cours à la date `at` (null sinon)
+export const activeSale = (target, at = new Date()) => {
+  const sale = target?.sale;
+  if (typeof sale?.price !== 'number') return null;
+  if (sale.startsAt && new Date(sale.startsAt) > at) return null;
+  if (sale.endsAt && new Date(sale.endsAt) <= at) return null;
+  return sale;
+};
+
+/**
+ * Prix d'un produit (ou d'une variante) à une date donnée
+ * Une variante sans prix propre suit le prix et la promotion du produit.
+ * @returns {Object} { price, compareAtPrice, saleEndsAt } : prix effectif,
+ * prix normal barré (null hors promotion) et fin de la promotion
+ */
+export const priceAt = (product, variant = null, at = new Date()) => {
+  const source = typeof variant?.price === 'number' ? variant : product;
+  const sale = activeSale(source, at);
+
+  if (!sale || sale.price >= source.price) {
+    return { price: source.price, compareAtPrice: null, saleEndsAt: null };
+  }
+
+  return {
+    price: sale.price,
+    compareAtPrice: source.price,
+    saleEndsAt: sale.endsAt || null,
+  };
+};
+
+/**
+ * Expression d'agrégation du prix effectif d'un produit à la date `at`
+ * Même règle que priceAt : la promotion compte si elle est en cours et
+ * inférieure au prix normal. Sert au tri, au filtre et aux tranches de prix
+ * de la liste des produits.
+ */
+export const effectivePriceExpression = (at = new Date()) => ({
+  $cond: [
+    {
+      $and: [
+        { $isNumber: '$sale.price' },
+        { $lt: ['$sale.price', '$price'] },
+        {
+          $or: [
+            { $not: [{ $ifNull: ['$sale.startsAt', false] }] },
+            { $lte: ['$sale.startsAt', at] },
+          ],
+        },
+        {
+          $or: [
+            { $not: [{ $ifNull: ['$sale.endsAt', false] }] },
+            { $gt: ['$sale.endsAt', at] },
+          ],
+        },
+      ],
+    },
+    '$sale.price',
+    '$price',
+  ],
+});
+
+// Prix de vente effectif : variante, sinon produit, promotion en cours incluse
+export const variantPrice = (product, variant, at = new Date()) =>
+  priceAt(product, variant, at).price;
+
+/**
+ * Produit prêt pour l'API : `price` devient le prix effectif, accompagné du
+ * prix barré ; la programmation de la promotion n'est pas exposée
+ * @param {Object} product - Document ou objet lean
+ */
+export const withEffectivePrice = (product, at = new Date()) => {
+  const { sale, ...fields } =
+    typeof product.toObject === 'function' ? product.toObject() : product;
+  return { ...fields, ...priceAt({ ...fields, sale }, null, at) };
+};
+
+// Prix normal et promotion de chaque cible (clé '' : le produit), sérialisés
+// pour comparaison ; une variante sans prix ni promotion propres est ignorée
+const pricingSnapshots = (doc) => {
+  const snapshot = (target) =>
+    JSON.stringify({
+      price: target.price ?? null,
+      sale: target.sale
+        ? {
+            price: target.sale.price,
+            startsAt: target.sale.startsAt || null,
+            endsAt: target.sale.endsAt || null,
+          }
+        : null,
+    });
+
+  const snapshots = new Map([['', snapshot(doc)]]);
+  for (const variant of doc.variants || []) {
+    if (typeof variant.price === 'number' || variant.sale) {
+      snapshots.set(variant._id.toString(), snapshot(variant));
+    }
+  }
+  return snapshots;
+};
+
+// Libellé lisible des attributs d'une variante, ex: "M / Rouge"
+export const variantLabel = (variant) => {
+  if (!variant?.attributes) return '';
+  const values =
+    variant.attributes instanceof Map
+      ? [...variant.attributes.values()]
+      : Object.values(variant.attributes);
+  return values.filter(Boolean).join(' / ');
+};
+
 // Assurer que les modèles ne sont pas redéfinis en cas de hot-reload
 const Product =
   mongoose.models.Product || mongoose.model('Product', productSchema);
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+/**
+ * Produits fréquemment achetés avec un produit
+ * Précalcul des co-occurrences dans les `orderItems` des commandes (voir
+ * backend/utils/recommendations.js) : un document par produit, recalculé
+ * à chaque commande créée ou annulée qui le contient.
+ */
+const productRecommendationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'ID du produit obligatoire'],
+    unique: true,
+  },
+  // Produits achetés dans les mêmes commandes, score décroissant
+  items: {
+    type: [
+      new mongoose.Schema(
+        {
+          product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: true,
+          },
+          // Nombre de commandes contenant les deux produits
+          score: {
+            type: Number,
+            required: true,
+            min: 1,
+          },
+        },
+        { _id: false },
+      ),
+    ],
+    default: [],
+  },
+  // Nombre de commandes analysées contenant le produit
+  orderCount: {
+    type: Number,
+    default: 0,
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Assurer que les modèles ne sont pas redéfinis en cas de hot-reload
+const ProductRecommendation =
+  mongoose.models.ProductRecommendation ||
+  mongoose.model('ProductRecommendation', productRecommendationSchema);
+
+export default ProductRecommendation;
@@ -0,0 +1,144 @@
+import mongoose from 'mongoose';
+import Order from '@/backend/models/order';
+import Product from '@/backend/models/product';
+
+/**
+ * Avis client sur un produit
+ * Un seul avis par utilisateur et par produit. La note moyenne et le nombre
+ * d'avis sont recopiés sur le produit (Product.rating) à chaque écriture.
+ */
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'ID du produit obligatoire'],
+      ref: 'Product',
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Utilisateur obligatoire'],
+      ref: 'User',
+      index: true,
+    },
+    rating: {
+      type: Number,
+      required: [true, 'La note est obligatoire'],
+      min: [1, 'La note minimum est 1'],
+      max: [5, 'La note maximum est 5'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'La note doit être un nombre entier',
+      },
+    },
+    title: {
+      type: String,
+      required: [true, "Le titre de l'avis est obligatoire"],
+      trim: true,
+      maxlength: [100, 'Le titre ne peut pas dépasser 100 caractères'],
+    },
+    body: {
+      type: String,
+      required: [true, "Le texte de l'avis est obligatoire"],
+      trim: true,
+      maxlength: [500, "L'avis ne peut pas dépasser 500 caractères"],
+    },
+    // Achat vérifié : commande payée ou livrée contenant le produit
+    verifiedPurchase: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Un avis par utilisateur et par produit
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+
+// Liste paginée des avis d'un produit, plus récents d'abord
+reviewSchema.index({ product: 1, createdAt: -1 });
+
+/**
+ * Indique si l'utilisateur a acheté le produit (commande payée ou livrée,
+ * hors remboursement)
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} productId - ID du produit
+ * @returns {Promise<boolean>}
+ */
+reviewSchema.statics.hasPurchased = async function (userId, productId) {
+  const order = await Order.exists({
+    user: userId,
+    'orderItems.product': productId,
+    paymentStatus: { $ne: 'refunded' },
+    $or: [{ paymentStatus: 'paid' }, { orderStatus: 'Delivered' }],
+  });
+
+  return Boolean(order);
+};
+
+/**
+ * Statistiques des avis d'un produit : moyenne, nombre et répartition
+ * @param {string} productId - ID du produit
+ * @returns {Promise<Object>} { average, count, distribution: { 1..5 } }
+ */
+reviewSchema.statics.summarize = async function (productId) {
+  const groups = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)) } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } },
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let total = 0;
+
+  groups.forEach((group) => {
+    distribution[group._id] = group.count;
+    count += group.count;
+    total += group._id * group.count;
+  });
+
+  return {
+    average: count > 0 ? Math.round((total / count) * 10) / 10 : 0,
+    count,
+    distribution,
+  };
+};
+
+/**
+ * Recalcule la note dénormalisée du produit
+ * @param {string} productId - ID du produit
+ * @returns {Promise<Object>} Statistiques recalculées
+ */
+reviewSchema.statics.syncProductRating = async function (productId) {
+  const summary = await this.summarize(productId);
+
+  await Product.updateOne(
+    { _id: productId },
+    {
+      $set: {
+        'rating.average': summary.average,
+        'rating.count': summary.count,
+      },
+    },
+  );
+
+  return summary;
+};
+
+// Garder Product.rating à jour après création ou modification d'un avis
+reviewSchema.post('save', async function (doc) {
+  await doc.constructor.syncProductRating(doc.product);
+});
+
+// ... et après suppression
+reviewSchema.post('findOneAndDelete', async function (doc) {
+  if (doc) {
+    await doc.constructor.syncProductRating(doc.product);
+  }
+});
+
+// Assurer que les modèles ne sont pas redéfinis en cas de hot-reload
+const Review = mongoose.models.Review || mongoose.model('Review', reviewSchema);
+
+export default Review;
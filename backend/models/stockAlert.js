@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// Nombre maximal d'alertes actives par utilisateur
+export const MAX_ACTIVE_STOCK_ALERTS = 50;
+
+/**
+ * Demande d'alerte de retour en stock ("m'avertir")
+ * Une alerte active est envoyée une seule fois, au passage du stock du
+ * produit de 0 à une valeur positive : elle passe alors en `notified` et
+ * reste affichée comme notification dans le compte jusqu'à sa lecture.
+ */
+const stockAlertSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Utilisateur obligatoire'],
+      index: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'ID du produit obligatoire'],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['active', 'notified'],
+        message: "Statut d'alerte invalide: {VALUE}",
+      },
+      default: 'active',
+    },
+    notifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // Notification lue (ou masquée) dans le compte
+    seenAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Une seule alerte en attente par utilisateur et produit ; les alertes
+// envoyées sont conservées pour la notification dans le compte
+stockAlertSchema.index(
+  { user: 1, product: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } },
+);
+
+// Alertes en attente d'un produit (déclenchement du retour en stock)
+stockAlertSchema.index({ product: 1, status: 1 });
+
+// Assurer que les modèles ne sont pas redéfinis en cas de hot-reload
+const StockAlert =
+  mongoose.models.StockAlert || mongoose.model('StockAlert', stockAlertSchema);
+
+export default StockAlert;
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+/**
+ * Réservation de stock pendant le tunnel de commande
+ * Créée à l'entrée du checkout à partir du panier, elle retire les quantités
+ * du stock disponible jusqu'à `expiresAt`. Elle est ensuite convertie par la
+ * création de la commande, ou libérée (abandon, expiration).
+ */
+const reservationItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'ID du produit obligatoire'],
+      ref: 'Product',
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'Quantité obligatoire'],
+      min: [1, 'La quantité minimum est 1'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'La quantité doit être un nombre entier',
+      },
+    },
+  },
+  { _id: false },
+);
+
+const stockReservationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Utilisateur obligatoire'],
+    ref: 'User',
+    index: true,
+  },
+  items: [reservationItemSchema],
+  status: {
+    type: String,
+    enum: {
+      values: ['active', 'converted', 'released', 'expired'],
+      message: 'Statut de réservation non valide: {VALUE}',
+    },
+    default: 'active',
+    index: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, "Date d'expiration obligatoire"],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+  closedAt: {
+    type: Date,
+  },
+});
+
+// Recherche de la réservation active d'un utilisateur
+stockReservationSchema.index({ user: 1, status: 1, expiresAt: -1 });
+
+// Balayage des réservations expirées
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+// Méthode statique pour trouver la réservation active (non expirée) d'un utilisateur
+stockReservationSchema.statics.findActiveByUser = function (
+  userId,
+  session = null,
+) {
+  return this.findOne({
+    user: userId,
+    status: 'active',
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ expiresAt: -1 })
+    .session(session);
+};
+
+// Gestion optimisée du modèle avec vérification pour éviter les redéfinitions
+const StockReservation =
+  mongoose.models.StockReservation ||
+  mongoose.model('StockReservation', stockReservationSchema);
+
+export default StockReservation;
@@ -3,6 +3,9 @@ import bcrypt from 'bcryptjs';
 import { captureException } from '@/monitoring/sentry';
 import logger from '@/utils/logger';
 
+// Nombre de produits conservés dans l'historique de consultation
+export const MAX_RECENTLY_VIEWED = 20;
+
 /**
  * Schéma utilisateur avancé avec validation, indexation et méthodes d'instance
  */
@@ -128,6 +131,28 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Produits consultés récemment, plus récents d'abord (un par produit)
+    // Non chargé par défaut : lu et écrit par /api/me/recently-viewed
+    recentlyViewed: {
+      type: [
+        new mongoose.Schema(
+          {
+            product: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: 'Product',
+              required: true,
+            },
+            viewedAt: {
+              type: Date,
+              required: true,
+            },
+          },
+          { _id: false },
+        ),
+      ],
+      default: [],
+      select: false,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
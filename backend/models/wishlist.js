@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Taille maximale de la liste d'envies d'un utilisateur
+export const MAX_WISHLIST_ITEMS = 100;
+
+/**
+ * Produit mis de côté par un utilisateur (liste d'envies)
+ * Comme une ligne de panier, une entrée vise un produit et une variante :
+ * plusieurs variantes d'un même produit peuvent être mises de côté.
+ * Contrairement au panier, une entrée n'expire pas et ne réserve ni prix ni
+ * stock : ils sont relus sur le produit à l'affichage et au passage au panier.
+ */
+const wishlistSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Utilisateur obligatoire'],
+      index: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'ID du produit obligatoire'],
+      index: true,
+    },
+    // Variante choisie sur la fiche produit (null si aucune)
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Une entrée par utilisateur, produit et variante, comme le panier
+// Remplace l'index unique { user, product } de la première version de la
+// liste d'envies, supprimé par scripts/migrations/002-variant-unique-indexes.mjs
+wishlistSchema.index({ user: 1, product: 1, variant: 1 }, { unique: true });
+
+// Liste d'un utilisateur, ajouts récents d'abord
+wishlistSchema.index({ user: 1, createdAt: -1 });
+
+// Assurer que les modèles ne sont pas redéfinis en cas de hot-reload
+const Wishlist =
+  mongoose.models.Wishlist || mongoose.model('Wishlist', wishlistSchema);
+
+export default Wishlist;
@@ -1,23 +1,141 @@
 import mongoose from 'mongoose';
+import { effectivePriceExpression } from '@/backend/models/product';
+import { SPEC_PARAM_PATTERN } from '@/helpers/validation/schemas/product';
+
+// En dessous de cette longueur, $text (mots entiers, mots vides) ne trouve
+// rien d'utile : la recherche se fait par préfixe sur le nom
+const MIN_TEXT_SEARCH_LENGTH = 3;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Prépare la saisie pour $text : guillemets typographiques convertis,
+// guillemet non fermé retiré, tirets isolés supprimés
+const normalizeTextSearch = (keyword) => {
+  let search = keyword.replace(/[“”«»]/g, '"');
+
+  if ((search.match(/"/g) || []).length % 2 !== 0) {
+    search = search.replace(/"([^"]*)$/, '$1');
+  }
+
+  return search.replace(/(^|\s)-+(?=\s|$)/g, '$1').trim();
+};
+
+// Valeurs acceptées pour un filtre de caractéristique : la chaîne telle
+// quelle, et sa forme nombre ou booléen (le type dépend de la catégorie)
+const specificationValues = (param) =>
+  param
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .flatMap((value) => {
+      const values = [value];
+      if (Number.isFinite(Number(value))) {
+        values.push(Number(value));
+      }
+      if (value === 'true' || value === 'false') values.push(value === 'true');
+      return values;
+    });
+
+// Termes recherchés hors négations et guillemets
+const positiveTerms = (search) =>
+  search
+    .replace(/(^|\s)-"[^"]*"/g, ' ')
+    .replace(/(^|\s)-\S+/g, ' ')
+    .replace(/"/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
 
 class APIFilters {
-  constructor(query, queryStr) {
+  /**
+   * @param {Query} query - Requête Mongoose de base
+   * @param {URLSearchParams} queryStr - Paramètres validés
+   * @param {Object} options - { categoryIds, pricedAt } : catégorie filtrée
+   *   et ses descendantes (Category.descendantIds), date du prix effectif
+   *   pour le filtre et le tri par prix
+   */
+  constructor(
+    query,
+    queryStr,
+    { categoryIds = null, pricedAt = new Date() } = {},
+  ) {
     this.query = query;
     this.queryStr = queryStr;
+    this.categoryIds = categoryIds;
+    this.pricedAt = pricedAt;
     this.baseQuery = query.clone(); // Sauvegarder la requête de base
+    this.searchMode = null;
+    this.sortBy = null;
+    this.priceSort = null;
+    this.page = null;
+    this.conditions = {};
   }
 
+  /**
+   * Recherche par mot-clé
+   * - 'text' : index plein texte pondéré (nom, catégorie, description),
+   *   tri par pertinence, "expressions exactes" et -exclusions supportées
+   * - 'prefix' : requêtes très courtes, début de mot du nom
+   */
   search() {
-    const keyword = this.queryStr.get('keyword')
-      ? {
-          name: {
-            $regex: this.queryStr.get('keyword'),
-            $options: 'i',
-          },
-        }
-      : {};
+    const keyword = this.queryStr.get('keyword');
+    if (!keyword) return this;
+
+    const search = normalizeTextSearch(keyword);
+    const terms = positiveTerms(search);
+
+    if (terms.length > 0 && terms.length < MIN_TEXT_SEARCH_LENGTH) {
+      this.searchMode = 'prefix';
+      this.conditions.search = {
+        name: { $regex: `(^|\\s)${escapeRegex(terms)}`, $options: 'i' },
+      };
+      this.query = this.query.find(this.conditions.search);
+      return this;
+    }
+
+    this.searchMode = 'text';
+    this.conditions.search = { $text: { $search: search } };
+    this.query = this.query
+      .find(this.conditions.search)
+      .select({ score: { $meta: 'textScore' } });
+    return this;
+  }
+
+  /**
+   * Tri des résultats (à appeler après search())
+   * Par défaut : pertinence avec un mot-clé, sinon les plus récents.
+   * En mode préfixe, la pertinence se rabat sur les meilleures ventes.
+   * Le tri par prix porte sur le prix effectif : il est appliqué par
+   * agrégation dans execute().
+   */
+  sort() {
+    const requested = this.queryStr.get('sort');
+    this.sortBy = requested || (this.searchMode ? 'relevance' : 'newest');
+
+    const priceSorts = {
+      price_asc: { effectivePrice: 1, _id: 1 },
+      price_desc: { effectivePrice: -1, _id: 1 },
+    };
+    if (priceSorts[this.sortBy]) {
+      this.priceSort = priceSorts[this.sortBy];
+      return this;
+    }
+
+    const sortStages = {
+      newest: { createdAt: -1, _id: 1 },
+      best_selling: { sold: -1, createdAt: -1, _id: 1 },
+      top_rated: {
+        'rating.average': -1,
+        'rating.count': -1,
+        createdAt: -1,
+        _id: 1,
+      },
+      relevance:
+        this.searchMode === 'text'
+          ? { score: { $meta: 'textScore' }, createdAt: -1 }
+          : { sold: -1, createdAt: -1, _id: 1 },
+    };
 
-    this.query = this.query.find({ ...keyword });
+    this.query = this.query.sort(sortStages[this.sortBy] || sortStages.newest);
     return this;
   }
 
@@ -41,16 +159,16 @@ class APIFilters {
       };
     }
 
-    if (this.queryStr.get('price[gt]')) {
+    if (this.queryStr.get('price[gte]')) {
       queryCopy = {
-        'price[gt]': this.queryStr.get('price[gt]'),
+        'price[gte]': Number(this.queryStr.get('price[gte]')),
         ...queryCopy,
       };
     }
 
-    if (this.queryStr.get('price[lt]')) {
+    if (this.queryStr.get('price[lte]')) {
       queryCopy = {
-        'price[lt]': this.queryStr.get('price[lt]'),
+        'price[lte]': Number(this.queryStr.get('price[lte]')),
         ...queryCopy,
       };
     }
@@ -66,7 +184,10 @@ class APIFilters {
         if (key === 'category') {
           const categoryId = new mongoose.Types.ObjectId(queryCopy[key]);
 
-          output[key] = categoryId;
+          // Avec ses sous-catégories quand elles sont fournies
+          output[key] = this.categoryIds?.length
+            ? { $in: this.categoryIds }
+            : categoryId;
         } else {
           output[key] = queryCopy[key];
         }
@@ -84,21 +205,110 @@ class APIFilters {
     }
     // { price: { $gte: 100, $lte: 1000 } }
 
+    // Prix : prix effectif (promotion en cours incluse). Une promotion ne
+    // fait que baisser le prix : le minimum borne aussi le prix normal, ce
+    // qui laisse l'index sur `price` pré-filtrer
+    if (output.price) {
+      const { $gte, $lte } = output.price;
+      const effectivePrice = effectivePriceExpression(this.pricedAt);
+      const bounds = [];
+      if ($gte !== undefined) bounds.push({ $gte: [effectivePrice, $gte] });
+      if ($lte !== undefined) bounds.push({ $lte: [effectivePrice, $lte] });
+
+      delete output.price;
+      this.conditions.price = {
+        ...($gte !== undefined && { price: { $gte } }),
+        $expr: { $and: bounds },
+      };
+      Object.assign(output, this.conditions.price);
+    }
+
+    // Disponibilité : en stock ou en rupture
+    const availability = this.queryStr.get('availability');
+    if (availability === 'in_stock') {
+      output.stock = { $gt: 0 };
+    } else if (availability === 'out_of_stock') {
+      output.stock = { $lte: 0 };
+    }
+
+    // Conditions conservées par filtre pour le calcul des facettes
+    ['category', 'stock'].forEach((field) => {
+      if (output[field] !== undefined) {
+        this.conditions[field] = { [field]: output[field] };
+      }
+    });
+
+    // Caractéristiques : l'une des valeurs demandées pour chaque attribut
+    const specifications = {};
+    for (const [param, value] of this.queryStr.entries()) {
+      const key = param.match(SPEC_PARAM_PATTERN)?.[1];
+      if (key && value) {
+        specifications[`specifications.${key}`] = {
+          $in: specificationValues(value),
+        };
+      }
+    }
+
+    if (Object.keys(specifications).length > 0) {
+      Object.assign(output, specifications);
+      this.conditions.specifications = specifications;
+    }
+
     this.query = this.query.find(output);
     return this;
   }
 
+  // Conditions appliquées par search() et filter(), indexées par filtre
+  getConditions() {
+    return this.conditions;
+  }
+
   pagination(resPerPage) {
     const currentPage = Number(this.queryStr.get('page')) || 1;
     const skip = resPerPage * (currentPage - 1);
 
+    this.page = { skip, limit: resPerPage };
     this.query = this.query.limit(resPerPage).skip(skip);
     return this;
   }
 
   // Ajouter cette méthode pour finaliser et exécuter la requête
   async execute() {
-    return this.query.lean().exec();
+    if (!this.priceSort) {
+      return this.query.lean().exec();
+    }
+
+    // Tri par prix effectif : l'agrégation ordonne et pagine les IDs, la
+    // requête (populate, select) charge ensuite la page dans cet ordre
+    const Model = this.query.model;
+    const page = await Model.aggregate([
+      { $match: this.query.cast(Model) },
+      {
+        $addFields: {
+          effectivePrice: effectivePriceExpression(this.pricedAt),
+        },
+      },
+      { $sort: this.priceSort },
+      ...(this.page
+        ? [{ $skip: this.page.skip }, { $limit: this.page.limit }]
+        : []),
+      { $project: { _id: 1 } },
+    ]);
+
+    const ids = page.map((doc) => doc._id.toString());
+    if (ids.length === 0) return [];
+
+    const results = await this.query
+      .clone()
+      .find({ _id: { $in: ids } })
+      .skip(0)
+      .limit(ids.length)
+      .lean()
+      .exec();
+
+    return results.sort(
+      (a, b) => ids.indexOf(a._id.toString()) - ids.indexOf(b._id.toString()),
+    );
   }
 }
 
@@ -0,0 +1,166 @@
+import Cart from '@/backend/models/cart';
+import Product, {
+  findVariant,
+  hasVariants,
+  priceAt,
+  variantLabel,
+  variantPrice,
+} from '@/backend/models/product';
+
+// Champs du produit populés sur les lignes de panier
+export const CART_PRODUCT_FIELDS =
+  'name slug price sale stock images isActive variants';
+
+// Variante active d'une ligne de panier (null si aucune ou introuvable)
+export const cartItemVariant = (item) =>
+  item.variant ? findVariant(item.product, item.variant) : null;
+
+/**
+ * Une ligne reste vendable si son produit est actif et, pour un produit à
+ * variantes, si la variante choisie existe encore et est active
+ */
+export const isCartItemAvailable = (item) => {
+  if (!item.product || item.product.isActive === false) return false;
+  if (!hasVariants(item.product)) return !item.variant;
+  return cartItemVariant(item) !== null;
+};
+
+// Stock de la ligne : celui de la variante, sinon celui du produit
+export const cartItemStock = (item) => {
+  const variant = cartItemVariant(item);
+  return variant ? variant.stock : item.product.stock;
+};
+
+/**
+ * Formate une ligne de panier (produit populé) pour les réponses de l'API
+ * @param {Object} item - Ligne de panier lean avec `product` populé
+ * @param {Object} options - { stock, quantity } ajustés par l'appelant
+ */
+export const formatCartItem = (
+  item,
+  { stock = cartItemStock(item), quantity = item.quantity } = {},
+) => {
+  const variant = cartItemVariant(item);
+  const { price, compareAtPrice } = priceAt(item.product, variant);
+
+  return {
+    id: item._id,
+    productId: item.product._id,
+    productSlug: item.product.slug || null,
+    variantId: variant?._id || null,
+    variantLabel: variantLabel(variant),
+    sku: variant?.sku || null,
+    productName: item.product.name,
+    price,
+    compareAtPrice,
+    quantity,
+    stock,
+    subtotal: quantity * price,
+    imageUrl: variant?.images?.[0]?.url || item.product.images?.[0]?.url || '',
+  };
+};
+
+// Refus d'ajout au panier, traduit tel quel en réponse HTTP par les routes
+const cartError = (status, code, message, data) => ({
+  error: { status, code, message, ...(data && { data }) },
+});
+
+/**
+ * Ajoute un produit (ou une variante) au panier d'un utilisateur
+ * Point d'entrée unique des ajouts : POST /api/cart et le déplacement depuis
+ * la liste d'envies appliquent ainsi les mêmes contrôles de stock
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Object} input - { productId, variantId, quantity }
+ * @returns {Promise<Object>} { item, variant, isNewItem } ou { error }
+ */
+export const addProductToCart = async (
+  userId,
+  { productId, variantId = null, quantity = 1 },
+) => {
+  // Validation basique
+  if (!productId || !/^[0-9a-fA-F]{24}$/.test(String(productId))) {
+    return cartError(400, 'INVALID_PRODUCT_ID', 'Invalid product ID');
+  }
+
+  if (variantId !== null && !/^[0-9a-fA-F]{24}$/.test(String(variantId))) {
+    return cartError(400, 'INVALID_VARIANT_ID', 'Invalid variant ID');
+  }
+
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > 99) {
+    return cartError(
+      400,
+      'INVALID_QUANTITY',
+      'Invalid quantity. Must be between 1 and 99',
+      { min: 1, max: 99, provided: quantity },
+    );
+  }
+
+  // Vérifier le produit
+  const product = await Product.findById(productId)
+    .select('name price stock isActive variants')
+    .lean();
+
+  if (!product) {
+    return cartError(404, 'PRODUCT_NOT_FOUND', 'Product not found');
+  }
+
+  if (!product.isActive) {
+    return cartError(400, 'PRODUCT_INACTIVE', 'Product is not available');
+  }
+
+  // Un produit à variantes s'ajoute via une variante active
+  const variant = findVariant(product, variantId);
+  if (hasVariants(product) ? !variant : variantId) {
+    return cartError(
+      400,
+      'INVALID_VARIANT',
+      hasVariants(product)
+        ? 'Please select a valid variant'
+        : 'Product has no variants',
+    );
+  }
+
+  const stock = variant ? variant.stock : product.stock;
+
+  if (stock === 0) {
+    return cartError(400, 'OUT_OF_STOCK', 'Product is out of stock');
+  }
+
+  if (quantity > stock) {
+    return cartError(
+      400,
+      'INSUFFICIENT_STOCK',
+      `Only ${stock} units available`,
+      { available: stock, requested: quantity },
+    );
+  }
+
+  // Vérifier si le produit (et la variante) est déjà dans le panier
+  const existingCartItem = await Cart.findOne({
+    user: userId,
+    product: product._id,
+    variant: variant?._id || null,
+  });
+
+  if (existingCartItem) {
+    // Mettre à jour la quantité
+    existingCartItem.quantity = Math.min(
+      existingCartItem.quantity + quantity,
+      stock,
+    );
+    await existingCartItem.save();
+    return { item: existingCartItem, variant, isNewItem: false };
+  }
+
+  // Créer un nouvel item
+  const item = await Cart.create({
+    user: userId,
+    product: product._id,
+    variant: variant?._id || null,
+    quantity: Math.min(quantity, stock),
+    price: variantPrice(product, variant),
+    productName: product.name,
+  });
+
+  return { item, variant, isNewItem: true };
+};
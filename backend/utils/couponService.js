@@ -0,0 +1,276 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import Coupon from '@/backend/models/coupon';
+import CouponUsage from '@/backend/models/couponUsage';
+import Category from '@/backend/models/category';
+import Product from '@/backend/models/product';
+
+/**
+ * Service de coupons
+ * - evaluateCoupon : vérifie un code et calcule la réduction d'un devis
+ * - consumeCoupon : consomme une utilisation (globale et par client),
+ *   atomiquement et dans la transaction de la commande
+ * - releaseCouponUsage : rend les utilisations d'une commande annulée
+ * - signCouponRecheck / isValidCouponRecheck : jeton de revérification d'un
+ *   code déjà accepté pour un client
+ *
+ * Les refus sont levés en Error(JSON) de type COUPON_ERROR, avec un `code`
+ * décrit par COUPON_ERROR_MESSAGES.
+ */
+
+export const COUPON_ERROR_MESSAGES = {
+  COUPON_NOT_FOUND: 'Coupon not found',
+  COUPON_INACTIVE: 'Coupon is no longer active',
+  COUPON_NOT_STARTED: 'Coupon is not valid yet',
+  COUPON_EXPIRED: 'Coupon has expired',
+  COUPON_USAGE_LIMIT_REACHED: 'Coupon usage limit reached',
+  COUPON_USER_LIMIT_REACHED: 'You have already used this coupon',
+  COUPON_MIN_SPEND_NOT_MET: 'Minimum spend not reached for this coupon',
+  COUPON_NOT_APPLICABLE: 'Coupon does not apply to the items in your cart',
+};
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+export const couponError = (code, details = {}) =>
+  new Error(
+    JSON.stringify({
+      type: 'COUPON_ERROR',
+      code,
+      message: COUPON_ERROR_MESSAGES[code],
+      ...details,
+    }),
+  );
+
+/**
+ * Jeton remis avec un coupon accepté : il autorise la revérification du même
+ * code pour le même client (panier modifié) sans passer par la limite
+ * anti-énumération de la première vérification
+ */
+export const signCouponRecheck = (userId, code) =>
+  createHmac('sha256', process.env.NEXTAUTH_SECRET)
+    .update(`coupon-recheck:${userId}:${code}`)
+    .digest('hex');
+
+export const isValidCouponRecheck = (token, userId, code) => {
+  if (typeof token !== 'string') return false;
+
+  const expected = Buffer.from(signCouponRecheck(userId, code), 'hex');
+  const received = Buffer.from(token, 'hex');
+
+  return (
+    received.length === expected.length && timingSafeEqual(received, expected)
+  );
+};
+
+/**
+ * Résumé public d'un coupon (réponse API, devis)
+ */
+export const formatCoupon = (coupon) => ({
+  code: coupon.code,
+  type: coupon.type,
+  value: coupon.value,
+  description: coupon.description || '',
+  minSpend: coupon.minSpend,
+  endsAt: coupon.endsAt,
+});
+
+// Produits du devis couverts par le périmètre du coupon (null : tous)
+const scopedProductIds = async (coupon, orderItems, session) => {
+  if (!coupon.categories.length && !coupon.products.length) return null;
+
+  const categoryIds = (
+    await Promise.all(
+      coupon.categories.map((categoryId) => Category.descendantIds(categoryId)),
+    )
+  ).flat();
+
+  const products = await Product.find({
+    _id: { $in: orderItems.map((item) => item.product) },
+    $or: [
+      { _id: { $in: coupon.products } },
+      { category: { $in: categoryIds } },
+    ],
+  })
+    .select('_id')
+    .session(session)
+    .lean();
+
+  return new Set(products.map((product) => product._id.toString()));
+};
+
+/**
+ * Vérifie un code promo et calcule la réduction d'un devis
+ * Le minimum d'achat porte sur le montant des articles ; la réduction ne
+ * porte que sur les articles du périmètre du coupon. Une livraison offerte
+ * sans frais de livraison ne donne lieu à aucune réduction.
+ *
+ * @param {string} code - Code promo (normalisé en majuscules)
+ * @param {Object} options
+ * @param {string} options.userId - ID du client (limite par client)
+ * @param {Array} options.orderItems - Articles du devis [{ product, subtotal }]
+ * @param {number} options.itemsAmount - Montant des articles
+ * @param {number} options.shippingAmount - Frais de livraison
+ * @param {ClientSession} options.session - Session MongoDB (transaction)
+ * @param {Date} options.at - Date d'évaluation
+ * @returns {Promise<Object>} { coupon, discount } (discount null si montant nul)
+ * @throws {Error} COUPON_ERROR (JSON) si le coupon n'est pas utilisable
+ */
+export const evaluateCoupon = async (
+  code,
+  {
+    userId = null,
+    orderItems = [],
+    itemsAmount = 0,
+    shippingAmount = 0,
+    session = null,
+    at = new Date(),
+  } = {},
+) => {
+  const coupon = await Coupon.findOne({
+    code: String(code || '')
+      .trim()
+      .toUpperCase(),
+  }).session(session);
+
+  if (!coupon) throw couponError('COUPON_NOT_FOUND');
+
+  const availabilityError = coupon.availabilityError(at);
+  if (availabilityError) throw couponError(availabilityError);
+
+  if (userId && coupon.perUserLimit !== null) {
+    const usage = await CouponUsage.findOne({
+      coupon: coupon._id,
+      user: userId,
+    })
+      .select('count')
+      .session(session)
+      .lean();
+
+    if ((usage?.count || 0) >= coupon.perUserLimit) {
+      throw couponError('COUPON_USER_LIMIT_REACHED');
+    }
+  }
+
+  if (itemsAmount < coupon.minSpend) {
+    throw couponError('COUPON_MIN_SPEND_NOT_MET', {
+      minSpend: coupon.minSpend,
+      itemsAmount,
+    });
+  }
+
+  const scope = await scopedProductIds(coupon, orderItems, session);
+  const eligibleAmount = roundAmount(
+    orderItems
+      .filter((item) => !scope || scope.has(String(item.product)))
+      .reduce((sum, item) => sum + item.subtotal, 0),
+  );
+
+  if (eligibleAmount <= 0) throw couponError('COUPON_NOT_APPLICABLE');
+
+  let amount = 0;
+  if (coupon.type === 'percentage') {
+    amount = roundAmount((eligibleAmount * coupon.value) / 100);
+  } else if (coupon.type === 'fixed') {
+    amount = Math.min(coupon.value, eligibleAmount);
+  } else if (coupon.type === 'free_shipping') {
+    amount = shippingAmount;
+  }
+
+  return {
+    coupon,
+    discount:
+      amount > 0
+        ? {
+            coupon: coupon._id,
+            code: coupon.code,
+            type: coupon.type,
+            description: coupon.description || undefined,
+            amount: roundAmount(amount),
+          }
+        : null,
+  };
+};
+
+/**
+ * Consomme une utilisation d'un coupon pour une commande
+ * Les deux compteurs sont incrémentés sous condition : deux commandes
+ * concurrentes ne peuvent pas dépasser la limite globale ni la limite par
+ * client (index unique sur coupon + client pour le premier usage).
+ *
+ * @param {Object} discount - Réduction du devis ({ coupon, code })
+ * @param {string} userId - ID du client
+ * @param {Object} options - { session, order }
+ * @throws {Error} COUPON_ERROR (JSON) si une limite est atteinte
+ */
+export const consumeCoupon = async (
+  discount,
+  userId,
+  { session = null, order = null } = {},
+) => {
+  const coupon = await Coupon.findOneAndUpdate(
+    {
+      _id: discount.coupon,
+      isActive: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session },
+  )
+    .select('perUserLimit')
+    .lean();
+
+  if (!coupon) {
+    throw couponError('COUPON_USAGE_LIMIT_REACHED', { coupon: discount.code });
+  }
+
+  try {
+    await CouponUsage.findOneAndUpdate(
+      {
+        coupon: discount.coupon,
+        user: userId,
+        ...(coupon.perUserLimit !== null && {
+          count: { $lt: coupon.perUserLimit },
+        }),
+      },
+      {
+        $inc: { count: 1 },
+        ...(order && { $push: { orders: order._id } }),
+      },
+      { upsert: true, new: true, session },
+    );
+  } catch (error) {
+    // Compteur existant à la limite : l'upsert tente un second document
+    if (error.code === 11000) {
+      throw couponError('COUPON_USER_LIMIT_REACHED', {
+        coupon: discount.code,
+      });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Rend les utilisations de coupon d'une commande annulée
+ * @param {Object} order - Commande (_id, user, discounts)
+ * @param {Object} options - { session }
+ */
+export const releaseCouponUsage = async (order, { session = null } = {}) => {
+  for (const discount of order.discounts || []) {
+    const usage = await CouponUsage.findOneAndUpdate(
+      { coupon: discount.coupon, user: order.user, orders: order._id },
+      { $inc: { count: -1 }, $pull: { orders: order._id } },
+      { session },
+    );
+
+    // Ne rendre l'usage global que si la commande l'avait consommé
+    if (usage) {
+      await Coupon.updateOne(
+        { _id: discount.coupon, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } },
+        { session },
+      );
+    }
+  }
+};
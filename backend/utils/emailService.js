@@ -649,3 +649,321 @@ Cet email a été envoyé automatiquement pour des raisons de sécurité.
     };
   }
 };
+
+/**
+ * Service d'envoi d'email de confirmation d'annulation de commande
+ * @param {string} email - L'adresse email du client
+ * @param {string} name - Le nom du client
+ * @param {Object} order - Commande annulée (orderNumber, orderItems, totalAmount, paymentStatus, cancelReason)
+ * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+ */
+export const sendOrderCancellationEmail = async (email, name, order) => {
+  try {
+    if (!email || !name || !order?.orderNumber) {
+      throw new Error('Missing required parameters for cancellation email');
+    }
+
+    const ordersUrl = `${process.env.NEXTAUTH_URL || process.env.NEXT_PUBLIC_API_URL}/me/orders`;
+    const isRefunded = order.paymentStatus === 'refunded';
+    const totalAmount = Number(order.totalAmount || 0).toFixed(2);
+
+    const itemsRows = (order.orderItems || [])
+      .map(
+        (item) => `
+              <tr>
+                <td style="padding: 8px 0; color: #1f2937;">${item.name}${item.variantLabel ? ` (${item.variantLabel})` : ''}</td>
+                <td style="padding: 8px 0; color: #6b7280; text-align: center;">x${item.quantity}</td>
+                <td style="padding: 8px 0; color: #1f2937; text-align: right;">$${Number(item.subtotal || item.price * item.quantity).toFixed(2)}</td>
+              </tr>`,
+      )
+      .join('');
+
+    // Template HTML professionnel
+    const htmlTemplate = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Commande annulée - BuyItNow</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f8f9fa;">
+      <div style="max-width: 600px; margin: 0 auto; background: #f8f9fa; padding: 20px;">
+        <!-- Header -->
+        <div style="background: #2563eb; color: white; padding: 20px; border-radius: 8px 8px 0 0; text-align: center;">
+          <h1 style="margin: 0; font-size: 24px;">BuyItNow</h1>
+          <p style="margin: 5px 0 0 0; opacity: 0.9;">Annulation de votre commande</p>
+        </div>
+
+        <!-- Body -->
+        <div style="background: white; padding: 30px; border-radius: 0 0 8px 8px; border: 1px solid #e5e7eb;">
+          <h2 style="color: #1f2937; margin-top: 0;">Bonjour ${name},</h2>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            Nous vous confirmons l'annulation de votre commande <strong>${order.orderNumber}</strong>.
+          </p>
+
+          <!-- Details Box -->
+          <div style="background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 6px; padding: 20px; margin: 20px 0;">
+            <table style="width: 100%; font-size: 14px;">
+              ${itemsRows}
+              <tr>
+                <td colspan="2" style="padding: 12px 0 0 0; color: #1f2937; font-weight: bold; border-top: 1px solid #e5e7eb;">Total</td>
+                <td style="padding: 12px 0 0 0; color: #1f2937; font-weight: bold; text-align: right; border-top: 1px solid #e5e7eb;">$${totalAmount}</td>
+              </tr>
+            </table>
+            ${
+              order.cancelReason
+                ? `<p style="margin: 15px 0 0 0; color: #6b7280; font-size: 14px;">Raison : ${order.cancelReason}</p>`
+                : ''
+            }
+          </div>
+
+          ${
+            isRefunded
+              ? `<p style="color: #166534; background: #f0fdf4; border: 1px solid #86efac; border-radius: 6px; padding: 15px; font-size: 14px;">
+            💳 Le montant de <strong>$${totalAmount}</strong> vous sera remboursé sur votre compte de paiement.
+          </p>`
+              : ''
+          }
+
+          <!-- CTA Button -->
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${ordersUrl}"
+               style="background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
+              📦 Voir mes commandes
+            </a>
+          </div>
+
+          <p style="color: #6b7280; font-size: 12px; margin: 0;">
+            ❓ Besoin d'aide ? Contactez-nous à support@buyitnow.com
+          </p>
+        </div>
+
+        <!-- Footer -->
+        <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+          © 2025 BuyItNow. Tous droits réservés.
+        </div>
+      </div>
+    </body>
+    </html>`;
+
+    // Version texte (fallback)
+    const textTemplate = `
+Bonjour ${name},
+
+Nous vous confirmons l'annulation de votre commande ${order.orderNumber}.
+
+${(order.orderItems || []).map((item) => `- ${item.name} x${item.quantity}`).join('\n')}
+
+Total : $${totalAmount}
+${order.cancelReason ? `Raison : ${order.cancelReason}\n` : ''}${isRefunded ? `\nLe montant de $${totalAmount} vous sera remboursé sur votre compte de paiement.\n` : ''}
+Voir mes commandes : ${ordersUrl}
+
+Besoin d'aide ? Contactez-nous à support@buyitnow.com
+
+---
+BuyItNow - © 2025`;
+
+    // Configuration email avec Resend
+    const emailOptions = {
+      from:
+        process.env.NODE_ENV === 'production'
+          ? 'orders@buyitnow.com' // Remplacez par votre domaine vérifié
+          : 'onboarding@resend.dev',
+      to: [email],
+      subject: `Commande ${order.orderNumber} annulée - BuyItNow`,
+      html: htmlTemplate,
+      text: textTemplate,
+      headers: {
+        'X-Entity-Ref-ID': order.orderNumber,
+      },
+    };
+
+    // En développement, juste logger
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`
+🧾 EMAIL D'ANNULATION (DEV):
+📧 To: ${email}
+👤 Name: ${name}
+📦 Order: ${order.orderNumber}
+💳 Refunded: ${isRefunded}
+      `);
+      return { success: true, messageId: 'dev-mode-cancellation' };
+    }
+
+    // Envoyer l'email via Resend
+    const result = await resend.emails.send(emailOptions);
+
+    console.log('✅ Order cancellation email sent:', {
+      to: email?.substring(0, 3) + '***',
+      orderNumber: order.orderNumber,
+      messageId: result.id || result.data?.id,
+    });
+
+    return {
+      success: true,
+      messageId: result.id || result.data?.id,
+      email: email,
+    };
+  } catch (error) {
+    console.error('❌ Failed to send order cancellation email:', {
+      error: error.message,
+      email: email?.substring(0, 3) + '***',
+      orderNumber: order?.orderNumber,
+    });
+
+    // L'annulation est déjà enregistrée : l'échec d'envoi n'est pas bloquant
+    captureException(error, {
+      tags: { component: 'emailService', action: 'sendOrderCancellationEmail' },
+      extra: { orderNumber: order?.orderNumber },
+    });
+
+    return {
+      success: false,
+      error: error.message || 'Failed to send order cancellation email',
+      email: email,
+    };
+  }
+};
+
+/**
+ * Email d'alerte de retour en stock (abonnement "m'avertir")
+ */
+export const sendBackInStockEmail = async (email, name, product) => {
+  try {
+    if (!email || !name || !product?.name) {
+      throw new Error('Missing required parameters for back-in-stock email');
+    }
+
+    const siteUrl = process.env.NEXTAUTH_URL || process.env.NEXT_PUBLIC_API_URL;
+    const productUrl = `${siteUrl}/product/${product.slug || product._id}`;
+    const alertsUrl = `${siteUrl}/me`;
+    const price = Number(product.price || 0).toFixed(2);
+
+    // Template HTML professionnel
+    const htmlTemplate = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>De retour en stock - BuyItNow</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f8f9fa;">
+      <div style="max-width: 600px; margin: 0 auto; background: #f8f9fa; padding: 20px;">
+        <!-- Header -->
+        <div style="background: #2563eb; color: white; padding: 20px; border-radius: 8px 8px 0 0; text-align: center;">
+          <h1 style="margin: 0; font-size: 24px;">BuyItNow</h1>
+          <p style="margin: 5px 0 0 0; opacity: 0.9;">Votre produit est de retour</p>
+        </div>
+
+        <!-- Body -->
+        <div style="background: white; padding: 30px; border-radius: 0 0 8px 8px; border: 1px solid #e5e7eb;">
+          <h2 style="color: #1f2937; margin-top: 0;">Bonjour ${name},</h2>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            Bonne nouvelle ! <strong>${product.name}</strong> est de nouveau disponible au prix de <strong>$${price}</strong>.
+            Les quantités peuvent être limitées.
+          </p>
+
+          <!-- CTA Button -->
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${productUrl}"
+               style="background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
+              🛒 Voir le produit
+            </a>
+          </div>
+
+          <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 25px 0;">
+
+          <p style="color: #6b7280; font-size: 12px; margin: 0;">
+            🔔 Vous recevez cet email car vous avez demandé à être averti(e) du retour en stock de ce produit.
+            Cette alerte est désormais terminée. Gérez vos alertes depuis <a href="${alertsUrl}" style="color: #2563eb;">votre compte</a>.
+          </p>
+        </div>
+
+        <!-- Footer -->
+        <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+          © 2025 BuyItNow. Tous droits réservés.
+        </div>
+      </div>
+    </body>
+    </html>`;
+
+    // Version texte (fallback)
+    const textTemplate = `
+Bonjour ${name},
+
+Bonne nouvelle ! ${product.name} est de nouveau disponible au prix de $${price}.
+Les quantités peuvent être limitées.
+
+Voir le produit : ${productUrl}
+
+Vous recevez cet email car vous avez demandé à être averti(e) du retour en stock de ce produit.
+Cette alerte est désormais terminée. Gérez vos alertes depuis votre compte : ${alertsUrl}
+
+---
+BuyItNow - © 2025`;
+
+    // Configuration email avec Resend
+    const emailOptions = {
+      from:
+        process.env.NODE_ENV === 'production'
+          ? 'noreply@buyitnow.com' // Remplacez par votre domaine vérifié
+          : 'onboarding@resend.dev',
+      to: [email],
+      subject: `${product.name} est de retour en stock - BuyItNow`,
+      html: htmlTemplate,
+      text: textTemplate,
+      headers: {
+        'X-Entity-Ref-ID': `back-in-stock-${product._id}`,
+      },
+    };
+
+    // En développement, juste logger
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`
+🔔 EMAIL RETOUR EN STOCK (DEV):
+📧 To: ${email}
+👤 Name: ${name}
+📦 Product: ${product.name}
+🔗 URL: ${productUrl}
+      `);
+      return { success: true, messageId: 'dev-mode-back-in-stock' };
+    }
+
+    // Envoyer l'email via Resend
+    const result = await resend.emails.send(emailOptions);
+
+    console.log('✅ Back-in-stock email sent:', {
+      to: email?.substring(0, 3) + '***',
+      productId: product._id,
+      messageId: result.id || result.data?.id,
+    });
+
+    return {
+      success: true,
+      messageId: result.id || result.data?.id,
+      email: email,
+    };
+  } catch (error) {
+    console.error('❌ Failed to send back-in-stock email:', {
+      error: error.message,
+      email: email?.substring(0, 3) + '***',
+      productId: product?._id,
+    });
+
+    // L'alerte reste visible dans le compte : l'échec d'envoi n'est pas bloquant
+    captureException(error, {
+      tags: { component: 'emailService', action: 'sendBackInStockEmail' },
+      extra: { productId: product?._id?.toString() },
+    });
+
+    return {
+      success: false,
+      error: error.message || 'Failed to send back-in-stock email',
+      email: email,
+    };
+  }
+};
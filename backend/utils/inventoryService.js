@@ -0,0 +1,540 @@
+import mongoose from 'mongoose';
+import Product from '@/backend/models/product';
+import InventoryMovement from '@/backend/models/inventoryMovement';
+import StockReservation from '@/backend/models/stockReservation';
+import { scheduleBackInStockNotification } from '@/backend/utils/stockAlerts';
+import logger from '@/utils/logger';
+
+/**
+ * Service d'inventaire
+ * Point d'entrée unique pour toute modification de `stock` et `sold` sur
+ * Product. Chaque opération écrit ses mouvements dans InventoryMovement,
+ * dans la même session que la mise à jour du stock.
+ *
+ * - reserve : sortie de stock (stock -= quantité), atomique et conditionnelle
+ * - commit  : confirme la vente d'une réservation (sold += quantité)
+ * - release : annule une réservation non vendue (stock += quantité)
+ * - restock : remet en stock une vente annulée/remboursée (stock +=, sold -=)
+ *
+ * Réservations de checkout : createReservation retire le panier du stock
+ * disponible pendant STOCK_RESERVATION_TTL, convertReservation le transforme
+ * en vente à la création de la commande, releaseReservation le rend au stock.
+ * Les réservations expirées sont rendues par sweepExpiredReservations.
+ *
+ * Variantes : un article portant `variant` modifie le stock de la variante
+ * et, du même montant, le stock total du produit (somme des variantes).
+ *
+ * Retour en stock : toute entrée qui fait passer le stock total du produit
+ * de 0 à une valeur positive déclenche les alertes "m'avertir".
+ */
+
+// Durée de réservation du stock pendant le checkout (15 minutes par défaut)
+export const STOCK_RESERVATION_TTL =
+  (parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES || '15', 10) || 15) *
+  60 *
+  1000;
+
+// Intervalle minimal entre deux balayages opportunistes (1 minute)
+const EXPIRED_SWEEP_INTERVAL = 60 * 1000;
+let lastExpiredSweepAt = 0;
+
+// Référence commune aux mouvements d'une commande ou d'une réservation
+const movementReference = ({ order, reservation }) => ({
+  ...(order && { order: order._id, orderNumber: order.orderNumber }),
+  ...(reservation && { reservation: reservation._id }),
+});
+
+// Clé de stock d'un article : produit, et variante le cas échéant
+export const stockKey = (productId, variantId = null) =>
+  `${productId.toString()}:${variantId ? variantId.toString() : ''}`;
+
+// Filtre ciblant le produit (et la variante) d'un article ; les conditions
+// supplémentaires s'appliquent au produit comme à la variante
+const stockFilter = (item, extra = {}) =>
+  item.variant
+    ? {
+        _id: item.product,
+        ...extra,
+        variants: { $elemMatch: { _id: item.variant, ...extra } },
+      }
+    : { _id: item.product, ...extra };
+
+// Incrément du stock de l'article, répercuté sur la variante ciblée
+const stockIncrement = (item, quantity, inc = {}) => ({
+  $inc: {
+    stock: quantity,
+    ...(item.variant && { 'variants.$.stock': quantity }),
+    ...inc,
+  },
+});
+
+// Stock restant de l'article après mise à jour
+const stockAfter = (product, item) =>
+  item.variant
+    ? product.variants?.find((v) => v._id.equals(item.variant))?.stock
+    : product.stock;
+
+// Champs communs à tous les mouvements d'un article
+const movementTarget = (item) => ({
+  product: item.product,
+  ...(item.variant && { variant: item.variant }),
+});
+
+// Alertes de retour en stock si l'entrée fait repasser le produit au-dessus de 0
+const checkBackInStock = (product, stockDelta, session) => {
+  if (stockDelta > 0 && product.stock > 0 && product.stock - stockDelta <= 0) {
+    scheduleBackInStockNotification(product._id, session);
+  }
+};
+
+const recordMovements = (movements, session) => {
+  if (movements.length === 0) return Promise.resolve([]);
+  return InventoryMovement.insertMany(movements, { session });
+};
+
+/**
+ * Réserve le stock des articles
+ * La décrémentation n'a lieu que si le stock est suffisant : deux commandes
+ * concurrentes ne peuvent pas vendre la même unité.
+ *
+ * @param {Array} items - Articles [{ product, variant, quantity, name }]
+ * @param {Object} options - { session, order, reservation, reason }
+ * @throws {Error} STOCK_ERROR (JSON) si un produit n'a plus assez de stock
+ */
+export const reserveStock = async (
+  items,
+  {
+    session = null,
+    order = null,
+    reservation = null,
+    reason = 'checkout',
+  } = {},
+) => {
+  const movements = [];
+  const unavailableProducts = [];
+
+  for (const item of items) {
+    const product = await Product.findOneAndUpdate(
+      stockFilter(item, { isActive: true, stock: { $gte: item.quantity } }),
+      stockIncrement(item, -item.quantity),
+      { new: true, session },
+    )
+      .select('stock variants._id variants.stock')
+      .lean();
+
+    if (!product) {
+      unavailableProducts.push({
+        id: item.product,
+        ...(item.variant && { variant: item.variant }),
+        name: item.name,
+        requested: item.quantity,
+        reason: 'insufficient_stock',
+      });
+      continue;
+    }
+
+    movements.push({
+      ...movementTarget(item),
+      type: 'reserve',
+      stockDelta: -item.quantity,
+      stockAfter: stockAfter(product, item),
+      reason,
+      ...movementReference({ order, reservation }),
+    });
+  }
+
+  if (unavailableProducts.length > 0) {
+    // La transaction appelante annule les décrémentations déjà faites
+    throw new Error(
+      JSON.stringify({ type: 'STOCK_ERROR', products: unavailableProducts }),
+    );
+  }
+
+  await recordMovements(movements, session);
+  return movements;
+};
+
+/**
+ * Confirme la vente d'articles déjà réservés
+ * @param {Array} items - Articles [{ product, quantity }]
+ * @param {Object} options - { session, order, reservation }
+ */
+export const commitStock = async (
+  items,
+  { session = null, order = null, reservation = null, reason = 'sale' } = {},
+) => {
+  const movements = [];
+
+  for (const item of items) {
+    await Product.updateOne(
+      { _id: item.product },
+      { $inc: { sold: item.quantity } },
+      { session },
+    );
+
+    movements.push({
+      ...movementTarget(item),
+      type: 'commit',
+      soldDelta: item.quantity,
+      reason,
+      ...movementReference({ order, reservation }),
+    });
+  }
+
+  await recordMovements(movements, session);
+  return movements;
+};
+
+/**
+ * Libère une réservation qui n'a pas abouti à une vente
+ * @param {Array} items - Articles [{ product, quantity }]
+ * @param {Object} options - { session, order, reservation, reason }
+ */
+export const releaseStock = async (
+  items,
+  { session = null, order = null, reservation = null, reason = 'release' } = {},
+) => {
+  const movements = [];
+
+  for (const item of items) {
+    const product = await Product.findOneAndUpdate(
+      stockFilter(item),
+      stockIncrement(item, item.quantity),
+      { new: true, session },
+    )
+      .select('stock variants._id variants.stock')
+      .lean();
+
+    if (!product) continue;
+    checkBackInStock(product, item.quantity, session);
+
+    movements.push({
+      ...movementTarget(item),
+      type: 'release',
+      stockDelta: item.quantity,
+      stockAfter: stockAfter(product, item),
+      reason,
+      ...movementReference({ order, reservation }),
+    });
+  }
+
+  await recordMovements(movements, session);
+  return movements;
+};
+
+/**
+ * Remet en stock les articles d'une commande vendue (annulation, remboursement)
+ * @param {Object} order - Commande (orderItems, _id, orderNumber)
+ * @param {Object} options - { session, reason }
+ */
+export const restockOrder = async (
+  order,
+  { session = null, reason = 'cancellation' } = {},
+) => {
+  const movements = [];
+
+  for (const item of order.orderItems) {
+    const product = await Product.findOneAndUpdate(
+      stockFilter(item),
+      stockIncrement(item, item.quantity, { sold: -item.quantity }),
+      { new: true, session },
+    )
+      .select('stock variants._id variants.stock')
+      .lean();
+
+    if (!product) continue;
+    checkBackInStock(product, item.quantity, session);
+
+    movements.push({
+      ...movementTarget(item),
+      type: 'restock',
+      stockDelta: item.quantity,
+      soldDelta: -item.quantity,
+      stockAfter: stockAfter(product, item),
+      reason,
+      ...movementReference({ order }),
+    });
+  }
+
+  await recordMovements(movements, session);
+  return movements;
+};
+
+/**
+ * Ajustement manuel du stock (inventaire physique, casse, réception)
+ * @param {string} productId - ID du produit
+ * @param {number} stockDelta - Variation de stock (positive ou négative)
+ * @param {Object} options - { session, reason, variant }
+ */
+export const adjustStock = async (
+  productId,
+  stockDelta,
+  { session = null, reason = 'adjustment', variant = null } = {},
+) => {
+  const item = { product: productId, variant };
+  // Une sortie ne peut pas rendre le stock négatif
+  const minimum = stockDelta < 0 ? { stock: { $gte: -stockDelta } } : {};
+
+  const product = await Product.findOneAndUpdate(
+    stockFilter(item, minimum),
+    stockIncrement(item, stockDelta),
+    { new: true, session },
+  )
+    .select('stock variants._id variants.stock')
+    .lean();
+
+  if (!product) {
+    throw new Error(
+      'Stock adjustment rejected: product not found or stock too low',
+    );
+  }
+
+  checkBackInStock(product, stockDelta, session);
+
+  const [movement] = await recordMovements(
+    [
+      {
+        ...movementTarget(item),
+        type: 'adjustment',
+        stockDelta,
+        stockAfter: stockAfter(product, item),
+        reason,
+      },
+    ],
+    session,
+  );
+
+  return movement;
+};
+
+// Regroupe des articles par clé de stock (Map stockKey -> quantité)
+const quantitiesByProduct = (items) =>
+  items.reduce((acc, item) => {
+    const key = stockKey(item.product, item.variant);
+    acc.set(key, (acc.get(key) || 0) + item.quantity);
+    return acc;
+  }, new Map());
+
+/**
+ * Quantités réservées par la réservation active d'un utilisateur
+ * Ces unités sont déjà retirées de `stock` : elles restent disponibles
+ * pour cet utilisateur.
+ *
+ * @param {string} userId - ID de l'utilisateur
+ * @param {ClientSession} session - Session MongoDB (optionnelle)
+ * @returns {Promise<Map<string, number>>} Quantité réservée par stockKey
+ */
+export const getReservedQuantities = async (userId, session = null) => {
+  const reservation = await StockReservation.findActiveByUser(
+    userId,
+    session,
+  ).lean();
+
+  return reservation ? quantitiesByProduct(reservation.items) : new Map();
+};
+
+/**
+ * Libère une réservation active et rend ses articles au stock
+ * Le passage de statut est conditionnel : une réservation déjà convertie
+ * ou libérée par une requête concurrente n'est jamais rendue deux fois.
+ *
+ * @param {Object} reservation - Réservation (_id, items)
+ * @param {Object} options - { session, status: 'released' | 'expired' }
+ * @returns {Promise<boolean>} true si la réservation a été libérée ici
+ */
+export const releaseReservation = async (
+  reservation,
+  { session = null, status = 'released' } = {},
+) => {
+  const result = await StockReservation.updateOne(
+    { _id: reservation._id, status: 'active' },
+    { $set: { status, closedAt: new Date() } },
+    { session },
+  );
+
+  if (result.modifiedCount === 0) return false;
+
+  await releaseStock(reservation.items, {
+    session,
+    reservation,
+    reason: status === 'expired' ? 'reservation_expired' : 'checkout_abandoned',
+  });
+
+  return true;
+};
+
+/**
+ * Réserve les articles du panier pour le checkout
+ * Une seule réservation active par utilisateur : la précédente est libérée
+ * avant d'en créer une nouvelle.
+ *
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Array} items - Articles [{ product, name, quantity }]
+ * @param {Object} options - { session }
+ * @throws {Error} STOCK_ERROR (JSON) si un produit n'a plus assez de stock
+ */
+export const createReservation = async (
+  userId,
+  items,
+  { session = null } = {},
+) => {
+  const previous = await StockReservation.find({
+    user: userId,
+    status: 'active',
+  }).session(session);
+
+  for (const reservation of previous) {
+    await releaseReservation(reservation, { session });
+  }
+
+  const [reservation] = await StockReservation.create(
+    [
+      {
+        user: userId,
+        items,
+        expiresAt: new Date(Date.now() + STOCK_RESERVATION_TTL),
+      },
+    ],
+    { session },
+  );
+
+  await reserveStock(items, {
+    session,
+    reservation,
+    reason: 'checkout_reservation',
+  });
+
+  return reservation;
+};
+
+/**
+ * Convertit la réservation de l'utilisateur en vente
+ * Les quantités commandées au-delà de la réservation (ou sans réservation)
+ * sont réservées ici, l'excédent réservé est rendu au stock, puis la vente
+ * est confirmée.
+ *
+ * @param {string} userId - ID de l'utilisateur
+ * @param {Array} items - Articles commandés [{ product, name, quantity }]
+ * @param {Object} options - { session, order }
+ * @throws {Error} STOCK_ERROR (JSON) si le complément n'est pas disponible
+ */
+export const convertReservation = async (
+  userId,
+  items,
+  { session = null, order = null } = {},
+) => {
+  const reservation = await StockReservation.findActiveByUser(userId, session);
+  const reserved = reservation
+    ? quantitiesByProduct(reservation.items)
+    : new Map();
+  const ordered = quantitiesByProduct(items);
+
+  const missing = [];
+  for (const item of items) {
+    const key = stockKey(item.product, item.variant);
+    const extra = ordered.get(key) - (reserved.get(key) || 0);
+    if (
+      extra > 0 &&
+      !missing.some((m) => stockKey(m.product, m.variant) === key)
+    ) {
+      missing.push({
+        product: item.product,
+        variant: item.variant || null,
+        name: item.name,
+        quantity: extra,
+      });
+    }
+  }
+
+  const surplus = [];
+  for (const [key, quantity] of reserved) {
+    const extra = quantity - (ordered.get(key) || 0);
+    if (extra > 0) {
+      const [productId, variantId] = key.split(':');
+      surplus.push({
+        product: new mongoose.Types.ObjectId(productId),
+        variant: variantId ? new mongoose.Types.ObjectId(variantId) : null,
+        quantity: extra,
+      });
+    }
+  }
+
+  await reserveStock(missing, { session, order, reservation });
+  await releaseStock(surplus, { session, order, reservation });
+  await commitStock(items, { session, order, reservation });
+
+  if (reservation) {
+    await StockReservation.updateOne(
+      { _id: reservation._id, status: 'active' },
+      {
+        $set: { status: 'converted', order: order?._id, closedAt: new Date() },
+      },
+      { session },
+    );
+  }
+
+  return reservation;
+};
+
+/**
+ * Rend au stock les réservations expirées
+ * Chaque réservation est libérée dans sa propre transaction : un échec
+ * isolé n'empêche pas le balayage des autres.
+ *
+ * @param {Object} options - { userId } pour limiter le balayage à un utilisateur
+ * @returns {Promise<number>} Nombre de réservations libérées
+ */
+export const releaseExpiredReservations = async ({ userId = null } = {}) => {
+  const expired = await StockReservation.find({
+    status: 'active',
+    expiresAt: { $lte: new Date() },
+    ...(userId && { user: userId }),
+  })
+    .select('_id items')
+    .limit(100)
+    .lean();
+
+  let released = 0;
+
+  for (const reservation of expired) {
+    const session = await StockReservation.startSession();
+    try {
+      let done = false;
+      await session.withTransaction(async () => {
+        done = await releaseReservation(reservation, {
+          session,
+          status: 'expired',
+        });
+      });
+      if (done) released += 1;
+    } catch (error) {
+      logger.error('Failed to release expired stock reservation', {
+        reservationId: reservation._id.toString(),
+        error: error.message,
+      });
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  return released;
+};
+
+/**
+ * Balayage opportuniste des réservations expirées
+ * Appelé par les routes qui lisent ou décrémentent le stock (liste et fiche
+ * produit, panier, checkout) : une réservation expirée est rendue au stock
+ * sans tâche planifiée, quel que soit son propriétaire. Au plus un balayage
+ * par minute et par instance ; l'appelant n'attend pas.
+ */
+export const sweepExpiredReservations = () => {
+  const now = Date.now();
+  if (now - lastExpiredSweepAt < EXPIRED_SWEEP_INTERVAL) return;
+  lastExpiredSweepAt = now;
+
+  releaseExpiredReservations().catch((error) => {
+    logger.error('Failed to sweep expired stock reservations', {
+      error: error.message,
+    });
+  });
+};
@@ -0,0 +1,305 @@
+/**
+ * Génération locale des factures PDF
+ * PDF 1.4 minimal écrit à la main (polices standard Helvetica, encodage
+ * WinAnsi) : aucune dépendance ni service externe.
+ */
+
+const PAGE_WIDTH = 595; // A4 en points
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const ROW_HEIGHT = 18;
+const FOOTER_LIMIT = 140;
+
+// Largeurs Helvetica (1/1000 em) des caractères utilisés dans les montants
+const AMOUNT_GLYPH_WIDTHS = { '.': 278, ',': 278, '-': 333, ' ': 278 };
+
+const SELLER = {
+  name: 'BuyItNow',
+  lines: ['Djibouti, Djibouti', 'support@buyitnow.com', '+253 77 00 00 00'],
+};
+
+// Texte compatible WinAnsi, parenthèses et antislash échappés
+const pdfText = (value) =>
+  String(value ?? '')
+    .replace(/[•·]/g, '*')
+    .replace(/[’‘]/g, "'")
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+
+const formatAmount = (amount) => {
+  const value = Number(amount || 0);
+  return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+};
+
+// Largeur exacte d'un montant (chiffres et $ = 556 en Helvetica)
+const amountWidth = (text, size) =>
+  ([...text].reduce(
+    (sum, char) => sum + (AMOUNT_GLYPH_WIDTHS[char] || 556),
+    0,
+  ) *
+    size) /
+  1000;
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString('fr-FR', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'Africa/Djibouti',
+      })
+    : '-';
+
+const maskAccount = (number) => {
+  if (!number) return '-';
+  const value = String(number).replace(/[•*]/g, '');
+  return value.length > 4 ? `******${value.slice(-4)}` : `******${value}`;
+};
+
+const truncate = (text, max) =>
+  text && text.length > max ? `${text.slice(0, max - 3)}...` : text || '';
+
+// Accumulateur des opérateurs de dessin d'une page
+const createPage = () => {
+  const ops = [];
+
+  return {
+    ops,
+    text(x, y, value, { size = 10, bold = false } = {}) {
+      ops.push(
+        `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${y} Td (${pdfText(value)}) Tj ET`,
+      );
+    },
+    amount(rightX, y, value, { size = 10, bold = false } = {}) {
+      const text = formatAmount(value);
+      this.text(rightX - amountWidth(text, size), y, text, { size, bold });
+    },
+    line(x1, y1, x2, y2, width = 0.5) {
+      ops.push(`${width} w ${x1} ${y1} m ${x2} ${y2} l S`);
+    },
+    fill(x, y, w, h, gray = 0.94) {
+      ops.push(`${gray} g ${x} ${y} ${w} ${h} re f 0 g`);
+    },
+  };
+};
+
+// Assemble les objets PDF et la table des références croisées
+const serializePdf = (pages) => {
+  const objects = [];
+  const pageIds = pages.map((_, i) => 5 + i * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] =
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] =
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+  pages.forEach((page, i) => {
+    const pageId = pageIds[i];
+    const stream = page.ops.join('\n');
+    objects[pageId] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] =
+      `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let output = '%PDF-1.4\n';
+  const offsets = [];
+
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(output, 'latin1');
+    output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+/**
+ * Génère la facture PDF d'une commande
+ * @param {Object} order - Commande (lean) avec shippingInfo populé
+ * @param {Object} customer - { name, email, phone }
+ * @returns {Buffer} Contenu du fichier PDF
+ */
+export const buildInvoicePdf = (order, customer = {}) => {
+  const right = PAGE_WIDTH - MARGIN;
+  const columns = { qty: 340, price: 440, subtotal: right };
+  const pages = [];
+
+  let page;
+  let y;
+
+  // Nouvelle page, dessin repris en haut de page
+  const addPage = () => {
+    page = createPage();
+    pages.push(page);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+
+  addPage();
+
+  // En-tête : vendeur et références de la facture
+  page.text(MARGIN, y - 10, SELLER.name, { size: 20, bold: true });
+  SELLER.lines.forEach((line, i) => {
+    page.text(MARGIN, y - 30 - i * 13, line, { size: 9 });
+  });
+
+  page.text(380, y - 10, 'FACTURE', { size: 18, bold: true });
+  page.text(380, y - 30, `N° ${order.orderNumber}`, { size: 10 });
+  page.text(380, y - 43, `Date : ${formatDate(order.createdAt)}`, { size: 9 });
+  if (order.paidAt) {
+    page.text(380, y - 56, `Payée le : ${formatDate(order.paidAt)}`, {
+      size: 9,
+    });
+  }
+  if (order.orderStatus === 'Cancelled') {
+    page.text(380, y - 69, 'COMMANDE ANNULÉE', { size: 9, bold: true });
+  }
+
+  y -= 100;
+  page.line(MARGIN, y, right, y);
+  y -= 20;
+
+  // Client et adresse de livraison
+  page.text(MARGIN, y, 'Facturé à', { size: 10, bold: true });
+  page.text(300, y, 'Livraison', { size: 10, bold: true });
+
+  const customerLines = [customer.name, customer.email, customer.phone].filter(
+    Boolean,
+  );
+  const address = order.shippingInfo;
+  const addressLines = address
+    ? [
+        address.street,
+        [address.city, address.state, address.zipCode]
+          .filter(Boolean)
+          .join(', '),
+        address.country,
+      ].filter(Boolean)
+    : ['Retrait en magasin'];
+
+  customerLines.forEach((line, i) => {
+    page.text(MARGIN, y - 14 - i * 13, truncate(line, 45), { size: 9 });
+  });
+  addressLines.forEach((line, i) => {
+    page.text(300, y - 14 - i * 13, truncate(line, 45), { size: 9 });
+  });
+
+  y -= 20 + Math.max(customerLines.length, addressLines.length) * 13 + 15;
+
+  // Tableau des articles
+  const drawTableHeader = () => {
+    page.fill(MARGIN, y - 6, right - MARGIN, ROW_HEIGHT);
+    page.text(MARGIN + 6, y, 'Article', { size: 9, bold: true });
+    page.text(columns.qty, y, 'Qté', { size: 9, bold: true });
+    page.text(columns.price - 50, y, 'Prix unit.', { size: 9, bold: true });
+    page.text(columns.subtotal - 50, y, 'Sous-total', { size: 9, bold: true });
+    y -= ROW_HEIGHT + 4;
+  };
+
+  drawTableHeader();
+
+  for (const item of order.orderItems || []) {
+    if (y < FOOTER_LIMIT) {
+      addPage();
+      drawTableHeader();
+    }
+
+    const subtotal = item.subtotal ?? item.price * item.quantity;
+    const label = item.variantLabel
+      ? `${item.name} (${item.variantLabel})`
+      : item.name;
+    page.text(MARGIN + 6, y, truncate(label, 50), { size: 9 });
+    page.text(columns.qty, y, String(item.quantity), { size: 9 });
+    page.amount(columns.price, y, item.price, { size: 9 });
+    page.amount(columns.subtotal, y, subtotal, { size: 9 });
+    y -= ROW_HEIGHT;
+  }
+
+  // Totaux
+  const itemsAmount = (order.orderItems || []).reduce(
+    (sum, item) => sum + (item.subtotal ?? item.price * item.quantity),
+    0,
+  );
+
+  const totals = [
+    ['Sous-total articles', itemsAmount],
+    ['Livraison', order.shippingAmount || 0],
+    ['Taxes', order.taxAmount || 0],
+  ];
+
+  // Réductions déjà déduites du total (coupons)
+  if (order.discounts?.length) {
+    order.discounts.forEach((discount) => {
+      totals.push([`Réduction (${discount.code})`, -discount.amount]);
+    });
+  } else if (order.discountAmount > 0) {
+    totals.push(['Réduction', -order.discountAmount]);
+  }
+
+  // Totaux et paiement ne sont jamais coupés ni dessinés sur le pied de page
+  const totalsHeight = 4 + totals.length * 15 + 40 + 53;
+  if (y - totalsHeight < FOOTER_LIMIT) addPage();
+
+  y -= 4;
+  page.line(300, y + 10, right, y + 10);
+
+  totals.forEach(([label, value]) => {
+    page.text(320, y - 4, label, { size: 9 });
+    page.amount(right, y - 4, value, { size: 9 });
+    y -= 15;
+  });
+
+  page.line(300, y + 6, right, y + 6);
+  page.text(320, y - 8, 'Total', { size: 11, bold: true });
+  page.amount(right, y - 8, order.totalAmount, { size: 11, bold: true });
+  y -= 40;
+
+  // Paiement
+  const payment = order.paymentInfo || {};
+  page.text(MARGIN, y, 'Paiement', { size: 10, bold: true });
+  page.text(MARGIN, y - 14, `Mode : ${payment.typePayment || '-'}`, {
+    size: 9,
+  });
+  page.text(
+    MARGIN,
+    y - 27,
+    `Titulaire : ${payment.paymentAccountName || '-'}`,
+    {
+      size: 9,
+    },
+  );
+  page.text(
+    MARGIN,
+    y - 40,
+    `Compte : ${maskAccount(payment.paymentAccountNumber)}`,
+    { size: 9 },
+  );
+  page.text(MARGIN, y - 53, `Statut : ${order.paymentStatus || 'unpaid'}`, {
+    size: 9,
+  });
+
+  // Pied de page sur chaque page
+  pages.forEach((p, i) => {
+    p.line(MARGIN, 60, right, 60);
+    p.text(
+      MARGIN,
+      45,
+      `${SELLER.name} - Facture ${order.orderNumber} - Merci pour votre achat`,
+      { size: 8 },
+    );
+    p.text(right - 40, 45, `${i + 1}/${pages.length}`, { size: 8 });
+  });
+
+  return serializePdf(pages);
+};
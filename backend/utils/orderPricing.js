@@ -0,0 +1,279 @@
+import Product, {
+  findVariant,
+  hasVariants,
+  priceAt,
+  variantLabel,
+} from '@/backend/models/product';
+import DeliveryPrice from '@/backend/models/deliveryPrice';
+import { stockKey } from '@/backend/utils/inventoryService';
+import { evaluateCoupon, formatCoupon } from '@/backend/utils/couponService';
+
+// Taux de taxe appliqué aux commandes (0 par défaut, ex: 0.07 pour 7%)
+export const ORDER_TAX_RATE =
+  parseFloat(process.env.ORDER_TAX_RATE || '0') || 0;
+
+// Tolérance pour les écarts d'arrondi entre client et serveur
+const AMOUNT_TOLERANCE = 0.01;
+
+/**
+ * Arrondit un montant à 2 décimales (même règle que les setters du modèle Order)
+ */
+export const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * Calcule la taxe sur le montant des articles
+ */
+export const calculateTax = (itemsAmount, rate = ORDER_TAX_RATE) => {
+  if (!rate || rate <= 0) return 0;
+  return roundAmount(itemsAmount * rate);
+};
+
+/**
+ * Récupère les frais de livraison configurés
+ */
+export const getDeliveryFee = async (session = null) => {
+  const delivery = await DeliveryPrice.findOne()
+    .select('deliveryPrice')
+    .session(session)
+    .lean();
+
+  return roundAmount(delivery?.deliveryPrice || 0);
+};
+
+/**
+ * Calcule le devis complet d'une commande à partir des données en base
+ * Les prix, catégories, noms et images viennent de Product, jamais du client
+ * Pour un produit à variantes, prix, stock et image sont ceux de la variante
+ * demandée, dont les attributs sont figés dans l'article commandé.
+ * Les prix sont ceux en vigueur à `pricedAt` (promotions programmées) : une
+ * même date pour tout le devis, même si la transaction est rejouée.
+ * Un code promo est vérifié à la même date ; un code refusé lève l'erreur
+ * COUPON_ERROR du service de coupons. La taxe porte sur les articles après
+ * réduction.
+ *
+ * @param {Array} requestedItems - Articles demandés [{ product, variant, quantity, image }]
+ * @param {Object} options
+ * @param {boolean} options.withShipping - Appliquer les frais de livraison
+ * @param {ClientSession} options.session - Session MongoDB (transaction)
+ * @param {Map} options.reservedQuantities - Quantités déjà réservées pour l'acheteur (stockKey -> quantité)
+ * @param {Date} options.pricedAt - Date de tarification (heure de la commande)
+ * @param {string} options.couponCode - Code promo à appliquer
+ * @param {string} options.userId - ID de l'acheteur (limite d'usage par client)
+ * @returns {Promise<Object>} { orderItems, unavailableProducts, itemsAmount, shippingAmount, taxAmount, coupon, discounts, discountAmount, totalAmount }
+ */
+export const buildOrderQuote = async (
+  requestedItems,
+  {
+    withShipping = false,
+    session = null,
+    reservedQuantities = new Map(),
+    pricedAt = new Date(),
+    couponCode = null,
+    userId = null,
+  } = {},
+) => {
+  const productIds = requestedItems.map((item) => item.product);
+
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('name stock price sale category isActive images variants')
+    .populate('category', 'categoryName')
+    .session(session);
+
+  const productsById = new Map(
+    products.map((product) => [product._id.toString(), product]),
+  );
+
+  const orderItems = [];
+  const unavailableProducts = [];
+
+  for (const item of requestedItems) {
+    const quantity = parseInt(item.quantity, 10);
+    const product = productsById.get(String(item.product));
+
+    if (!product) {
+      unavailableProducts.push({
+        id: item.product,
+        name: 'Product not found',
+        reason: 'not_found',
+      });
+      continue;
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      unavailableProducts.push({
+        id: product._id,
+        name: product.name,
+        requested: item.quantity,
+        reason: 'invalid_quantity',
+      });
+      continue;
+    }
+
+    if (!product.isActive) {
+      unavailableProducts.push({
+        id: product._id,
+        name: product.name,
+        reason: 'product_inactive',
+      });
+      continue;
+    }
+
+    // Un produit à variantes se commande via l'une de ses variantes actives
+    const variant = findVariant(product, item.variant);
+    if (hasVariants(product) ? !variant : item.variant) {
+      unavailableProducts.push({
+        id: product._id,
+        variant: item.variant,
+        name: product.name,
+        reason: 'variant_unavailable',
+      });
+      continue;
+    }
+
+    // Le stock réservé par l'acheteur reste disponible pour sa commande
+    const available =
+      (variant ? variant.stock : product.stock) +
+      (reservedQuantities.get(stockKey(product._id, variant?._id)) || 0);
+
+    if (available < quantity) {
+      unavailableProducts.push({
+        id: product._id,
+        ...(variant && { variant: variant._id }),
+        name: product.name,
+        stock: available,
+        requested: quantity,
+        reason: 'insufficient_stock',
+      });
+      continue;
+    }
+
+    const { price, compareAtPrice } = priceAt(product, variant, pricedAt);
+
+    orderItems.push({
+      product: product._id,
+      ...(variant && {
+        variant: variant._id,
+        sku: variant.sku,
+        variantLabel: variantLabel(variant),
+        attributes: Object.fromEntries(variant.attributes),
+      }),
+      name: product.name,
+      category: product.category?.categoryName || 'Non catégorisé',
+      quantity,
+      image:
+        variant?.images?.[0]?.url ||
+        product.images?.[0]?.url ||
+        item.image ||
+        '/images/default_product.png',
+      price,
+      ...(compareAtPrice !== null && { compareAtPrice }),
+      subtotal: roundAmount(price * quantity),
+    });
+  }
+
+  const itemsAmount = roundAmount(
+    orderItems.reduce((sum, item) => sum + item.subtotal, 0),
+  );
+  const shippingAmount = withShipping ? await getDeliveryFee(session) : 0;
+
+  let coupon = null;
+  const discounts = [];
+  if (couponCode && orderItems.length > 0) {
+    const evaluation = await evaluateCoupon(couponCode, {
+      userId,
+      orderItems,
+      itemsAmount,
+      shippingAmount,
+      session,
+      at: pricedAt,
+    });
+    coupon = formatCoupon(evaluation.coupon);
+    if (evaluation.discount) discounts.push(evaluation.discount);
+  }
+
+  const discountAmount = roundAmount(
+    discounts.reduce((sum, discount) => sum + discount.amount, 0),
+  );
+  const itemsDiscount = discounts
+    .filter((discount) => discount.type !== 'free_shipping')
+    .reduce((sum, discount) => sum + discount.amount, 0);
+  const taxAmount = calculateTax(itemsAmount - itemsDiscount);
+  const totalAmount = Math.max(
+    0,
+    roundAmount(itemsAmount + shippingAmount + taxAmount - discountAmount),
+  );
+
+  return {
+    orderItems,
+    unavailableProducts,
+    itemsAmount,
+    shippingAmount,
+    taxAmount,
+    coupon,
+    discounts,
+    discountAmount,
+    totalAmount,
+    pricedAt,
+  };
+};
+
+/**
+ * Compare le devis serveur avec les montants envoyés par le client
+ * Seuls les champs fournis par le client sont comparés. Un écart de prix
+ * d'article précise le prix normal et l'éventuelle promotion en vigueur à
+ * la date du devis (promotion commencée ou terminée depuis l'affichage).
+ *
+ * @param {Object} quote - Devis calculé par buildOrderQuote
+ * @param {Object} orderData - Données de commande envoyées par le client
+ * @returns {Array} Liste des écarts [{ field, productId?, expected, provided }]
+ */
+export const diffOrderQuote = (quote, orderData) => {
+  const mismatches = [];
+
+  const isDifferent = (expected, provided) =>
+    isNaN(parseFloat(provided)) ||
+    Math.abs(expected - parseFloat(provided)) > AMOUNT_TOLERANCE;
+
+  for (const quoted of quote.orderItems) {
+    const clientItem = orderData.orderItems.find(
+      (item) =>
+        stockKey(item.product, item.variant) ===
+        stockKey(quoted.product, quoted.variant),
+    );
+
+    if (
+      clientItem?.price !== undefined &&
+      isDifferent(quoted.price, clientItem.price)
+    ) {
+      mismatches.push({
+        field: 'orderItems.price',
+        productId: quoted.product,
+        name: quoted.name,
+        expected: quoted.price,
+        provided: clientItem.price,
+        compareAtPrice: quoted.compareAtPrice ?? null,
+        pricedAt: quote.pricedAt,
+      });
+    }
+  }
+
+  const amountFields = [
+    ['shippingAmount', quote.shippingAmount, orderData.shippingAmount],
+    ['taxAmount', quote.taxAmount, orderData.taxAmount],
+    ['discountAmount', quote.discountAmount, orderData.discountAmount],
+    ['totalAmount', quote.totalAmount, orderData.totalAmount],
+    [
+      'paymentInfo.amountPaid',
+      quote.totalAmount,
+      orderData.paymentInfo?.amountPaid,
+    ],
+  ];
+
+  for (const [field, expected, provided] of amountFields) {
+    if (provided !== undefined && isDifferent(expected, provided)) {
+      mismatches.push({ field, expected, provided });
+    }
+  }
+
+  return mismatches;
+};
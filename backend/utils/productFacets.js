@@ -0,0 +1,171 @@
+/**
+ * Facettes de la liste des produits (compteurs par option de filtre)
+ * Chaque facette est calculée sur les filtres courants sauf le sien :
+ * les autres options de ce filtre restent visibles avec leur compteur.
+ */
+
+import Product, { effectivePriceExpression } from '@/backend/models/product';
+
+// Tranches de prix : [min, max[ (la dernière est ouverte)
+export const PRICE_BUCKET_BOUNDARIES = [0, 25, 50, 100, 250, 500, 1000];
+
+// Nombre maximum de valeurs renvoyées par caractéristique
+const MAX_SPECIFICATION_VALUES = 20;
+
+// Réunit les conditions de filtres, sauf celle de la facette calculée
+const buildMatch = (conditions, excluded) =>
+  Object.entries(conditions)
+    .filter(([key]) => key !== 'search' && key !== excluded)
+    .reduce((match, [, condition]) => ({ ...match, ...condition }), {});
+
+// Conditions de filtres sans celle d'une seule caractéristique : les autres
+// caractéristiques filtrées restent appliquées
+const buildSpecificationMatch = (conditions, excludedPath) => ({
+  ...buildMatch(conditions, 'specifications'),
+  ...Object.fromEntries(
+    Object.entries(conditions.specifications || {}).filter(
+      ([path]) => path !== excludedPath,
+    ),
+  ),
+});
+
+// Compteurs par valeur des caractéristiques retenues par `keys`
+const specificationCountStages = (match, keys) => [
+  { $match: match },
+  {
+    $project: {
+      specs: {
+        $objectToArray: { $ifNull: ['$specifications', {}] },
+      },
+    },
+  },
+  { $unwind: '$specs' },
+  { $match: { 'specs.k': keys } },
+  {
+    $group: {
+      _id: { key: '$specs.k', value: '$specs.v' },
+      count: { $sum: 1 },
+    },
+  },
+  { $sort: { count: -1, '_id.value': 1 } },
+];
+
+/**
+ * Calcule les facettes en une seule agrégation
+ * Une caractéristique filtrée est comptée sans son propre filtre mais avec
+ * ceux des autres ; les caractéristiques non filtrées, avec tous les filtres.
+ * @param {Object} conditions - APIFilters.getConditions() (search, category,
+ *   price, stock, specifications)
+ * @param {Object} options - { pricedAt } : date du prix effectif des tranches
+ * @returns {Promise<Object>} { categories, prices, availability,
+ *   specifications } - les caractéristiques ne sont calculées qu'avec une
+ *   catégorie sélectionnée (leurs attributs dépendent de la catégorie)
+ */
+export const getProductFacets = async (
+  conditions = {},
+  { pricedAt = new Date() } = {},
+) => {
+  // $text doit figurer dans le premier $match de l'agrégation
+  const baseMatch = { isActive: true, ...(conditions.search || {}) };
+
+  // Chemins 'specifications.<clé>' filtrés, une facette chacun
+  const filteredSpecPaths = Object.keys(conditions.specifications || {});
+  const filteredSpecKeys = filteredSpecPaths.map((path) =>
+    path.slice('specifications.'.length),
+  );
+
+  const [result] = await Product.aggregate([
+    { $match: baseMatch },
+    {
+      $facet: {
+        categories: [
+          { $match: buildMatch(conditions, 'category') },
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+        ],
+        prices: [
+          { $match: buildMatch(conditions, 'price') },
+          {
+            $bucket: {
+              groupBy: effectivePriceExpression(pricedAt),
+              boundaries: PRICE_BUCKET_BOUNDARIES,
+              default: 'more',
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        availability: [
+          { $match: buildMatch(conditions, 'stock') },
+          {
+            $group: {
+              _id: null,
+              inStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 1, 0] } },
+              outOfStock: {
+                $sum: { $cond: [{ $gt: ['$stock', 0] }, 0, 1] },
+              },
+            },
+          },
+        ],
+        ...(conditions.category && {
+          specifications: specificationCountStages(
+            buildMatch(conditions, null),
+            { $nin: filteredSpecKeys },
+          ),
+          ...Object.fromEntries(
+            filteredSpecPaths.map((path, index) => [
+              `specification_${index}`,
+              specificationCountStages(
+                buildSpecificationMatch(conditions, path),
+                filteredSpecKeys[index],
+              ),
+            ]),
+          ),
+        }),
+      },
+    },
+  ]).option({ maxTimeMS: 5000 });
+
+  // Toutes les tranches sont renvoyées, y compris les vides
+  const bucketCounts = new Map(
+    (result?.prices || []).map((bucket) => [bucket._id, bucket.count]),
+  );
+  const lastBoundary = PRICE_BUCKET_BOUNDARIES.at(-1);
+
+  const prices = [
+    ...PRICE_BUCKET_BOUNDARIES.slice(0, -1).map((min, index) => ({
+      min,
+      max: PRICE_BUCKET_BOUNDARIES[index + 1],
+      count: bucketCounts.get(min) || 0,
+    })),
+    { min: lastBoundary, max: null, count: bucketCounts.get('more') || 0 },
+  ];
+
+  const availability = result?.availability?.[0] || {};
+
+  // { clé: [{ value, count }] }, valeurs les plus fréquentes d'abord
+  const specificationCounts = [
+    ...(result?.specifications || []),
+    ...filteredSpecPaths.flatMap(
+      (_, index) => result?.[`specification_${index}`] || [],
+    ),
+  ];
+  const specifications = specificationCounts.reduce((acc, { _id, count }) => {
+    if (!acc[_id.key]) acc[_id.key] = [];
+    if (acc[_id.key].length < MAX_SPECIFICATION_VALUES) {
+      acc[_id.key].push({ value: _id.value, count });
+    }
+    return acc;
+  }, {});
+
+  return {
+    categories: (result?.categories || []).map((category) => ({
+      _id: category._id,
+      count: category.count,
+    })),
+    prices,
+    availability: {
+      inStock: availability.inStock || 0,
+      outOfStock: availability.outOfStock || 0,
+    },
+    specifications,
+  };
+};
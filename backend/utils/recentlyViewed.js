@@ -0,0 +1,59 @@
+import Product, { withEffectivePrice } from '@/backend/models/product';
+import { MAX_RECENTLY_VIEWED } from '@/backend/models/user';
+
+// Champs du produit affichés dans l'historique de consultation
+const RECENTLY_VIEWED_PRODUCT_FIELDS = 'name price sale images slug stock';
+
+/**
+ * Fusionne des historiques de consultation [{ product, viewedAt }]
+ * Un produit n'apparaît qu'une fois, à sa consultation la plus récente ;
+ * seuls les MAX_RECENTLY_VIEWED plus récents sont conservés.
+ *
+ * @param {...Array} lists - Historiques à fusionner
+ * @returns {Array} Historique fusionné, plus récents d'abord
+ */
+export const mergeRecentlyViewed = (...lists) => {
+  const latest = new Map();
+
+  for (const entry of lists.flat()) {
+    const key = String(entry.product);
+    const viewedAt = new Date(entry.viewedAt);
+    if (!latest.has(key) || latest.get(key).viewedAt < viewedAt) {
+      latest.set(key, { product: entry.product, viewedAt });
+    }
+  }
+
+  return [...latest.values()]
+    .sort((a, b) => b.viewedAt - a.viewedAt)
+    .slice(0, MAX_RECENTLY_VIEWED);
+};
+
+/**
+ * Produits d'un historique de consultation, dans l'ordre de l'historique
+ * Les produits supprimés ou inactifs sont écartés.
+ *
+ * @param {Array} entries - Historique [{ product, viewedAt }]
+ * @returns {Promise<Array>} Produits au prix du moment, avec `viewedAt`
+ */
+export const getRecentlyViewedProducts = async (entries) => {
+  if (entries.length === 0) return [];
+
+  const products = await Product.find({
+    _id: { $in: entries.map((entry) => entry.product) },
+    isActive: true,
+  })
+    .select(RECENTLY_VIEWED_PRODUCT_FIELDS)
+    .slice('images', 1)
+    .lean();
+
+  const productsById = new Map(
+    products.map((product) => [product._id.toString(), product]),
+  );
+
+  return entries
+    .filter((entry) => productsById.has(String(entry.product)))
+    .map((entry) => ({
+      ...withEffectivePrice(productsById.get(String(entry.product))),
+      viewedAt: entry.viewedAt,
+    }));
+};
@@ -0,0 +1,191 @@
+import mongoose from 'mongoose';
+import Order from '@/backend/models/order';
+import Product, { withEffectivePrice } from '@/backend/models/product';
+import ProductRecommendation from '@/backend/models/productRecommendation';
+import { captureException } from '@/monitoring/sentry';
+import logger from '@/utils/logger';
+
+/**
+ * Recommandations "fréquemment achetés ensemble"
+ * Les co-occurrences sont extraites des `orderItems` des commandes non
+ * annulées puis précalculées dans ProductRecommendation, pour chaque produit
+ * d'une commande créée ou annulée (scheduleRecommendationsRefresh). La
+ * lecture ne recalcule au plus que le produit consulté, s'il n'a jamais été
+ * calculé ou si son précalcul dépasse RECOMMENDATIONS_TTL (fenêtre glissante).
+ * Quand l'historique est trop maigre, les places restantes sont complétées
+ * par des produits de la même catégorie (findSimilarProductsLite).
+ */
+
+// Durée de validité d'un précalcul (24 heures par défaut)
+export const RECOMMENDATIONS_TTL =
+  (parseInt(process.env.RECOMMENDATIONS_TTL_HOURS || '24', 10) || 24) *
+  60 *
+  60 *
+  1000;
+
+// Période d'historique analysée (365 jours par défaut)
+const RECOMMENDATIONS_WINDOW =
+  (parseInt(process.env.RECOMMENDATIONS_WINDOW_DAYS || '365', 10) || 365) *
+  24 *
+  60 *
+  60 *
+  1000;
+
+// Nombre minimum de commandes communes pour qu'une paire soit retenue
+const MIN_CO_PURCHASES = 2;
+
+// Nombre de produits conservés par précalcul
+const MAX_STORED_RECOMMENDATIONS = 20;
+
+const RECOMMENDATION_PRODUCT_FIELDS = 'name price sale images slug stock';
+
+/**
+ * Recalcule les produits achetés avec un produit
+ * @param {string} productId - ID du produit
+ * @returns {Promise<Object>} Précalcul enregistré
+ */
+export const refreshRecommendations = async (productId) => {
+  const id = new mongoose.Types.ObjectId(String(productId));
+
+  const counts = await Order.aggregate([
+    {
+      $match: {
+        'orderItems.product': id,
+        orderStatus: { $ne: 'Cancelled' },
+        createdAt: { $gte: new Date(Date.now() - RECOMMENDATIONS_WINDOW) },
+      },
+    },
+    // Un produit compte une fois par commande, quelles que soient ses variantes
+    { $project: { products: { $setUnion: ['$orderItems.product', []] } } },
+    { $unwind: '$products' },
+    { $group: { _id: '$products', score: { $sum: 1 } } },
+    { $sort: { score: -1, _id: 1 } },
+    // Le produit lui-même apparaît dans toutes les commandes : en tête
+    { $limit: MAX_STORED_RECOMMENDATIONS + 1 },
+  ]);
+
+  const orderCount = counts.find((count) => count._id.equals(id))?.score || 0;
+  const items = counts
+    .filter((count) => !count._id.equals(id) && count.score >= MIN_CO_PURCHASES)
+    .slice(0, MAX_STORED_RECOMMENDATIONS)
+    .map((count) => ({ product: count._id, score: count.score }));
+
+  return ProductRecommendation.findOneAndUpdate(
+    { product: id },
+    { $set: { items, orderCount, computedAt: new Date() } },
+    { upsert: true, new: true },
+  ).lean();
+};
+
+/**
+ * Recalcule les précalculs des produits d'une commande créée ou annulée
+ * L'appelant n'attend pas : un échec est journalisé, le précalcul précédent
+ * reste servi.
+ *
+ * @param {Array} productIds - IDs des produits de la commande
+ */
+export const scheduleRecommendationsRefresh = (productIds) => {
+  const ids = [...new Set(productIds.map(String))];
+
+  (async () => {
+    for (const productId of ids) {
+      await refreshRecommendations(productId);
+    }
+  })().catch((error) => {
+    logger.error('Failed to refresh recommendations', {
+      productIds: ids,
+      error: error.message,
+    });
+    captureException(error, {
+      tags: { component: 'recommendations', action: 'refresh' },
+      extra: { productIds: ids },
+    });
+  });
+};
+
+// Précalculs des produits sources tels qu'enregistrés ; seul le produit
+// principal est recalculé s'il est absent ou périmé (une agrégation au plus)
+const loadRecommendations = async (productIds) => {
+  const [mainId] = productIds;
+  const stored = await ProductRecommendation.find({
+    product: { $in: productIds },
+  }).lean();
+
+  const main = stored.find((doc) => doc.product.equals(mainId));
+  const others = stored.filter((doc) => !doc.product.equals(mainId));
+
+  if (main && Date.now() - main.computedAt.getTime() < RECOMMENDATIONS_TTL) {
+    return [main, ...others];
+  }
+
+  return [await refreshRecommendations(mainId), ...others];
+};
+
+/**
+ * Produits recommandés pour un ou plusieurs produits (page produit, panier)
+ * Les scores des produits sources s'additionnent ; les produits sources,
+ * inactifs ou en rupture ne sont jamais proposés.
+ *
+ * @param {Array} sourceProducts - Produits sources [{ _id, category }], le
+ *   produit principal en premier
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} { products, source: 'orders' | 'mixed' | 'category' }
+ */
+export const getRecommendations = async (
+  sourceProducts,
+  { limit = 8 } = {},
+) => {
+  const sourceIds = sourceProducts.map((product) => product._id);
+  const excluded = new Set(sourceIds.map(String));
+
+  const scores = new Map();
+  for (const doc of await loadRecommendations(sourceIds)) {
+    for (const item of doc.items) {
+      const key = item.product.toString();
+      if (excluded.has(key)) continue;
+      scores.set(key, (scores.get(key) || 0) + item.score);
+    }
+  }
+
+  const candidates = scores.size
+    ? await Product.find({
+        _id: { $in: [...scores.keys()] },
+        isActive: true,
+        stock: { $gt: 0 },
+      })
+        .select(RECOMMENDATION_PRODUCT_FIELDS)
+        .slice('images', 1)
+        .lean()
+    : [];
+
+  const coPurchased = candidates
+    .sort((a, b) => scores.get(b._id.toString()) - scores.get(a._id.toString()))
+    .slice(0, limit);
+
+  // Historique maigre : compléter avec la catégorie des produits sources
+  let sameCategory = [];
+  const categoryIds = sourceProducts
+    .map((product) => product.category?._id || product.category)
+    .filter(Boolean);
+
+  if (coPurchased.length < limit && categoryIds.length > 0) {
+    sameCategory = await Product.findSimilarProductsLite(
+      categoryIds,
+      limit - coPurchased.length,
+      {
+        exclude: [...sourceIds, ...coPurchased.map((product) => product._id)],
+      },
+    );
+  }
+
+  let source = 'orders';
+  if (coPurchased.length === 0) source = 'category';
+  else if (sameCategory.length > 0) source = 'mixed';
+
+  return {
+    products: [...coPurchased, ...sameCategory].map((product) =>
+      withEffectivePrice(product),
+    ),
+    source,
+  };
+};
@@ -0,0 +1,198 @@
+/**
+ * Suggestions de recherche (saisie semi-automatique)
+ * Correspondance insensible aux accents et corrections orthographiques
+ * calculées sur le vocabulaire du catalogue (noms de produits et catégories)
+ */
+
+import Product, { variantPrice } from '@/backend/models/product';
+import Category from '@/backend/models/category';
+import { normalizeSearchText } from '@/helpers/helpers';
+
+const VOCABULARY_TTL = 10 * 60 * 1000; // 10 minutes
+const VOCABULARY_MAX_PRODUCTS = 1000;
+const MIN_WORD_LENGTH = 3;
+const MAX_CATEGORIES = 3;
+const MAX_CORRECTIONS = 3;
+
+// Variantes accentuées acceptées pour chaque lettre de base
+const ACCENT_VARIANTS = {
+  a: 'aàâäáã',
+  c: 'cç',
+  e: 'eéèêë',
+  i: 'iîïíì',
+  n: 'nñ',
+  o: 'oôöóò',
+  u: 'uùûüú',
+  y: 'yÿý',
+};
+
+// Vocabulaire en mémoire (mot normalisé -> fréquence)
+let vocabularyCache = { words: null, expiresAt: 0 };
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Motif regex insensible aux accents et à la casse
+ * "cafe" correspond à "Café", "CAFÉ", "café"...
+ */
+export const accentInsensitivePattern = (term) =>
+  [...normalizeSearchText(term)]
+    .map((char) => {
+      const variants = ACCENT_VARIANTS[char];
+      return variants
+        ? `[${variants}${variants.toUpperCase()}]`
+        : escapeRegex(char);
+    })
+    .join('');
+
+// Distance d'édition avec transpositions (Damerau-Levenshtein restreinte)
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost,
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+};
+
+const extractWords = (text) =>
+  normalizeSearchText(text)
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length >= MIN_WORD_LENGTH);
+
+// Charge (ou réutilise) le vocabulaire du catalogue
+const getVocabulary = async () => {
+  if (vocabularyCache.words && vocabularyCache.expiresAt > Date.now()) {
+    return vocabularyCache.words;
+  }
+
+  const [products, categories] = await Promise.all([
+    Product.find({ isActive: true })
+      .select('name')
+      .limit(VOCABULARY_MAX_PRODUCTS)
+      .lean(),
+    Category.find({ isActive: true }).select('categoryName').lean(),
+  ]);
+
+  const words = new Map();
+  [
+    ...products.map((product) => product.name),
+    ...categories.map((category) => category.categoryName),
+  ].forEach((text) => {
+    extractWords(text).forEach((word) => {
+      words.set(word, (words.get(word) || 0) + 1);
+    });
+  });
+
+  vocabularyCache = { words, expiresAt: Date.now() + VOCABULARY_TTL };
+  return words;
+};
+
+// Candidats proches d'un mot, du plus proche au plus fréquent
+const closestWords = (word, vocabulary) => {
+  const maxDistance = word.length <= 5 ? 1 : 2;
+  const candidates = [];
+
+  for (const [candidate, frequency] of vocabulary) {
+    if (Math.abs(candidate.length - word.length) > maxDistance) continue;
+
+    const distance = editDistance(word, candidate);
+    if (distance > 0 && distance <= maxDistance) {
+      candidates.push({ candidate, distance, frequency });
+    }
+  }
+
+  return candidates
+    .sort((a, b) => a.distance - b.distance || b.frequency - a.frequency)
+    .map(({ candidate }) => candidate);
+};
+
+/**
+ * Propose des orthographes corrigées de la requête
+ * Le dernier mot, en cours de saisie, est accepté s'il préfixe un mot connu
+ */
+const suggestCorrections = (query, vocabulary) => {
+  const words = normalizeSearchText(query).split(' ').filter(Boolean);
+
+  const alternatives = words.map((word, index) => {
+    const isKnown =
+      word.length < MIN_WORD_LENGTH ||
+      vocabulary.has(word) ||
+      (index === words.length - 1 &&
+        [...vocabulary.keys()].some((known) => known.startsWith(word)));
+
+    return isKnown ? [] : closestWords(word, vocabulary);
+  });
+
+  // Premier mot à corriger : ses variantes, les autres au plus probable
+  const firstIndex = alternatives.findIndex((list) => list.length > 0);
+  if (firstIndex === -1) return [];
+
+  return alternatives[firstIndex].slice(0, MAX_CORRECTIONS).map((candidate) =>
+    words
+      .map((word, index) => {
+        if (index === firstIndex) return candidate;
+        return alternatives[index][0] || word;
+      })
+      .join(' '),
+  );
+};
+
+/**
+ * Suggestions pour une saisie partielle
+ * @param {string} query - Saisie nettoyée (2 caractères minimum)
+ * @param {Object} options - { limit } nombre maximum de produits
+ * @returns {Promise<Object>} { products, categories, corrections }
+ */
+export const getSearchSuggestions = async (query, { limit = 5 } = {}) => {
+  // Début de mot, insensible aux accents et à la casse
+  const pattern = `(^|\\s)${accentInsensitivePattern(query)}`;
+
+  const [products, categories, vocabulary] = await Promise.all([
+    Product.find({ isActive: true, name: { $regex: pattern, $options: 'i' } })
+      .select('name slug price sale images')
+      .slice('images', 1)
+      .sort({ sold: -1, createdAt: -1 })
+      .limit(limit)
+      .lean(),
+    Category.find({
+      isActive: true,
+      categoryName: { $regex: pattern, $options: 'i' },
+    })
+      .select('categoryName slug')
+      .limit(MAX_CATEGORIES)
+      .lean(),
+    getVocabulary(),
+  ]);
+
+  return {
+    products: products.map((product) => ({
+      _id: product._id,
+      name: product.name,
+      slug: product.slug,
+      price: variantPrice(product, null),
+      image: product.images?.[0]?.url || null,
+    })),
+    categories: categories.map((category) => ({
+      _id: category._id,
+      categoryName: category.categoryName,
+      slug: category.slug,
+    })),
+    // Corrections proposées seulement quand les résultats sont rares
+    corrections:
+      products.length < limit ? suggestCorrections(query, vocabulary) : [],
+  };
+};
@@ -0,0 +1,132 @@
+import Product, {
+  variantPrice,
+  withEffectivePrice,
+} from '@/backend/models/product';
+import StockAlert from '@/backend/models/stockAlert';
+import '@/backend/models/user';
+import { sendBackInStockEmail } from '@/backend/utils/emailService';
+import { captureException } from '@/monitoring/sentry';
+import logger from '@/utils/logger';
+
+// Produits déjà programmés par session (une notification par produit)
+const scheduledBySession = new WeakMap();
+
+/**
+ * Envoie les alertes en attente d'un produit revenu en stock
+ * Le produit est relu avant l'envoi : une transaction annulée ou un stock
+ * déjà reparti à 0 n'envoie rien. Chaque alerte est basculée en `notified`
+ * avant l'email, si bien que deux déclenchements concurrents ne
+ * l'envoient qu'une fois ; un échec d'email laisse la notification du compte.
+ *
+ * @param {string} productId - ID du produit
+ * @returns {Promise<number>} Nombre d'alertes envoyées
+ */
+export const notifyBackInStock = async (productId) => {
+  const product = await Product.findOne({
+    _id: productId,
+    isActive: true,
+    stock: { $gt: 0 },
+  })
+    .select('name slug price sale stock')
+    .lean();
+
+  if (!product) return 0;
+  const pricedProduct = withEffectivePrice(product);
+
+  const alerts = StockAlert.find({ product: productId, status: 'active' })
+    .select('_id user')
+    .populate('user', 'name email')
+    .lean()
+    .cursor();
+
+  let notified = 0;
+
+  for await (const alert of alerts) {
+    const claimed = await StockAlert.updateOne(
+      { _id: alert._id, status: 'active' },
+      { $set: { status: 'notified', notifiedAt: new Date() } },
+    );
+
+    if (claimed.modifiedCount === 0) continue;
+    notified += 1;
+
+    if (alert.user?.email) {
+      await sendBackInStockEmail(
+        alert.user.email,
+        alert.user.name,
+        pricedProduct,
+      );
+    }
+  }
+
+  if (notified > 0) {
+    logger.info('Back-in-stock alerts sent', {
+      productId: productId.toString(),
+      count: notified,
+    });
+  }
+
+  return notified;
+};
+
+const runNotification = (productId) => {
+  notifyBackInStock(productId).catch((error) => {
+    logger.error('Failed to send back-in-stock alerts', {
+      productId: productId.toString(),
+      error: error.message,
+    });
+    captureException(error, {
+      tags: { component: 'stockAlerts', action: 'notifyBackInStock' },
+      extra: { productId: productId.toString() },
+    });
+  });
+};
+
+/**
+ * Programme les alertes d'un produit revenu en stock
+ * Hors session, l'envoi part immédiatement sans bloquer l'appelant. Dans
+ * une transaction, il attend la fin de la session : les mouvements annulés
+ * sont écartés par la relecture du produit dans notifyBackInStock.
+ *
+ * @param {string} productId - ID du produit
+ * @param {ClientSession} session - Session MongoDB (optionnelle)
+ */
+export const scheduleBackInStockNotification = (productId, session = null) => {
+  if (!session || session.hasEnded) {
+    runNotification(productId);
+    return;
+  }
+
+  let scheduled = scheduledBySession.get(session);
+  if (!scheduled) {
+    scheduled = new Set();
+    scheduledBySession.set(session, scheduled);
+    session.once('ended', () => {
+      scheduled.forEach(runNotification);
+    });
+  }
+
+  // Un même produit peut revenir en stock plusieurs fois dans la session
+  scheduled.add(productId.toString());
+};
+
+// Champs du produit populés sur les alertes
+export const STOCK_ALERT_PRODUCT_FIELDS =
+  'name slug price sale stock images isActive';
+
+/**
+ * Formate une alerte (produit populé) pour l'API
+ * @param {Object} alert - Alerte lean avec `product` populé
+ */
+export const formatStockAlert = (alert) => ({
+  id: alert._id,
+  productId: alert.product._id,
+  productSlug: alert.product.slug || null,
+  productName: alert.product.name,
+  price: variantPrice(alert.product, null),
+  inStock: alert.product.isActive !== false && alert.product.stock > 0,
+  imageUrl: alert.product.images?.[0]?.url || '',
+  status: alert.status,
+  notifiedAt: alert.notifiedAt,
+  createdAt: alert.createdAt,
+});
@@ -0,0 +1,41 @@
+import {
+  findVariant,
+  hasVariants,
+  priceAt,
+  variantLabel,
+} from '@/backend/models/product';
+
+// Champs du produit populés sur les entrées de la liste d'envies
+export const WISHLIST_PRODUCT_FIELDS =
+  'name slug price sale stock images isActive variants';
+
+/**
+ * Formate une entrée de liste d'envies (produit populé) pour l'API
+ * Prix et stock sont ceux du moment : rien n'est figé à l'ajout
+ * @param {Object} item - Entrée lean avec `product` populé
+ */
+export const formatWishlistItem = (item) => {
+  const { product } = item;
+  const variant = item.variant ? findVariant(product, item.variant) : null;
+  const isAvailable = product.isActive !== false;
+  const stock = variant ? variant.stock : product.stock;
+  const { price, compareAtPrice } = priceAt(product, variant);
+
+  return {
+    id: item._id,
+    productId: product._id,
+    productSlug: product.slug || null,
+    productName: product.name,
+    variantId: variant?._id || null,
+    variantLabel: variantLabel(variant),
+    // Produit à variantes sans variante choisie : choix requis sur la fiche
+    requiresVariant: hasVariants(product) && !variant,
+    price,
+    compareAtPrice,
+    stock,
+    inStock: isAvailable && stock > 0,
+    isAvailable,
+    imageUrl: variant?.images?.[0]?.url || product.images?.[0]?.url || '',
+    addedAt: item.createdAt,
+  };
+};
@@ -24,6 +24,8 @@ const UserAddresses = dynamic(() => import('@/components/user/UserAddresses'), {
   // ssr: false,
 });
 
+const StockAlerts = dynamic(() => import('@/components/user/StockAlerts'));
+
 const Profile = ({ addresses = [] }) => {
   const { user } = useContext(AuthContext);
   const [isClient, setIsClient] = useState(false);
@@ -209,6 +211,8 @@ const Profile = ({ addresses = [] }) => {
           </Link>
         </div>
       )}
+
+      <StockAlerts />
     </section>
   );
 };
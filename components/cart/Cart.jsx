@@ -1,10 +1,11 @@
 'use client';
 
-import { useContext, useEffect, useState, useRef, memo } from 'react';
+import { useContext, useEffect, useMemo, useState, useRef, memo } from 'react';
 import { useRouter } from 'next/navigation';
 import { toast } from 'react-toastify';
 
 import CartContext from '@/context/CartContext';
+import OrderContext from '@/context/OrderContext';
 import dynamic from 'next/dynamic';
 import CartItemSkeleton from '../skeletons/CartItemSkeleton';
 
@@ -17,6 +18,7 @@ const ItemCart = dynamic(() => import('./components/ItemCart'), {
 // Composants et hooks extraits pour meilleure organisation
 import EmptyCart from './components/EmptyCart';
 import CartSummary from './components/CartSummary';
+import FrequentlyBoughtTogether from '../products/FrequentlyBoughtTogether';
 import useCartOperations from '../../hooks/useCartOperations'; // ✅ Hook avec monitoring intégré
 import CartSkeleton from '../skeletons/CartSkeleton';
 
@@ -30,6 +32,7 @@ const Cart = () => {
     error,
     clearError,
   } = useContext(CartContext);
+  const { releaseCheckout } = useContext(OrderContext);
 
   const [initialLoadComplete, setInitialLoadComplete] = useState(false);
   const router = useRouter();
@@ -43,6 +46,12 @@ const Cart = () => {
     handleDeleteItem,
   } = useCartOperations();
 
+  // Produits du panier, sources des recommandations (20 au plus en plus du premier)
+  const cartProductIds = useMemo(
+    () => [...new Set(cart.map((item) => item.productId))].slice(0, 21),
+    [cart],
+  );
+
   // Ajoutons un useRef pour suivre si une requête de chargement est en cours
   const isLoadingCart = useRef(false);
 
@@ -64,6 +73,8 @@ const Cart = () => {
 
       try {
         isLoadingCart.current = true;
+        // Retour au panier : rendre au stock la réservation du checkout
+        await releaseCheckout();
         await setCartToState();
       } catch (error) {
         console.error('Erreur lors du chargement du panier:', error);
@@ -121,6 +132,13 @@ const Cart = () => {
               )}
             </div>
           )}
+
+          {cart?.length > 0 && (
+            <FrequentlyBoughtTogether
+              productIds={cartProductIds}
+              title="Vous aimerez aussi"
+            />
+          )}
         </div>
       </section>
     </>
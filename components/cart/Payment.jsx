@@ -21,7 +21,13 @@ import OrderContext from '@/context/OrderContext';
 import { isArrayEmpty, formatPrice, safeValue } from '@/helpers/helpers';
 import PaymentPageSkeleton from '../skeletons/PaymentPageSkeleton';
 import { validateDjiboutiPayment } from '@/helpers/validation';
-import { HandCoins, Info, LoaderCircle, ShoppingCart } from 'lucide-react';
+import {
+  Clock,
+  HandCoins,
+  Info,
+  LoaderCircle,
+  ShoppingCart,
+} from 'lucide-react';
 
 // Chargement dynamique des composants
 const BreadCrumbs = dynamic(() => import('@/components/layouts/BreadCrumbs'), {
@@ -56,12 +62,14 @@ const Payment = () => {
   const [accountNumber, setAccountNumber] = useState('');
   const [errors, setErrors] = useState({});
   const [dataInitialized, setDataInitialized] = useState(false);
+  // Taxe du devis serveur (null tant que le devis n'est pas reçu)
+  const [taxAmount, setTaxAmount] = useState(null);
 
   // Référence pour limiter les soumissions multiples
   const submitAttempts = useRef(0);
 
   // Contextes
-  const { cart, cartTotal, cartCount } = useContext(CartContext);
+  const { cart, cartTotal, cartCount, coupon } = useContext(CartContext);
 
   const {
     orderInfo,
@@ -73,16 +81,89 @@ const Payment = () => {
     shippingStatus,
     error,
     clearErrors,
+    reservation,
   } = useContext(OrderContext);
 
   const router = useRouter();
 
+  // Réduction du code promo (livraison offerte : frais de livraison déduits)
+  const discountAmount = useMemo(() => {
+    if (!coupon) return 0;
+    if (coupon.type === 'free_shipping') {
+      return shippingStatus ? Number(safeValue(deliveryPrice, 0)) : 0;
+    }
+    return Number(safeValue(coupon.discountAmount, 0));
+  }, [coupon, deliveryPrice, shippingStatus]);
+
   // Calcul du montant total
   const totalAmount = useMemo(() => {
     const baseAmount = Number(safeValue(cartTotal?.toFixed(2), 0));
     const shipping = shippingStatus ? Number(safeValue(deliveryPrice, 0)) : 0;
-    return (baseAmount + shipping).toFixed(2);
-  }, [deliveryPrice, shippingStatus]);
+    return Math.max(
+      0,
+      baseAmount + shipping + (taxAmount || 0) - discountAmount,
+    ).toFixed(2);
+  }, [deliveryPrice, shippingStatus, discountAmount, taxAmount]);
+
+  // Taxe calculée par le serveur sur le panier en base, comme à la commande
+  useEffect(() => {
+    if (!cartCount) return;
+
+    let active = true;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+    const fetchQuote = async () => {
+      try {
+        const res = await fetch(
+          `${process.env.NEXT_PUBLIC_API_URL}/api/cart/quote`,
+          {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              Accept: 'application/json',
+            },
+            body: JSON.stringify({
+              withShipping: !!shippingStatus,
+              ...(coupon && {
+                couponCode: coupon.code,
+                couponToken: coupon.recheckToken,
+              }),
+            }),
+            signal: controller.signal,
+            credentials: 'include',
+          },
+        );
+
+        clearTimeout(timeoutId);
+        const data = await res.json();
+
+        if (!res.ok || !data.success) {
+          throw new Error(
+            `HTTP ${res.status}: ${data.message || 'Cart quote failed'}`,
+          );
+        }
+
+        if (active) setTaxAmount(data.data.taxAmount);
+      } catch (error) {
+        if (!active) return;
+
+        setTaxAmount(null);
+        console.error('Erreur lors du calcul des taxes:', error.message);
+        captureException(error, {
+          tags: { component: 'Payment', action: 'fetchQuote' },
+        });
+      }
+    };
+
+    fetchQuote();
+
+    return () => {
+      active = false;
+      clearTimeout(timeoutId);
+      controller.abort();
+    };
+  }, [cartTotal, cartCount, shippingStatus, coupon]);
 
   // Chemins de fil d'Ariane
   const breadCrumbs = useMemo(() => {
@@ -304,6 +385,14 @@ const Payment = () => {
     try {
       setIsSubmitting(true);
 
+      // Le total envoyé doit inclure la taxe du devis serveur
+      if (taxAmount === null) {
+        toast.error('Le calcul des taxes a échoué, veuillez réessayer', {
+          position: 'bottom-right',
+        });
+        return;
+      }
+
       // Remplacer toute la section de validation par :
       const validationResult = await validatePaymentData();
       if (!validationResult.isValid) {
@@ -329,9 +418,11 @@ const Payment = () => {
       const finalOrderInfo = {
         ...orderInfo,
         paymentInfo,
-        taxAmount: 0,
-        totalAmount: cartTotal?.toFixed(2) || 0,
+        taxAmount,
+        totalAmount: parseFloat(totalAmount),
         shippingAmount: shippingStatus ? deliveryPrice : 0,
+        discountAmount,
+        ...(coupon && { couponCode: coupon.code }),
       };
 
       // Supprimer les infos de livraison si pas de livraison
@@ -378,6 +469,9 @@ const Payment = () => {
     totalAmount,
     orderInfo,
     deliveryPrice,
+    discountAmount,
+    taxAmount,
+    coupon,
     addOrder,
   ]);
 
@@ -438,6 +532,20 @@ const Payment = () => {
                   </div>
                 )}
 
+                {reservation?.expiresAt && (
+                  <div className="mt-8 p-4 bg-amber-50 rounded-lg text-sm text-amber-700">
+                    <p className="flex items-start">
+                      <Clock className="mr-2" />
+                      Vos articles sont réservés jusqu&apos;à{' '}
+                      {new Date(reservation.expiresAt).toLocaleTimeString(
+                        'fr-FR',
+                        { hour: '2-digit', minute: '2-digit' },
+                      )}
+                      . Passé ce délai, ils seront remis en vente.
+                    </p>
+                  </div>
+                )}
+
                 <div className="mt-8 p-4 bg-blue-50 rounded-lg text-sm text-blue-700">
                   <p className="flex items-start">
                     <Info className="mr-2" />
@@ -529,6 +637,20 @@ const Payment = () => {
                     </span>
                   </div>
 
+                  {taxAmount > 0 && (
+                    <div className="flex justify-between text-gray-600">
+                      <span>Taxes:</span>
+                      <span>{formatPrice(taxAmount)}</span>
+                    </div>
+                  )}
+
+                  {discountAmount > 0 && (
+                    <div className="flex justify-between text-green-700">
+                      <span>Réduction ({coupon.code}):</span>
+                      <span>-{formatPrice(discountAmount)}</span>
+                    </div>
+                  )}
+
                   <div className="flex justify-between text-lg font-bold border-t pt-3 mt-2">
                     <span>Total a payer:</span>
                     <span className="text-blue-600">
@@ -65,6 +65,7 @@ const ShippingChoice = ({ addresses, payments, deliveryPrice }) => {
     setPaymentTypes,
     setShippingStatus,
     setDeliveryPrice,
+    reserveCheckout,
   } = useContext(OrderContext);
 
   const router = useRouter();
@@ -114,6 +115,10 @@ const ShippingChoice = ({ addresses, payments, deliveryPrice }) => {
         const price = deliveryPrice?.[0]?.deliveryPrice || 0;
         setDeliveryPrice(price);
 
+        // Réserver le stock du panier pendant le checkout
+        // (en cas de rupture, reserveCheckout redirige vers /error)
+        await reserveCheckout();
+
         // Préparation des éléments de commande
         const orderItems = prepareOrderItems();
         setOrderInfo({ orderItems });
@@ -147,6 +152,7 @@ const ShippingChoice = ({ addresses, payments, deliveryPrice }) => {
     return cart.map((item) => ({
       cartId: item?.id,
       product: item?.productId,
+      ...(item?.variantId && { variant: item.variantId }),
       name: item?.productName || 'Produit sans nom',
       category: 'Non catégorisé',
       quantity: item?.quantity || 1,
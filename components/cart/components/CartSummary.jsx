@@ -1,11 +1,95 @@
 'use client';
 
-import { memo } from 'react';
+import { memo, useContext, useState } from 'react';
 import Link from 'next/link';
+import { LoaderCircle, Tag, X } from 'lucide-react';
+import CartContext from '@/context/CartContext';
 import { formatPrice } from '@/helpers/helpers';
 
+// Saisie du code promo, ou rappel du code appliqué
+const CouponField = memo(() => {
+  const { coupon, applyCoupon, removeCoupon } = useContext(CartContext);
+  const [code, setCode] = useState('');
+  const [isPending, setIsPending] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isPending || !code.trim()) return;
+
+    setIsPending(true);
+    try {
+      if (await applyCoupon(code.trim())) setCode('');
+    } finally {
+      setIsPending(false);
+    }
+  };
+
+  if (coupon) {
+    return (
+      <div className="flex items-start justify-between gap-2 rounded-lg border border-green-200 bg-green-50 px-3 py-2 mb-5">
+        <div className="text-sm">
+          <p className="font-medium text-green-800 flex items-center gap-1">
+            <Tag className="h-4 w-4" aria-hidden="true" />
+            {coupon.code}
+          </p>
+          {coupon.description && (
+            <p className="text-green-700">{coupon.description}</p>
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={removeCoupon}
+          aria-label={`Retirer le code promo ${coupon.code}`}
+          title="Retirer le code promo"
+          className="text-green-700 hover:text-green-900"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-5">
+      <label
+        htmlFor="coupon-code"
+        className="block text-sm font-medium text-gray-700 mb-1"
+      >
+        Code promo
+      </label>
+      <div className="flex gap-2">
+        <input
+          id="coupon-code"
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value.toUpperCase())}
+          maxLength={30}
+          autoComplete="off"
+          placeholder="Saisissez votre code"
+          className="min-w-0 flex-1 px-3 py-2 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={isPending || !code.trim()}
+          className="px-3 py-2 text-sm font-medium text-blue-600 border border-blue-600 rounded-lg hover:bg-blue-50 disabled:opacity-50"
+        >
+          {isPending ? (
+            <LoaderCircle className="animate-spin h-4 w-4" />
+          ) : (
+            'Appliquer'
+          )}
+        </button>
+      </div>
+    </form>
+  );
+});
+
+CouponField.displayName = 'CouponField';
+
 const CartSummary = memo(({ cartItems, amount }) => {
+  const { coupon } = useContext(CartContext);
   const totalUnits = cartItems.reduce((acc, item) => acc + item?.quantity, 0);
+  const discountAmount = coupon?.discountAmount || 0;
 
   return (
     <aside className="md:w-1/4">
@@ -22,15 +106,38 @@ const CartSummary = memo(({ cartItems, amount }) => {
             <span className="font-medium">{totalUnits}</span>
           </li>
 
+          {discountAmount > 0 && (
+            <li
+              className="flex justify-between text-green-700"
+              title="Réduction du code promo"
+            >
+              <span>Réduction ({coupon.code}):</span>
+              <span className="font-medium">
+                -{formatPrice(discountAmount)}
+              </span>
+            </li>
+          )}
+
+          {coupon?.type === 'free_shipping' && (
+            <li className="flex justify-between text-green-700">
+              <span>Livraison:</span>
+              <span className="font-medium">Offerte</span>
+            </li>
+          )}
+
           <li
             className="text-lg font-bold border-t flex justify-between mt-3 pt-4"
             title="Prix total"
           >
             <span>Total:</span>
-            <span className="text-blue-600">{formatPrice(amount)}</span>
+            <span className="text-blue-600">
+              {formatPrice(Math.max(0, amount - discountAmount))}
+            </span>
           </li>
         </ul>
 
+        <CouponField />
+
         <div className="space-y-3">
           <Link
             href="/shipping-choice"
@@ -48,7 +48,7 @@ const ItemCart = memo(
           <div className="w-full sm:w-2/5 flex">
             <div className="flex-shrink-0">
               <Link
-                href={`/product/${cartItem?.productId}`}
+                href={`/product/${cartItem?.productSlug || cartItem?.productId}`}
                 className="block relative h-24 w-24 rounded border overflow-hidden transition-shadow hover:shadow-md"
               >
                 <Image
@@ -65,12 +65,18 @@ const ItemCart = memo(
 
             <div className="ml-4 flex flex-col">
               <Link
-                href={`/product/${cartItem?.productId}`}
+                href={`/product/${cartItem?.productSlug || cartItem?.productId}`}
                 className="text-gray-800 font-semibold text-sm sm:text-base hover:text-blue-600 line-clamp-2 transition-colors"
               >
                 {cartItem?.productName}
               </Link>
 
+              {cartItem?.variantLabel && (
+                <span className="text-xs text-gray-500 mt-0.5">
+                  {cartItem.variantLabel}
+                </span>
+              )}
+
               <div className="flex items-center mt-1">
                 {isOutOfStock ? (
                   <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-red-100 text-red-800">
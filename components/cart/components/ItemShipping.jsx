@@ -17,6 +17,7 @@ const ItemShipping = memo(({ item }) => {
   // Gestion des valeurs manquantes avec fallbacks
   const quantity = item?.quantity || 1;
   const productId = item?.productId || 'unknown';
+  const productPath = `/product/${item?.productSlug || productId}`;
   const productName = item?.productName || 'Produit sans nom';
 
   // Calcul du total avec gestion des types et valeurs manquantes
@@ -38,7 +39,7 @@ const ItemShipping = memo(({ item }) => {
     <div className="flex items-center space-x-3 py-2 group transition-all duration-200">
       <div className="relative flex-shrink-0">
         <Link
-          href={`/product/${productId}`}
+          href={productPath}
           className="block relative w-16 h-16 rounded bg-gray-50 p-1 border border-gray-200 overflow-hidden transition-shadow hover:shadow-md"
         >
           <Image
@@ -64,12 +65,18 @@ const ItemShipping = memo(({ item }) => {
 
       <div className="flex-1 min-w-0">
         <Link
-          href={`/product/${productId}`}
+          href={productPath}
           className="text-sm font-medium text-gray-800 hover:text-blue-600 line-clamp-1 transition-colors"
         >
           {productName}
         </Link>
 
+        {item?.variantLabel && (
+          <span className="block text-xs text-gray-500">
+            {item.variantLabel}
+          </span>
+        )}
+
         <div className="flex justify-between items-baseline mt-1">
           <span className="text-xs text-gray-500">{formatPrice(total)}</span>
 
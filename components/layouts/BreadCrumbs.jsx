@@ -7,25 +7,42 @@ import { ChevronRight } from 'lucide-react';
 const BreadCrumbs = memo(({ breadCrumbs }) => {
   return (
     <section className="py-5 sm:py-7 bg-blue-100">
-      <div className="container max-w-(--breakpoint-xl) mx-auto px-4">
+      <nav
+        className="container max-w-(--breakpoint-xl) mx-auto px-4"
+        aria-label="Fil d'Ariane"
+      >
         <ol className="inline-flex flex-wrap text-gray-600 space-x-1 md:space-x-3 items-center">
           {isArrayEmpty(breadCrumbs)
             ? ''
-            : breadCrumbs?.map((breadCrumb, index) => (
-                <li className="inline-flex items-center" key={index}>
-                  <Link
-                    href={breadCrumb.url}
-                    className="text-gray-600 hover:text-blue-600"
+            : breadCrumbs?.map((breadCrumb, index) => {
+                const isCurrent = breadCrumbs.length - 1 === index;
+
+                return (
+                  <li
+                    className="inline-flex items-center"
+                    key={breadCrumb.url || index}
                   >
-                    {breadCrumb.name}
-                  </Link>
-                  {breadCrumbs?.length - 1 !== index && (
-                    <ChevronRight className="ml-3 text-gray-400" />
-                  )}
-                </li>
-              ))}
+                    {/* Dernier élément : page courante, sans lien */}
+                    {isCurrent ? (
+                      <span className="text-gray-800" aria-current="page">
+                        {breadCrumb.name}
+                      </span>
+                    ) : (
+                      <Link
+                        href={breadCrumb.url}
+                        className="text-gray-600 hover:text-blue-600"
+                      >
+                        {breadCrumb.name}
+                      </Link>
+                    )}
+                    {!isCurrent && (
+                      <ChevronRight className="ml-3 text-gray-400" />
+                    )}
+                  </li>
+                );
+              })}
         </ol>
-      </div>
+      </nav>
     </section>
   );
 });
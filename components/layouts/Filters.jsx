@@ -1,13 +1,53 @@
 'use client';
 
 import { useState, useCallback, useMemo, useEffect } from 'react';
-import { useRouter, useSearchParams } from 'next/navigation';
+import { usePathname, useRouter, useSearchParams } from 'next/navigation';
 import { toast } from 'react-toastify';
-import { getPriceQueryParams, isArrayEmpty } from '@/helpers/helpers';
+import {
+  flattenCategoryTree,
+  getPriceQueryParams,
+  isArrayEmpty,
+} from '@/helpers/helpers';
+import { SPEC_PARAM_PATTERN } from '@/helpers/validation/schemas/product';
 import { ChevronDown, ChevronUp } from 'lucide-react';
 
-const Filters = ({ categories, setLocalLoading }) => {
+// Libellé d'une tranche de prix des facettes
+const formatPriceBucket = ({ min, max }) => {
+  if (!min) return `Moins de ${max} €`;
+  if (max === null) return `${min} € et plus`;
+  return `${min} € - ${max} €`;
+};
+
+// Borne max d'une tranche [min, max[ (prix arrondis au centime)
+const bucketMaxParam = (bucket) =>
+  bucket.max === null ? '' : String(Number((bucket.max - 0.01).toFixed(2)));
+
+// Libellé d'une valeur de caractéristique
+const formatSpecValue = (value, attribute) => {
+  if (typeof value === 'boolean') return value ? 'Oui' : 'Non';
+  return attribute.unit ? `${value} ${attribute.unit}` : String(value);
+};
+
+// Paramètres spec[...] de l'URL
+const specParamKeys = (params) =>
+  [...params.keys()].filter((key) => SPEC_PARAM_PATTERN.test(key));
+
+// Retrait progressif des sous-catégories
+const DEPTH_INDENT = ['', 'pl-4', 'pl-8'];
+
+const AVAILABILITY_OPTIONS = [
+  { value: 'in_stock', label: 'En stock', countKey: 'inStock' },
+  { value: 'out_of_stock', label: 'En rupture', countKey: 'outOfStock' },
+];
+
+const Filters = ({
+  categories,
+  facets,
+  setLocalLoading,
+  currentCategoryId,
+}) => {
   const router = useRouter();
+  const pathname = usePathname();
   const searchParams = useSearchParams();
 
   // État local synchronisé avec les paramètres d'URL
@@ -16,12 +56,78 @@ const Filters = ({ categories, setLocalLoading }) => {
   const [open, setOpen] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
 
-  // Mémoiser la valeur de catégorie actuelle
+  // Catégorie de la page (/category/[slug]) ou ancien paramètre ?category=
   const currentCategory = useMemo(
-    () => searchParams?.get('category') || '',
+    () => currentCategoryId || searchParams?.get('category') || '',
+    [currentCategoryId, searchParams],
+  );
+
+  // Arborescence aplatie pour l'affichage
+  const flatCategories = useMemo(
+    () => flattenCategoryTree(categories || []),
+    [categories],
+  );
+
+  const currentAvailability = searchParams?.get('availability') || '';
+
+  // Attributs filtrables de la catégorie sélectionnée
+  const filterableAttributes = useMemo(
+    () =>
+      (
+        flatCategories.find((category) => category?._id === currentCategory)
+          ?.attributes || []
+      ).filter((attribute) => attribute.filterable),
+    [flatCategories, currentCategory],
+  );
+
+  // Valeurs sélectionnées par attribut (spec[clé]=v1,v2)
+  const selectedSpecValues = useCallback(
+    (key) =>
+      (searchParams?.get(`spec[${key}]`) || '').split(',').filter(Boolean),
     [searchParams],
   );
 
+  const hasSpecFilters = useMemo(
+    () =>
+      specParamKeys(new URLSearchParams(searchParams?.toString() || ''))
+        .length > 0,
+    [searchParams],
+  );
+
+  // Compteurs par catégorie (facettes de la recherche courante)
+  const categoryCounts = useMemo(
+    () =>
+      new Map(
+        (facets?.categories || []).map((facet) => [
+          String(facet._id),
+          facet.count,
+        ]),
+      ),
+    [facets],
+  );
+
+  // Une catégorie compte aussi les produits de ses sous-catégories
+  const categoryTotals = useMemo(() => {
+    const totals = new Map();
+    const total = (category) => {
+      const count = (category.children || []).reduce(
+        (sum, child) => sum + total(child),
+        categoryCounts.get(String(category._id)) || 0,
+      );
+      totals.set(String(category._id), count);
+      return count;
+    };
+    (categories || []).forEach(total);
+    return totals;
+  }, [categories, categoryCounts]);
+
+  // Sans facettes (API indisponible), aucune option n'est désactivée
+  const countFor = useCallback(
+    (categoryId) =>
+      facets ? categoryTotals.get(String(categoryId)) || 0 : null,
+    [facets, categoryTotals],
+  );
+
   // Synchroniser les états avec les paramètres d'URL
   useEffect(() => {
     setMin(searchParams?.get('min') || '');
@@ -51,9 +157,9 @@ const Filters = ({ categories, setLocalLoading }) => {
     }
   }, [min, max]);
 
-  // Gestionnaire de clic sur catégorie
+  // Gestionnaire de clic sur catégorie : page de la catégorie
   const handleCategoryClick = useCallback(
-    (categoryId) => {
+    (category) => {
       if (isSubmitting) return;
       setIsSubmitting(true);
       setLocalLoading(true);
@@ -61,16 +167,21 @@ const Filters = ({ categories, setLocalLoading }) => {
       try {
         // Création d'une nouvelle instance de URLSearchParams
         const params = new URLSearchParams(searchParams?.toString() || '');
+        params.delete('category');
+        params.delete('page');
+
+        // Les caractéristiques dépendent de la catégorie
+        specParamKeys(params).forEach((key) => params.delete(key));
 
         // Logique de basculement: si la catégorie est déjà sélectionnée, la désélectionner
-        if (params.get('category') === categoryId) {
-          params.delete('category');
-        } else {
-          params.set('category', categoryId);
-        }
+        const base =
+          currentCategory === category._id || !category.slug
+            ? '/'
+            : `/category/${category.slug}`;
+        const query = params.toString();
 
         // Navigation vers la nouvelle URL
-        const path = `/?${params.toString()}`;
+        const path = query ? `${base}?${query}` : base;
         setOpen(false);
         setIsSubmitting(false);
         setLocalLoading(false);
@@ -82,7 +193,7 @@ const Filters = ({ categories, setLocalLoading }) => {
         setIsSubmitting(false);
       }
     },
-    [searchParams],
+    [searchParams, currentCategory],
   );
 
   // Gestionnaire pour appliquer les filtres de prix
@@ -103,7 +214,7 @@ const Filters = ({ categories, setLocalLoading }) => {
       params = getPriceQueryParams(params, 'max', max);
 
       // Navigation
-      const path = `/?${params.toString()}`;
+      const path = `${pathname}?${params.toString()}`;
       setOpen(false);
       setIsSubmitting(false);
       setLocalLoading(false);
@@ -115,7 +226,72 @@ const Filters = ({ categories, setLocalLoading }) => {
       setLocalLoading(false);
       setIsSubmitting(false);
     }
-  }, [min, max, searchParams]);
+  }, [min, max, searchParams, pathname]);
+
+  // Application d'une facette (tranche de prix, disponibilité)
+  const applyFacet = useCallback(
+    (updates) => {
+      if (isSubmitting) return;
+
+      const params = new URLSearchParams(searchParams?.toString() || '');
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value) {
+          params.set(key, value);
+        } else {
+          params.delete(key);
+        }
+      });
+      params.delete('page');
+
+      setOpen(false);
+      router.push(`${pathname}?${params.toString()}`);
+    },
+    [isSubmitting, searchParams, router, pathname],
+  );
+
+  const isBucketActive = useCallback(
+    (bucket) =>
+      (searchParams?.get('min') || '') ===
+        (bucket.min ? String(bucket.min) : '') &&
+      (searchParams?.get('max') || '') === bucketMaxParam(bucket),
+    [searchParams],
+  );
+
+  const handleBucketClick = useCallback(
+    (bucket) => {
+      if (isBucketActive(bucket)) {
+        applyFacet({ min: '', max: '' });
+        return;
+      }
+
+      applyFacet({
+        min: bucket.min ? String(bucket.min) : '',
+        max: bucketMaxParam(bucket),
+      });
+    },
+    [applyFacet, isBucketActive],
+  );
+
+  const handleAvailabilityClick = useCallback(
+    (value) => {
+      applyFacet({
+        availability: currentAvailability === value ? '' : value,
+      });
+    },
+    [applyFacet, currentAvailability],
+  );
+
+  const handleSpecClick = useCallback(
+    (key, value) => {
+      const selected = selectedSpecValues(key);
+      const next = selected.includes(value)
+        ? selected.filter((item) => item !== value)
+        : [...selected, value];
+
+      applyFacet({ [`spec[${key}]`]: next.join(',') });
+    },
+    [applyFacet, selectedSpecValues],
+  );
 
   // Réinitialiser les filtres
   const resetFilters = useCallback(() => {
@@ -129,8 +305,10 @@ const Filters = ({ categories, setLocalLoading }) => {
 
   // Vérifier si des filtres sont actifs
   const hasActiveFilters = useMemo(() => {
-    return min || max || currentCategory;
-  }, [min, max, currentCategory]);
+    return (
+      min || max || currentCategory || currentAvailability || hasSpecFilters
+    );
+  }, [min, max, currentCategory, currentAvailability, hasSpecFilters]);
 
   return (
     <aside className="md:w-1/3 lg:w-1/4 px-4">
@@ -228,8 +406,68 @@ const Filters = ({ categories, setLocalLoading }) => {
             >
               Appliquer
             </button>
+
+            {facets?.prices?.length > 0 && (
+              <ul className="mt-3 space-y-1" aria-label="Tranches de prix">
+                {facets.prices.map((bucket) => {
+                  const isActive = isBucketActive(bucket);
+
+                  return (
+                    <li key={bucket.min}>
+                      <button
+                        className={`flex justify-between w-full px-2 py-1 rounded-md text-sm transition-colors ${
+                          isActive
+                            ? 'bg-blue-100 text-blue-700'
+                            : 'text-gray-700 hover:bg-gray-100 disabled:text-gray-300 disabled:hover:bg-transparent disabled:cursor-not-allowed'
+                        }`}
+                        onClick={() => handleBucketClick(bucket)}
+                        aria-pressed={isActive}
+                        disabled={isSubmitting || (!isActive && !bucket.count)}
+                      >
+                        <span>{formatPriceBucket(bucket)}</span>
+                        <span className="text-xs text-gray-400">
+                          {bucket.count}
+                        </span>
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
           </div>
 
+          {/* Disponibilité */}
+          {facets?.availability && (
+            <div className="p-4 border border-gray-200 bg-white rounded-lg shadow-sm">
+              <h3 className="font-semibold mb-3 text-gray-700">
+                Disponibilité
+              </h3>
+              <div className="space-y-2">
+                {AVAILABILITY_OPTIONS.map((option) => {
+                  const count = facets.availability[option.countKey];
+                  const isActive = currentAvailability === option.value;
+
+                  return (
+                    <button
+                      key={option.value}
+                      className={`flex justify-between items-center w-full p-2 rounded-md transition-colors ${
+                        isActive
+                          ? 'bg-blue-100 text-blue-700'
+                          : 'hover:bg-gray-100 text-gray-700 disabled:text-gray-300 disabled:hover:bg-transparent disabled:cursor-not-allowed'
+                      }`}
+                      onClick={() => handleAvailabilityClick(option.value)}
+                      aria-pressed={isActive}
+                      disabled={isSubmitting || (!isActive && !count)}
+                    >
+                      <span className="ml-2">{option.label}</span>
+                      <span className="text-xs text-gray-400">{count}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           {/* Catégories */}
           <div className="p-4 border border-gray-200 bg-white rounded-lg shadow-sm">
             <h3 className="font-semibold mb-3 text-gray-700">Catégories</h3>
@@ -240,25 +478,80 @@ const Filters = ({ categories, setLocalLoading }) => {
               </div>
             ) : (
               <div className="space-y-2 max-h-60 overflow-y-auto pr-2">
-                {categories?.map((category) => (
-                  <button
-                    key={category?._id}
-                    className={`flex items-center w-full p-2 rounded-md transition-colors cursor-pointer ${
-                      currentCategory === category?._id
-                        ? 'bg-blue-100 text-blue-700'
-                        : 'hover:bg-gray-100 text-gray-700'
-                    }`}
-                    onClick={() => handleCategoryClick(category?._id)}
-                    aria-pressed={currentCategory === category?._id}
-                    disabled={isSubmitting}
-                  >
-                    <span className="ml-2">{category?.name}</span>
-                  </button>
-                ))}
+                {flatCategories.map((category) => {
+                  const isActive = currentCategory === category?._id;
+                  const count = countFor(category?._id);
+
+                  return (
+                    <button
+                      key={category?._id}
+                      className={`flex justify-between items-center w-full p-2 rounded-md transition-colors cursor-pointer ${
+                        DEPTH_INDENT[category.depth] || DEPTH_INDENT.at(-1)
+                      } ${
+                        isActive
+                          ? 'bg-blue-100 text-blue-700'
+                          : 'hover:bg-gray-100 text-gray-700 disabled:text-gray-300 disabled:hover:bg-transparent disabled:cursor-not-allowed'
+                      }`}
+                      onClick={() => handleCategoryClick(category)}
+                      aria-pressed={isActive}
+                      // Option sans résultat : désactivée sauf si sélectionnée
+                      disabled={isSubmitting || (!isActive && count === 0)}
+                    >
+                      <span className="ml-2">{category?.name}</span>
+                      {count !== null && (
+                        <span className="text-xs text-gray-400">{count}</span>
+                      )}
+                    </button>
+                  );
+                })}
               </div>
             )}
           </div>
 
+          {/* Caractéristiques de la catégorie sélectionnée */}
+          {filterableAttributes.map((attribute) => {
+            const values = facets?.specifications?.[attribute.key] || [];
+            const selected = selectedSpecValues(attribute.key);
+            if (values.length === 0 && selected.length === 0) return null;
+
+            return (
+              <div
+                key={attribute.key}
+                className="p-4 border border-gray-200 bg-white rounded-lg shadow-sm"
+              >
+                <h3 className="font-semibold mb-3 text-gray-700">
+                  {attribute.label}
+                </h3>
+                <div className="space-y-2 max-h-60 overflow-y-auto pr-2">
+                  {values.map(({ value, count }) => {
+                    const isActive = selected.includes(String(value));
+
+                    return (
+                      <button
+                        key={String(value)}
+                        className={`flex justify-between items-center w-full p-2 rounded-md transition-colors ${
+                          isActive
+                            ? 'bg-blue-100 text-blue-700'
+                            : 'hover:bg-gray-100 text-gray-700'
+                        }`}
+                        onClick={() =>
+                          handleSpecClick(attribute.key, String(value))
+                        }
+                        aria-pressed={isActive}
+                        disabled={isSubmitting}
+                      >
+                        <span className="ml-2">
+                          {formatSpecValue(value, attribute)}
+                        </span>
+                        <span className="text-xs text-gray-400">{count}</span>
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+
           {/* Bouton réinitialiser mobile */}
           {hasActiveFilters && (
             <div className="md:hidden">
@@ -14,6 +14,9 @@ import Link from 'next/link';
 import Image from 'next/image';
 import * as Sentry from '@sentry/nextjs';
 import CartContext from '@/context/CartContext';
+import WishlistContext from '@/context/WishlistContext';
+import StockAlertContext from '@/context/StockAlertContext';
+import RecentlyViewedContext from '@/context/RecentlyViewedContext';
 import { signOut, useSession } from 'next-auth/react';
 import AuthContext from '@/context/AuthContext';
 import { Menu, ShoppingCart, User, X, AlertCircle } from 'lucide-react';
@@ -82,6 +85,7 @@ const UserDropdown = memo(({ user, isVerified = true }) => {
     () => [
       { href: '/me', label: 'Mon profil' },
       { href: '/me/orders', label: 'Mes commandes' },
+      { href: '/me/wishlist', label: "Ma liste d'envies" },
       { href: '/me/contact', label: 'Contactez le vendeur' },
     ],
     [],
@@ -208,6 +212,13 @@ const Header = () => {
   } = useContext(AuthContext);
   const { setCartToState, cartCount, clearCartOnLogout } =
     useContext(CartContext);
+  const { setWishlistToState, clearWishlistOnLogout } =
+    useContext(WishlistContext);
+  const { setStockAlertsToState, clearStockAlertsOnLogout } =
+    useContext(StockAlertContext);
+  const { syncRecentlyViewed, clearRecentlyViewedOnLogout } = useContext(
+    RecentlyViewedContext,
+  );
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [isLoadingCart, setIsLoadingCart] = useState(false);
   const { data } = useSession();
@@ -220,6 +231,9 @@ const Header = () => {
   // Flag pour éviter les chargements multiples
   const isCartLoadingRef = useRef(false);
 
+  // Notification de retour en stock affichée une seule fois par session
+  const stockNoticeShownRef = useRef(false);
+
   // ✅ NOUVEAU: Déterminer si l'utilisateur est vérifié
   const isUserVerified = useMemo(() => {
     return user?.isActive === true;
@@ -246,7 +260,21 @@ const Header = () => {
     try {
       isCartLoadingRef.current = true;
       setIsLoadingCart(true);
-      await setCartToState();
+      // Liste d'envies, alertes de stock et historique de consultation
+      // (fusionné avec celui du visiteur) chargés en même temps que le panier
+      const [, , stockNotices] = await Promise.all([
+        setCartToState(),
+        setWishlistToState(),
+        setStockAlertsToState(),
+        syncRecentlyViewed(),
+      ]);
+
+      if (stockNotices.length > 0 && !stockNoticeShownRef.current) {
+        stockNoticeShownRef.current = true;
+        toast.info(
+          `${stockNotices.length} produit(s) que vous attendiez sont de retour en stock. Retrouvez-les dans votre compte.`,
+        );
+      }
     } catch (error) {
       if (!IS_PRODUCTION) {
         console.error('Error loading cart:', error);
@@ -262,7 +290,13 @@ const Header = () => {
       setIsLoadingCart(false);
       isCartLoadingRef.current = false;
     }
-  }, [setCartToState, isUserVerified]);
+  }, [
+    setCartToState,
+    setWishlistToState,
+    setStockAlertsToState,
+    syncRecentlyViewed,
+    isUserVerified,
+  ]);
 
   // useEffect optimisé pour la gestion de session
   useEffect(() => {
@@ -347,6 +381,10 @@ const Header = () => {
     try {
       clearUser();
       clearCartOnLogout();
+      clearWishlistOnLogout();
+      clearStockAlertsOnLogout();
+      clearRecentlyViewedOnLogout();
+      stockNoticeShownRef.current = false;
       await signOut({ callbackUrl: '/login' });
 
       signOutTimeoutRef.current = setTimeout(() => {
@@ -358,7 +396,13 @@ const Header = () => {
       }
       window.location.href = '/login';
     }
-  }, [clearUser, clearCartOnLogout]);
+  }, [
+    clearUser,
+    clearCartOnLogout,
+    clearWishlistOnLogout,
+    clearStockAlertsOnLogout,
+    clearRecentlyViewedOnLogout,
+  ]);
 
   const closeMobileMenu = () => {
     setMobileMenuOpen(false);
@@ -543,6 +587,13 @@ const Header = () => {
                     >
                       Mes commandes
                     </Link>
+                    <Link
+                      href="/me/wishlist"
+                      onClick={closeMobileMenu}
+                      className="block px-2 py-2 text-sm text-gray-700 hover:bg-blue-50 rounded-md"
+                    >
+                      Ma liste d&apos;envies
+                    </Link>
                     <Link
                       href="/me/contact"
                       onClick={closeMobileMenu}
@@ -1,10 +1,19 @@
 'use client';
 
-import { useState, useCallback, useRef } from 'react';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import { useRouter } from 'next/navigation';
 import { toast } from 'react-toastify';
+import { Clock, Search as SearchIcon, Sparkles, Tag, X } from 'lucide-react';
+import { captureClientError } from '@/monitoring/sentry';
+import { normalizeSearchText } from '@/helpers/helpers';
 // import { searchSchema } from '@/helpers/schemas';
 
+const RECENT_SEARCHES_KEY = 'recentSearches';
+const MAX_RECENT_SEARCHES = 5;
+const MIN_SUGGEST_LENGTH = 2;
+
+const EMPTY_SUGGESTIONS = { products: [], categories: [], corrections: [] };
+
 // Fonction de debounce pour limiter les requêtes
 const useDebounce = (fn, delay) => {
   const timeoutRef = useRef(null);
@@ -22,18 +31,198 @@ const useDebounce = (fn, delay) => {
   );
 };
 
+// Recherches récentes (localStorage, indisponible en navigation privée)
+const readRecentSearches = () => {
+  try {
+    const stored = JSON.parse(
+      window.localStorage.getItem(RECENT_SEARCHES_KEY) || '[]',
+    );
+    return Array.isArray(stored)
+      ? stored.filter((term) => typeof term === 'string')
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeRecentSearches = (terms) => {
+  try {
+    window.localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(terms));
+  } catch {
+    // Stockage indisponible : historique non conservé
+  }
+};
+
+// Met en évidence la partie saisie, sans tenir compte des accents
+const HighlightedText = ({ text, query }) => {
+  const index = normalizeSearchText(text).indexOf(normalizeSearchText(query));
+
+  if (!query || index === -1) return text;
+
+  return (
+    <>
+      {text.slice(0, index)}
+      <mark className="bg-transparent font-semibold text-blue-700">
+        {text.slice(index, index + query.length)}
+      </mark>
+      {text.slice(index + query.length)}
+    </>
+  );
+};
+
 const Search = ({ setLoading }) => {
   const [keyword, setKeyword] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [suggestions, setSuggestions] = useState(EMPTY_SUGGESTIONS);
+  const [recentSearches, setRecentSearches] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
   const router = useRouter();
   const inputRef = useRef(null);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    setRecentSearches(readRecentSearches());
+
+    return () => abortRef.current?.abort();
+  }, []);
+
+  const query = keyword.trim();
+
+  // Options du menu : récentes si la saisie est vide, sinon suggestions
+  const options = useMemo(() => {
+    if (query.length < MIN_SUGGEST_LENGTH) {
+      return recentSearches.map((term) => ({
+        type: 'recent',
+        key: `recent-${term}`,
+        label: term,
+      }));
+    }
+
+    return [
+      ...suggestions.corrections.map((term) => ({
+        type: 'correction',
+        key: `correction-${term}`,
+        label: term,
+      })),
+      ...suggestions.products.map((product) => ({
+        type: 'product',
+        key: `product-${product._id}`,
+        label: product.name,
+        href: `/product/${product.slug || product._id}`,
+      })),
+      ...suggestions.categories.map((category) => ({
+        type: 'category',
+        key: `category-${category._id}`,
+        label: category.categoryName,
+        href: category.slug
+          ? `/category/${category.slug}`
+          : `/?category=${category._id}`,
+      })),
+    ];
+  }, [query, suggestions, recentSearches]);
+
+  const showMenu = isOpen && options.length > 0;
+
+  // Récupération des suggestions pour la saisie en cours
+  const fetchSuggestions = useCallback(async (value) => {
+    abortRef.current?.abort();
+
+    if (value.length < MIN_SUGGEST_LENGTH) {
+      setSuggestions(EMPTY_SUGGESTIONS);
+      return;
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+    try {
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/products/suggest?q=${encodeURIComponent(value)}`,
+        { signal: controller.signal },
+      );
+
+      const data = await res.json();
+
+      if (res.ok && data.success) {
+        setSuggestions({ ...EMPTY_SUGGESTIONS, ...data.data });
+        setActiveIndex(-1);
+      }
+    } catch (error) {
+      // Saisie suivante ou timeout : les suggestions ne sont pas critiques
+      if (error.name !== 'AbortError') {
+        captureClientError(error, 'Search', 'fetchSuggestions', false);
+      }
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }, []);
+
+  const debouncedFetchSuggestions = useDebounce(fetchSuggestions, 250);
 
   // Fonction pour modifier le keyword avec validation basique
-  const handleKeywordChange = useCallback((e) => {
-    const value = e.target.value;
-    setKeyword(value);
+  const handleKeywordChange = useCallback(
+    (e) => {
+      const value = e.target.value;
+      setKeyword(value);
+      setIsOpen(true);
+      setActiveIndex(-1);
+      debouncedFetchSuggestions(value.trim());
+    },
+    [debouncedFetchSuggestions],
+  );
+
+  // Mémoriser une recherche (plus récente en tête, sans doublon)
+  const rememberSearch = useCallback((term) => {
+    setRecentSearches((current) => {
+      const next = [
+        term,
+        ...current.filter(
+          (item) => normalizeSearchText(item) !== normalizeSearchText(term),
+        ),
+      ].slice(0, MAX_RECENT_SEARCHES);
+      writeRecentSearches(next);
+      return next;
+    });
+  }, []);
+
+  const clearRecentSearches = useCallback(() => {
+    setRecentSearches([]);
+    writeRecentSearches([]);
   }, []);
 
+  // Navigation vers une page de résultats ou un produit
+  const navigate = useCallback(
+    (href) => {
+      setIsOpen(false);
+      setActiveIndex(-1);
+      inputRef.current?.blur();
+      router.push(href);
+    },
+    [router],
+  );
+
+  const searchFor = useCallback(
+    (term) => {
+      setKeyword(term);
+      rememberSearch(term);
+      navigate(`/?keyword=${encodeURIComponent(term)}`);
+    },
+    [navigate, rememberSearch],
+  );
+
+  const selectOption = useCallback(
+    (option) => {
+      if (option.href) {
+        navigate(option.href);
+      } else {
+        searchFor(option.label);
+      }
+    },
+    [navigate, searchFor],
+  );
+
   // Validation et soumission debounce
   const submitHandler = useCallback(
     async (e) => {
@@ -57,7 +246,8 @@ const Search = ({ setLoading }) => {
         // await searchSchema.validate({ keyword }, { abortEarly: false });
 
         // Navigation vers la page de résultats
-        router.push(`/?keyword=${encodeURIComponent(keyword.trim())}`);
+        searchFor(keyword.trim());
+        setIsSubmitting(false);
       } catch (error) {
         // Gestion d'erreur améliorée
         if (error.inner && error.inner.length) {
@@ -76,26 +266,60 @@ const Search = ({ setLoading }) => {
         setIsSubmitting(false);
       }
     },
-    [keyword],
+    [keyword, isSubmitting, setLoading, searchFor],
   );
 
   // Soumettre sur appui de la touche Entrée avec debounce
   const debouncedSubmit = useDebounce(submitHandler, 300);
 
-  // Gérer l'appui sur la touche Entrée
+  // Navigation clavier dans le menu (flèches, Entrée, Échap)
   const handleKeyDown = useCallback(
     (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        if (!options.length) return;
+        e.preventDefault();
+        setIsOpen(true);
+
+        // Cycle sur les options, -1 revenant au champ de saisie
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        const total = options.length + 1;
+        setActiveIndex((current) => ((current + 1 + step + total) % total) - 1);
+        return;
+      }
+
+      if (e.key === 'Escape') {
+        setIsOpen(false);
+        setActiveIndex(-1);
+        return;
+      }
+
       if (e.key === 'Enter') {
         e.preventDefault();
+
+        if (showMenu && activeIndex >= 0 && options[activeIndex]) {
+          selectOption(options[activeIndex]);
+          return;
+        }
+
         debouncedSubmit(e); // Utiliser debouncedSubmit au lieu de submitHandler
       }
     },
-    [debouncedSubmit],
+    [options, showMenu, activeIndex, selectOption, debouncedSubmit],
   );
 
+  const listboxId = 'search-suggestions';
+  const isRecentList = query.length < MIN_SUGGEST_LENGTH;
+
+  const optionIcon = {
+    recent: Clock,
+    correction: Sparkles,
+    product: SearchIcon,
+    category: Tag,
+  };
+
   return (
     <form
-      className="flex flex-nowrap items-center w-full order-last md:order-none mt-5 md:mt-0 md:w-1/3 lg:w-2/4"
+      className="relative flex flex-nowrap items-center w-full order-last md:order-none mt-5 md:mt-0 md:w-1/3 lg:w-2/4"
       onSubmit={(e) => {
         e.preventDefault();
         debouncedSubmit(e);
@@ -111,7 +335,19 @@ const Search = ({ setLoading }) => {
         value={keyword}
         onChange={handleKeywordChange}
         onKeyDown={handleKeyDown}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        role="combobox"
         aria-label="Terme de recherche"
+        aria-autocomplete="list"
+        aria-expanded={showMenu}
+        aria-controls={listboxId}
+        aria-activedescendant={
+          showMenu && activeIndex >= 0
+            ? `${listboxId}-${activeIndex}`
+            : undefined
+        }
+        autoComplete="off"
         disabled={isSubmitting}
         required
       />
@@ -128,6 +364,68 @@ const Search = ({ setLoading }) => {
       >
         {isSubmitting ? 'Recherche...' : 'Rechercher'}
       </button>
+
+      {showMenu && (
+        <div className="absolute left-0 right-0 top-full z-50 mt-1 bg-white border border-gray-200 rounded-md shadow-lg overflow-hidden">
+          {isRecentList && (
+            <div className="flex items-center justify-between px-3 pt-2 pb-1 text-xs text-gray-500">
+              <span>Recherches récentes</span>
+              <button
+                type="button"
+                className="inline-flex items-center hover:text-gray-700"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={clearRecentSearches}
+                aria-label="Effacer les recherches récentes"
+              >
+                <X className="h-3 w-3 mr-1" />
+                Effacer
+              </button>
+            </div>
+          )}
+          <ul id={listboxId} role="listbox" className="py-1 max-h-80">
+            {options.map((option, index) => {
+              const Icon = optionIcon[option.type];
+              const isActive = index === activeIndex;
+
+              return (
+                <li
+                  key={option.key}
+                  id={`${listboxId}-${index}`}
+                  role="option"
+                  aria-selected={isActive}
+                  className={`flex items-center px-3 py-2 text-sm cursor-pointer ${
+                    isActive ? 'bg-blue-50' : 'hover:bg-gray-50'
+                  }`}
+                  // Garder le focus dans le champ jusqu'au clic
+                  onMouseDown={(e) => e.preventDefault()}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  onClick={() => selectOption(option)}
+                >
+                  <Icon className="h-4 w-4 mr-2 text-gray-400 shrink-0" />
+                  {option.type === 'correction' ? (
+                    <span>
+                      Vouliez-vous dire{' '}
+                      <span className="font-semibold text-blue-700">
+                        {option.label}
+                      </span>{' '}
+                      ?
+                    </span>
+                  ) : (
+                    <span className="truncate">
+                      <HighlightedText text={option.label} query={query} />
+                    </span>
+                  )}
+                  {option.type === 'category' && (
+                    <span className="ml-auto pl-2 text-xs text-gray-400">
+                      Catégorie
+                    </span>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
     </form>
   );
 };
@@ -3,8 +3,12 @@
 import { useState, useEffect, useMemo, useCallback } from 'react';
 import dynamic from 'next/dynamic';
 import { useRouter, useSearchParams } from 'next/navigation';
-import { ShoppingBag } from 'lucide-react'; // Icône pour panier vide
+import { Search, ShoppingBag } from 'lucide-react'; // Icône pour panier vide
 import captureClientError from '@/monitoring/sentry';
+import {
+  DEFAULT_ORDERS_PER_PAGE,
+  ORDERS_PER_PAGE_OPTIONS,
+} from '@/helpers/validation/schemas/order';
 
 // Chargement dynamique des composants
 const OrderItem = dynamic(() => import('./OrderItem'), {
@@ -42,15 +46,36 @@ const OrderItemSkeleton = () => (
   </div>
 );
 
+// Options du filtre de statut : chaque valeur correspond à un paramètre de l'API
+const STATUS_FILTERS = [
+  { value: 'all', label: 'Tous les statuts' },
+  { value: 'paymentStatus:paid', label: 'Payées' },
+  { value: 'paymentStatus:unpaid', label: 'Non payées' },
+  { value: 'paymentStatus:refunded', label: 'Remboursées' },
+  { value: 'orderStatus:Cancelled', label: 'Annulées' },
+  { value: 'orderStatus:Delivered', label: 'Livrées' },
+  { value: 'orderStatus:Processing', label: 'En traitement' },
+  { value: 'orderStatus:Shipped', label: 'Expédiées' },
+];
+
+const FILTER_KEYS = [
+  'orderStatus',
+  'paymentStatus',
+  'from',
+  'to',
+  'orderNumber',
+  'sort',
+  'perPage',
+];
+
 /**
  * Composant d'affichage de la liste des commandes
- * Version améliorée avec tous les champs du modèle
+ * Les filtres (statut, dates, numéro, tri, taille de page) sont portés par
+ * l'URL et appliqués côté serveur par /api/orders/me
  */
 const ListOrders = ({ orders }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [filterStatus, setFilterStatus] = useState('all');
-  const [sortOrder, setSortOrder] = useState('desc');
 
   const router = useRouter();
   const searchParams = useSearchParams();
@@ -61,6 +86,35 @@ const ListOrders = ({ orders }) => {
     return page ? parseInt(page, 10) : 1;
   }, [searchParams]);
 
+  // Filtres courants lus depuis l'URL
+  const filters = useMemo(
+    () => ({
+      orderStatus: searchParams?.get('orderStatus') || '',
+      paymentStatus: searchParams?.get('paymentStatus') || '',
+      from: searchParams?.get('from') || '',
+      to: searchParams?.get('to') || '',
+      orderNumber: searchParams?.get('orderNumber') || '',
+      sort: searchParams?.get('sort') || 'desc',
+      perPage: searchParams?.get('perPage') || String(DEFAULT_ORDERS_PER_PAGE),
+    }),
+    [searchParams],
+  );
+
+  const [orderNumberInput, setOrderNumberInput] = useState(filters.orderNumber);
+
+  const statusFilter = filters.orderStatus
+    ? `orderStatus:${filters.orderStatus}`
+    : filters.paymentStatus
+      ? `paymentStatus:${filters.paymentStatus}`
+      : 'all';
+
+  const hasActiveFilters = FILTER_KEYS.some(
+    (key) => key !== 'sort' && key !== 'perPage' && filters[key],
+  );
+
+  // L'utilisateur a-t-il des commandes (tous filtres confondus)
+  const hasAnyOrders = useMemo(() => Number(orders?.count) > 0, [orders]);
+
   // Vérification et utilisation sûre des données
   const hasOrders = useMemo(() => {
     return (
@@ -74,54 +128,60 @@ const ListOrders = ({ orders }) => {
       : 1;
   }, [orders]);
 
-  // Filtrage et tri des commandes
-  const filteredAndSortedOrders = useMemo(() => {
-    try {
-      if (!hasOrders) return [];
-
-      let filtered = [...orders.orders];
-
-      // Filtrage par statut
-      if (filterStatus !== 'all') {
-        filtered = filtered.filter((order) => {
-          if (filterStatus === 'paid') return order.paymentStatus === 'paid';
-          if (filterStatus === 'unpaid')
-            return order.paymentStatus === 'unpaid';
-          if (filterStatus === 'refunded')
-            return order.paymentStatus === 'refunded';
-          if (filterStatus === 'cancelled')
-            return order.paymentStatus === 'cancelled';
-          if (filterStatus === 'delivered')
-            return order.orderStatus === 'Delivered';
-          if (filterStatus === 'processing')
-            return order.orderStatus === 'Processing';
-          if (filterStatus === 'shipped')
-            return order.orderStatus === 'Shipped';
-          return true;
+  // Met à jour l'URL : tout changement de filtre revient à la page 1
+  const updateFilters = useCallback(
+    (changes) => {
+      try {
+        const params = new URLSearchParams(searchParams?.toString() || '');
+
+        Object.entries(changes).forEach(([key, value]) => {
+          if (value) params.set(key, value);
+          else params.delete(key);
         });
+        params.delete('page');
+
+        setIsLoading(true);
+        const query = params.toString();
+        router.push(`/me/orders${query ? `?${query}` : ''}`);
+      } catch (err) {
+        captureClientError(err, 'ListOrders', 'updateFilters', false, {
+          changes,
+        });
+        setError('Erreur lors de la mise à jour des filtres');
       }
+    },
+    [router, searchParams],
+  );
 
-      // Tri par date
-      filtered.sort((a, b) => {
-        const dateA = new Date(a.createdAt);
-        const dateB = new Date(b.createdAt);
-        return sortOrder === 'desc' ? dateB - dateA : dateA - dateB;
+  const handleStatusChange = useCallback(
+    (value) => {
+      const [key, status] = value.split(':');
+      updateFilters({
+        orderStatus: key === 'orderStatus' ? status : '',
+        paymentStatus: key === 'paymentStatus' ? status : '',
       });
+    },
+    [updateFilters],
+  );
 
-      return filtered;
-    } catch (error) {
-      // Monitoring : Erreur de traitement des données de commandes
-      captureClientError(error, 'ListOrders', 'filterAndSort', true, {
-        filterStatus,
-        sortOrder,
-        ordersCount: orders?.orders?.length || 0,
-        hasValidOrders: hasOrders,
-      });
+  const handleOrderNumberSubmit = useCallback(
+    (e) => {
+      e.preventDefault();
+      updateFilters({ orderNumber: orderNumberInput.trim() });
+    },
+    [updateFilters, orderNumberInput],
+  );
 
-      // Fallback sur un tableau vide
-      return [];
-    }
-  }, [hasOrders, orders?.orders, filterStatus, sortOrder]);
+  const resetFilters = useCallback(() => {
+    setOrderNumberInput('');
+    updateFilters({
+      orderStatus: '',
+      paymentStatus: '',
+      from: '',
+      to: '',
+      orderNumber: '',
+    });
+  }, [updateFilters]);
 
   // Dans handlePageChange
   const handlePageChange = useCallback(
@@ -146,7 +206,9 @@ const ListOrders = ({ orders }) => {
         }
 
         setIsLoading(true);
-        router.push(`/me/orders?page=${pageNumber}`);
+        const params = new URLSearchParams(searchParams?.toString() || '');
+        params.set('page', pageNumber);
+        router.push(`/me/orders?${params.toString()}`);
       } catch (err) {
         // Monitoring : Erreur de navigation critique
         captureClientError(err, 'ListOrders', 'navigationError', true, {
@@ -160,9 +222,14 @@ const ListOrders = ({ orders }) => {
         console.error('Error changing page:', err);
       }
     },
-    [router, currentPage, totalPages],
+    [router, searchParams, currentPage, totalPages],
   );
 
+  // Garder le champ de recherche aligné sur l'URL (navigation arrière, reset)
+  useEffect(() => {
+    setOrderNumberInput(filters.orderNumber);
+  }, [filters.orderNumber]);
+
   // Réinitialiser les états lors du changement de données
   useEffect(() => {
     if (isLoading) setIsLoading(false);
@@ -187,39 +254,101 @@ const ListOrders = ({ orders }) => {
         <h2 className="text-xl font-semibold mb-4 sm:mb-0">
           Historique de vos commandes
         </h2>
+      </div>
+
+      {/* Filtres, recherche et tri (synchronisés avec l'URL) */}
+      {hasAnyOrders && (
+        <div className="flex flex-wrap items-end gap-2 mb-6">
+          <select
+            value={statusFilter}
+            onChange={(e) => handleStatusChange(e.target.value)}
+            aria-label="Filtrer par statut"
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {STATUS_FILTERS.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
 
-        {/* Filtres et tri */}
-        {hasOrders && (
-          <div className="flex gap-2 flex-wrap">
-            <select
-              value={filterStatus}
-              onChange={(e) => setFilterStatus(e.target.value)}
+          <label className="flex flex-col text-xs text-gray-600">
+            Du
+            <input
+              type="date"
+              value={filters.from}
+              max={filters.to || undefined}
+              onChange={(e) => updateFilters({ from: e.target.value })}
               className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-            >
-              <option value="all">Tous les statuts</option>
-              <option value="paid">Payées</option>
-              <option value="unpaid">Non payées</option>
-              <option value="refunded">Remboursées</option>
-              <option value="cancelled">Annulées</option>
-              <option value="delivered">Livrées</option>
-              <option value="processing">En traitement</option>
-              <option value="shipped">Expédiées</option>
-            </select>
-
-            <select
-              value={sortOrder}
-              onChange={(e) => setSortOrder(e.target.value)}
+            />
+          </label>
+
+          <label className="flex flex-col text-xs text-gray-600">
+            Au
+            <input
+              type="date"
+              value={filters.to}
+              min={filters.from || undefined}
+              onChange={(e) => updateFilters({ to: e.target.value })}
               className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+
+          <form onSubmit={handleOrderNumberSubmit} className="flex">
+            <input
+              type="search"
+              value={orderNumberInput}
+              onChange={(e) => setOrderNumberInput(e.target.value)}
+              placeholder="N° de commande"
+              maxLength={30}
+              aria-label="Rechercher un numéro de commande"
+              className="px-3 py-2 border border-gray-300 rounded-l-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              type="submit"
+              aria-label="Rechercher"
+              className="px-3 py-2 bg-blue-600 text-white rounded-r-md hover:bg-blue-700 transition-colors"
             >
-              <option value="desc">Plus récentes</option>
-              <option value="asc">Plus anciennes</option>
-            </select>
-          </div>
-        )}
-      </div>
+              <Search className="h-4 w-4" />
+            </button>
+          </form>
+
+          <select
+            value={filters.sort}
+            onChange={(e) => updateFilters({ sort: e.target.value })}
+            aria-label="Trier les commandes"
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="desc">Plus récentes</option>
+            <option value="asc">Plus anciennes</option>
+          </select>
+
+          <select
+            value={filters.perPage}
+            onChange={(e) => updateFilters({ perPage: e.target.value })}
+            aria-label="Commandes par page"
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {ORDERS_PER_PAGE_OPTIONS.map((size) => (
+              <option key={size} value={String(size)}>
+                {size} par page
+              </option>
+            ))}
+          </select>
+
+          {hasActiveFilters && (
+            <button
+              onClick={resetFilters}
+              className="px-3 py-2 text-sm text-blue-600 hover:text-blue-800 underline"
+            >
+              Réinitialiser
+            </button>
+          )}
+        </div>
+      )}
 
       {/* Statistiques */}
-      {hasOrders && (
+      {hasAnyOrders && (
         <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-6">
           <div className="bg-gray-50 p-3 rounded-md">
             <p className="text-sm text-gray-600">Total commandes</p>
@@ -253,7 +382,7 @@ const ListOrders = ({ orders }) => {
             <OrderItemSkeleton key={i} />
           ))}
         </div>
-      ) : !hasOrders ? (
+      ) : !hasAnyOrders ? (
         // Aucune commande
         <div className="flex flex-col items-center p-8 bg-gray-50 rounded-lg border border-gray-200">
           <div className="w-16 h-16 flex items-center justify-center rounded-full bg-blue-100 mb-4">
@@ -273,13 +402,13 @@ const ListOrders = ({ orders }) => {
       ) : (
         // Liste des commandes
         <>
-          {filteredAndSortedOrders.length === 0 ? (
+          {!hasOrders ? (
             <div className="p-6 bg-yellow-50 border border-yellow-200 rounded-md text-center">
               <p className="text-yellow-800">
                 Aucune commande ne correspond à vos filtres.
               </p>
               <button
-                onClick={() => setFilterStatus('all')}
+                onClick={resetFilters}
                 className="mt-3 text-blue-600 hover:text-blue-800 underline"
               >
                 Réinitialiser les filtres
@@ -288,7 +417,7 @@ const ListOrders = ({ orders }) => {
           ) : (
             <>
               <div className="space-y-4" aria-label="Liste de vos commandes">
-                {filteredAndSortedOrders.map((order) => (
+                {orders.orders.map((order) => (
                   <OrderItem
                     key={order._id}
                     order={order}
@@ -297,7 +426,7 @@ const ListOrders = ({ orders }) => {
                 ))}
               </div>
 
-              {totalPages > 1 && filterStatus === 'all' && (
+              {totalPages > 1 && (
                 <div className="mt-8">
                   <CustomPagination
                     totalPages={totalPages}
@@ -0,0 +1,295 @@
+'use client';
+
+import { memo, useMemo } from 'react';
+import dynamic from 'next/dynamic';
+import Link from 'next/link';
+import { ArrowLeft, CheckCircle, Clock, Truck, XCircle } from 'lucide-react';
+
+const OrderedProduct = dynamic(() => import('./OrderedProduct'), {
+  loading: () => (
+    <div className="h-28 bg-gray-100 rounded-md animate-pulse"></div>
+  ),
+  ssr: true,
+});
+
+// Formatage des dates en français
+const formatDate = (dateString) => {
+  if (!dateString) return null;
+  try {
+    return new Date(dateString).toLocaleDateString('fr-FR', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  } catch {
+    return String(dateString).substring(0, 10);
+  }
+};
+
+const formatPrice = (amount) => `$${(amount || 0).toFixed(2)}`;
+
+// Libellés de l'historique des statuts
+const STATUS_LABELS = {
+  orderStatus: {
+    Processing: 'Commande en traitement',
+    Shipped: 'Commande expédiée',
+    Delivered: 'Commande livrée',
+    Cancelled: 'Commande annulée',
+  },
+  paymentStatus: {
+    unpaid: 'En attente de paiement',
+    processing: 'Paiement en cours',
+    paid: 'Paiement confirmé',
+    refunded: 'Paiement remboursé',
+    failed: 'Paiement échoué',
+  },
+};
+
+const STATUS_STYLES = {
+  Shipped: { icon: Truck, color: 'text-blue-600 bg-blue-100' },
+  Delivered: { icon: Truck, color: 'text-blue-600 bg-blue-100' },
+  Cancelled: { icon: XCircle, color: 'text-red-600 bg-red-100' },
+  paid: { icon: CheckCircle, color: 'text-green-600 bg-green-100' },
+  refunded: { icon: CheckCircle, color: 'text-amber-600 bg-amber-100' },
+  failed: { icon: XCircle, color: 'text-red-600 bg-red-100' },
+};
+
+const ACTOR_LABELS = {
+  customer: 'par vous',
+  admin: 'par notre équipe',
+  system: 'automatiquement',
+};
+
+/**
+ * Détail complet d'une commande
+ * Articles (liens vers les produits), récapitulatif de paiement et
+ * chronologie des statuts
+ */
+const OrderDetail = memo(({ order }) => {
+  // Chronologie : historique des statuts, ou à défaut les dates connues
+  // (commandes antérieures à l'historique)
+  const timeline = useMemo(() => {
+    if (!order) return [];
+
+    if (order.statusHistory?.length > 0) {
+      return order.statusHistory
+        .map((entry) => ({
+          key: `${entry.field}-${entry.to}-${entry.changedAt}`,
+          label: STATUS_LABELS[entry.field]?.[entry.to] || entry.to,
+          date: entry.changedAt,
+          actor: entry.from ? ACTOR_LABELS[entry.actor] : null,
+          reason: entry.reason,
+          ...(STATUS_STYLES[entry.to] || {
+            icon: Clock,
+            color: 'text-gray-600 bg-gray-100',
+          }),
+        }))
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    return [
+      {
+        label: 'Commande passée',
+        date: order.createdAt,
+        icon: Clock,
+        color: 'text-gray-600 bg-gray-100',
+      },
+      {
+        label: 'Paiement confirmé',
+        date: order.paidAt,
+        icon: CheckCircle,
+        color: 'text-green-600 bg-green-100',
+      },
+      {
+        label: 'Commande livrée',
+        date: order.deliveredAt,
+        icon: Truck,
+        color: 'text-blue-600 bg-blue-100',
+      },
+      {
+        label: 'Commande annulée',
+        date: order.cancelledAt,
+        icon: XCircle,
+        color: 'text-red-600 bg-red-100',
+      },
+    ]
+      .filter((step) => step.date)
+      .map((step) => ({ ...step, key: step.label }))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+  }, [order]);
+
+  if (!order || typeof order !== 'object') {
+    return null;
+  }
+
+  const totalAmount = order.totalAmount || 0;
+  const shippingAmount = order.shippingAmount || 0;
+  const taxAmount = order.taxAmount || 0;
+  const itemsTotal = totalAmount - shippingAmount - taxAmount;
+
+  return (
+    <div>
+      <Link
+        href="/me/orders"
+        className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mb-4"
+      >
+        <ArrowLeft className="mr-1 h-4 w-4" />
+        Retour à mes commandes
+      </Link>
+
+      <header className="flex flex-col md:flex-row md:items-center justify-between mb-6">
+        <h1 className="text-2xl font-semibold">
+          Commande{' '}
+          <span className="font-mono text-gray-700">{order.orderNumber}</span>
+        </h1>
+        <div className="flex gap-2 mt-2 md:mt-0">
+          <span className="px-2 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-700">
+            {(order.paymentStatus || 'unpaid').toUpperCase()}
+          </span>
+          <span className="px-2 py-1 rounded-full text-xs font-semibold bg-blue-100 text-blue-700">
+            {(order.orderStatus || 'Processing').toUpperCase()}
+          </span>
+        </div>
+      </header>
+
+      <div className="grid md:grid-cols-3 gap-6">
+        <section className="md:col-span-2 bg-white border border-gray-200 rounded-lg p-5">
+          <h2 className="font-semibold text-lg mb-4">Articles commandés</h2>
+          <div className="grid sm:grid-cols-2 gap-3">
+            {order.orderItems?.length > 0 ? (
+              order.orderItems.map((item, index) => (
+                <Link
+                  key={item._id || `${item.product}-${index}`}
+                  href={`/product/${item.product}`}
+                  className="block"
+                  title={`Voir ${item.name}`}
+                >
+                  <OrderedProduct item={item} />
+                </Link>
+              ))
+            ) : (
+              <p className="text-gray-500 italic">
+                Aucun article dans cette commande
+              </p>
+            )}
+          </div>
+        </section>
+
+        <aside className="space-y-6">
+          <section className="bg-white border border-gray-200 rounded-lg p-5">
+            <h2 className="font-semibold text-lg mb-4">Paiement</h2>
+            <ul className="text-sm space-y-2">
+              <li className="flex justify-between">
+                <span className="text-gray-600">Articles</span>
+                <span className="font-medium">{formatPrice(itemsTotal)}</span>
+              </li>
+              {taxAmount > 0 && (
+                <li className="flex justify-between">
+                  <span className="text-gray-600">Taxes</span>
+                  <span className="font-medium">{formatPrice(taxAmount)}</span>
+                </li>
+              )}
+              <li className="flex justify-between">
+                <span className="text-gray-600">Livraison</span>
+                <span className="font-medium">
+                  {formatPrice(shippingAmount)}
+                </span>
+              </li>
+              <li className="flex justify-between pt-2 border-t border-gray-200">
+                <span className="font-semibold">Total</span>
+                <span className="font-bold text-blue-600">
+                  {formatPrice(totalAmount)}
+                </span>
+              </li>
+            </ul>
+
+            <ul className="text-sm space-y-1 mt-4 pt-4 border-t border-gray-100 text-gray-700">
+              <li>
+                <span className="text-gray-600">Mode:</span>{' '}
+                {order.paymentInfo?.typePayment || '-'}
+              </li>
+              <li>
+                <span className="text-gray-600">Nom:</span>{' '}
+                {order.paymentInfo?.paymentAccountName || '-'}
+              </li>
+              <li>
+                <span className="text-gray-600">Numéro:</span>{' '}
+                {order.paymentInfo?.paymentAccountNumber || '••••••••'}
+              </li>
+            </ul>
+          </section>
+
+          <section className="bg-white border border-gray-200 rounded-lg p-5">
+            <h2 className="font-semibold text-lg mb-4">
+              {order.shippingInfo ? 'Livraison' : 'Retrait en magasin'}
+            </h2>
+            {order.shippingInfo ? (
+              <ul className="text-sm text-gray-700 space-y-1">
+                <li>{order.shippingInfo.street}</li>
+                <li>
+                  {[
+                    order.shippingInfo.city,
+                    order.shippingInfo.state,
+                    order.shippingInfo.zipCode,
+                  ]
+                    .filter(Boolean)
+                    .join(', ')}
+                </li>
+                <li className="font-medium">{order.shippingInfo.country}</li>
+              </ul>
+            ) : (
+              <p className="text-sm text-gray-600">Aucuns frais de livraison</p>
+            )}
+          </section>
+
+          <section className="bg-white border border-gray-200 rounded-lg p-5">
+            <h2 className="font-semibold text-lg mb-4">Suivi</h2>
+            <ol className="space-y-4">
+              {timeline.map(
+                ({ key, label, date, actor, reason, icon: Icon, color }) => (
+                  <li key={key} className="flex items-start">
+                    <span
+                      className={`flex items-center justify-center w-8 h-8 rounded-full mr-3 ${color}`}
+                    >
+                      <Icon className="h-4 w-4" />
+                    </span>
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        {label}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {formatDate(date)}
+                        {actor && ` · ${actor}`}
+                      </p>
+                      {reason && (
+                        <p className="text-xs text-gray-600 mt-1">{reason}</p>
+                      )}
+                    </div>
+                  </li>
+                ),
+              )}
+            </ol>
+
+            {order.cancelReason && (
+              <div className="mt-4 p-2 bg-red-50 border border-red-200 rounded">
+                <p className="font-medium text-red-600 text-sm">
+                  Raison d&apos;annulation:
+                </p>
+                <p className="text-red-700 text-sm mt-1">
+                  {order.cancelReason}
+                </p>
+              </div>
+            )}
+          </section>
+        </aside>
+      </div>
+    </div>
+  );
+});
+
+// Ajouter un displayName pour faciliter le débogage
+OrderDetail.displayName = 'OrderDetail';
+
+export default OrderDetail;
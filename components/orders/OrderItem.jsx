@@ -2,7 +2,17 @@
 
 import { memo, useState, useCallback } from 'react';
 import dynamic from 'next/dynamic';
-import { ChevronDown, ChevronUp } from 'lucide-react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { toast } from 'react-toastify';
+import {
+  ChevronDown,
+  ChevronUp,
+  FileDown,
+  LoaderCircle,
+  XCircle,
+} from 'lucide-react';
+import captureClientError from '@/monitoring/sentry';
 
 // Chargement dynamique des composants
 const OrderedProduct = dynamic(() => import('./OrderedProduct'), {
@@ -18,6 +28,11 @@ const OrderedProduct = dynamic(() => import('./OrderedProduct'), {
  */
 const OrderItem = memo(({ order, deliveryPrice = 0 }) => {
   const [expanded, setExpanded] = useState(false);
+  const [confirmCancel, setConfirmCancel] = useState(false);
+  const [cancelReason, setCancelReason] = useState('');
+  const [cancelling, setCancelling] = useState(false);
+
+  const router = useRouter();
 
   // Validation des données
   if (!order || typeof order !== 'object' || !order._id) {
@@ -56,6 +71,76 @@ const OrderItem = memo(({ order, deliveryPrice = 0 }) => {
     setExpanded((prev) => !prev);
   }, []);
 
+  // Annulation de la commande (uniquement en traitement)
+  const handleCancelOrder = async () => {
+    if (cancelling) return;
+
+    try {
+      setCancelling(true);
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 15000);
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/orders/${order.orderNumber}/cancel`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json',
+          },
+          body: JSON.stringify({ reason: cancelReason }),
+          signal: controller.signal,
+          credentials: 'include',
+        },
+      );
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        let errorMessage;
+        switch (res.status) {
+          case 401:
+            errorMessage = 'Session expirée. Veuillez vous reconnecter.';
+            break;
+          case 404:
+            errorMessage = 'Commande introuvable';
+            break;
+          case 409:
+            errorMessage = 'Cette commande ne peut plus être annulée';
+            break;
+          case 429:
+            errorMessage = 'Trop de tentatives. Réessayez plus tard.';
+            break;
+          default:
+            errorMessage =
+              data.message || "Erreur lors de l'annulation de la commande";
+        }
+
+        toast.error(errorMessage);
+        return;
+      }
+
+      toast.success(
+        data.data?.paymentStatus === 'refunded'
+          ? 'Commande annulée. Votre remboursement est en cours.'
+          : 'Commande annulée avec succès.',
+      );
+      setConfirmCancel(false);
+      router.refresh();
+    } catch (error) {
+      captureClientError(error, 'OrderItem', 'cancelOrder', true);
+      toast.error(
+        error.name === 'AbortError'
+          ? 'La requête a pris trop de temps. Veuillez réessayer.'
+          : 'Problème de connexion. Vérifiez votre connexion.',
+      );
+    } finally {
+      setCancelling(false);
+    }
+  };
+
   // Extraction et validation des données de la commande
   const orderNumber = order.orderNumber || `ORD-${order._id.substring(0, 8)}`;
   const updatedDate = order.updatedAt ? formatDate(order.updatedAt) : null;
@@ -372,13 +457,84 @@ const OrderItem = memo(({ order, deliveryPrice = 0 }) => {
         </>
       )}
 
-      <div className="text-center mt-4">
+      {orderStatus === 'Processing' && (
+        <div className="mt-4 pt-4 border-t border-gray-100">
+          {confirmCancel ? (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+              <label
+                htmlFor={`cancel-reason-${order._id}`}
+                className="block text-sm font-medium text-red-700 mb-2"
+              >
+                Raison de l&apos;annulation (optionnel)
+              </label>
+              <textarea
+                id={`cancel-reason-${order._id}`}
+                value={cancelReason}
+                onChange={(e) => setCancelReason(e.target.value)}
+                maxLength={200}
+                rows={2}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+              />
+              <div className="flex justify-end gap-2 mt-2">
+                <button
+                  type="button"
+                  onClick={() => setConfirmCancel(false)}
+                  disabled={cancelling}
+                  className="px-3 py-2 text-sm text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                >
+                  Retour
+                </button>
+                <button
+                  type="button"
+                  onClick={handleCancelOrder}
+                  disabled={cancelling}
+                  className="inline-flex items-center px-3 py-2 text-sm text-white bg-red-600 rounded-md hover:bg-red-700 disabled:opacity-60 transition-colors"
+                >
+                  {cancelling && (
+                    <LoaderCircle className="mr-2 h-4 w-4 animate-spin" />
+                  )}
+                  Confirmer l&apos;annulation
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              type="button"
+              onClick={() => setConfirmCancel(true)}
+              className="inline-flex items-center text-sm font-medium text-red-600 hover:text-red-800 transition-colors"
+            >
+              <XCircle className="mr-1 h-4 w-4" />
+              Annuler la commande
+            </button>
+          )}
+        </div>
+      )}
+
+      <div className="flex justify-center gap-6 mt-4">
         <button
           onClick={toggleExpanded}
           className="text-blue-600 hover:text-blue-800 text-sm font-medium transition-colors"
         >
           {expanded ? 'Masquer les détails' : 'Afficher les détails'}
         </button>
+        {order.orderNumber && (
+          <Link
+            href={`/me/orders/${order.orderNumber}`}
+            className="text-blue-600 hover:text-blue-800 text-sm font-medium transition-colors"
+          >
+            Voir la commande
+          </Link>
+        )}
+        {order.orderNumber && (
+          <a
+            href={`${process.env.NEXT_PUBLIC_API_URL}/api/orders/${order.orderNumber}/invoice`}
+            download={`facture-${order.orderNumber}.pdf`}
+            className="inline-flex items-center text-blue-600 hover:text-blue-800 text-sm font-medium transition-colors"
+          >
+            <FileDown className="mr-1 h-4 w-4" />
+            Télécharger la facture
+          </a>
+        )}
       </div>
     </article>
   );
@@ -15,6 +15,7 @@ const OrderedProduct = memo(({ item }) => {
   // Extraction des données avec valeurs par défaut
   const {
     name = 'Produit',
+    variantLabel,
     category = 'Non catégorisé',
     image,
     price = 0,
@@ -66,6 +67,11 @@ const OrderedProduct = memo(({ item }) => {
             {truncateText(name, 35)}
           </h4>
 
+          {/* Variante commandée */}
+          {variantLabel && (
+            <p className="text-xs text-gray-600 mb-1">{variantLabel}</p>
+          )}
+
           {/* Catégorie */}
           <p className="text-xs text-gray-500 mb-1">
             <span className="inline-flex items-center">
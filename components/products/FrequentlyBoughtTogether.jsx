@@ -0,0 +1,130 @@
+'use client';
+
+import { memo, useEffect, useState } from 'react';
+import Image from 'next/image';
+import Link from 'next/link';
+
+import captureClientError from '@/monitoring/sentry';
+
+const formatPrice = (price) =>
+  new Intl.NumberFormat('fr-FR', {
+    style: 'currency',
+    currency: 'EUR',
+  }).format(price || 0);
+
+const RecommendationCard = memo(function RecommendationCard({ product }) {
+  const productPath = `/product/${product.slug || product._id}`;
+
+  return (
+    <li>
+      <Link
+        href={productPath}
+        className="group block h-full bg-white p-3 rounded-lg border border-gray-200 shadow-sm hover:shadow-md hover:border-blue-100 transition-all"
+      >
+        <div className="relative aspect-square mb-3 bg-gray-100 rounded-lg overflow-hidden">
+          <Image
+            src={product.images?.[0]?.url || '/images/default_product.png'}
+            alt={product.name}
+            fill
+            sizes="(max-width: 640px) 50vw, 25vw"
+            className="object-contain group-hover:scale-105 transition-transform duration-300"
+            loading="lazy"
+          />
+        </div>
+        <h3 className="text-sm font-medium text-gray-800 group-hover:text-blue-600 line-clamp-2 min-h-[2.5rem]">
+          {product.name}
+        </h3>
+        <p className="mt-1 text-sm font-bold text-blue-600">
+          {formatPrice(product.price)}
+          {product.compareAtPrice > product.price && (
+            <span className="ml-2 text-xs font-normal text-gray-500 line-through">
+              {formatPrice(product.compareAtPrice)}
+            </span>
+          )}
+        </p>
+      </Link>
+    </li>
+  );
+});
+
+/**
+ * Produits fréquemment achetés ensemble (page produit, panier)
+ * Le premier produit est la source principale ; les suivants (articles du
+ * panier) s'ajoutent aux sources et ne sont pas recommandés.
+ * La section reste masquée tant qu'il n'y a rien à proposer.
+ */
+const FrequentlyBoughtTogether = ({
+  productIds,
+  title = 'Fréquemment achetés ensemble',
+  limit = 4,
+}) => {
+  const [products, setProducts] = useState([]);
+  const [productId, ...otherIds] = productIds || [];
+  const otherIdsKey = otherIds.join(',');
+
+  useEffect(() => {
+    if (!productId) {
+      setProducts([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+    const fetchRecommendations = async () => {
+      try {
+        const query = new URLSearchParams({ limit: String(limit) });
+        if (otherIdsKey) query.set('with', otherIdsKey);
+
+        const res = await fetch(
+          `${process.env.NEXT_PUBLIC_API_URL}/api/products/${productId}/recommendations?${query}`,
+          { signal: controller.signal, credentials: 'include' },
+        );
+        const data = await res.json();
+
+        if (!res.ok || !data.success) {
+          throw new Error(`HTTP ${res.status}: ${data.message}`);
+        }
+
+        setProducts(data.data.products);
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        captureClientError(
+          error,
+          'FrequentlyBoughtTogether',
+          'fetchRecommendations',
+          false,
+        );
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    };
+
+    fetchRecommendations();
+
+    return () => {
+      clearTimeout(timeoutId);
+      controller.abort();
+    };
+  }, [productId, otherIdsKey, limit]);
+
+  if (products.length === 0) return null;
+
+  return (
+    <section aria-labelledby="recommendations-heading" className="mt-12">
+      <h2
+        id="recommendations-heading"
+        className="font-bold text-xl sm:text-2xl text-gray-800 mb-6"
+      >
+        {title}
+      </h2>
+      <ul className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4">
+        {products.map((product) => (
+          <RecommendationCard key={product._id} product={product} />
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+export default memo(FrequentlyBoughtTogether);
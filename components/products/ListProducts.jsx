@@ -1,9 +1,10 @@
 'use client';
 
 import { Suspense, useCallback, useEffect, useMemo, useState } from 'react';
-import { useRouter, useSearchParams } from 'next/navigation';
+import { usePathname, useRouter, useSearchParams } from 'next/navigation';
 import dynamic from 'next/dynamic';
-import { isArrayEmpty } from '@/helpers/helpers';
+import { flattenCategoryTree, isArrayEmpty } from '@/helpers/helpers';
+import { SPEC_PARAM_PATTERN } from '@/helpers/validation/schemas/product';
 import { captureException } from '@/monitoring/sentry';
 import {
   FiltersSkeleton,
@@ -27,19 +28,32 @@ const ProductItem = dynamic(() => import('./ProductItem'), {
   ssr: true,
 });
 
-const ListProducts = ({ data, categories }) => {
+// Options du sélecteur de tri (valeurs de PRODUCT_SORT_OPTIONS)
+const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Pertinence', needsKeyword: true },
+  { value: 'newest', label: 'Nouveautés' },
+  { value: 'best_selling', label: 'Meilleures ventes' },
+  { value: 'top_rated', label: 'Mieux notés' },
+  { value: 'price_asc', label: 'Prix croissant' },
+  { value: 'price_desc', label: 'Prix décroissant' },
+];
+
+const ListProducts = ({ data, categories, currentCategory }) => {
   // États locaux
   const [localLoading, setLocalLoading] = useState(false);
   const [isInitialLoad, setIsInitialLoad] = useState(true);
   const searchParams = useSearchParams();
   const router = useRouter();
+  const pathname = usePathname();
 
   // Récupérer les paramètres de recherche pour les afficher
   const keyword = searchParams?.get('keyword');
-  const category = searchParams?.get('category');
+  const category = currentCategory?._id || searchParams?.get('category');
   const minPrice = searchParams?.get('min');
   const maxPrice = searchParams?.get('max');
+  const availability = searchParams?.get('availability');
   const page = searchParams?.get('page');
+  const sort = searchParams?.get('sort') || (keyword ? 'relevance' : 'newest');
 
   // Construire un message récapitulatif des filtres appliqués
   const getFilterSummary = useCallback(() => {
@@ -47,17 +61,27 @@ const ListProducts = ({ data, categories }) => {
       let summary = [];
 
       if (keyword) summary.push(`Recherche: "${keyword}"`);
-      if (category) {
-        const categoryName = categories?.find(
-          (c) => c._id === category,
-        )?.categoryName;
-        if (categoryName) summary.push(`Catégorie: ${categoryName}`);
-      }
+      const selectedCategory = category
+        ? flattenCategoryTree(categories || []).find((c) => c._id === category)
+        : null;
+      if (selectedCategory) summary.push(`Catégorie: ${selectedCategory.name}`);
       if (minPrice && maxPrice)
         summary.push(`Prix: ${minPrice}€ - ${maxPrice}€`);
       else if (minPrice) summary.push(`Prix min: ${minPrice}€`);
       else if (maxPrice) summary.push(`Prix max: ${maxPrice}€`);
 
+      if (availability === 'in_stock') summary.push('En stock');
+      else if (availability === 'out_of_stock') summary.push('En rupture');
+
+      // Caractéristiques, avec les libellés de la catégorie
+      const attributes = selectedCategory?.attributes || [];
+      searchParams?.forEach((value, param) => {
+        const key = param.match(SPEC_PARAM_PATTERN)?.[1];
+        if (!key) return;
+        const label = attributes.find((a) => a.key === key)?.label || key;
+        summary.push(`${label}: ${value.split(',').join(', ')}`);
+      });
+
       if (page) summary.push(`Page: ${page || 1}`);
 
       return summary.length > 0 ? summary.join(' | ') : null;
@@ -68,7 +92,16 @@ const ListProducts = ({ data, categories }) => {
       });
       return null;
     }
-  }, [keyword, category, minPrice, maxPrice, page, categories]);
+  }, [
+    keyword,
+    category,
+    minPrice,
+    maxPrice,
+    availability,
+    page,
+    categories,
+    searchParams,
+  ]);
 
   // Utiliser useMemo pour éviter les recalculs inutiles
   const filterSummary = useMemo(() => getFilterSummary(), [getFilterSummary]);
@@ -90,6 +123,19 @@ const ListProducts = ({ data, categories }) => {
     }
   }, []);
 
+  // Changement de tri : conservé dans l'URL, retour à la première page
+  const handleSortChange = useCallback(
+    (e) => {
+      const params = new URLSearchParams(searchParams?.toString() || '');
+      params.set('sort', e.target.value);
+      params.delete('page');
+
+      setLocalLoading(true);
+      router.push(`${pathname}?${params.toString()}`);
+    },
+    [searchParams, router, pathname],
+  );
+
   useEffect(() => {
     // Seulement pour l'initial render, pas pour les changements de filtres
     if (isInitialLoad) {
@@ -122,7 +168,9 @@ const ListProducts = ({ data, categories }) => {
           {hasValidCategories ? (
             <Filters
               categories={categories}
+              facets={data?.facets}
               setLocalLoading={setLocalLoading}
+              currentCategoryId={currentCategory?._id}
             />
           ) : (
             <div className="md:w-1/3 lg:w-1/4 px-4">
@@ -156,6 +204,24 @@ const ListProducts = ({ data, categories }) => {
                   ? `${data.products.length} produit${data.products.length > 1 ? 's' : ''} trouvé${data.products.length > 1 ? 's' : ''}`
                   : 'Produits'}
               </h1>
+
+              <label className="flex items-center text-sm text-gray-600">
+                <span className="mr-2">Trier par</span>
+                <select
+                  value={sort}
+                  onChange={handleSortChange}
+                  className="border border-gray-200 bg-white rounded-md py-1.5 px-2 text-sm focus:outline-none focus:border-blue-500"
+                  aria-label="Trier les produits"
+                >
+                  {SORT_OPTIONS.filter(
+                    (option) => !option.needsKeyword || keyword,
+                  ).map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
             </div>
 
             {localLoading ? (
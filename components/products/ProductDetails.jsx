@@ -15,8 +15,16 @@ import Link from 'next/link';
 
 import AuthContext from '@/context/AuthContext';
 import CartContext from '@/context/CartContext';
+import RecentlyViewedContext from '@/context/RecentlyViewedContext';
 import { isArrayEmpty } from '@/helpers/helpers';
 import { INCREASE } from '@/helpers/constants';
+import WishlistButton from '@/components/products/WishlistButton';
+import StockAlertButton from '@/components/products/StockAlertButton';
+import FrequentlyBoughtTogether from '@/components/products/FrequentlyBoughtTogether';
+import RecentlyViewed from '@/components/products/RecentlyViewed';
+import ProductReviews, {
+  RatingStars,
+} from '@/components/products/ProductReviews';
 
 // Pour la sécurité - nécessite d'installer cette dépendance
 // npm install dompurify
@@ -51,6 +59,12 @@ const formatPrice = (price) => {
   }).format(price || 0);
 };
 
+// Remise en pourcentage, arrondie à l'entier
+const discountPercent = (price, compareAtPrice) =>
+  compareAtPrice > price
+    ? Math.round(((compareAtPrice - price) / compareAtPrice) * 100)
+    : 0;
+
 const ProductImageGallery = memo(function ProductImageGallery({
   product,
   selectedImage,
@@ -129,12 +143,152 @@ const ProductImageGallery = memo(function ProductImageGallery({
   );
 });
 
+// Valeurs distinctes par attribut, dans l'ordre d'apparition des variantes
+const getAttributeOptions = (variants) =>
+  variants.reduce((options, variant) => {
+    Object.entries(variant.attributes || {}).forEach(([key, value]) => {
+      if (!options[key]) options[key] = [];
+      if (!options[key].includes(value)) options[key].push(value);
+    });
+    return options;
+  }, {});
+
+// Variante correspondant exactement aux attributs choisis
+const matchVariant = (variants, selection) =>
+  variants.find((variant) =>
+    Object.entries(variant.attributes || {}).every(
+      ([key, value]) => selection[key] === value,
+    ),
+  ) || null;
+
+const VariantSelector = memo(function VariantSelector({
+  variants,
+  selection,
+  onSelect,
+}) {
+  const attributeOptions = useMemo(
+    () => getAttributeOptions(variants),
+    [variants],
+  );
+
+  return (
+    <div className="mb-6 space-y-4">
+      {Object.entries(attributeOptions).map(([attribute, values]) => (
+        <fieldset key={attribute}>
+          <legend className="text-sm font-medium text-gray-700 mb-2 capitalize">
+            {attribute}
+            {selection[attribute] && (
+              <span className="ml-1 font-normal text-gray-500">
+                : {selection[attribute]}
+              </span>
+            )}
+          </legend>
+          <div className="flex flex-wrap gap-2">
+            {values.map((value) => {
+              const candidate = matchVariant(variants, {
+                ...selection,
+                [attribute]: value,
+              });
+              const isSelected = selection[attribute] === value;
+              const isSoldOut = !candidate || candidate.stock < 1;
+
+              return (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => onSelect(attribute, value)}
+                  aria-pressed={isSelected}
+                  className={`px-3 py-1.5 text-sm rounded-lg border transition-colors focus:outline-none focus:ring-2 focus:ring-blue-300 ${
+                    isSelected
+                      ? 'border-blue-600 bg-blue-50 text-blue-700'
+                      : 'border-gray-300 text-gray-700 hover:border-blue-400'
+                  } ${isSoldOut ? 'line-through text-gray-400' : ''}`}
+                >
+                  {value}
+                </button>
+              );
+            })}
+          </div>
+        </fieldset>
+      ))}
+    </div>
+  );
+});
+
+// Valeur d'une caractéristique avec son unité
+const formatSpecification = (value, attribute) => {
+  if (typeof value === 'boolean') return value ? 'Oui' : 'Non';
+  return attribute?.unit ? `${value} ${attribute.unit}` : String(value);
+};
+
+const SpecificationsTable = memo(function SpecificationsTable({
+  specifications,
+  attributes,
+}) {
+  // Ordre et libellés définis par la catégorie, puis clés non définies
+  const rows = useMemo(() => {
+    const values = specifications || {};
+    const definitions = attributes || [];
+    const defined = definitions
+      .filter((attribute) => values[attribute.key] !== undefined)
+      .map((attribute) => ({
+        key: attribute.key,
+        label: attribute.label,
+        value: formatSpecification(values[attribute.key], attribute),
+      }));
+    const others = Object.entries(values)
+      .filter(
+        ([key]) => !definitions.some((attribute) => attribute.key === key),
+      )
+      .map(([key, value]) => ({
+        key,
+        label: key,
+        value: formatSpecification(value),
+      }));
+    return [...defined, ...others];
+  }, [specifications, attributes]);
+
+  if (rows.length === 0) return null;
+
+  return (
+    <section
+      className="border-t border-gray-200 pt-8 mt-8"
+      aria-labelledby="specifications-heading"
+    >
+      <h2 id="specifications-heading" className="text-xl font-semibold mb-4">
+        Caractéristiques techniques
+      </h2>
+      <table className="w-full text-sm border border-gray-200 rounded-lg overflow-hidden">
+        <tbody>
+          {rows.map((row, index) => (
+            <tr
+              key={row.key}
+              className={index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}
+            >
+              <th
+                scope="row"
+                className="text-left font-medium text-gray-700 px-4 py-2 w-1/3"
+              >
+                {row.label}
+              </th>
+              <td className="px-4 py-2 text-gray-600">{row.value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+});
+
 const ProductInfo = memo(function ProductInfo({
   product,
   inStock,
   onAddToCart,
   isAddingToCart,
   onShare,
+  wishlistVariant,
+  productOutOfStock,
+  children,
 }) {
   // Formattage du prix mémoïsé
   const formattedPrice = useMemo(
@@ -149,6 +303,15 @@ const ProductInfo = memo(function ProductInfo({
       </h1>
 
       <div className="flex flex-wrap items-center space-x-2 mb-2">
+        {product?.rating?.count > 0 && (
+          <a
+            href="#reviews"
+            className="flex items-center gap-2 text-sm text-gray-600 hover:text-blue-600"
+          >
+            <RatingStars value={product.rating.average} />
+            {product.rating.average.toFixed(1)} ({product.rating.count} avis)
+          </a>
+        )}
         {product?.verified && (
           <span className="text-green-700 flex items-center">
             <BadgeCheck className="mr-2" />
@@ -165,14 +328,32 @@ const ProductInfo = memo(function ProductInfo({
           {formattedPrice}
         </p>
 
-        {/* Afficher un prix barré si c'est pertinent */}
-        {product?.oldPrice && (
-          <p className="text-sm sm:text-base text-gray-500 line-through">
-            {formatPrice(product.oldPrice)}
-          </p>
+        {/* Prix normal barré pendant une promotion */}
+        {product?.compareAtPrice > product?.price && (
+          <>
+            <p className="text-sm sm:text-base text-gray-500 line-through mr-3">
+              <span className="sr-only">Prix normal : </span>
+              {formatPrice(product.compareAtPrice)}
+            </p>
+            <span className="text-xs font-semibold text-white bg-red-600 rounded-full px-2 py-0.5">
+              -{discountPercent(product.price, product.compareAtPrice)}%
+            </span>
+          </>
         )}
       </div>
 
+      {product?.compareAtPrice > product?.price && product?.saleEndsAt && (
+        <p className="-mt-2 mb-4 text-sm text-red-600">
+          Offre valable jusqu&apos;au{' '}
+          {new Date(product.saleEndsAt).toLocaleDateString('fr-FR', {
+            day: 'numeric',
+            month: 'long',
+            hour: '2-digit',
+            minute: '2-digit',
+          })}
+        </p>
+      )}
+
       {/* Description sécurisée contre XSS */}
       {product?.description ? (
         <div
@@ -187,6 +368,9 @@ const ProductInfo = memo(function ProductInfo({
         </p>
       )}
 
+      {/* Sélection de la variante */}
+      {children}
+
       {/* Bouton d'ajout au panier */}
       <div className="flex flex-col sm:flex-row gap-3 mb-6">
         <button
@@ -221,8 +405,23 @@ const ProductInfo = memo(function ProductInfo({
           <Share2 className="mr-1" />
           Partager
         </button>
+
+        <WishlistButton
+          productId={product?._id}
+          variant={wishlistVariant}
+          withLabel
+          className="w-full sm:w-auto px-4 py-2 justify-center border border-gray-300 rounded-lg"
+        />
       </div>
 
+      {/* Alerte de retour en stock (rupture sur tout le produit) */}
+      {productOutOfStock && (
+        <StockAlertButton
+          productId={product?._id}
+          className="w-full sm:w-auto mb-6"
+        />
+      )}
+
       {/* Informations supplémentaires */}
       <ul className="mb-5 text-gray-600">
         <li className="mb-2 flex">
@@ -249,7 +448,9 @@ const ProductInfo = memo(function ProductInfo({
         </li>
         <li className="mb-2 flex">
           <span className="font-medium w-36 inline-block">Référence:</span>
-          <span className="font-mono text-sm">{product?._id || 'N/A'}</span>
+          <span className="font-mono text-sm">
+            {product?.sku || product?._id || 'N/A'}
+          </span>
         </li>
       </ul>
 
@@ -440,7 +641,7 @@ const RelatedProductsCarousel = memo(function RelatedProductsCarousel({
                 }}
               >
                 <Link
-                  href={`/product/${product?._id}`}
+                  href={`/product/${product?.slug || product?._id}`}
                   className="group/card block bg-white p-4 rounded-lg shadow-sm hover:shadow-md transition-all duration-300 border border-gray-200 hover:border-blue-100 transform hover:-translate-y-1 h-full"
                 >
                   {/* Image du produit */}
@@ -486,6 +687,11 @@ const RelatedProductsCarousel = memo(function RelatedProductsCarousel({
                     <div className="flex items-center justify-between">
                       <p className="font-bold text-blue-600 text-lg">
                         {formatPrice(product?.price)}
+                        {product?.compareAtPrice > product?.price && (
+                          <span className="ml-2 text-xs font-normal text-gray-500 line-through">
+                            {formatPrice(product.compareAtPrice)}
+                          </span>
+                        )}
                       </p>
 
                       {/* Indicateur de stock */}
@@ -547,6 +753,12 @@ function ProductDetails({ product, sameCategoryProducts }) {
   const { user } = useContext(AuthContext);
   const { addItemToCart, updateCart, cart, error, clearError } =
     useContext(CartContext);
+  const { recordView } = useContext(RecentlyViewedContext);
+
+  // Historique de consultation (local, et compte si connecté)
+  useEffect(() => {
+    recordView(product?._id);
+  }, [product?._id, recordView]);
 
   // État pour l'image sélectionnée
   const [selectedImage, setSelectedImage] = useState(null);
@@ -554,14 +766,52 @@ function ProductDetails({ product, sameCategoryProducts }) {
   // État pour le feedback d'ajout au panier
   const [isAddingToCart, setIsAddingToCart] = useState(false);
 
-  // Définir l'image sélectionnée au chargement ou quand le produit change
+  // Attributs choisis (produits à variantes)
+  const [selection, setSelection] = useState({});
+
+  const variants = useMemo(() => product?.variants || [], [product]);
+  const hasVariants = variants.length > 0;
+
+  // Présélectionner la première variante disponible
+  useEffect(() => {
+    const initial = variants.find((v) => v.stock > 0) || variants[0];
+    setSelection({ ...(initial?.attributes || {}) });
+  }, [variants]);
+
+  const selectedVariant = useMemo(
+    () => (hasVariants ? matchVariant(variants, selection) : null),
+    [hasVariants, variants, selection],
+  );
+
+  // Prix, stock, référence et images de la variante choisie
+  const displayedProduct = useMemo(() => {
+    if (!product || !selectedVariant) return product;
+    return {
+      ...product,
+      price: selectedVariant.price ?? product.price,
+      compareAtPrice: selectedVariant.compareAtPrice ?? null,
+      saleEndsAt: selectedVariant.saleEndsAt ?? null,
+      stock: selectedVariant.stock,
+      sku: selectedVariant.sku,
+      images:
+        selectedVariant.images?.length > 0
+          ? selectedVariant.images
+          : product.images,
+    };
+  }, [product, selectedVariant]);
+
+  const handleVariantSelect = useCallback((attribute, value) => {
+    setSelection((current) => ({ ...current, [attribute]: value }));
+  }, []);
+
+  // Définir l'image sélectionnée au chargement ou quand la variante change
   useEffect(() => {
-    if (product?.images && product.images.length > 0) {
-      setSelectedImage(product.images[0]?.url);
+    if (displayedProduct?.images && displayedProduct.images.length > 0) {
+      setSelectedImage(displayedProduct.images[0]?.url);
     } else {
       setSelectedImage('/images/default_product.png');
     }
-  }, [product]);
+  }, [displayedProduct?.images]);
 
   // Handle auth context updates
   useEffect(() => {
@@ -573,28 +823,38 @@ function ProductDetails({ product, sameCategoryProducts }) {
 
   // Vérifier si le produit est en stock - memoized
   const inStock = useMemo(() => {
-    if (!product || product?.stock === undefined) return false;
-    return product.stock >= 1;
-  }, [product]);
+    if (!displayedProduct || displayedProduct?.stock === undefined) {
+      return false;
+    }
+    // Un produit à variantes n'est achetable qu'une variante choisie
+    if (hasVariants && !selectedVariant) return false;
+    return displayedProduct.stock >= 1;
+  }, [displayedProduct, hasVariants, selectedVariant]);
 
   // Définir les breadcrumbs une seule fois
   const breadCrumbs = useMemo(() => {
     if (!product) return null;
 
+    // Chemin complet de la catégorie, de la racine à la catégorie du produit
+    const categoryPath = product.category?.slug
+      ? [...(product.category.ancestors || []), product.category].map(
+          (category) => ({
+            name: category.categoryName,
+            url: `/category/${category.slug}`,
+          }),
+        )
+      : [];
+
     return [
       { name: 'Accueil', url: '/' },
-      { name: 'Produits', url: '/products' },
-      {
-        name: product.category?.categoryName || 'Catégorie',
-        url: `/category/${product.category?._id || 'all'}`,
-      },
+      ...categoryPath,
       {
         name: product.name
           ? product.name.length > 40
             ? `${product.name.substring(0, 40)}...`
             : product.name
           : 'Produit',
-        url: `/product/${product._id}`,
+        url: `/product/${product.slug || product._id}`,
       },
     ];
   }, [product]);
@@ -624,7 +884,11 @@ function ProductDetails({ product, sameCategoryProducts }) {
     setIsAddingToCart(true);
 
     try {
-      const isProductInCart = cart.find((i) => i?.productId === product._id);
+      const variantId = selectedVariant?._id || null;
+      const isProductInCart = cart.find(
+        (i) =>
+          i?.productId === product._id && (i?.variantId || null) === variantId,
+      );
 
       if (isProductInCart) {
         updateCart(isProductInCart, INCREASE);
@@ -632,6 +896,7 @@ function ProductDetails({ product, sameCategoryProducts }) {
       } else {
         addItemToCart({
           product: product._id,
+          variant: variantId,
         });
         toast.success('Produit ajouté à votre panier');
       }
@@ -644,7 +909,16 @@ function ProductDetails({ product, sameCategoryProducts }) {
         setIsAddingToCart(false);
       }, 500);
     }
-  }, [product, user, cart, inStock, addItemToCart, updateCart, isAddingToCart]);
+  }, [
+    product,
+    selectedVariant,
+    user,
+    cart,
+    inStock,
+    addItemToCart,
+    updateCart,
+    isAddingToCart,
+  ]);
 
   // Fonction pour partager le produit
   const handleShare = useCallback(() => {
@@ -718,42 +992,52 @@ function ProductDetails({ product, sameCategoryProducts }) {
           <div className="grid grid-cols-1 md:grid-cols-2 gap-8 mb-8">
             {/* Galerie d'images */}
             <ProductImageGallery
-              product={product}
+              product={displayedProduct}
               selectedImage={selectedImage}
               onImageSelect={handleImageSelect}
             />
 
             {/* Informations produit */}
             <ProductInfo
-              product={product}
+              product={displayedProduct}
               inStock={inStock}
               onAddToCart={handleAddToCart}
               isAddingToCart={isAddingToCart}
               onShare={handleShare}
-            />
+              wishlistVariant={selectedVariant?._id || null}
+              productOutOfStock={!(product.stock > 0)}
+            >
+              {hasVariants && (
+                <VariantSelector
+                  variants={variants}
+                  selection={selection}
+                  onSelect={handleVariantSelect}
+                />
+              )}
+            </ProductInfo>
           </div>
 
           {/* Spécifications produit */}
-          {product.specifications && (
-            <div className="border-t border-gray-200 pt-8 mt-8">
-              <h2 className="text-xl font-semibold mb-4">Spécifications</h2>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                {Object.entries(product.specifications).map(([key, value]) => (
-                  <div key={key} className="flex">
-                    <span className="font-medium w-36">{key}:</span>
-                    <span>{value}</span>
-                  </div>
-                ))}
-              </div>
-            </div>
-          )}
+          <SpecificationsTable
+            specifications={product.specifications}
+            attributes={product.category?.attributes}
+          />
         </div>
 
+        {/* Avis clients */}
+        <ProductReviews productId={product._id} rating={product.rating} />
+
+        {/* Produits fréquemment achetés ensemble (historique des commandes) */}
+        <FrequentlyBoughtTogether productIds={[product._id]} />
+
         {/* Produits connexes */}
         <RelatedProductsCarousel
           products={sameCategoryProducts}
           currentProductId={product._id}
         />
+
+        {/* Produits consultés récemment (hors produit affiché) */}
+        <RecentlyViewed excludeProductId={product._id} />
       </div>
     </div>
   );
@@ -6,6 +6,13 @@ import Image from 'next/image';
 import CartContext from '@/context/CartContext';
 import { INCREASE } from '@/helpers/constants';
 import AuthContext from '@/context/AuthContext';
+import WishlistButton from '@/components/products/WishlistButton';
+
+const formatEuro = (price) =>
+  new Intl.NumberFormat('fr-FR', {
+    style: 'currency',
+    currency: 'EUR',
+  }).format(price);
 
 const ProductItem = memo(({ product }) => {
   const { addItemToCart, updateCart, cart } = useContext(CartContext);
@@ -18,9 +25,13 @@ const ProductItem = memo(({ product }) => {
 
   const inStock = product.stock > 0;
   const productId = product._id || '';
+  const productPath = `/product/${product.slug || productId}`;
   const productName = product.name || 'Produit sans nom';
   const productDescription = product.description || '';
   const productPrice = product.price || 0;
+  // Prix normal barré pendant une promotion
+  const compareAtPrice =
+    product.compareAtPrice > productPrice ? product.compareAtPrice : null;
   const productCategory = product.category?.categoryName || 'Non catégorisé';
 
   // URL de l'image avec fallback
@@ -58,7 +69,7 @@ const ProductItem = memo(({ product }) => {
   return (
     <article className="border border-gray-200 overflow-hidden bg-white shadow-xs rounded-sm mb-5">
       <Link
-        href={`/product/${productId}`}
+        href={productPath}
         className="flex flex-col md:flex-row hover:bg-blue-50"
         aria-label={`Voir les détails du produit: ${productName}`}
       >
@@ -79,6 +90,10 @@ const ProductItem = memo(({ product }) => {
               loading="lazy"
               sizes="(max-width: 768px) 80vw, 240px"
             />
+            <WishlistButton
+              productId={productId}
+              className="absolute top-1 right-1 p-1.5 bg-white/90 shadow-sm"
+            />
           </div>
         </div>
         <div className="md:w-2/4">
@@ -118,15 +133,30 @@ const ProductItem = memo(({ product }) => {
         <div className="md:w-1/4 border-t lg:border-t-0 lg:border-l border-gray-200">
           <div className="p-5">
             <span
-              className="text-xl font-semibold text-black flex items-center justify-center md:justify-start"
+              className={`text-xl font-semibold flex items-center justify-center md:justify-start ${
+                compareAtPrice ? 'text-red-600' : 'text-black'
+              }`}
               data-testid="Price"
             >
-              {new Intl.NumberFormat('fr-FR', {
-                style: 'currency',
-                currency: 'EUR',
-              }).format(productPrice)}
+              {formatEuro(productPrice)}
             </span>
 
+            {compareAtPrice && (
+              <p className="text-sm text-gray-500 text-center md:text-left">
+                <span className="sr-only">Prix normal : </span>
+                <span className="line-through">
+                  {formatEuro(compareAtPrice)}
+                </span>
+                <span className="ml-2 text-xs font-semibold text-red-600">
+                  -
+                  {Math.round(
+                    ((compareAtPrice - productPrice) / compareAtPrice) * 100,
+                  )}
+                  %
+                </span>
+              </p>
+            )}
+
             <p
               className="text-green-700 md:text-xs lg:text-sm text-center md:text-left"
               title="Livraison gratuite"
@@ -0,0 +1,414 @@
+'use client';
+
+import { memo, useCallback, useContext, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import Link from 'next/link';
+import { BadgeCheck, LoaderCircle, Star } from 'lucide-react';
+
+import AuthContext from '@/context/AuthContext';
+import { validateProductReview } from '@/helpers/validation';
+import captureClientError from '@/monitoring/sentry';
+
+const RATINGS = [5, 4, 3, 2, 1];
+
+const formatReviewDate = (date) =>
+  new Date(date).toLocaleDateString('fr-FR', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+  });
+
+// Étoiles pleines/vides pour une note (arrondie à l'entier le plus proche)
+export const RatingStars = memo(function RatingStars({ value, size = 16 }) {
+  const rounded = Math.round(value || 0);
+  return (
+    <span
+      className="inline-flex items-center"
+      aria-label={`Note : ${value || 0} sur 5`}
+    >
+      {[1, 2, 3, 4, 5].map((star) => (
+        <Star
+          key={star}
+          size={size}
+          aria-hidden="true"
+          className={
+            star <= rounded
+              ? 'fill-amber-400 text-amber-400'
+              : 'fill-gray-200 text-gray-200'
+          }
+        />
+      ))}
+    </span>
+  );
+});
+
+const RatingSummary = memo(function RatingSummary({ summary }) {
+  return (
+    <div className="md:w-1/3">
+      <div className="flex items-center gap-3 mb-3">
+        <span className="text-4xl font-semibold text-gray-800">
+          {summary.average.toFixed(1)}
+        </span>
+        <div>
+          <RatingStars value={summary.average} size={20} />
+          <p className="text-sm text-gray-500">{summary.count} avis</p>
+        </div>
+      </div>
+
+      <ul className="space-y-1">
+        {RATINGS.map((rating) => {
+          const count = summary.distribution?.[rating] || 0;
+          const percent =
+            summary.count > 0 ? Math.round((count / summary.count) * 100) : 0;
+          return (
+            <li key={rating} className="flex items-center gap-2 text-sm">
+              <span className="w-14 text-gray-600">{rating} étoiles</span>
+              <progress
+                className="flex-1 h-2 rounded-full overflow-hidden [&::-webkit-progress-bar]:bg-gray-100 [&::-webkit-progress-value]:bg-amber-400 [&::-moz-progress-bar]:bg-amber-400"
+                value={percent}
+                max={100}
+                aria-label={`${percent}% des avis`}
+              />
+              <span className="w-8 text-right text-gray-500">{count}</span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+});
+
+const ReviewForm = memo(function ReviewForm({ productId, onPublished }) {
+  const [rating, setRating] = useState(0);
+  const [title, setTitle] = useState('');
+  const [body, setBody] = useState('');
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const submitHandler = async (e) => {
+    e.preventDefault();
+    if (isSubmitting) return;
+
+    const validation = await validateProductReview({ rating, title, body });
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setErrors({});
+    setIsSubmitting(true);
+
+    try {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/products/${productId}/reviews`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json',
+          },
+          body: JSON.stringify(validation.data),
+          signal: controller.signal,
+          credentials: 'include',
+        },
+      );
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        switch (res.status) {
+          case 400:
+            setErrors(data.errors || {});
+            toast.error('Veuillez corriger les champs de votre avis');
+            break;
+          case 401:
+            toast.error('Veuillez vous connecter pour publier un avis');
+            break;
+          case 409:
+            toast.info('Vous avez déjà donné votre avis sur ce produit');
+            onPublished(null);
+            break;
+          case 429:
+            toast.error('Trop de tentatives. Réessayez plus tard.');
+            break;
+          default:
+            toast.error("Erreur lors de la publication de l'avis");
+            captureClientError(
+              new Error(`HTTP ${res.status}: ${data.message}`),
+              'ProductReviews',
+              'submitReview',
+              res.status >= 500,
+            );
+        }
+        return;
+      }
+
+      toast.success('Merci pour votre avis !');
+      onPublished(data.data);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        toast.error('La connexion est trop lente');
+        captureClientError(error, 'ProductReviews', 'submitReview', false);
+      } else {
+        toast.error('Problème de connexion');
+        captureClientError(error, 'ProductReviews', 'submitReview', true);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={submitHandler}
+      className="mt-6 p-4 border border-gray-200 rounded-lg space-y-3"
+      aria-label="Donner votre avis"
+    >
+      <h3 className="font-semibold text-gray-800">Donner votre avis</h3>
+
+      <div>
+        <div
+          className="flex items-center gap-1"
+          role="radiogroup"
+          aria-label="Note"
+        >
+          {[1, 2, 3, 4, 5].map((star) => (
+            <button
+              key={star}
+              type="button"
+              role="radio"
+              aria-checked={rating === star}
+              aria-label={`${star} étoile${star > 1 ? 's' : ''}`}
+              onClick={() => setRating(star)}
+              className="p-0.5"
+            >
+              <Star
+                size={24}
+                className={
+                  star <= rating
+                    ? 'fill-amber-400 text-amber-400'
+                    : 'fill-gray-200 text-gray-300 hover:text-amber-300'
+                }
+              />
+            </button>
+          ))}
+        </div>
+        {errors.rating && (
+          <p className="mt-1 text-sm text-red-600">{errors.rating}</p>
+        )}
+      </div>
+
+      <div>
+        <label
+          htmlFor="review-title"
+          className="block text-sm font-medium text-gray-700 mb-1"
+        >
+          Titre
+        </label>
+        <input
+          id="review-title"
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          maxLength={100}
+          className={`block w-full px-3 py-2 border ${
+            errors.title ? 'border-red-500' : 'border-gray-300'
+          } rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm`}
+          aria-invalid={errors.title ? 'true' : 'false'}
+        />
+        {errors.title && (
+          <p className="mt-1 text-sm text-red-600">{errors.title}</p>
+        )}
+      </div>
+
+      <div>
+        <label
+          htmlFor="review-body"
+          className="block text-sm font-medium text-gray-700 mb-1"
+        >
+          Votre avis
+        </label>
+        <textarea
+          id="review-body"
+          rows="4"
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          maxLength={500}
+          className={`block w-full px-3 py-2 border ${
+            errors.body ? 'border-red-500' : 'border-gray-300'
+          } rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm`}
+          aria-invalid={errors.body ? 'true' : 'false'}
+        />
+        <p className="text-xs text-gray-500 text-right">{body.length}/500</p>
+        {errors.body && (
+          <p className="mt-1 text-sm text-red-600">{errors.body}</p>
+        )}
+      </div>
+
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="px-4 py-2 text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {isSubmitting ? 'Publication...' : "Publier l'avis"}
+      </button>
+    </form>
+  );
+});
+
+/**
+ * Section des avis clients d'un produit : note moyenne, répartition,
+ * liste paginée et formulaire pour l'utilisateur connecté
+ */
+const ProductReviews = ({ productId, rating }) => {
+  const { user } = useContext(AuthContext);
+
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState({
+    average: rating?.average || 0,
+    count: rating?.count || 0,
+    distribution: {},
+  });
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [hasReviewed, setHasReviewed] = useState(false);
+
+  const fetchReviews = useCallback(
+    async (pageToLoad, signal) => {
+      setLoading(true);
+      try {
+        const res = await fetch(
+          `${process.env.NEXT_PUBLIC_API_URL}/api/products/${productId}/reviews?page=${pageToLoad}`,
+          { signal, credentials: 'include' },
+        );
+        const data = await res.json();
+
+        if (!res.ok || !data.success) {
+          throw new Error(`HTTP ${res.status}: ${data.message}`);
+        }
+
+        setReviews((current) =>
+          pageToLoad === 1
+            ? data.data.reviews
+            : [...current, ...data.data.reviews],
+        );
+        setSummary(data.data.summary);
+        setTotalPages(data.data.totalPages);
+        setPage(pageToLoad);
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        captureClientError(error, 'ProductReviews', 'fetchReviews', false);
+      } finally {
+        if (!signal?.aborted) setLoading(false);
+      }
+    },
+    [productId],
+  );
+
+  useEffect(() => {
+    if (!productId) return;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+    fetchReviews(1, controller.signal).finally(() => clearTimeout(timeoutId));
+
+    return () => {
+      clearTimeout(timeoutId);
+      controller.abort();
+    };
+  }, [productId, fetchReviews]);
+
+  // Nouvel avis publié (null : l'utilisateur avait déjà un avis)
+  const handlePublished = useCallback((result) => {
+    setHasReviewed(true);
+    if (!result) return;
+    setReviews((current) => [result.review, ...current]);
+    setSummary(result.summary);
+  }, []);
+
+  return (
+    <section
+      id="reviews"
+      className="mt-8 bg-white rounded-lg shadow-sm p-4 sm:p-6 border border-gray-100"
+      aria-labelledby="reviews-title"
+    >
+      <h2
+        id="reviews-title"
+        className="text-lg font-semibold text-gray-800 mb-4"
+      >
+        Avis clients
+      </h2>
+
+      <div className="flex flex-col md:flex-row gap-8">
+        <RatingSummary summary={summary} />
+
+        <div className="flex-1">
+          {reviews.length === 0 && !loading && (
+            <p className="text-gray-600">
+              Aucun avis pour le moment. Soyez le premier à donner le vôtre !
+            </p>
+          )}
+
+          <ul className="divide-y divide-gray-100">
+            {reviews.map((review) => (
+              <li key={review._id} className="py-4">
+                <div className="flex items-center gap-2 mb-1">
+                  <RatingStars value={review.rating} />
+                  <h3 className="font-medium text-gray-800">{review.title}</h3>
+                </div>
+                <p className="text-xs text-gray-500 mb-2 flex items-center gap-2">
+                  {review.author} · {formatReviewDate(review.createdAt)}
+                  {review.verifiedPurchase && (
+                    <span className="inline-flex items-center text-green-700">
+                      <BadgeCheck size={14} className="mr-1" />
+                      Achat vérifié
+                    </span>
+                  )}
+                </p>
+                <p className="text-gray-700 whitespace-pre-line">
+                  {review.body}
+                </p>
+              </li>
+            ))}
+          </ul>
+
+          {loading && (
+            <div className="flex justify-center py-4">
+              <LoaderCircle className="animate-spin text-blue-600" />
+            </div>
+          )}
+
+          {!loading && page < totalPages && (
+            <button
+              type="button"
+              onClick={() => fetchReviews(page + 1)}
+              className="mt-2 px-4 py-2 text-blue-600 border border-blue-600 rounded-lg hover:bg-blue-50 transition-colors"
+            >
+              Voir plus d&apos;avis
+            </button>
+          )}
+
+          {user ? (
+            !hasReviewed && (
+              <ReviewForm productId={productId} onPublished={handlePublished} />
+            )
+          ) : (
+            <p className="mt-6 text-sm text-gray-600">
+              <Link href="/login" className="text-blue-600 hover:underline">
+                Connectez-vous
+              </Link>{' '}
+              pour donner votre avis sur ce produit.
+            </p>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default memo(ProductReviews);
@@ -0,0 +1,94 @@
+'use client';
+
+import { memo, useContext, useEffect, useMemo } from 'react';
+import Image from 'next/image';
+import Link from 'next/link';
+import { History } from 'lucide-react';
+
+import RecentlyViewedContext from '@/context/RecentlyViewedContext';
+
+const formatPrice = (price) =>
+  new Intl.NumberFormat('fr-FR', {
+    style: 'currency',
+    currency: 'EUR',
+  }).format(price || 0);
+
+/**
+ * Carrousel des produits consultés récemment (accueil, page produit)
+ * Le produit affiché est écarté ; le serveur écarte déjà les inactifs.
+ */
+const RecentlyViewed = ({ excludeProductId = null }) => {
+  const { products, loadRecentlyViewed } = useContext(RecentlyViewedContext);
+
+  // Rechargé à la connexion/déconnexion (historique du compte ou local)
+  useEffect(() => {
+    loadRecentlyViewed();
+  }, [loadRecentlyViewed]);
+
+  const visibleProducts = useMemo(
+    () =>
+      products.filter(
+        (product) => String(product._id) !== String(excludeProductId),
+      ),
+    [products, excludeProductId],
+  );
+
+  if (visibleProducts.length === 0) return null;
+
+  return (
+    <section aria-labelledby="recently-viewed-heading" className="mt-12">
+      <h2
+        id="recently-viewed-heading"
+        className="font-bold text-xl sm:text-2xl text-gray-800 mb-6 flex items-center gap-2"
+      >
+        <History className="text-blue-600" aria-hidden="true" />
+        Récemment consultés
+      </h2>
+
+      <ul className="flex gap-4 overflow-x-auto snap-x snap-mandatory pb-2">
+        {visibleProducts.map((product) => (
+          <li
+            key={product._id}
+            className="snap-start flex-shrink-0 w-40 sm:w-48"
+          >
+            <Link
+              href={`/product/${product.slug || product._id}`}
+              className="group block h-full bg-white p-3 rounded-lg border border-gray-200 shadow-sm hover:shadow-md hover:border-blue-100 transition-all"
+            >
+              <div className="relative aspect-square mb-3 bg-gray-100 rounded-lg overflow-hidden">
+                <Image
+                  src={
+                    product.images?.[0]?.url || '/images/default_product.png'
+                  }
+                  alt={product.name}
+                  fill
+                  sizes="192px"
+                  className="object-contain group-hover:scale-105 transition-transform duration-300"
+                  loading="lazy"
+                />
+                {!(product.stock > 0) && (
+                  <span className="absolute top-2 right-2 bg-red-600 text-white text-xs px-2 py-1 rounded-full font-medium">
+                    Épuisé
+                  </span>
+                )}
+              </div>
+              <h3 className="text-sm font-medium text-gray-800 group-hover:text-blue-600 line-clamp-2 min-h-[2.5rem]">
+                {product.name}
+              </h3>
+              <p className="mt-1 text-sm font-bold text-blue-600">
+                {formatPrice(product.price)}
+                {product.compareAtPrice > product.price && (
+                  <span className="ml-2 text-xs font-normal text-gray-500 line-through">
+                    {formatPrice(product.compareAtPrice)}
+                  </span>
+                )}
+              </p>
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+export default memo(RecentlyViewed);
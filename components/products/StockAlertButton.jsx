@@ -0,0 +1,73 @@
+'use client';
+
+import { memo, useContext, useState } from 'react';
+import { toast } from 'react-toastify';
+import { BellRing, BellOff, LoaderCircle } from 'lucide-react';
+
+import AuthContext from '@/context/AuthContext';
+import StockAlertContext from '@/context/StockAlertContext';
+
+/**
+ * Bouton "m'avertir du retour en stock" d'un produit en rupture
+ * L'alerte porte sur le produit : elle part dès que son stock total
+ * redevient positif, quelle que soit la variante réapprovisionnée.
+ */
+const StockAlertButton = memo(function StockAlertButton({
+  productId,
+  className = '',
+}) {
+  const { user } = useContext(AuthContext);
+  const { alerts, hasStockAlert, subscribe, unsubscribe } =
+    useContext(StockAlertContext);
+  const [isPending, setIsPending] = useState(false);
+
+  const subscribed = hasStockAlert(productId);
+
+  const handleClick = async () => {
+    if (!user) {
+      toast.info('Connectez-vous pour être averti du retour en stock !');
+      return;
+    }
+
+    if (isPending) return;
+
+    setIsPending(true);
+    try {
+      if (subscribed) {
+        const alert = alerts.find((a) => a.productId === productId);
+        await unsubscribe(alert.id);
+      } else {
+        await subscribe(productId);
+      }
+    } finally {
+      setIsPending(false);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      disabled={isPending}
+      aria-pressed={subscribed}
+      className={`inline-flex items-center justify-center gap-2 px-4 py-2 rounded-lg border transition-colors disabled:opacity-50 ${
+        subscribed
+          ? 'border-green-600 text-green-700 hover:bg-green-50'
+          : 'border-blue-600 text-blue-600 hover:bg-blue-50'
+      } ${className}`}
+    >
+      {isPending ? (
+        <LoaderCircle className="animate-spin h-4 w-4" aria-hidden="true" />
+      ) : subscribed ? (
+        <BellOff className="h-4 w-4" aria-hidden="true" />
+      ) : (
+        <BellRing className="h-4 w-4" aria-hidden="true" />
+      )}
+      {subscribed
+        ? 'Alerte activée · Se désabonner'
+        : "M'avertir du retour en stock"}
+    </button>
+  );
+});
+
+export default StockAlertButton;
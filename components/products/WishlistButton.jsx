@@ -0,0 +1,70 @@
+'use client';
+
+import { memo, useContext, useState } from 'react';
+import { toast } from 'react-toastify';
+import { Heart } from 'lucide-react';
+
+import AuthContext from '@/context/AuthContext';
+import WishlistContext from '@/context/WishlistContext';
+
+/**
+ * Bouton cœur pour ajouter/retirer un produit de la liste d'envies
+ * `variant` : variante choisie sur la fiche produit (optionnelle) ; sans
+ * variante, le cœur reflète n'importe quelle entrée du produit
+ */
+const WishlistButton = memo(function WishlistButton({
+  productId,
+  variant = null,
+  className = '',
+  withLabel = false,
+}) {
+  const { user } = useContext(AuthContext);
+  const { isInWishlist, toggleWishlist } = useContext(WishlistContext);
+  const [isPending, setIsPending] = useState(false);
+
+  const active = isInWishlist(productId, variant);
+  const label = active
+    ? "Retirer de la liste d'envies"
+    : "Ajouter à la liste d'envies";
+
+  const handleClick = async (e) => {
+    // Le bouton peut être placé dans un lien (carte produit)
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (!user) {
+      toast.info('Connectez-vous pour enregistrer vos envies !');
+      return;
+    }
+
+    if (isPending) return;
+
+    setIsPending(true);
+    try {
+      await toggleWishlist({ product: productId, variant });
+    } finally {
+      setIsPending(false);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      disabled={isPending}
+      aria-pressed={active}
+      aria-label={label}
+      title={label}
+      className={`inline-flex items-center gap-1 rounded-full transition-colors disabled:opacity-50 ${
+        active ? 'text-red-500' : 'text-gray-400 hover:text-red-400'
+      } ${className}`}
+    >
+      <Heart className={active ? 'fill-red-500' : ''} aria-hidden="true" />
+      {withLabel && (
+        <span className="text-sm">{active ? 'Dans vos envies' : 'Envie'}</span>
+      )}
+    </button>
+  );
+});
+
+export default WishlistButton;
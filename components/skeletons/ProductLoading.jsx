@@ -1,4 +1,4 @@
-// app/product/[id]/loading.jsx
+// app/product/[slug]/loading.jsx
 
 export default function ProductLoading() {
   return (
@@ -0,0 +1,155 @@
+'use client';
+
+import { memo, useContext, useEffect, useState } from 'react';
+import Image from 'next/image';
+import Link from 'next/link';
+import { BellRing, LoaderCircle, PackageCheck, X } from 'lucide-react';
+
+import StockAlertContext from '@/context/StockAlertContext';
+
+const formatPrice = (price) =>
+  new Intl.NumberFormat('fr-FR', {
+    style: 'currency',
+    currency: 'EUR',
+  }).format(price || 0);
+
+const AlertItem = memo(function AlertItem({ alert, action }) {
+  const [isPending, setIsPending] = useState(false);
+  const productPath = `/product/${alert.productSlug || alert.productId}`;
+
+  const handleAction = async () => {
+    if (isPending) return;
+    setIsPending(true);
+    try {
+      await action.handler(alert.id);
+    } finally {
+      setIsPending(false);
+    }
+  };
+
+  return (
+    <li className="flex items-center gap-3 py-3">
+      <Link
+        href={productPath}
+        className="relative w-12 h-12 flex-shrink-0 rounded border border-gray-200 bg-gray-50 overflow-hidden"
+      >
+        <Image
+          src={alert.imageUrl || '/images/default_product.png'}
+          alt={alert.productName}
+          fill
+          sizes="48px"
+          className="object-contain"
+        />
+      </Link>
+
+      <div className="flex-1 min-w-0">
+        <Link
+          href={productPath}
+          className="text-sm font-medium text-gray-800 hover:text-blue-600 line-clamp-1"
+        >
+          {alert.productName}
+        </Link>
+        <p className="text-sm text-gray-500">{formatPrice(alert.price)}</p>
+      </div>
+
+      <button
+        type="button"
+        onClick={handleAction}
+        disabled={isPending}
+        aria-label={action.label}
+        className="inline-flex items-center gap-1 px-3 py-1.5 text-sm text-gray-600 border border-gray-200 rounded-md hover:bg-gray-50 disabled:opacity-50"
+      >
+        {isPending ? (
+          <LoaderCircle className="animate-spin h-4 w-4" />
+        ) : (
+          action.icon
+        )}
+        <span className="hidden sm:inline">{action.label}</span>
+      </button>
+    </li>
+  );
+});
+
+/**
+ * Alertes de retour en stock de l'utilisateur (page /me)
+ * Les notifications de retour en stock s'affichent jusqu'à leur lecture ;
+ * les alertes en attente peuvent être désabonnées.
+ */
+const StockAlerts = () => {
+  const {
+    alerts,
+    notices,
+    loading,
+    setStockAlertsToState,
+    unsubscribe,
+    dismissNotice,
+  } = useContext(StockAlertContext);
+
+  useEffect(() => {
+    setStockAlertsToState();
+  }, [setStockAlertsToState]);
+
+  if (loading && alerts.length === 0 && notices.length === 0) {
+    return (
+      <div className="flex justify-center py-4">
+        <LoaderCircle className="animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  if (alerts.length === 0 && notices.length === 0) return null;
+
+  return (
+    <section aria-labelledby="stock-alerts-title" className="mt-6">
+      <h2
+        id="stock-alerts-title"
+        className="text-lg font-semibold text-gray-800 mb-2 flex items-center gap-2"
+      >
+        <BellRing className="text-blue-600" />
+        Alertes de retour en stock
+      </h2>
+
+      {notices.length > 0 && (
+        <div
+          role="status"
+          className="mb-4 rounded-lg border border-green-100 bg-green-50 px-4"
+        >
+          <p className="pt-3 text-sm font-medium text-green-800">
+            Ces produits sont de retour en stock :
+          </p>
+          <ul className="divide-y divide-green-100">
+            {notices.map((notice) => (
+              <AlertItem
+                key={notice.id}
+                alert={notice}
+                action={{
+                  label: 'Masquer',
+                  icon: <X className="h-4 w-4" />,
+                  handler: dismissNotice,
+                }}
+              />
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {alerts.length > 0 && (
+        <ul className="divide-y divide-gray-100">
+          {alerts.map((alert) => (
+            <AlertItem
+              key={alert.id}
+              alert={alert}
+              action={{
+                label: 'Se désabonner',
+                icon: <PackageCheck className="h-4 w-4" />,
+                handler: unsubscribe,
+              }}
+            />
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default StockAlerts;
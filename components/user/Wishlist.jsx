@@ -0,0 +1,165 @@
+'use client';
+
+import { memo, useContext, useEffect, useState } from 'react';
+import Image from 'next/image';
+import Link from 'next/link';
+import { Heart, LoaderCircle, ShoppingCart, Trash2 } from 'lucide-react';
+
+import WishlistContext from '@/context/WishlistContext';
+
+const formatPrice = (price) =>
+  new Intl.NumberFormat('fr-FR', {
+    style: 'currency',
+    currency: 'EUR',
+  }).format(price || 0);
+
+const WishlistItem = memo(function WishlistItem({ item, onMove, onRemove }) {
+  const [pendingAction, setPendingAction] = useState(null);
+  const productPath = `/product/${item.productSlug || item.productId}`;
+
+  const run = async (action, handler) => {
+    if (pendingAction) return;
+    setPendingAction(action);
+    try {
+      await handler(item.id);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  return (
+    <li className="flex flex-col sm:flex-row sm:items-center gap-4 py-4">
+      <Link
+        href={productPath}
+        className="relative w-20 h-20 flex-shrink-0 rounded border border-gray-200 bg-gray-50 overflow-hidden"
+      >
+        <Image
+          src={item.imageUrl || '/images/default_product.png'}
+          alt={item.productName}
+          fill
+          sizes="80px"
+          className="object-contain"
+        />
+      </Link>
+
+      <div className="flex-1 min-w-0">
+        <Link
+          href={productPath}
+          className="font-medium text-gray-800 hover:text-blue-600 line-clamp-1"
+        >
+          {item.productName}
+        </Link>
+        {item.variantLabel && (
+          <p className="text-sm text-gray-500">{item.variantLabel}</p>
+        )}
+        <p className="font-semibold text-blue-600">{formatPrice(item.price)}</p>
+        {!item.isAvailable ? (
+          <p className="text-sm text-gray-500">Produit plus disponible</p>
+        ) : item.inStock ? (
+          <p className="text-sm text-green-700">En stock</p>
+        ) : (
+          <p className="text-sm text-red-700">Rupture de stock</p>
+        )}
+      </div>
+
+      <div className="flex flex-row sm:flex-col gap-2">
+        {item.requiresVariant ? (
+          <Link
+            href={productPath}
+            className="px-3 py-2 text-sm text-center text-blue-600 border border-blue-600 rounded-md hover:bg-blue-50"
+          >
+            Choisir une variante
+          </Link>
+        ) : (
+          <button
+            type="button"
+            onClick={() => run('move', onMove)}
+            disabled={!item.inStock || pendingAction !== null}
+            className="inline-flex items-center justify-center gap-1 px-3 py-2 text-sm text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            {pendingAction === 'move' ? (
+              <LoaderCircle className="animate-spin h-4 w-4" />
+            ) : (
+              <ShoppingCart className="h-4 w-4" />
+            )}
+            Ajouter au panier
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => run('remove', onRemove)}
+          disabled={pendingAction !== null}
+          className="inline-flex items-center justify-center gap-1 px-3 py-2 text-sm text-red-600 border border-gray-200 rounded-md hover:bg-red-50 disabled:opacity-50"
+        >
+          <Trash2 className="h-4 w-4" />
+          Retirer
+        </button>
+      </div>
+    </li>
+  );
+});
+
+/**
+ * Liste d'envies de l'utilisateur connecté
+ * Le passage au panier applique les contrôles de stock de POST /api/cart
+ */
+const Wishlist = () => {
+  const {
+    wishlist,
+    loading,
+    setWishlistToState,
+    moveToCart,
+    removeFromWishlist,
+  } = useContext(WishlistContext);
+
+  // Recharger à l'ouverture : prix et stocks ont pu changer
+  useEffect(() => {
+    setWishlistToState();
+  }, [setWishlistToState]);
+
+  return (
+    <section aria-labelledby="wishlist-title">
+      <h1
+        id="wishlist-title"
+        className="text-2xl font-semibold text-gray-800 mb-4 flex items-center gap-2"
+      >
+        <Heart className="text-red-500" />
+        Ma liste d&apos;envies
+        <span className="text-base font-normal text-gray-500">
+          ({wishlist.length})
+        </span>
+      </h1>
+
+      {loading && wishlist.length === 0 ? (
+        <div className="flex justify-center py-10">
+          <LoaderCircle className="animate-spin text-blue-600" />
+        </div>
+      ) : wishlist.length === 0 ? (
+        <div className="text-center py-10">
+          <p className="text-gray-600 mb-4">
+            Votre liste d&apos;envies est vide.
+          </p>
+          <Link
+            href="/"
+            className="inline-block px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Découvrir nos produits
+          </Link>
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {wishlist.map((item) => (
+            <WishlistItem
+              key={item.id}
+              item={item}
+              onMove={moveToCart}
+              onRemove={removeFromWishlist}
+            />
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default Wishlist;
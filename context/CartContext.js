@@ -1,8 +1,15 @@
 'use client';
 
-import { createContext, useState, useCallback, useMemo } from 'react';
+import {
+  createContext,
+  useState,
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+} from 'react';
 import { toast } from 'react-toastify';
-import { DECREASE, INCREASE } from '@/helpers/constants';
+import { COUPON_ERROR_MESSAGES, DECREASE, INCREASE } from '@/helpers/constants';
 import captureClientError from '@/monitoring/sentry';
 
 const CartContext = createContext();
@@ -13,6 +20,10 @@ export const CartProvider = ({ children }) => {
   const [cartCount, setCartCount] = useState(0);
   const [cartTotal, setCartTotal] = useState(0);
   const [error, setError] = useState(null);
+  // Code promo appliqué : { code, type, value, description, discountAmount }
+  const [coupon, setCoupon] = useState(null);
+  const couponCodeRef = useRef(null);
+  const couponTokenRef = useRef(null);
 
   // Récupérer le panier - SIMPLIFIÉ (30 lignes max)
   const setCartToState = useCallback(async () => {
@@ -84,7 +95,7 @@ export const CartProvider = ({ children }) => {
   }, []);
 
   // Ajouter au panier - SIMPLIFIÉ (40 lignes max)
-  const addItemToCart = async ({ product, quantity = 1 }) => {
+  const addItemToCart = async ({ product, variant = null, quantity = 1 }) => {
     try {
       if (!product) {
         const validationError = new Error('Produit invalide');
@@ -112,6 +123,7 @@ export const CartProvider = ({ children }) => {
         },
         body: JSON.stringify({
           productId: product,
+          ...(variant && { variantId: variant }),
           quantity: parseInt(quantity, 10),
         }),
         signal: controller.signal,
@@ -324,6 +336,161 @@ export const CartProvider = ({ children }) => {
     }
   };
 
+  const storeCoupon = useCallback((data) => {
+    couponCodeRef.current = data.coupon.code;
+    couponTokenRef.current = data.recheckToken;
+    setCoupon({
+      ...data.coupon,
+      discountAmount: data.discountAmount,
+      recheckToken: data.recheckToken,
+    });
+  }, []);
+
+  const removeCoupon = useCallback(() => {
+    couponCodeRef.current = null;
+    couponTokenRef.current = null;
+    setCoupon(null);
+  }, []);
+
+  // Appliquer un code promo - vérifié côté serveur sur le panier en base
+  const applyCoupon = useCallback(
+    async (code) => {
+      try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+        const res = await fetch(
+          `${process.env.NEXT_PUBLIC_API_URL}/api/cart/coupon`,
+          {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              Accept: 'application/json',
+            },
+            body: JSON.stringify({ code }),
+            signal: controller.signal,
+            credentials: 'include',
+          },
+        );
+
+        clearTimeout(timeoutId);
+        const data = await res.json();
+
+        if (!res.ok) {
+          let errorMessage = '';
+          switch (res.status) {
+            case 401:
+              errorMessage = 'Connectez-vous pour utiliser un code promo';
+              break;
+            case 429:
+              errorMessage = 'Trop de tentatives. Réessayez plus tard.';
+              break;
+            default:
+              errorMessage =
+                COUPON_ERROR_MESSAGES[data.code] ||
+                data.errors?.code ||
+                data.message ||
+                "Impossible d'appliquer ce code promo";
+          }
+
+          // Un refus de coupon est un cas métier, pas une erreur technique
+          if (!data.code?.startsWith('COUPON_')) {
+            const httpError = new Error(`HTTP ${res.status}: ${errorMessage}`);
+            captureClientError(httpError, 'CartContext', 'applyCoupon', false);
+          }
+
+          removeCoupon();
+          toast.error(errorMessage);
+          return false;
+        }
+
+        if (data.success) {
+          storeCoupon(data.data);
+          toast.success('Code promo appliqué');
+        }
+        return true;
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          toast.error('La connexion est trop lente');
+          captureClientError(error, 'CartContext', 'applyCoupon', false);
+        } else {
+          toast.error('Problème de connexion');
+          captureClientError(error, 'CartContext', 'applyCoupon', false);
+        }
+        console.error('Apply coupon error:', error.message);
+        return false;
+      }
+    },
+    [removeCoupon, storeCoupon],
+  );
+
+  // Revérifier le code appliqué après une modification du panier, avec le
+  // jeton reçu à la vérification (hors limite anti-énumération)
+  // Seul un refus du coupon le retire : une erreur technique ou une limite
+  // atteinte garde la réduction affichée, le serveur revérifie à la commande
+  const recheckCoupon = useCallback(async () => {
+    const code = couponCodeRef.current;
+    if (!code) return;
+
+    try {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/cart/coupon`,
+        {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json',
+          },
+          body: JSON.stringify({ code, token: couponTokenRef.current }),
+          signal: controller.signal,
+          credentials: 'include',
+        },
+      );
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      // Coupon retiré ou remplacé pendant la requête
+      if (couponCodeRef.current !== code) return;
+
+      if (res.ok && data.success) {
+        storeCoupon(data.data);
+        return;
+      }
+
+      if (data.code?.startsWith('COUPON_')) {
+        removeCoupon();
+        toast.error(
+          COUPON_ERROR_MESSAGES[data.code] ||
+            data.message ||
+            "Ce code promo ne s'applique plus à votre panier",
+        );
+      } else if (data.code === 'INVALID_RECHECK_TOKEN') {
+        removeCoupon();
+      }
+    } catch (error) {
+      console.error('Recheck coupon error:', error.message);
+    }
+  }, [removeCoupon, storeCoupon]);
+
+  // Recalculer la réduction quand le panier change (montant, périmètre,
+  // minimum d'achat) ; un panier vidé (commande passée) retire le coupon
+  // Les modifications rapprochées (quantités) ne déclenchent qu'un appel
+  useEffect(() => {
+    if (!couponCodeRef.current) return;
+
+    if (cartCount === 0) {
+      removeCoupon();
+      return;
+    }
+
+    const timeoutId = setTimeout(recheckCoupon, 500);
+    return () => clearTimeout(timeoutId);
+  }, [cartTotal, cartCount, recheckCoupon, removeCoupon]);
+
   const clearError = () => {
     setError(null);
   };
@@ -333,6 +500,7 @@ export const CartProvider = ({ children }) => {
     setLoading(false);
     setCartCount(0);
     setCartTotal(0);
+    removeCoupon();
   };
 
   const remoteDataInState = (response) => {
@@ -365,6 +533,7 @@ export const CartProvider = ({ children }) => {
       cart,
       cartCount,
       cartTotal,
+      coupon,
       error,
       setCartToState,
       addItemToCart,
@@ -372,8 +541,20 @@ export const CartProvider = ({ children }) => {
       deleteItemFromCart,
       clearError,
       clearCartOnLogout,
+      applyCoupon,
+      removeCoupon,
     }),
-    [loading, cart, cartCount, cartTotal, error, setCartToState],
+    [
+      loading,
+      cart,
+      cartCount,
+      cartTotal,
+      coupon,
+      error,
+      setCartToState,
+      applyCoupon,
+      removeCoupon,
+    ],
   );
 
   return (
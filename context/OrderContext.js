@@ -1,8 +1,10 @@
 'use client';
 
 import { useRouter } from 'next/navigation';
-import { createContext, useState } from 'react';
+import { createContext, useRef, useState } from 'react';
 import captureClientError from '@/monitoring/sentry';
+import { generateUniqueId } from '@/helpers/helpers';
+import { COUPON_ERROR_MESSAGES } from '@/helpers/constants';
 
 const OrderContext = createContext();
 
@@ -22,10 +24,22 @@ export const OrderProvider = ({ children }) => {
   const [checkoutInfo, setCheckoutInfo] = useState(null);
   const [orderInfo, setOrderInfo] = useState(null);
 
+  // Réservation de stock du checkout en cours ({ reservationId, expiresAt })
+  const [reservation, setReservation] = useState(null);
+
+  // Clé d'idempotence de la commande en cours, réutilisée entre les tentatives
+  const idempotencyKeyRef = useRef(null);
+
   const router = useRouter();
 
   // Méthodes simples déjà OK
-  const saveOnCheckout = ({ cart, cartTotal, tax = 0 }) => {
+  const saveOnCheckout = ({
+    cart,
+    cartTotal,
+    tax = 0,
+    discount = 0,
+    couponCode = null,
+  }) => {
     try {
       if (!cart || !Array.isArray(cart) || cart.length === 0) {
         console.log('Panier vide ou invalide dans saveOnCheckout');
@@ -39,11 +53,15 @@ export const OrderProvider = ({ children }) => {
       }
 
       const validAmount = parseFloat(cartTotal.toFixed(2)) || 0;
-      const validTotal = validAmount + tax || 0;
+      // Réduction du code promo plafonnée au montant du panier
+      const validDiscount = Math.min(Math.max(discount, 0), validAmount);
+      const validTotal = validAmount + tax - validDiscount || 0;
 
       setCheckoutInfo({
         amount: validAmount,
         tax,
+        discount: validDiscount,
+        couponCode,
         totalAmount: validTotal,
         items: cart,
         timestamp: Date.now(),
@@ -55,6 +73,72 @@ export const OrderProvider = ({ children }) => {
     }
   };
 
+  // Réserve le stock du panier à l'entrée du checkout
+  // Retourne true si la réservation est acquise
+  const reserveCheckout = async () => {
+    try {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+      const res = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/cart/reservation`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json',
+          },
+          signal: controller.signal,
+          credentials: 'include',
+        },
+      );
+
+      clearTimeout(timeoutId);
+      const data = await res.json();
+
+      if (!res.ok) {
+        if (res.status === 409 && data.unavailableProducts) {
+          // Stock insuffisant : même parcours que l'échec de commande
+          setLowStockProducts(data.unavailableProducts);
+          router.push('/error');
+        } else if (res.status === 401) {
+          setTimeout(() => router.push('/login'), 2000);
+        }
+
+        setReservation(null);
+        return false;
+      }
+
+      setReservation(data.data);
+      return true;
+    } catch (error) {
+      // La réservation n'est pas bloquante : le webhook revérifie le stock
+      captureClientError(error, 'OrderContext', 'reserveCheckout', false);
+      console.error('Stock reservation error:', error.message);
+      setReservation(null);
+      return false;
+    }
+  };
+
+  // Rend au stock la réservation en cours (retour au panier)
+  const releaseCheckout = async () => {
+    if (!reservation) return;
+
+    setReservation(null);
+
+    try {
+      await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/cart/reservation`, {
+        method: 'DELETE',
+        headers: { Accept: 'application/json' },
+        credentials: 'include',
+      });
+    } catch (error) {
+      // La réservation expirera d'elle-même
+      captureClientError(error, 'OrderContext', 'releaseCheckout', false);
+      console.error('Stock reservation release error:', error.message);
+    }
+  };
+
   const addOrder = async (orderInfo) => {
     try {
       setError(null);
@@ -91,6 +175,13 @@ export const OrderProvider = ({ children }) => {
         return;
       }
 
+      // Générer la clé une seule fois : un renvoi après timeout ou erreur
+      // réseau rejoue la même commande au lieu d'en créer une seconde
+      if (!idempotencyKeyRef.current) {
+        idempotencyKeyRef.current =
+          globalThis.crypto?.randomUUID?.() || generateUniqueId();
+      }
+
       // Simple fetch avec timeout
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s pour une commande
@@ -102,6 +193,7 @@ export const OrderProvider = ({ children }) => {
           headers: {
             'Content-Type': 'application/json',
             Accept: 'application/json',
+            'Idempotency-Key': idempotencyKeyRef.current,
           },
           body: JSON.stringify(orderInfo),
           signal: controller.signal,
@@ -132,6 +224,24 @@ export const OrderProvider = ({ children }) => {
               setLowStockProducts(data.unavailableProducts);
               errorMessage = 'Produits indisponibles détectés';
               router.push('/error');
+            } else if (data.code === 'IDEMPOTENCY_KEY_IN_PROGRESS') {
+              errorMessage =
+                'Votre commande est en cours de traitement, veuillez patienter.';
+            } else if (data.code === 'IDEMPOTENCY_KEY_REUSED') {
+              // La commande a changé depuis la dernière tentative
+              errorMessage =
+                'Votre commande a été modifiée. Veuillez valider à nouveau.';
+            } else if (data.code?.startsWith('COUPON_')) {
+              // Code promo refusé à la commande (expiré, limite atteinte...)
+              errorMessage = `${
+                COUPON_ERROR_MESSAGES[data.code] || 'Code promo refusé'
+              }. Veuillez vérifier votre panier.`;
+              setTimeout(() => router.push('/cart'), 2000);
+            } else if (data.code === 'PRICE_MISMATCH') {
+              // Les prix ont changé depuis l'ajout au panier
+              errorMessage =
+                'Les montants de votre commande ont changé. Veuillez vérifier votre panier.';
+              setTimeout(() => router.push('/cart'), 2000);
             } else {
               errorMessage = 'Certains produits ne sont plus disponibles';
             }
@@ -144,6 +254,13 @@ export const OrderProvider = ({ children }) => {
               data.message || 'Erreur lors du traitement de la commande';
         }
 
+        // Rejet définitif (4xx) : la commande n'a pas été créée, une nouvelle
+        // tentative devra utiliser une nouvelle clé. On garde la clé pour les
+        // erreurs serveur et les traitements encore en cours.
+        if (res.status < 500 && data.code !== 'IDEMPOTENCY_KEY_IN_PROGRESS') {
+          idempotencyKeyRef.current = null;
+        }
+
         // Monitoring pour erreurs HTTP - Critique pour session/utilisateur/stock
         const httpError = new Error(`HTTP ${res.status}: ${errorMessage}`);
         const isCritical = [401, 404, 409].includes(res.status);
@@ -156,6 +273,8 @@ export const OrderProvider = ({ children }) => {
 
       // Succès - Validation de la réponse
       if (data.success && data.id) {
+        idempotencyKeyRef.current = null;
+        setReservation(null);
         setOrderId(data.id);
         setError(null);
 
@@ -270,6 +389,7 @@ export const OrderProvider = ({ children }) => {
         deliveryPrice,
         checkoutInfo,
         orderInfo,
+        reservation,
         setPaymentTypes: safeSetPaymentTypes,
         setAddresses: safeSetAddresses,
         setShippingInfo,
@@ -278,6 +398,8 @@ export const OrderProvider = ({ children }) => {
         setOrderInfo,
         saveOnCheckout,
         addOrder,
+        reserveCheckout,
+        releaseCheckout,
         setUpdated,
         clearErrors,
       }}
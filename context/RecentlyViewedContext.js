@@ -0,0 +1,203 @@
+'use client';
+
+import {
+  createContext,
+  useCallback,
+  useContext,
+  useMemo,
+  useState,
+} from 'react';
+import AuthContext from '@/context/AuthContext';
+import captureClientError from '@/monitoring/sentry';
+
+const RecentlyViewedContext = createContext();
+
+const RECENTLY_VIEWED_KEY = 'recentlyViewed';
+const MAX_RECENTLY_VIEWED = 20;
+
+// Historique local [{ productId, viewedAt }] (localStorage, indisponible en
+// navigation privée) : celui du visiteur, recopié du compte une fois connecté
+const readLocalViews = () => {
+  try {
+    const stored = JSON.parse(
+      window.localStorage.getItem(RECENTLY_VIEWED_KEY) || '[]',
+    );
+    return Array.isArray(stored)
+      ? stored.filter(
+          (view) =>
+            typeof view?.productId === 'string' &&
+            !isNaN(Date.parse(view.viewedAt)),
+        )
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeLocalViews = (views) => {
+  try {
+    window.localStorage.setItem(RECENTLY_VIEWED_KEY, JSON.stringify(views));
+  } catch {
+    // Stockage indisponible : historique non conservé
+  }
+};
+
+// Appel à /api/me/recently-viewed avec timeout, erreurs HTTP levées
+const recentlyViewedFetch = async (query = '', options = {}) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+  try {
+    const res = await fetch(
+      `${process.env.NEXT_PUBLIC_API_URL}/api/me/recently-viewed${query}`,
+      {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        },
+        signal: controller.signal,
+        credentials: 'include',
+      },
+    );
+    const data = await res.json();
+
+    if (!res.ok) {
+      const httpError = new Error(`HTTP ${res.status}: ${data.message}`);
+      httpError.status = res.status;
+      throw httpError;
+    }
+
+    return data;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+export const RecentlyViewedProvider = ({ children }) => {
+  const { user } = useContext(AuthContext);
+
+  // Produits consultés (actifs uniquement), plus récents d'abord
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // L'historique n'est pas essentiel : erreurs signalées sans toast
+  const handleError = useCallback((error, action) => {
+    if (error.name === 'AbortError') return;
+    captureClientError(
+      error,
+      'RecentlyViewedContext',
+      action,
+      error.status === undefined || error.status >= 500,
+    );
+    console.error(`Recently viewed ${action} error:`, error.message);
+  }, []);
+
+  // Le compte fait foi une fois connecté ; le visiteur envoie son historique local
+  const loadRecentlyViewed = useCallback(async () => {
+    try {
+      setLoading(true);
+      const ids = user
+        ? ''
+        : readLocalViews()
+            .map((view) => view.productId)
+            .join(',');
+
+      if (!user && !ids) {
+        setProducts([]);
+        return;
+      }
+
+      const data = await recentlyViewedFetch(ids ? `?ids=${ids}` : '', {
+        method: 'GET',
+      });
+      setProducts(data.data.products);
+    } catch (error) {
+      handleError(error, 'loadRecentlyViewed');
+    } finally {
+      setLoading(false);
+    }
+  }, [user, handleError]);
+
+  // Consultation d'une fiche produit
+  const recordView = useCallback(
+    async (productId) => {
+      if (!productId) return;
+
+      const view = { productId: String(productId), viewedAt: new Date() };
+      writeLocalViews(
+        [
+          view,
+          ...readLocalViews().filter((v) => v.productId !== view.productId),
+        ].slice(0, MAX_RECENTLY_VIEWED),
+      );
+
+      if (!user) return;
+
+      try {
+        const data = await recentlyViewedFetch('', {
+          method: 'POST',
+          body: JSON.stringify({ items: [view] }),
+        });
+        setProducts(data.data.products);
+      } catch (error) {
+        handleError(error, 'recordView');
+      }
+    },
+    [user, handleError],
+  );
+
+  // À la connexion : fusionner l'historique du visiteur dans le compte, puis
+  // recopier localement l'historique du compte
+  const syncRecentlyViewed = useCallback(async () => {
+    try {
+      const data = await recentlyViewedFetch('', {
+        method: 'POST',
+        body: JSON.stringify({ items: readLocalViews() }),
+      });
+      setProducts(data.data.products);
+      writeLocalViews(
+        data.data.products.map((product) => ({
+          productId: product._id,
+          viewedAt: product.viewedAt,
+        })),
+      );
+    } catch (error) {
+      handleError(error, 'syncRecentlyViewed');
+    }
+  }, [handleError]);
+
+  // Appareil partagé : l'historique du compte ne reste pas après déconnexion
+  const clearRecentlyViewedOnLogout = useCallback(() => {
+    writeLocalViews([]);
+    setProducts([]);
+    setLoading(false);
+  }, []);
+
+  const contextValue = useMemo(
+    () => ({
+      products,
+      loading,
+      loadRecentlyViewed,
+      recordView,
+      syncRecentlyViewed,
+      clearRecentlyViewedOnLogout,
+    }),
+    [
+      products,
+      loading,
+      loadRecentlyViewed,
+      recordView,
+      syncRecentlyViewed,
+      clearRecentlyViewedOnLogout,
+    ],
+  );
+
+  return (
+    <RecentlyViewedContext.Provider value={contextValue}>
+      {children}
+    </RecentlyViewedContext.Provider>
+  );
+};
+
+export default RecentlyViewedContext;
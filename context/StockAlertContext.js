@@ -0,0 +1,184 @@
+'use client';
+
+import { createContext, useCallback, useMemo, useState } from 'react';
+import { toast } from 'react-toastify';
+import captureClientError from '@/monitoring/sentry';
+
+const StockAlertContext = createContext();
+
+// Appel à /api/stock-alerts avec timeout, erreurs HTTP levées avec leur code
+const stockAlertFetch = async (path, options = {}) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+  try {
+    const res = await fetch(
+      `${process.env.NEXT_PUBLIC_API_URL}/api/stock-alerts${path}`,
+      {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        },
+        signal: controller.signal,
+        credentials: 'include',
+      },
+    );
+    const data = await res.json();
+
+    if (!res.ok) {
+      const httpError = new Error(`HTTP ${res.status}: ${data.message}`);
+      httpError.status = res.status;
+      httpError.code = data.code;
+      throw httpError;
+    }
+
+    return data;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+// Messages des refus d'inscription à une alerte
+const SUBSCRIBE_MESSAGES = {
+  PRODUCT_IN_STOCK: 'Ce produit est déjà disponible',
+  PRODUCT_NOT_FOUND: "Ce produit n'est plus disponible",
+  MAX_STOCK_ALERTS_REACHED: "Vous avez atteint le nombre maximal d'alertes",
+};
+
+export const StockAlertProvider = ({ children }) => {
+  // Alertes en attente et notifications de retour en stock non lues
+  const [alerts, setAlerts] = useState([]);
+  const [notices, setNotices] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Signale l'erreur et affiche un message adapté
+  const handleError = useCallback((error, action, fallbackMessage) => {
+    if (error.name === 'AbortError') {
+      toast.error('La connexion est trop lente');
+      captureClientError(error, 'StockAlertContext', action, false);
+      return;
+    }
+
+    if (error.status === 401) {
+      toast.error('Session expirée. Veuillez vous reconnecter');
+    } else if (error.status === 429) {
+      toast.error('Trop de tentatives. Réessayez plus tard.');
+    } else {
+      toast.error(SUBSCRIBE_MESSAGES[error.code] || fallbackMessage);
+    }
+
+    const isCritical = !error.status || error.status >= 500;
+    captureClientError(error, 'StockAlertContext', action, isCritical);
+  }, []);
+
+  // Récupérer les alertes et notifications
+  const setStockAlertsToState = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await stockAlertFetch('', { method: 'GET' });
+      setAlerts(data.data?.alerts || []);
+      setNotices(data.data?.notices || []);
+      return data.data?.notices || [];
+    } catch (error) {
+      // Silencieux au chargement : aucune alerte affichée
+      captureClientError(
+        error,
+        'StockAlertContext',
+        'setStockAlertsToState',
+        error.status === undefined || error.status >= 500,
+      );
+      return [];
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const subscribe = useCallback(
+    async (productId) => {
+      try {
+        const data = await stockAlertFetch('', {
+          method: 'POST',
+          body: JSON.stringify({ productId }),
+        });
+        setAlerts(data.data?.alerts || []);
+        toast.success('Nous vous avertirons du retour en stock');
+        return true;
+      } catch (error) {
+        handleError(error, 'subscribe', "Impossible de créer l'alerte");
+        return false;
+      }
+    },
+    [handleError],
+  );
+
+  const unsubscribe = useCallback(
+    async (id) => {
+      try {
+        await stockAlertFetch(`/${id}`, { method: 'DELETE' });
+        setAlerts((current) => current.filter((alert) => alert.id !== id));
+        toast.success('Alerte supprimée');
+      } catch (error) {
+        handleError(error, 'unsubscribe', 'Erreur de suppression');
+      }
+    },
+    [handleError],
+  );
+
+  // Masque une notification de retour en stock
+  const dismissNotice = useCallback(
+    async (id) => {
+      try {
+        await stockAlertFetch(`/${id}`, { method: 'PATCH' });
+        setNotices((current) => current.filter((notice) => notice.id !== id));
+      } catch (error) {
+        handleError(error, 'dismissNotice', 'Erreur de mise à jour');
+      }
+    },
+    [handleError],
+  );
+
+  const hasStockAlert = useCallback(
+    (productId) => alerts.some((alert) => alert.productId === productId),
+    [alerts],
+  );
+
+  const clearStockAlertsOnLogout = useCallback(() => {
+    setAlerts([]);
+    setNotices([]);
+    setLoading(false);
+  }, []);
+
+  const contextValue = useMemo(
+    () => ({
+      alerts,
+      notices,
+      loading,
+      setStockAlertsToState,
+      subscribe,
+      unsubscribe,
+      dismissNotice,
+      hasStockAlert,
+      clearStockAlertsOnLogout,
+    }),
+    [
+      alerts,
+      notices,
+      loading,
+      setStockAlertsToState,
+      subscribe,
+      unsubscribe,
+      dismissNotice,
+      hasStockAlert,
+      clearStockAlertsOnLogout,
+    ],
+  );
+
+  return (
+    <StockAlertContext.Provider value={contextValue}>
+      {children}
+    </StockAlertContext.Provider>
+  );
+};
+
+export default StockAlertContext;
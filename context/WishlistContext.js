@@ -0,0 +1,227 @@
+'use client';
+
+import {
+  createContext,
+  useCallback,
+  useContext,
+  useMemo,
+  useState,
+} from 'react';
+import { toast } from 'react-toastify';
+import CartContext from '@/context/CartContext';
+import captureClientError from '@/monitoring/sentry';
+
+const WishlistContext = createContext();
+
+// Messages des refus de passage au panier (mêmes codes que POST /api/cart)
+const MOVE_TO_CART_MESSAGES = {
+  OUT_OF_STOCK: 'Ce produit est en rupture de stock',
+  INSUFFICIENT_STOCK: 'Stock insuffisant pour ce produit',
+  INVALID_VARIANT: 'Choisissez une variante sur la fiche produit',
+  PRODUCT_INACTIVE: "Ce produit n'est plus disponible",
+  PRODUCT_NOT_FOUND: "Ce produit n'est plus disponible",
+};
+
+// Appel à /api/wishlist avec timeout, erreurs HTTP levées avec leur code
+const wishlistFetch = async (path, options = {}) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+  try {
+    const res = await fetch(
+      `${process.env.NEXT_PUBLIC_API_URL}/api/wishlist${path}`,
+      {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        },
+        signal: controller.signal,
+        credentials: 'include',
+      },
+    );
+    const data = await res.json();
+
+    if (!res.ok) {
+      const httpError = new Error(`HTTP ${res.status}: ${data.message}`);
+      httpError.status = res.status;
+      httpError.code = data.code;
+      throw httpError;
+    }
+
+    return data;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+export const WishlistProvider = ({ children }) => {
+  const { setCartToState } = useContext(CartContext);
+
+  const [wishlist, setWishlist] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Signale l'erreur et affiche un message adapté
+  const handleError = useCallback((error, action, fallbackMessage) => {
+    if (error.name === 'AbortError') {
+      toast.error('La connexion est trop lente');
+      captureClientError(error, 'WishlistContext', action, false);
+      return;
+    }
+
+    if (error.status === 401) {
+      toast.error('Session expirée. Veuillez vous reconnecter');
+    } else if (error.status === 429) {
+      toast.error('Trop de tentatives. Réessayez plus tard.');
+    } else {
+      toast.error(MOVE_TO_CART_MESSAGES[error.code] || fallbackMessage);
+    }
+
+    // Les refus métier (stock, variante) ne sont pas des anomalies
+    const isCritical = !error.status || error.status >= 500;
+    captureClientError(error, 'WishlistContext', action, isCritical);
+  }, []);
+
+  // Récupérer la liste d'envies
+  const setWishlistToState = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await wishlistFetch('', { method: 'GET' });
+      setWishlist(data.data?.wishlist || []);
+    } catch (error) {
+      // Silencieux au chargement : la liste reste simplement vide
+      captureClientError(
+        error,
+        'WishlistContext',
+        'setWishlistToState',
+        error.status === undefined || error.status >= 500,
+      );
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const addToWishlist = useCallback(
+    async ({ product, variant = null }) => {
+      try {
+        const data = await wishlistFetch('', {
+          method: 'POST',
+          body: JSON.stringify({
+            productId: product,
+            ...(variant && { variantId: variant }),
+          }),
+        });
+        setWishlist(data.data?.wishlist || []);
+        toast.success("Ajouté à votre liste d'envies");
+      } catch (error) {
+        if (error.code === 'MAX_WISHLIST_REACHED') {
+          toast.error("Votre liste d'envies est pleine");
+          return;
+        }
+        handleError(error, 'addToWishlist', "Erreur lors de l'ajout");
+      }
+    },
+    [handleError],
+  );
+
+  const removeFromWishlist = useCallback(
+    async (id) => {
+      try {
+        await wishlistFetch(`/${id}`, { method: 'DELETE' });
+        setWishlist((current) => current.filter((item) => item.id !== id));
+        toast.success("Retiré de votre liste d'envies");
+      } catch (error) {
+        handleError(error, 'removeFromWishlist', 'Erreur de suppression');
+      }
+    },
+    [handleError],
+  );
+
+  // Entrée d'un produit : la variante donnée, sinon n'importe laquelle
+  const findWishlistItem = useCallback(
+    (productId, variantId = null) =>
+      wishlist.find(
+        (item) =>
+          item.productId === productId &&
+          (!variantId || item.variantId === variantId),
+      ),
+    [wishlist],
+  );
+
+  // Ajoute ou retire un produit (et sa variante) selon sa présence dans la liste
+  const toggleWishlist = useCallback(
+    async ({ product, variant = null }) => {
+      const existing = findWishlistItem(product, variant);
+      if (existing) {
+        await removeFromWishlist(existing.id);
+      } else {
+        await addToWishlist({ product, variant });
+      }
+    },
+    [findWishlistItem, addToWishlist, removeFromWishlist],
+  );
+
+  // Passage au panier : l'entrée n'est retirée que si l'ajout a réussi
+  const moveToCart = useCallback(
+    async (id, quantity = 1) => {
+      try {
+        await wishlistFetch(`/${id}/cart`, {
+          method: 'POST',
+          body: JSON.stringify({ quantity }),
+        });
+        setWishlist((current) => current.filter((item) => item.id !== id));
+        await setCartToState();
+        toast.success('Produit déplacé dans votre panier');
+        return true;
+      } catch (error) {
+        handleError(error, 'moveToCart', "Impossible d'ajouter au panier");
+        return false;
+      }
+    },
+    [handleError, setCartToState],
+  );
+
+  const isInWishlist = useCallback(
+    (productId, variantId = null) => !!findWishlistItem(productId, variantId),
+    [findWishlistItem],
+  );
+
+  const clearWishlistOnLogout = useCallback(() => {
+    setWishlist([]);
+    setLoading(false);
+  }, []);
+
+  const contextValue = useMemo(
+    () => ({
+      wishlist,
+      wishlistCount: wishlist.length,
+      loading,
+      setWishlistToState,
+      addToWishlist,
+      removeFromWishlist,
+      toggleWishlist,
+      moveToCart,
+      isInWishlist,
+      clearWishlistOnLogout,
+    }),
+    [
+      wishlist,
+      loading,
+      setWishlistToState,
+      addToWishlist,
+      removeFromWishlist,
+      toggleWishlist,
+      moveToCart,
+      isInWishlist,
+      clearWishlistOnLogout,
+    ],
+  );
+
+  return (
+    <WishlistContext.Provider value={contextValue}>
+      {children}
+    </WishlistContext.Provider>
+  );
+};
+
+export default WishlistContext;
@@ -1,2 +1,15 @@
 export const INCREASE = 'INCREASE';
 export const DECREASE = 'DECREASE';
+
+// Messages affichés pour les refus de code promo (codes COUPON_* de l'API)
+export const COUPON_ERROR_MESSAGES = {
+  COUPON_NOT_FOUND: "Ce code promo n'existe pas",
+  COUPON_INACTIVE: "Ce code promo n'est plus actif",
+  COUPON_NOT_STARTED: "Ce code promo n'est pas encore valable",
+  COUPON_EXPIRED: 'Ce code promo a expiré',
+  COUPON_USAGE_LIMIT_REACHED: "Ce code promo a atteint sa limite d'utilisation",
+  COUPON_USER_LIMIT_REACHED: 'Vous avez déjà utilisé ce code promo',
+  COUPON_MIN_SPEND_NOT_MET: 'Montant minimum non atteint pour ce code promo',
+  COUPON_NOT_APPLICABLE:
+    "Ce code promo ne s'applique à aucun article du panier",
+};
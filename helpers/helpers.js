@@ -53,6 +53,16 @@ export const debounce = (func, delay = 300) => {
   };
 };
 
+// Texte en minuscules sans accents (recherche insensible aux accents)
+// Conserve la longueur de la chaîne pour les lettres accentuées usuelles
+export const normalizeSearchText = (str) => {
+  if (!str || typeof str !== 'string') return '';
+  return str
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+};
+
 // Vérifie si un objet est vide
 export const isEmptyObject = (obj) => {
   if (!obj || typeof obj !== 'object') return true;
@@ -106,6 +116,14 @@ export const safeValue = (value, defaultValue = '') => {
   return value === undefined || value === null ? defaultValue : value;
 };
 
+// Aplatit une arborescence de catégories dans l'ordre d'affichage : chaque
+// catégorie suivie de ses sous-catégories, avec leur profondeur (depth)
+export const flattenCategoryTree = (categories = [], depth = 0) =>
+  categories.flatMap((category) => [
+    { ...category, depth },
+    ...flattenCategoryTree(category.children || [], depth + 1),
+  ]);
+
 // Gestion des paramètres de prix pour les URLs
 export const getPriceQueryParams = (queryParams, key, value) => {
   const hasValueInParam = queryParams.has(key);
@@ -44,11 +44,21 @@ export {
   categorySchema,
   productFiltersSchema,
   productReviewSchema,
+  reviewListSchema,
+  recommendationQuerySchema,
+  recentlyViewedSchema,
+  recentlyViewedQuerySchema,
+  REVIEWS_PER_PAGE,
+  MAX_RECOMMENDATIONS,
   validateProductSearch,
   validatePriceFilters,
   validateCategory,
   validateProductFilters,
   validateProductReview,
+  validateReviewList,
+  validateRecommendationQuery,
+  validateRecentlyViewed,
+  validateRecentlyViewedQuery,
 } from './schemas/product';
 
 // Export des schémas adresse
@@ -82,3 +92,15 @@ export {
   isMessageUrgent,
   formatContactEmail,
 } from './schemas/contact';
+
+// Export des schémas commande
+export {
+  ORDER_STATUSES,
+  PAYMENT_STATUSES,
+  ORDERS_PER_PAGE_OPTIONS,
+  DEFAULT_ORDERS_PER_PAGE,
+  orderHistoryFiltersSchema,
+  couponCodeSchema,
+  validateOrderHistoryFilters,
+  validateCouponCode,
+} from './schemas/order';
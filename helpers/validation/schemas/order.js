@@ -0,0 +1,101 @@
+/**
+ * Schémas de validation pour l'historique des commandes
+ */
+
+import * as yup from 'yup';
+import { sanitizeString, validate, noNoSqlInjection } from '../core/utils';
+
+export const ORDER_STATUSES = [
+  'Processing',
+  'Shipped',
+  'Delivered',
+  'Cancelled',
+];
+export const PAYMENT_STATUSES = [
+  'unpaid',
+  'processing',
+  'paid',
+  'refunded',
+  'failed',
+];
+export const ORDERS_PER_PAGE_OPTIONS = [2, 5, 10, 20];
+export const DEFAULT_ORDERS_PER_PAGE = 2;
+
+// Date au format AAAA-MM-JJ (valeur des champs <input type="date">)
+const dateParam = (label) =>
+  yup
+    .string()
+    .nullable()
+    .transform((value) => (value ? value : null))
+    .matches(/^\d{4}-\d{2}-\d{2}$/, `${label} invalide (AAAA-MM-JJ)`)
+    .test(
+      'valid-date',
+      `${label} invalide`,
+      (value) => !value || !isNaN(Date.parse(value)),
+    );
+
+// Schéma des filtres de GET /api/orders/me
+export const orderHistoryFiltersSchema = yup.object().shape({
+  page: yup
+    .number()
+    .integer('Page doit être un entier')
+    .min(1, 'Page minimum 1')
+    .max(1000, 'Page maximum 1000')
+    .default(1),
+
+  perPage: yup
+    .number()
+    .integer('Taille de page invalide')
+    .oneOf(ORDERS_PER_PAGE_OPTIONS, 'Taille de page non autorisée')
+    .default(DEFAULT_ORDERS_PER_PAGE),
+
+  orderStatus: yup
+    .string()
+    .nullable()
+    .oneOf([...ORDER_STATUSES, null], 'Statut de commande invalide'),
+
+  paymentStatus: yup
+    .string()
+    .nullable()
+    .oneOf([...PAYMENT_STATUSES, null], 'Statut de paiement invalide'),
+
+  from: dateParam('Date de début'),
+
+  to: dateParam('Date de fin').test(
+    'after-from',
+    'La date de fin doit être postérieure à la date de début',
+    function (value) {
+      const { from } = this.parent;
+      return !value || !from || value >= from;
+    },
+  ),
+
+  orderNumber: yup
+    .string()
+    .nullable()
+    .transform(sanitizeString)
+    .max(30, 'Maximum 30 caractères')
+    .matches(/^[A-Za-z0-9-]*$/, 'Numéro de commande invalide')
+    .test('no-nosql', 'Format invalide', noNoSqlInjection),
+
+  sort: yup.string().oneOf(['desc', 'asc'], 'Tri invalide').default('desc'),
+});
+
+// Code promo saisi dans le panier (comparé en majuscules)
+export const couponCodeSchema = yup.object().shape({
+  code: yup
+    .string()
+    .transform((value) =>
+      typeof value === 'string' ? sanitizeString(value).toUpperCase() : value,
+    )
+    .required('Code promo requis')
+    .min(3, 'Code promo trop court')
+    .max(30, 'Code promo trop long')
+    .matches(/^[A-Z0-9_-]+$/, 'Code promo invalide'),
+});
+
+// Fonctions de validation
+export const validateCouponCode = (data) => validate(couponCodeSchema, data);
+
+export const validateOrderHistoryFilters = (data) =>
+  validate(orderHistoryFiltersSchema, data);
@@ -10,6 +10,24 @@ import {
   noNoSqlInjection,
 } from '../core/utils';
 
+// Tris disponibles pour la liste des produits
+// 'relevance' n'a de sens qu'avec un mot-clé (score de la recherche)
+export const PRODUCT_SORT_OPTIONS = [
+  'relevance',
+  'price_asc',
+  'price_desc',
+  'newest',
+  'best_selling',
+  'top_rated',
+];
+
+// Filtre de disponibilité (stock)
+export const PRODUCT_AVAILABILITY_OPTIONS = ['in_stock', 'out_of_stock'];
+
+// Filtres par caractéristique : spec[clé]=valeur1,valeur2
+export const SPEC_PARAM_PATTERN = /^spec\[([a-z][a-z0-9_]{0,29})\]$/;
+export const MAX_SPEC_FILTERS = 10;
+
 // Schéma de recherche
 export const searchSchema = yup.object().shape({
   keyword: yup
@@ -57,12 +75,36 @@ export const categorySchema = yup.object().shape({
     ),
 });
 
+// Valeurs d'un filtre de caractéristique
+const specFilterSchema = yup
+  .string()
+  .nullable()
+  .transform(sanitizeString)
+  .max(200, 'Maximum 200 caractères')
+  .test('no-nosql', 'Format invalide', noNoSqlInjection);
+
 // Schéma complet des filtres
-export const productFiltersSchema = yup.object().shape({
-  keyword: yup.string().nullable().transform(sanitizeString),
+const baseProductFiltersSchema = yup.object().shape({
+  keyword: yup
+    .string()
+    .nullable()
+    .transform(sanitizeString)
+    .max(100, 'Maximum 100 caractères')
+    .test('no-nosql', 'Format invalide', noNoSqlInjection),
   category: categorySchema.fields.category,
-  'price[gt]': priceFiltersSchema.fields.min,
-  'price[lt]': priceFiltersSchema.fields.max,
+  'price[gte]': priceFiltersSchema.fields.min,
+  'price[lte]': priceFiltersSchema.fields.max.test(
+    'greater-than-min',
+    'Doit être > prix minimum',
+    function (value) {
+      const min = this.parent['price[gte]'];
+      return !value || !min || value >= min;
+    },
+  ),
+  availability: yup
+    .string()
+    .nullable()
+    .oneOf([...PRODUCT_AVAILABILITY_OPTIONS, null], 'Disponibilité invalide'),
   page: yup
     .number()
     .nullable()
@@ -70,8 +112,32 @@ export const productFiltersSchema = yup.object().shape({
     .min(1, 'Page minimum 1')
     .max(1000, 'Page maximum 1000')
     .default(1),
+  sort: yup
+    .string()
+    .nullable()
+    .oneOf([...PRODUCT_SORT_OPTIONS, null], 'Tri invalide')
+    .test(
+      'relevance-needs-keyword',
+      'Le tri par pertinence nécessite une recherche',
+      function (value) {
+        return value !== 'relevance' || !!this.parent.keyword;
+      },
+    ),
 });
 
+// Les clés spec[...] dépendent des attributs de catégorie : le schéma est
+// complété avec celles présentes dans les paramètres
+export const productFiltersSchema = yup.lazy((params) =>
+  baseProductFiltersSchema.shape(
+    Object.fromEntries(
+      Object.keys(params || {})
+        .filter((key) => SPEC_PARAM_PATTERN.test(key))
+        .slice(0, MAX_SPEC_FILTERS)
+        .map((key) => [key, specFilterSchema]),
+    ),
+  ),
+);
+
 // Schéma d'avis produit
 export const productReviewSchema = yup.object().shape({
   rating: yup
@@ -88,14 +154,88 @@ export const productReviewSchema = yup.object().shape({
     .min(5, 'Minimum 5 caractères')
     .max(100, 'Maximum 100 caractères'),
 
-  comment: yup
+  body: yup
     .string()
     .required('Commentaire requis')
     .transform(sanitizeString)
     .min(10, 'Minimum 10 caractères')
     .max(500, 'Maximum 500 caractères'),
+});
 
-  wouldRecommend: yup.boolean().nullable(),
+// Pagination des avis d'un produit
+export const REVIEWS_PER_PAGE = 10;
+
+export const reviewListSchema = yup.object().shape({
+  page: yup
+    .number()
+    .integer('Page doit être un entier')
+    .min(1, 'Page minimum 1')
+    .max(1000, 'Page maximum 1000')
+    .default(1),
+});
+
+// Recommandations d'un produit : `with` ajoute d'autres produits sources
+// (panier), séparés par des virgules
+export const MAX_RECOMMENDATIONS = 12;
+
+export const recommendationQuerySchema = yup.object().shape({
+  limit: yup
+    .number()
+    .integer('Limite doit être un entier')
+    .min(1, 'Limite minimum 1')
+    .max(MAX_RECOMMENDATIONS, `Limite maximum ${MAX_RECOMMENDATIONS}`)
+    .default(8),
+
+  with: yup
+    .array()
+    .transform((value, originalValue) =>
+      typeof originalValue === 'string'
+        ? originalValue.split(',').filter(Boolean)
+        : value,
+    )
+    .of(yup.string().test('valid-id', 'ID invalide', isValidObjectId))
+    .max(20, 'Maximum 20 produits')
+    .default([]),
+});
+
+// Historique de consultation : vue(s) à enregistrer ou historique local
+// d'un visiteur synchronisé à la connexion (20 produits au plus)
+export const recentlyViewedSchema = yup.object().shape({
+  items: yup
+    .array()
+    .of(
+      yup.object().shape({
+        productId: yup
+          .string()
+          .required('ID produit requis')
+          .test('valid-id', 'ID invalide', isValidObjectId),
+        viewedAt: yup
+          .date()
+          .typeError('Date invalide')
+          .test(
+            'not-future',
+            'Date future invalide',
+            (value) => !value || value.getTime() <= Date.now() + 60000,
+          )
+          .default(() => new Date()),
+      }),
+    )
+    .required('Produits requis')
+    .max(20, 'Maximum 20 produits'),
+});
+
+// Historique local d'un visiteur non connecté (IDs séparés par des virgules)
+export const recentlyViewedQuerySchema = yup.object().shape({
+  ids: yup
+    .array()
+    .transform((value, originalValue) =>
+      typeof originalValue === 'string'
+        ? originalValue.split(',').filter(Boolean)
+        : value,
+    )
+    .of(yup.string().test('valid-id', 'ID invalide', isValidObjectId))
+    .max(20, 'Maximum 20 produits')
+    .default([]),
 });
 
 // Fonctions de validation
@@ -107,3 +247,10 @@ export const validateProductFilters = (data) =>
   validate(productFiltersSchema, data);
 export const validateProductReview = (data) =>
   validate(productReviewSchema, data);
+export const validateReviewList = (data) => validate(reviewListSchema, data);
+export const validateRecommendationQuery = (data) =>
+  validate(recommendationQuerySchema, data);
+export const validateRecentlyViewed = (data) =>
+  validate(recentlyViewedSchema, data);
+export const validateRecentlyViewedQuery = (data) =>
+  validate(recentlyViewedQuerySchema, data);
@@ -280,11 +280,12 @@ const nextConfig = {
       },
 
       // ============================================
-      // 4. APIs PRIVÉES (cart, orders, address, emails)
+      // 4. APIs PRIVÉES (cart, orders, address, emails, wishlist, stock-alerts, me)
       // Données sensibles utilisateur
       // ============================================
       {
-        source: '/api/(address|cart|orders|emails)/:path*',
+        source:
+          '/api/(address|cart|orders|emails|wishlist|stock-alerts|me)/:path*',
         headers: [
           {
             key: 'Cache-Control',
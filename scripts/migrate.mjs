@@ -0,0 +1,54 @@
+/**
+ * Migrations de la base MongoDB
+ * Usage : DB_URI=... npm run migrate (ou node --env-file=.env scripts/migrate.mjs)
+ *
+ * Chaque fichier de scripts/migrations exporte `description` et `up(db)`.
+ * Les migrations s'exécutent dans l'ordre des noms de fichiers, une seule
+ * fois : celles déjà appliquées sont enregistrées dans la collection
+ * `migrations`. Elles travaillent sur les collections brutes (pas de
+ * modèles Mongoose, dont les imports `@/` ne sont résolus que par Next.js)
+ * et doivent rester idempotentes.
+ */
+import { readdir } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import mongoose from 'mongoose';
+
+const MIGRATIONS_DIR = join(
+  dirname(fileURLToPath(import.meta.url)),
+  'migrations',
+);
+
+const run = async () => {
+  if (!process.env.DB_URI) {
+    throw new Error('DB_URI is not defined');
+  }
+
+  await mongoose.connect(process.env.DB_URI);
+  const db = mongoose.connection.db;
+  const applied = db.collection('migrations');
+
+  const files = (await readdir(MIGRATIONS_DIR))
+    .filter((file) => file.endsWith('.mjs'))
+    .sort();
+
+  for (const file of files) {
+    const name = file.replace(/\.mjs$/, '');
+    if (await applied.findOne({ name })) continue;
+
+    const migration = await import(pathToFileURL(join(MIGRATIONS_DIR, file)));
+    console.log(`Applying ${name}: ${migration.description}`);
+
+    await migration.up(db);
+    await applied.insertOne({ name, appliedAt: new Date() });
+  }
+
+  console.log('Migrations up to date');
+};
+
+run()
+  .catch((error) => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
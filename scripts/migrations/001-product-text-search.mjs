@@ -0,0 +1,45 @@
+/**
+ * Recherche plein texte pondérée des produits
+ * - Remplit `categoryName` des produits existants depuis leur catégorie
+ * - Supprime les anciens index texte (MongoDB n'en autorise qu'un par
+ *   collection), puis crée `product_text_search` tel que défini dans
+ *   backend/models/product.js
+ */
+export const description =
+  'Backfill product categoryName and replace the product text index';
+
+export const up = async (db) => {
+  const products = db.collection('products');
+
+  const categories = await db
+    .collection('categories')
+    .find({}, { projection: { categoryName: 1 } })
+    .toArray();
+
+  for (const category of categories) {
+    await products.updateMany(
+      { category: category._id, categoryName: { $ne: category.categoryName } },
+      { $set: { categoryName: category.categoryName } },
+    );
+  }
+
+  // Collection absente (base neuve) : aucun index à remplacer
+  const indexes = await products.indexes().catch((error) => {
+    if (error.codeName === 'NamespaceNotFound') return [];
+    throw error;
+  });
+  for (const index of indexes) {
+    if (index.key._fts === 'text' && index.name !== 'product_text_search') {
+      await products.dropIndex(index.name);
+    }
+  }
+
+  await products.createIndex(
+    { name: 'text', categoryName: 'text', description: 'text' },
+    {
+      name: 'product_text_search',
+      weights: { name: 10, categoryName: 5, description: 2 },
+      default_language: 'french',
+    },
+  );
+};
@@ -0,0 +1,29 @@
+/**
+ * Unicité par variante du panier et de la liste d'envies
+ * Les anciens index uniques { user, product } refusent une seconde variante
+ * d'un même produit (E11000) : ils sont remplacés par { user, product,
+ * variant }, tels que définis dans backend/models/cart.js et wishlist.js.
+ */
+export const description =
+  'Replace cart and wishlist unique indexes with variant-aware ones';
+
+const replaceUniqueIndex = async (collection) => {
+  // Collection absente (base neuve) : aucun index à remplacer
+  const indexes = await collection.indexes().catch((error) => {
+    if (error.codeName === 'NamespaceNotFound') return [];
+    throw error;
+  });
+  if (indexes.some((index) => index.name === 'user_1_product_1')) {
+    await collection.dropIndex('user_1_product_1');
+  }
+
+  await collection.createIndex(
+    { user: 1, product: 1, variant: 1 },
+    { unique: true },
+  );
+};
+
+export const up = async (db) => {
+  await replaceUniqueIndex(db.collection('carts'));
+  await replaceUniqueIndex(db.collection('wishlists'));
+};
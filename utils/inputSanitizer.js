@@ -3,6 +3,11 @@
  * Adapté pour 500 visiteurs/jour
  */
 
+import {
+  MAX_SPEC_FILTERS,
+  SPEC_PARAM_PATTERN,
+} from '@/helpers/validation/schemas/product';
+
 /**
  * Nettoie une chaîne basique (trim + espaces multiples)
  * PAS d'encodage HTML - React le fait automatiquement
@@ -62,27 +67,61 @@ export const parseProductSearchParams = (searchParams) => {
     params.category = category.trim();
   }
 
-  // Prix min/max - parser en nombre
-  const minPrice = searchParams.get('min') || searchParams.get('price[gt]');
+  // Prix min/max (bornes incluses) - parser en nombre
+  // price[gt]/price[lt] restent acceptés pour les anciennes URLs
+  const minPrice =
+    searchParams.get('min') ||
+    searchParams.get('price[gte]') ||
+    searchParams.get('price[gt]');
   if (minPrice) {
     const min = parseNumber(minPrice);
     if (min !== null && min >= 0) {
-      params['price[gt]'] = min;
+      params['price[gte]'] = min;
     }
   }
 
-  const maxPrice = searchParams.get('max') || searchParams.get('price[lt]');
+  const maxPrice =
+    searchParams.get('max') ||
+    searchParams.get('price[lte]') ||
+    searchParams.get('price[lt]');
   if (maxPrice) {
     const max = parseNumber(maxPrice);
     if (max !== null && max >= 0) {
-      params['price[lt]'] = max;
+      params['price[lte]'] = max;
     }
   }
 
+  // Disponibilité - valeur contrôlée par validateProductFilters
+  const availability = searchParams.get('availability');
+  if (availability) {
+    params.availability = cleanString(availability).toLowerCase();
+  }
+
   // Page - avec défaut à 1
   const page = parseNumber(searchParams.get('page'), 1);
   params.page = Math.max(1, Math.min(page, 1000));
 
+  // Tri - valeur brute, contrôlée par validateProductFilters
+  const sort = searchParams.get('sort');
+  if (sort) {
+    params.sort = cleanString(sort).toLowerCase();
+  }
+
+  // Caractéristiques - spec[clé]=valeurs séparées par des virgules
+  const specKeys = [...new Set(searchParams.keys())]
+    .filter((key) => SPEC_PARAM_PATTERN.test(key))
+    .slice(0, MAX_SPEC_FILTERS);
+
+  specKeys.forEach((key) => {
+    const values = cleanString(searchParams.get(key))
+      .split(',')
+      .map((value) => value.trim())
+      .filter(Boolean);
+    if (values.length > 0) {
+      params[key] = values.join(',');
+    }
+  });
+
   return params;
 };
 